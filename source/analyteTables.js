@@ -0,0 +1,110 @@
+/**
+ * The table of analyte-specific conversions for arbitrary units is defined
+ * in this file.
+ */
+
+/**
+ * This class holds the conversions, for particular analytes (substances),
+ * between arbitrary units such as [IU] and units that are not arbitrary.
+ * Arbitrary units cannot be converted in general, since the amount of
+ * substance in one of them depends on the substance, but for a given
+ * substance the conversion is often well defined, e.g., 1 [IU] of vitamin D
+ * is 0.025 ug.
+ *
+ * Analytes are identified by keys chosen by the caller, e.g., LOINC codes
+ * or names.  Keys are case sensitive, but leading and trailing blanks are
+ * ignored.  For each analyte, a conversion is kept for each arbitrary unit
+ * code, as a hash containing:
+ *  'value' the number of 'unit's in one of the arbitrary units; and
+ *  'unit' the unit expression for the equivalent amount, e.g., 'ug'.
+ */
+export class AnalyteTablesFactory {
+
+  /**
+   * Constructor.  This creates the empty hash of conversions, keyed by
+   * analyte and then by arbitrary unit code.
+   *
+   * Implementation of this as a singleton is based on the UnitTables
+   * implementation.  See that class for details.
+   */
+  constructor() {
+    this.conversions_ = {};
+  }
+
+
+  /**
+   * Adds a conversion for an analyte.  The caller is responsible for
+   * checking the conversion (see UnitRegistry.registerAnalyteConversion).
+   *
+   * @param analyte the key of the analyte
+   * @param code the code of the arbitrary unit, e.g., [IU]
+   * @param value the number of 'unit's in one of the arbitrary units
+   * @param unit the unit expression for the equivalent amount, e.g., ug
+   */
+  addConversion(analyte, code, value, unit) {
+    analyte = analyte.trim();
+    if (!this.conversions_[analyte])
+      this.conversions_[analyte] = {};
+    this.conversions_[analyte][code] = {'value': value, 'unit': unit};
+  }
+
+
+  /**
+   * Removes a conversion for an analyte.
+   *
+   * @param analyte the key of the analyte
+   * @param code the code of the arbitrary unit
+   * @returns true if a conversion was removed; false if there was none
+   */
+  removeConversion(analyte, code) {
+    let removed = !!this.getConversion(analyte, code);
+    if (removed) {
+      analyte = analyte.trim();
+      delete this.conversions_[analyte][code];
+      if (Object.keys(this.conversions_[analyte]).length === 0)
+        delete this.conversions_[analyte];
+    }
+    return removed;
+  }
+
+
+  /**
+   * Gets the conversion for an arbitrary unit for an analyte.
+   *
+   * @param analyte the key of the analyte
+   * @param code the code of the arbitrary unit
+   * @returns the conversion hash (see the class description), or null if
+   *  there is none
+   */
+  getConversion(analyte, code) {
+    let conv = null;
+    if (typeof analyte === 'string') {
+      let convs = this.conversions_[analyte.trim()];
+      if (convs && Object.prototype.hasOwnProperty.call(convs, code))
+        conv = convs[code];
+    }
+    return conv;
+  }
+
+
+  /**
+   * Provides the keys of the analytes for which conversions have been
+   * added.
+   *
+   * @returns a sorted array of the analyte keys
+   */
+  getAnalytes() {
+    return Object.keys(this.conversions_).sort();
+  }
+
+} // end AnalyteTablesFactory class
+
+
+// Create a singleton instance and (to preserve the existing API) an object that
+// provides that instance via getInstance().
+var analyteTablesInstance = new AnalyteTablesFactory();
+export const AnalyteTables = {
+  getInstance: function() {
+    return analyteTablesInstance;
+  }
+}
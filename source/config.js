@@ -38,13 +38,6 @@ export var Ucum = {
    */
   codeSep_ : ': ',
 
-  // Message text variations for validation methods and conversion methods
-  valMsgStart_ : 'Did you mean ',
-  valMsgEnd_ : '?' ,
-  cnvMsgStart_ : 'We assumed you meant ',
-  cnvMsgEnd_ : '.',
-
-
 /**
    * Default opening string used to emphasize portions of error messages.
    * Used when NOT displaying messages on a web site, i.e., for output
@@ -74,39 +67,457 @@ export var Ucum = {
   closeEmphHTML_ : '</span> ' ,
 
   /**
-   * Message that is displayed when annotations are included in a unit
-   * string, to let the user know how they are interpreted.
+   * Characters that mark the start and end of the emphasized portions of a
+   * message while it is being built.  They are replaced by the emphasis
+   * strings above (or by whatever a caller's message formatter returns)
+   * before the message is returned, and are used to split the message into
+   * text and emphasis segments for the error objects.  They are Unicode
+   * private use characters, so they do not occur in unit strings.
+   */
+  emphStartMark_ : '\uE000',
+  emphEndMark_ : '\uE001',
+
+  /**
+   * The locale of the messages below and of the unit names, prefix names
+   * and guidance in the unit definitions.  Messages and names for other
+   * locales can be loaded as bundles (see LocaleTables).
+   */
+  defaultLocale_ : 'en',
+
+  /**
+   * The (English) text of the messages returned by the validation and
+   * conversion methods, keyed by a message key.  A bundle for another
+   * locale can replace any of these (see LocaleTables.addBundle); the text
+   * here is used for any message a bundle does not include.
+   *
+   * A name in braces, e.g., {code}, is a placeholder for a value that is
+   * filled in when the message is created.  These placeholders can be used
+   * in every message:
+   *  {openEmph} and {closeEmph} the start and end of an emphasized part of
+   *    a message (see emphStartMark_, openEmph_ and openEmphHTML_); and
+   *  {vcMsgStart} and {vcMsgEnd} the start and end of a suggested
+   *    substitution, i.e., the valMsgStart and valMsgEnd messages for a
+   *    validation request, or cnvMsgStart and cnvMsgEnd for a conversion
+   *    request.
+   */
+  messages_ : {
+    // Text variations for suggestions made by validation methods and
+    // conversion methods
+    'valMsgStart' : 'Did you mean ',
+    'valMsgEnd' : '?',
+    'cnvMsgStart' : 'We assumed you meant ',
+    'cnvMsgEnd' : '.',
+
+    // Message that is displayed when annotations are included in a unit
+    // string, to let the user know how they are interpreted.
+    'bracesMsg' : 'FYI - annotations (text in curly braces {}) are ' +
+      'ignored, except that an annotation without a leading symbol implies ' +
+      'the default unit 1 (the unity).',
+
+    // Messages for problems found in unit strings
+    'noUnitSpecifiedMsg' : 'No unit string specified.',
+    'noUnitStringMsg' : 'Please specify a unit expression to be validated.',
+    'blankSpaceMsg' : 'Blank spaces are not allowed in unit expressions.',
+    'invalidUnitMsg' : '{unitString} is not a valid unit.  {reason}',
+    'missingCloseBraceMsg' : 'Missing closing brace for annotation ' +
+      'starting at {openEmph}{text}{closeEmph}',
+    'missingOpenBraceMsg' : 'Missing opening brace for closing brace ' +
+      'found at {openEmph}{text}{closeEmph}',
+    'invalidAnnotationCharMsg' : 'An invalid character was found in the ' +
+      'annotation {openEmph}{text}{closeEmph}',
+    'missingOpenParenMsg' : 'Missing open parenthesis for close ' +
+      'parenthesis at {before}{openEmph}){closeEmph}{after}',
+    'missingCloseParenMsg' : 'Missing close parenthesis for open ' +
+      'parenthesis at {before}{openEmph}({closeEmph}{after}',
+    'unaryDivisionInParensMsg' : 'Unary operator \'/\' is only allowed at ' +
+      'the beginning of the main term, not inside a parenthesis.',
+    'leadingMultiplicationMsg' : '{unitString} is not a valid UCUM code. ' +
+      'The multiplication operator at the beginning of the expression is ' +
+      'not valid. A multiplication operator must appear only between two ' +
+      'codes.',
+    'trailingOperatorMsg' : '{unitString} is not a valid UCUM code. It is ' +
+      'terminated with the operator {openEmph}{operator}{closeEmph}.',
+    'missingUnitCodeMsg' : '{unitString} is not a valid UCUM code. A unit ' +
+      'code is missing between{openEmph}{operator1}{closeEmph}and' +
+      '{openEmph}{operator2}{closeEmph}in{openEmph}{operator1}{operator2}' +
+      '{closeEmph}.',
+    'missingMultiplicationMsg' : '{code} is not a valid UCUM code.  ' +
+      '{vcMsgStart}{suggestion}{vcMsgEnd}',
+    'numberBeforeParensMsg' : '{code} is not a valid UCUM code.\n' +
+      '{vcMsgStart}{suggestion}{vcMsgEnd}',
+    'multiplicationRequiredMsg' : 'A multiplication operator (.) is ' +
+      'required after {number}.',
+    'annotationFirstMsg' : 'An annotation must follow the unit code it ' +
+      'annotates.',
+    'misplacedAnnotationMsg' : 'The annotation {annotation} before the ' +
+      'unit code is invalid.\n{vcMsgStart}{suggestion}{vcMsgEnd}',
+    'misplacedNumberAnnotationMsg' : 'The annotation {annotation} before ' +
+      'the {number} is invalid.\n{vcMsgStart}{suggestion}{vcMsgEnd}',
+    'annotationBeforeParensMsg' : 'Text found before the parentheses ' +
+      '({text}) included an annotation along with other text for ' +
+      'parenthetical unit {code}',
+    'annotationAfterParensMsg' : 'Text found after the parentheses ' +
+      '({text}) included an annotation along with other text for ' +
+      'parenthetical unit {code}',
+    'textBeforeParensMsg' : '{text} preceding the unit code {code} is ' +
+      'invalid.  Unable to make a substitution.',
+    'textAfterParensMsg' : 'Text {text} following the unit code {code} is ' +
+      'invalid.  Unable to make a substitution.',
+    'exponentAfterParensMsg' : 'An exponent ({exponent}) following a ' +
+      'parenthesis is invalid as of revision 1.9 of the UCUM Specification.',
+    'exponentAfterParensSuggestionMsg' : 'An exponent ({exponent}) ' +
+      'following a parenthesis is invalid as of revision 1.9 of the UCUM ' +
+      'Specification.\n  {vcMsgStart}{suggestion}{vcMsgEnd}',
+    'invalidCodeMsg' : '{code} is not a valid UCUM code.',
+    'suggestionsFoundMsg' : '{code} is not a valid UCUM code.  We found ' +
+      'possible units that might be what was meant:',
+    'noAlternativesMsg' : '{code} is not a valid UCUM code.  No ' +
+      'alternatives were found.',
+    'bracketsAddedMsg' : '{code} is not a valid unit expression, but ' +
+      '{bracketed} is.\n{vcMsgStart}{bracketed} ({name}){vcMsgEnd}',
+    'unitNameSubstitutedMsg' : 'The UCUM code for {name} is {code}.\n' +
+      '{vcMsgStart}{code}{vcMsgEnd}',
+    'possibleBracketsMsg' : '{annotation} is a valid unit expression, but ' +
+      'did you mean {bracketed} ({name})?',
+    'unitBeforeAnnotationNotFoundMsg' : 'Unable to find a unit for {text} ' +
+      'that precedes the annotation {annotation}.',
+    'unitAfterAnnotationNotFoundMsg' : 'Unable to find a unit for {text} ' +
+      'that follows the annotation {annotation}.',
+    'textAroundAnnotationMsg' : 'Unable to find a unit for {text}.\nWe are ' +
+      'not sure how to interpret text both before and after the ' +
+      'annotation.  Sorry',
+    'emptyExpressionMsg' : 'Unit string ({unitString}) did not contain ' +
+      'anything that could be used to create a unit, or else something ' +
+      'that is not handled yet by this package.  Sorry',
+    'nonRatioExponentMsg' : '{code} cannot be used because a special unit ' +
+      'that is not on an interval scale, such as [pH], cannot have an ' +
+      'exponent.',
+    'unrecognizedElementMsg' : 'Unit string ({unitString}) contains ' +
+      'unrecognized element ({openEmph}{element}{closeEmph}); could not ' +
+      'parse full string.  Sorry',
+    'unrecognizedNullElementMsg' : 'Unit string ({unitString}) contains ' +
+      'unrecognized element; could not parse full string.  Sorry',
+    'strictSyntaxMsg' : '{text} is not valid UCUM syntax.  {problem}',
+
+    // Messages for problems found with conversion requests
+    'noFromUnitMsg' : 'No "from" unit expression specified.',
+    'noToUnitMsg' : 'No "to" unit expression specified.',
+    'invalidFromValueMsg' : 'No "from" value, or an invalid "from" value, ' +
+      'was specified.',
+    'noFromValuesMsg' : 'No array of "from" values was specified.',
+    'invalidMessageFormatMsg' : '{messageFormat} is not a valid message ' +
+      'format; use text, html or a function.',
+    'conversionUnitNotFoundMsg' : 'Unable to find a unit for ' +
+      '{unitString}, so no conversion could be performed.',
+    'notCommensurableMsg' : 'Sorry.  {fromUnit} cannot be converted to ' +
+      '{toUnit}.',
+    'arbitraryToUnitMsg' : 'Attempt to convert to arbitrary unit "{code}"',
+    'arbitraryFromUnitMsg' : 'Attempt to convert arbitrary unit "{code}"',
+    'notIntervalScaleMsg' : '{name} is not on an interval scale, so it ' +
+      'cannot be used for differences.',
+    'noBestFitUnitMsg' : 'Unable to find a unit for {unitString}, so no ' +
+      'unit could be found for the value.',
+    'noAllowedUnitMsg' : 'None of the allowed units can be converted from ' +
+      '{unitString}.',
+    'commensurablesUnitNotFoundMsg' : 'Could not find unit {unitString}.',
+    'noCommensurablesMsg' : 'No commensurable units were found for ' +
+      '{unitString}',
+
+    // Message that is displayed or returned when a conversion is requested
+    // for two units where (only) a mass<->moles conversion is appropriate
+    // but no molecular weight was specified.
+    'needMoleWeightMsg' : 'Did you wish to convert between mass and ' +
+      'moles?  The molecular weight of the substance represented by the ' +
+      'units is required to perform the conversion.',
+
+    // Message that is returned when a mass<->eq conversion is requested
+    // (which requires a molecular weight to calculate), but no molecular
+    // weight was provided by the user.
+    'needEqWeightMsg' : 'Did you wish to convert with equivalents?  The ' +
+      'molecular weight of the substance is required to perform the ' +
+      'conversion.',
+
+    // Message that is returned when a mass<->eq or a mol<->eq conversion
+    // is requested (which requires a charge to calculate), but no charge
+    // was provided by the user.
+    'needEqChargeMsg' : 'Did you wish to convert with equivalents?  The ' +
+      'charge of the substance is required to perform the conversion.',
+
+    // Messages for problems found with unit registration requests
+    'noRegisterCodeMsg' : 'No code was specified for the unit to be ' +
+      'registered.',
+    'invalidRegisterCodeMsg' : '{code} cannot be used as a unit code.  A ' +
+      'unit code cannot contain blanks, or operators, parentheses or braces ' +
+      'outside of square brackets, and cannot start or end with a digit.',
+    'noRegisterNameMsg' : 'No name was specified for the unit {code}.',
+    'invalidRegisterMagnitudeMsg' : 'The magnitude of the unit {code} is ' +
+      'not a positive number.',
+    'invalidRegisterDefinitionMsg' : 'The definition of the unit {code} ' +
+      '({definition}) is not a valid unit expression.',
+    'specialRegisterDefinitionMsg' : 'The definition of the unit {code} ' +
+      '({definition}) contains a special unit, such as Cel, which cannot be ' +
+      'used to define another unit.',
+    'unitCodeExistsMsg' : 'A unit with the code {code} is already defined.',
+    'unitCiCodeExistsMsg' : 'A unit with the case-insensitive code {ciCode} ' +
+      'is already defined.',
+    'unitExpressionExistsMsg' : '{code} is already a valid unit expression.',
+    'unitNotRegisteredMsg' : 'No registered unit has the code {code}.',
+    'unknownRegisterFunctionMsg' : 'The unit {code} uses the function ' +
+      '{function}, which is not defined.',
+    'arbitraryRegisterFunctionMsg' : 'The unit {code} is an arbitrary unit, ' +
+      'which cannot use a conversion function.',
+
+    // Messages for problems found with function registration requests
+    'noRegisterFunctionNameMsg' : 'No name was specified for the function ' +
+      'to be registered.',
+    'functionExistsMsg' : 'A function with the name {name} is already ' +
+      'defined.',
+    'noFunctionPairMsg' : 'The function {name} must have both a cnvTo and ' +
+      'a cnvFrom function.',
+    'invalidSamplePointsMsg' : 'The sample points for the function {name} ' +
+      'must be a list of numbers.',
+    'functionFailedMsg' : 'The function {name} did not return a number for ' +
+      'the sample point {point}.',
+    'functionNotInverseMsg' : 'The cnvTo and cnvFrom functions for {name} ' +
+      'are not inverses of each other; cnvFrom(cnvTo({point})) is {result}.',
+    'functionNotRegisteredMsg' : 'No registered function has the name {name}.',
+    'functionInUseMsg' : 'The function {name} cannot be removed because it ' +
+      'is used by the unit(s) {codes}.',
+
+    // Messages for problems found with analyte conversion requests
+    'noAnalyteMsg' : 'No analyte was specified for the conversion to be ' +
+      'registered.',
+    'notArbitraryCodeMsg' : '{code} is not the code of an arbitrary unit.',
+    'invalidAnalyteValueMsg' : 'The value for {code} for the analyte ' +
+      '{analyte} is not a positive number.',
+    'invalidAnalyteUnitMsg' : 'The unit for {code} for the analyte ' +
+      '{analyte} ({unit}) is not a valid unit expression for a unit that is ' +
+      'not arbitrary or special.',
+    'analyteConversionExistsMsg' : 'A conversion for {code} is already ' +
+      'registered for the analyte {analyte}.',
+    'analyteConversionNotRegisteredMsg' : 'No conversion for {code} is ' +
+      'registered for the analyte {analyte}.',
+    'noAnalyteConversionMsg' : '{code} is an arbitrary unit, and no ' +
+      'conversion for it is registered for the analyte {analyte}.',
+    'analyteUnitNotFoundMsg' : 'The unit for {code} for the analyte ' +
+      '{analyte} ({unit}) is no longer a valid unit expression, so no ' +
+      'conversion could be made.',
+
+    // Messages for problems found with quantities (see Quantity)
+    'invalidQuantityValueMsg' : '{value} is not a valid value for a ' +
+      'quantity; the value must be a finite number.',
+    'quantityUnitNotFoundMsg' : 'Unable to find a unit for {unitString}, ' +
+      'so no quantity could be created.',
+    'notQuantityMsg' : '{operand} is not a quantity.',
+    'quantityDivideByZeroMsg' : '{dividend} cannot be divided by zero ' +
+      '({divisor}).',
+    'invalidQuantityExponentMsg' : '{exponent} is not a valid exponent; ' +
+      'the exponent must be an integer.',
+
+    // Messages for problems found in strings that contain a value and a unit
+    // (see parseQuantity)
+    'noQuantityStringMsg' : 'No quantity string (a value and a unit) ' +
+      'specified.',
+    'noQuantityValueMsg' : 'No numeric value was found at the start of ' +
+      '{quantityString}.',
+    'comparatorWithRangeMsg' : 'A comparator ({comparator}) cannot be used ' +
+      'with a range ({range}).',
+    'reversedRangeMsg' : 'The low value of the range {range} is greater ' +
+      'than the high value.',
+    'noQuantityUnitMsg' : 'No unit was found after the value in ' +
+      '{quantityString}.',
+
+    // Messages for searches and completions (see UcumLhcUtils.searchUnits
+    // and UcumLhcUtils.autocomplete)
+    'noSearchTermMsg' : 'No term specified for unit search.',
+    'noSearchResultsMsg' : 'Unable to find any units matching {searchStr}',
+    'noPartialUnitMsg' : 'No partial unit expression specified for ' +
+      'completion.',
+    'noCompletionsMsg' : 'Unable to find any completions for {partial}'
+  },
+
+  /**
+   * The default maximum number of parsed unit expressions kept in the cache
+   * used by UcumLhcUtils.getSpecifiedUnit.  This can be changed for a
+   * UcumLhcUtils object with its setUnitCacheSize method.
+   */
+  unitCacheSize_ : 1000,
+
+  /**
+   * The default maximum number of corrections returned for a unit string
+   * by UcumLhcUtils.validateUnitString when the autocorrect option is used.
+   */
+  maxCorrections_ : 5,
+
+  /**
+   * The confidence, from 0 to 1, assigned to each kind of fix that can be
+   * made to a unit string by the autocorrect option of validateUnitString.
+   * The confidence of a correction is the product of the confidences of
+   * the fixes made to get it.  The key is the code used for the fix in the
+   * correction returned, which is the same as the code of the corresponding
+   * error, where there is one.
+   */
+  correctionConfidence_ : {
+    'BLANK_SPACE' : 0.95,           // leading/trailing blanks removed
+    'CASE_CHANGED' : 0.9,           // e.g., mg for MG
+    'BRACKETS_ADDED' : 0.85,        // e.g., [in_i] for in_i
+    'MISSING_MULTIPLICATION' : 0.8, // e.g., 2.mg for 2mg
+    'MISPLACED_ANNOTATION' : 0.8,   // e.g., mg{total} for {total}mg
+    'PER_REPLACED' : 0.9,           // e.g., mg/dL for mg per dL
+    'REPEATED_CHARACTER' : 0.75,    // e.g., mg for mgg
+    'MISSING_OPERATOR' : 0.6,       // e.g., mg/dL or mg.dL for mgdL or mg dL
+    'UNIT_NAME_SUBSTITUTED' : 0.7,  // e.g., [lb_av] for pound
+    'SYNONYM_SUBSTITUTED' : 0.4     // e.g., a code for one of its synonyms
+  },
+
+  /**
+   * The factor applied to the confidence of a correction for each valid,
+   * all uppercase unit code that it leaves as is, when the case of another
+   * code in it was changed and a case change to the code would give a
+   * different unit, e.g., for MG (megagauss) in MG/dL, a correction of
+   * MG/DL.  The string was most likely typed in uppercase, so mg/dL is the
+   * more plausible correction.
+   */
+  correctionCaseKeptFactor_ : 0.85,
+
+  /**
+   * Settings for the fuzzy unit search done by UnitTables.searchUnits:
+   *  the minimum score (from 0 to 1) a unit must have to be returned;
+   *  the default maximum number of units returned;
+   *  the weight given to a match on each kind of text searched (the unit
+   *  code, its name or one of its synonyms); and
+   *  the weight given to units in each category (the category_ attribute),
+   *  so that clinical units come first.  The 'other' weight is used for
+   *  units with no category or a category not listed.
    */
-  bracesMsg_ : 'FYI - annotations (text in curly braces {}) are ignored, ' +
-               'except that an annotation without a leading symbol implies ' +
-               'the default unit 1 (the unity).',
+  searchMinScore_ : 0.6,
+  searchLimit_ : 20,
+  searchMatchWeights_ : {'code' : 0.95, 'name' : 1, 'synonym' : 0.9},
+  searchCategoryWeights_ : {'Clinical' : 1, 'Nonclinical' : 0.9,
+                            'Constant' : 0.9, 'Obsolete' : 0.8, 'other' : 0.9},
 
   /**
-   * Message that is displayed or returned when a conversion is requested
-   * for two units where (only) a mass<->moles conversion is appropriate
-   * but no molecular weight was specified.
+   * Settings for the completions returned by UcumLhcUtils.autocomplete:
+   *  the default maximum number of completions returned; and
+   *  the weight given to each way of finding a completion (see the
+   *  UnitCompleter class).  The unit's category is weighted using
+   *  searchCategoryWeights_.  The 'exact' weight is for the string typed,
+   *  when it is complete as it stands, and it is lower than the others so
+   *  that longer completions of what was typed (e.g., mmol for mmo) come
+   *  ahead of it.  It also applies to the operators that follow it.
    */
-  needMoleWeightMsg_ : 'Did you wish to convert between mass and moles?  The ' +
-                       'molecular weight of the substance represented by the ' +
-                       'units is required to perform the conversion.',
+  autocompleteLimit_ : 10,
+  autocompleteWeights_ : {'code' : 1, 'expression' : 0.95, 'prefix' : 0.9,
+                          'operator' : 0.85, 'exact' : 0.8, 'name' : 0.75},
 
   /**
-   * Message that is returned when a mass<->eq conversion is requested 
-   * (which requires a molecular weight to calculate), but no molecular 
-   * weight was provided by the user.
-   */                       
-  needEqWeightMsg_ : 'Did you wish to convert with equivalents?  The ' +
-                      'molecular weight of the substance is required to perform ' + 
-                      'the conversion.', 
+   * The largest relative difference between the magnitudes of two units
+   * for which UcumLhcUtils.compareUnits considers them to be equal, e.g.,
+   * for mL and cm3, whose magnitudes differ slightly because of floating
+   * point rounding.
+   */
+  magnitudeTolerance_ : 1e-12,
 
   /**
-   * Message that is returned when a mass<->eq or a mol<->eq conversion 
-   * is requested (which requires a charge to calculate), but no charge
-   * was provided by the user.
+   * The default tolerance used by Quantity.equals and Quantity.compareTo,
+   * i.e., the largest difference between two quantities, relative to the
+   * larger quantity or to one of the larger unit, for which they are
+   * considered to be equal.
    */
-  needEqChargeMsg_ : 'Did you wish to convert with equivalents?  The ' +
-                      'charge of the substance is required to perform ' + 
-                      'the conversion.', 
+  quantityTolerance_ : 1e-12,
+
+  /**
+   * The prefixes used to make other forms of the units returned by
+   * UcumLhcUtils.commensurablesList when its includePrefixed option is
+   * used.  These are the prefixes commonly used with clinical units;
+   * using all of them would give many forms that are never used, e.g., Eg.
+   */
+  commensurablePrefixes_ : ['k', 'd', 'c', 'm', 'u', 'n', 'p'],
+
+  /**
+   * The default range, from the first number (included) to the second (not
+   * included), of the absolute values that UcumLhcUtils.bestFitUnit tries
+   * to get by choosing a unit for a value.
+   */
+  bestFitRange_ : [1, 1000],
+
+  /**
+   * The default values at which UcumLhcUtils.registerFunction checks that
+   * the two functions it is given are inverses of each other, and the
+   * largest relative difference allowed between a sample value and the
+   * value returned for it by the pair of functions.  The values are all
+   * positive, since many conversion functions, e.g., logarithms, are only
+   * defined for positive values.
+   */
+  functionSamplePoints_ : [0.001, 0.1, 0.5, 1, 2, 10, 100, 1000],
+  functionTolerance_ : 1e-9,
+
+  /**
+   * Codes used in the error objects returned, along with the message text,
+   * by the validation and conversion methods.  These are stable and can be
+   * used by calling code to determine what kind of problem was found
+   * without having to look at the message text.  The key is the code, and
+   * the value is a short description of the condition it represents.
+   */
+  errorCodes_ : {
+    // unit string (parsing) problems
+    'NO_UNIT_STRING' : 'No unit expression was specified',
+    'BLANK_SPACE' : 'The unit expression contains a blank space',
+    'MISSING_CLOSE_BRACE' : 'An annotation has no closing brace',
+    'MISSING_OPEN_BRACE' : 'A closing brace has no opening brace',
+    'INVALID_ANNOTATION_CHAR' : 'An annotation contains an invalid character',
+    'MISSING_CLOSE_PAREN' : 'An open parenthesis has no close parenthesis',
+    'MISSING_OPEN_PAREN' : 'A close parenthesis has no open parenthesis',
+    'UNARY_DIVISION_IN_PARENS' : 'A parenthesized term starts with a division operator',
+    'LEADING_MULTIPLICATION' : 'The expression starts with a multiplication operator',
+    'TRAILING_OPERATOR' : 'The expression ends with an operator',
+    'MISSING_UNIT_CODE' : 'Two operators were found with no unit code between them',
+    'MISSING_MULTIPLICATION' : 'A number directly precedes a unit code',
+    'MISPLACED_ANNOTATION' : 'An annotation precedes the unit code it annotates',
+    'ANNOTATION_WITH_TEXT' : 'Text next to an annotation could not be interpreted',
+    'TEXT_BEFORE_PARENS' : 'Text preceding a parenthesized term could not be interpreted',
+    'TEXT_AFTER_PARENS' : 'Text following a parenthesized term could not be interpreted',
+    'EXPONENT_AFTER_PARENS' : 'An exponent follows a parenthesized term',
+    'INVALID_CODE' : 'A unit code is not valid',
+    'NO_ALTERNATIVES' : 'A unit code is not valid and no suggestions were found',
+    'BRACKETS_ADDED' : 'A unit code was found after adding square brackets',
+    'UNIT_NAME_SUBSTITUTED' : 'A unit name was replaced by its unit code',
+    'POSSIBLE_BRACKETS' : 'An annotation matches a unit code in square brackets',
+    'ANNOTATIONS_IGNORED' : 'Annotations are ignored in calculations',
+    'EMPTY_EXPRESSION' : 'Nothing in the expression could be used to create a unit',
+    'UNRECOGNIZED_ELEMENT' : 'An element of the expression could not be interpreted',
+    'NON_RATIO_UNIT' : 'An operation is not supported for a non-ratio unit',
+
+    // conversion problems
+    'NO_FROM_UNIT' : 'No "from" unit expression was specified',
+    'NO_TO_UNIT' : 'No "to" unit expression was specified',
+    'INVALID_FROM_VALUE' : 'The "from" value is missing or is not a number',
+    'UNIT_NOT_FOUND' : 'No unit could be found for a unit expression',
+    'NEED_MOLECULAR_WEIGHT' : 'A molecular weight is required for the conversion',
+    'NEED_CHARGE' : 'A charge is required for the conversion',
+    'NOT_COMMENSURABLE' : 'The units cannot be converted to each other',
+    'ARBITRARY_UNIT' : 'Arbitrary units cannot be converted',
+    'INVALID_MESSAGE_FORMAT' : 'The messageFormat option is not valid',
+
+    // unit registration problems
+    'INVALID_UNIT_DEFINITION' : 'A unit to be registered is not defined correctly',
+    'UNIT_CODE_EXISTS' : 'The code of a unit to be registered is already in use',
+    'UNIT_NOT_REGISTERED' : 'No registered unit has the code to be unregistered',
+    'INVALID_FUNCTION_DEFINITION' : 'A function to be registered is not defined correctly',
+    'FUNCTION_EXISTS' : 'The name of a function to be registered is already in use',
+    'FUNCTION_NOT_REGISTERED' : 'No registered function has the name to be unregistered',
+    'FUNCTION_IN_USE' : 'A function to be unregistered is used by a unit',
+    'INVALID_ANALYTE_CONVERSION' : 'An analyte conversion to be registered is not defined correctly',
+    'ANALYTE_CONVERSION_EXISTS' : 'A conversion is already registered for the analyte and unit',
+    'ANALYTE_CONVERSION_NOT_REGISTERED' : 'No conversion is registered for the analyte and unit',
+
+    // quantity problems
+    'INVALID_QUANTITY' : 'A quantity, or a value or exponent used with one, is not valid',
+    'NO_QUANTITY_STRING' : 'No string containing a value and a unit was specified',
+
+    // anything else, e.g., an unexpected condition in the code
+    'PROCESSING_ERROR' : 'An unexpected processing error occurred'
+  } ,
 
   /**
    * Hash that matches unit column names to names used in the csv file
@@ -138,4 +549,13 @@ export var Ucum = {
                   '[m/s2/Hz^(1/2)]' : 'specialUnitTwo'}
 } ;
 
-
+// The English messages that were defined here before messages_ was added,
+// kept under their original names for code that still refers to them.
+Ucum.valMsgStart_ = Ucum.messages_['valMsgStart'];
+Ucum.valMsgEnd_ = Ucum.messages_['valMsgEnd'];
+Ucum.cnvMsgStart_ = Ucum.messages_['cnvMsgStart'];
+Ucum.cnvMsgEnd_ = Ucum.messages_['cnvMsgEnd'];
+Ucum.bracesMsg_ = Ucum.messages_['bracesMsg'];
+Ucum.needMoleWeightMsg_ = Ucum.messages_['needMoleWeightMsg'];
+Ucum.needEqWeightMsg_ = Ucum.messages_['needEqWeightMsg'];
+Ucum.needEqChargeMsg_ = Ucum.messages_['needEqChargeMsg'];
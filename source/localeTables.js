@@ -0,0 +1,241 @@
+/**
+ * The tables of localized messages and unit display text are defined in
+ * this file.
+ */
+
+var Ucum = require('./config.js').Ucum;
+
+/**
+ * This class holds the locale bundles that provide the messages returned
+ * by the validation and conversion methods, and the unit names, prefix
+ * names and unit guidance, in languages other than English.  Bundles are
+ * optional data; English (the messages in Ucum.messages_ and the text in
+ * the unit definitions) is used for anything a bundle does not provide.
+ *
+ * A bundle is a hash that contains:
+ *  'locale' the locale code, e.g., 'es' or 'fr-CA' (required);
+ *  'messages' a hash of message templates, keyed by the keys used in
+ *    Ucum.messages_ (see that for the placeholders that can be used);
+ *  'unitNames' a hash of unit names, keyed by unit code, e.g., {'g': 'gramo'};
+ *  'prefixNames' a hash of prefix names, keyed by prefix code; and
+ *  'guidance' a hash of unit guidance text, keyed by unit code.
+ * Any of the hashes may be left out.
+ *
+ * For a locale with a region, e.g., 'es-MX', the bundle for the locale is
+ * used first, then the one for the language ('es'), and then English.
+ * Locale codes are not case sensitive, and '_' may be used for '-'.
+ */
+export class LocaleTablesFactory {
+
+  /**
+   * Constructor.  This creates the empty hash of bundles, keyed by locale
+   * code.
+   *
+   * Implementation of this as a singleton is based on the UnitTables
+   * implementation.  See that class for details.
+   */
+  constructor() {
+    this.bundles_ = {};
+
+    /**
+     * A count of the changes made to the bundles, i.e., of the bundles added
+     * and removed, so that code that keeps results based on the bundles
+     * (e.g., the cache in UcumLhcUtils) can tell when they are out of date.
+     *
+     * @type integer
+     */
+    this.version_ = 0;
+  }
+
+
+  /**
+   * Adds a locale bundle.  If a bundle was already added for the locale,
+   * the text in the new bundle is merged into it, replacing any text with
+   * the same key.
+   *
+   * @param bundle the bundle (see the class description)
+   * @throws an error if the bundle has no locale code, or if one of its
+   *  sections is not a hash
+   */
+  addBundle(bundle) {
+    if (!bundle || typeof bundle.locale !== 'string' ||
+        bundle.locale.trim() === '') {
+      throw (new Error('LocaleTables.addBundle called for a bundle with no ' +
+        'locale code.'));
+    }
+    let sections = ['messages', 'unitNames', 'prefixNames', 'guidance'];
+    for (let s = 0; s < sections.length; s++) {
+      let text = bundle[sections[s]];
+      if (text !== undefined && text !== null &&
+          (typeof text !== 'object' || Array.isArray(text))) {
+        throw (new Error(`LocaleTables.addBundle called with a ` +
+          `${sections[s]} element that is not a hash, for locale ` +
+          `${bundle.locale}.`));
+      }
+    }
+    let locale = this._normalizeLocale(bundle.locale);
+    if (!this.bundles_[locale]) {
+      this.bundles_[locale] = {'messages': {}, 'unitNames': {},
+        'prefixNames': {}, 'guidance': {}};
+    }
+    for (let s = 0; s < sections.length; s++) {
+      if (bundle[sections[s]])
+        Object.assign(this.bundles_[locale][sections[s]], bundle[sections[s]]);
+    }
+    this.version_++;
+  } // end addBundle
+
+
+  /**
+   * Removes the bundle for a locale.
+   *
+   * @param locale the locale code
+   * @returns true if a bundle was removed; false if there was none
+   */
+  removeBundle(locale) {
+    let removed = false;
+    if (locale) {
+      locale = this._normalizeLocale(locale);
+      removed = !!this.bundles_[locale];
+      delete this.bundles_[locale];
+      if (removed)
+        this.version_++;
+    }
+    return removed;
+  }
+
+
+  /**
+   * Provides the codes of the locales for which bundles have been added.
+   *
+   * @returns an array of the locale codes, in lower case and sorted
+   */
+  getLocales() {
+    return Object.keys(this.bundles_).sort();
+  }
+
+
+  /**
+   * Provides the number of changes made to the bundles (see version_).
+   *
+   * @returns the count, which changes whenever a bundle is added or removed
+   */
+  getVersion() {
+    return this.version_;
+  }
+
+
+  /**
+   * Creates a message for a locale from its template, filling in the
+   * placeholders.
+   *
+   * @param key the key of the message in Ucum.messages_
+   * @param params a hash of the values for the placeholders in the message,
+   *  keyed by the placeholder names; optional.  A placeholder with no value
+   *  is left as it is.
+   * @param locale the locale code; optional.  If it is not specified the
+   *  English message is returned.
+   * @returns the message
+   */
+  getMessage(key, params, locale) {
+    let template = this._getText('messages', key, locale);
+    if (template === null)
+      template = Ucum.messages_[key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      (params && params[name] !== undefined && params[name] !== null) ?
+        String(params[name]) : match);
+  } // end getMessage
+
+
+  /**
+   * Gets the name of a unit in a locale.
+   *
+   * @param code the unit code
+   * @param locale the locale code; optional
+   * @returns the name in the locale, or null if there is none (in which
+   *  case the name in the unit definition should be used)
+   */
+  getUnitName(code, locale) {
+    return this._getText('unitNames', code, locale);
+  }
+
+
+  /**
+   * Gets the name of a prefix in a locale.
+   *
+   * @param code the prefix code
+   * @param locale the locale code; optional
+   * @returns the name in the locale, or null if there is none (in which
+   *  case the name in the prefix definition should be used)
+   */
+  getPrefixName(code, locale) {
+    return this._getText('prefixNames', code, locale);
+  }
+
+
+  /**
+   * Gets the guidance for a unit in a locale.
+   *
+   * @param code the unit code
+   * @param locale the locale code; optional
+   * @returns the guidance in the locale, or null if there is none (in which
+   *  case the guidance in the unit definition should be used)
+   */
+  getGuidance(code, locale) {
+    return this._getText('guidance', code, locale);
+  }
+
+
+  /**
+   * Looks for text in the bundles for a locale, first in the bundle for
+   * the locale and then, if the locale has a region, in the bundle for its
+   * language.  This should only be called from within this class.
+   *
+   * @param section the section of the bundles to be searched, e.g.,
+   *  'messages'
+   * @param key the key of the text in the section
+   * @param locale the locale code; may be undefined or null
+   * @returns the text found, or null if there is none
+   */
+  _getText(section, key, locale) {
+    let text = null;
+    if (locale) {
+      locale = this._normalizeLocale(locale);
+      let candidates = [locale];
+      let dashPos = locale.indexOf('-');
+      if (dashPos > 0)
+        candidates.push(locale.substring(0, dashPos));
+      for (let c = 0; c < candidates.length && text === null; c++) {
+        let bundle = this.bundles_[candidates[c]];
+        if (bundle && Object.prototype.hasOwnProperty.call(bundle[section],
+            key))
+          text = bundle[section][key];
+      }
+    }
+    return text;
+  } // end _getText
+
+
+  /**
+   * Converts a locale code to the form used as a key, i.e., lower case
+   * with '-' separating the language and region.  This should only be
+   * called from within this class.
+   *
+   * @param locale the locale code
+   * @returns the converted code
+   */
+  _normalizeLocale(locale) {
+    return locale.trim().toLowerCase().replace(/_/g, '-');
+  }
+
+} // end LocaleTablesFactory class
+
+
+// Create a singleton instance and (to preserve the existing API) an object that
+// provides that instance via getInstance().
+var localeTablesInstance = new LocaleTablesFactory();
+export const LocaleTables = {
+  getInstance: function() {
+    return localeTablesInstance;
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * This class implements a simple, bounded cache that discards the least
+ * recently used entry when it is full.  It is used to hold the results of
+ * parsing unit expressions, so that a unit expression that is used again
+ * does not have to be parsed again.
+ *
+ * The cache keeps counts of the number of requests that were found in
+ * the cache (hits) and the number that were not (misses).
+ */
+export class LruCache {
+
+  /**
+   * Constructor.
+   *
+   * @param maxSize the maximum number of entries to be kept in the cache.
+   *  A maximum size of 0 turns off caching.
+   */
+  constructor(maxSize) {
+
+    // A Map keeps its entries in insertion order, so the first entry is
+    // always the least recently used one, as long as an entry is moved to
+    // the end each time it is used.
+    this.entries_ = new Map();
+    this.maxSize_ = maxSize;
+    this.hits_ = 0;
+    this.misses_ = 0;
+  }
+
+
+  /**
+   * Gets the value stored for a key, and marks the key as the most
+   * recently used one.
+   *
+   * @param key the key for the value
+   * @returns the value, or undefined if the key is not in the cache
+   */
+  get(key) {
+    let value = this.entries_.get(key);
+    if (value === undefined) {
+      this.misses_++;
+    }
+    else {
+      this.hits_++;
+      this.entries_.delete(key);
+      this.entries_.set(key, value);
+    }
+    return value;
+  } // end get
+
+
+  /**
+   * Stores a value for a key, discarding the least recently used entry if
+   * the cache is full.
+   *
+   * @param key the key for the value
+   * @param value the value to be stored; must not be undefined
+   */
+  set(key, value) {
+    if (this.maxSize_ > 0) {
+      this.entries_.delete(key);
+      this.entries_.set(key, value);
+      if (this.entries_.size > this.maxSize_)
+        this.entries_.delete(this.entries_.keys().next().value);
+    }
+  } // end set
+
+
+  /**
+   * Removes all entries from the cache and resets the hit and miss counts.
+   */
+  clear() {
+    this.entries_.clear();
+    this.hits_ = 0;
+    this.misses_ = 0;
+  }
+
+
+  /**
+   * Sets the maximum number of entries to be kept in the cache, discarding
+   * the least recently used entries if there are more than that.
+   *
+   * @param maxSize the new maximum size; 0 turns off caching
+   */
+  setMaxSize(maxSize) {
+    this.maxSize_ = maxSize;
+    while (this.entries_.size > Math.max(maxSize, 0))
+      this.entries_.delete(this.entries_.keys().next().value);
+  } // end setMaxSize
+
+
+  /**
+   * Returns statistics on the use of the cache.
+   *
+   * @returns a hash containing 'hits', the number of requests for which a
+   *  value was found; 'misses', the number for which a value was not found;
+   *  'size', the number of entries in the cache; and 'maxSize', the maximum
+   *  number of entries.
+   */
+  getStats() {
+    return {'hits': this.hits_, 'misses': this.misses_,
+            'size': this.entries_.size, 'maxSize': this.maxSize_};
+  }
+
+} // end LruCache class
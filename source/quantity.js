@@ -0,0 +1,478 @@
+/**
+ * This class provides arithmetic and comparisons for quantities, i.e.,
+ * values with units, e.g., 5 mg/kg or 150 [lb_av].
+ */
+var Ucum = require('./config.js').Ucum;
+var Unit = require('./unit.js').Unit;
+var LocaleTables = require('./localeTables.js').LocaleTables;
+var UcumLhcUtils = require('./ucumLhcUtils.js').UcumLhcUtils;
+
+import * as intUtils_ from "./ucumInternalUtils.js";
+import funcs from "./ucumFunctions.js";
+
+/**
+ * The UcumLhcUtils object used to parse the unit strings of quantities.
+ * It is created when the first quantity is created from a unit string.
+ */
+var utils_ = null;
+
+/**
+ * A value and the unit object for its unit.  Quantities are immutable; the
+ * arithmetic methods return new quantities.
+ *
+ * Errors are thrown (rather than returned, as they are by the methods of
+ * UcumLhcUtils), since the methods are meant to be chained, e.g.,
+ * dose.multiply(weight).convertTo('mg').  Each error has a code property
+ * with one of the codes in Ucum.errorCodes_, e.g., NOT_COMMENSURABLE when
+ * quantities whose units have different dimensions are added or compared.
+ */
+export class Quantity {
+
+  /**
+   * Constructor.
+   *
+   * @param value the value of the quantity; a finite number
+   * @param unit the unit of the quantity, either a unit string (e.g.,
+   *  'mg/kg') or a Unit object
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'strict', a boolean indicating whether or not a unit string is to be
+   *  parsed in strict mode (see UcumLhcUtils.validateUnitString), and
+   *  'locale', the code of the locale of the messages in any errors thrown
+   *  by this quantity and the quantities created from it.  Both default to
+   *  those of the quantity for the methods that create one.
+   * @throws an error with an INVALID_QUANTITY code if the value is not a
+   *  finite number or the unit is neither a string nor a Unit object, or
+   *  an error with the code of the first problem found (see
+   *  UcumLhcUtils.convertUnitTo) if no unit could be found for the unit
+   *  string.  For the latter, the error's errors property contains the
+   *  error objects for all of the problems found.
+   */
+  constructor(value, unit, options = {}) {
+    let { strict = false, locale = null } = options;
+    this.strict_ = strict;
+    this.locale_ = locale;
+    let msgs = LocaleTables.getInstance();
+
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw (intUtils_.makeCodedError('INVALID_QUANTITY',
+        msgs.getMessage('invalidQuantityValueMsg', {'value': value}, locale)));
+    }
+    this.value_ = value;
+
+    if (unit instanceof Unit) {
+      this.unit_ = unit.clone();
+    }
+    else if (typeof unit === 'string') {
+      this.unit_ = this._parseUnit(unit);
+    }
+    else {
+      throw (intUtils_.makeCodedError('INVALID_QUANTITY',
+        msgs.getMessage('quantityUnitNotFoundMsg', {'unitString': unit},
+          locale)));
+    }
+  } // end constructor
+
+
+  /**
+   * Gets the value of this quantity.
+   *
+   * @returns the value
+   */
+  getValue() {
+    return this.value_;
+  }
+
+
+  /**
+   * Gets the unit of this quantity.  The unit object should not be
+   * modified.
+   *
+   * @returns the unit object
+   */
+  getUnit() {
+    return this.unit_;
+  }
+
+
+  /**
+   * Gets the unit string (the case-sensitive code) of this quantity's unit,
+   * e.g., mg/kg, or (mg/kg).[lb_av] for a unit created by multiply.
+   *
+   * @returns the unit string
+   */
+  getUnitCode() {
+    return this.unit_.csCode_;
+  }
+
+
+  /**
+   * Provides a string for this quantity, with its value and unit string,
+   * e.g., '5 mg/kg'.
+   *
+   * @returns the string
+   */
+  toString() {
+    return `${this.value_} ${this.getUnitCode()}`;
+  }
+
+
+  /**
+   * Converts this quantity to another unit, e.g., 5 [lb_av] to 2.27 kg.
+   * Conversions between mass and moles or equivalents are not supported;
+   * use UcumLhcUtils.convertUnitTo for those.
+   *
+   * @param unit the unit to convert to; a unit string or a Unit object
+   * @returns a new Quantity in that unit
+   * @throws an error with a NOT_COMMENSURABLE code if the units do not have
+   *  the same dimension, or an error with another code for other problems,
+   *  e.g., an ARBITRARY_UNIT code for an arbitrary unit, or any of the
+   *  errors thrown by the constructor for the unit string
+   */
+  convertTo(unit) {
+    let toQty = new Quantity(1, unit, this._getOptions());
+    this._checkCommensurable(toQty.unit_);
+    return new Quantity(this._convertValue(this.value_, this.unit_,
+      toQty.unit_), toQty.unit_, this._getOptions());
+  } // end convertTo
+
+
+  /**
+   * Adds a quantity to this one.  The quantity added is converted to this
+   * quantity's unit, and the sum is in this quantity's unit, e.g., 1 kg plus
+   * 500 g is 1.5 kg.  If this quantity's unit is a special unit on an
+   * interval scale (e.g., Cel), the quantity added is treated as a
+   * difference, e.g., 20 Cel plus 9 [degF] is 25 Cel.
+   *
+   * @param other the Quantity to be added
+   * @returns a new Quantity for the sum
+   * @throws an error with a NOT_COMMENSURABLE code if the units do not have
+   *  the same dimension, with an INVALID_QUANTITY code if other is not a
+   *  Quantity, or with a NON_RATIO_UNIT code if this quantity's unit is a
+   *  special unit that is not on an interval scale (e.g., [pH])
+   */
+  add(other) {
+    return new Quantity(this.value_ + this._getDifferenceValue(other),
+      this.unit_, this._getOptions());
+  }
+
+
+  /**
+   * Subtracts a quantity from this one.  The quantity subtracted is
+   * converted to this quantity's unit (see add), and the difference is in
+   * this quantity's unit.
+   *
+   * @param other the Quantity to be subtracted
+   * @returns a new Quantity for the difference
+   * @throws the errors thrown by add
+   */
+  subtract(other) {
+    return new Quantity(this.value_ - this._getDifferenceValue(other),
+      this.unit_, this._getOptions());
+  }
+
+
+  /**
+   * Multiplies this quantity by a quantity or a number.  For a quantity,
+   * the product's unit is the product of the units, e.g., 5 mg/kg times
+   * 150 [lb_av] is 750 (mg/kg).[lb_av], which can then be converted to mg
+   * (see convertTo).
+   *
+   * @param other the Quantity or number to multiply this quantity by
+   * @returns a new Quantity for the product
+   * @throws an error with an INVALID_QUANTITY code if other is not a
+   *  Quantity or a finite number, or with a NON_RATIO_UNIT code if one of
+   *  the units is a special unit that cannot be multiplied (e.g., [pH])
+   */
+  multiply(other) {
+    let product;
+    if (typeof other === 'number') {
+      product = new Quantity(this.value_ * other, this.unit_,
+        this._getOptions());
+    }
+    else {
+      this._checkQuantity(other);
+      product = new Quantity(this.value_ * other.value_,
+        this.unit_.multiplyThese(other.unit_), this._getOptions());
+    }
+    return product;
+  } // end multiply
+
+
+  /**
+   * Divides this quantity by a quantity or a number.  For a quantity, the
+   * quotient's unit is the quotient of the units, e.g., 750 mg divided by
+   * 5 h is 150 mg/h.
+   *
+   * @param other the Quantity or number to divide this quantity by
+   * @returns a new Quantity for the quotient
+   * @throws an error with an INVALID_QUANTITY code if other is not a
+   *  Quantity or a finite number, or if its value is 0, or with a
+   *  NON_RATIO_UNIT code if one of the units is a special unit that cannot
+   *  be divided (e.g., [pH])
+   */
+  divide(other) {
+    let isNumber = typeof other === 'number';
+    if (!isNumber)
+      this._checkQuantity(other);
+    if ((isNumber ? other : other.value_) === 0) {
+      throw (intUtils_.makeCodedError('INVALID_QUANTITY',
+        LocaleTables.getInstance().getMessage('quantityDivideByZeroMsg',
+          {'dividend': this.toString(), 'divisor': other.toString()},
+          this.locale_)));
+    }
+    let quotient;
+    if (isNumber) {
+      quotient = new Quantity(this.value_ / other, this.unit_,
+        this._getOptions());
+    }
+    else {
+      quotient = new Quantity(this.value_ / other.value_,
+        this.unit_.divide(other.unit_), this._getOptions());
+    }
+    return quotient;
+  } // end divide
+
+
+  /**
+   * Raises this quantity to a power, e.g., 3 m to the power 2 is 9 m2.
+   *
+   * @param p the exponent; an integer
+   * @returns a new Quantity for the result
+   * @throws an error with an INVALID_QUANTITY code if p is not an integer,
+   *  or with a NON_RATIO_UNIT code if the unit is a special unit that
+   *  cannot have an exponent (e.g., [pH])
+   */
+  power(p) {
+    if (!Number.isInteger(p)) {
+      throw (intUtils_.makeCodedError('INVALID_QUANTITY',
+        LocaleTables.getInstance().getMessage('invalidQuantityExponentMsg',
+          {'exponent': p}, this.locale_)));
+    }
+    return new Quantity(Math.pow(this.value_, p), this.unit_.clone().power(p),
+      this._getOptions());
+  } // end power
+
+
+  /**
+   * Compares this quantity with another, e.g., 1 kg is greater than 500 g.
+   * Quantities that are equal within the tolerance used by equals are
+   * treated as equal.
+   *
+   * @param other the Quantity to compare this one with
+   * @param tolerance the relative difference allowed (see equals);
+   *  optional.  It defaults to Ucum.quantityTolerance_.
+   * @returns a negative number, 0 or a positive number if this quantity is
+   *  less than, equal to or greater than the other one
+   * @throws an error with a NOT_COMMENSURABLE code if the units do not have
+   *  the same dimension, with an ARBITRARY_UNIT code if they are different
+   *  arbitrary units, or with an INVALID_QUANTITY code if other is not a
+   *  Quantity
+   */
+  compareTo(other, tolerance = Ucum.quantityTolerance_) {
+    let [thisVal, otherVal] = this._getComparisonValues(other);
+    if (this._valuesMatch(thisVal, otherVal, other, tolerance))
+      return 0;
+    return thisVal < otherVal ? -1 : 1;
+  }
+
+
+  /**
+   * Checks whether this quantity is equal to another.  Both values are
+   * converted to the base units first, so the result does not depend on
+   * which quantity is compared with which, e.g., 0 Cel equals 32 [degF] and
+   * 32 [degF] equals 0 Cel.  Since conversions can introduce rounding
+   * errors, values that differ by no more than the tolerance, relative to
+   * the larger value or to one of the larger unit (so that values at or
+   * near zero can match), are treated as equal.
+   *
+   * @param other the Quantity to compare this one with
+   * @param tolerance the relative difference allowed; optional.  It
+   *  defaults to Ucum.quantityTolerance_.
+   * @returns true if the quantities are equal; false if they are not
+   * @throws the errors thrown by compareTo
+   */
+  equals(other, tolerance = Ucum.quantityTolerance_) {
+    let [thisVal, otherVal] = this._getComparisonValues(other);
+    return this._valuesMatch(thisVal, otherVal, other, tolerance);
+  }
+
+
+  /**
+   * Gets the values of this quantity and another one in the base units
+   * (e.g., K for Cel and [degF]), for comparing them.  This should only be
+   * called from within this class.
+   *
+   * @param other the Quantity to compare this one with
+   * @returns an array with the value of this quantity and the value of the
+   *  other one
+   * @throws the errors thrown by compareTo
+   */
+  _getComparisonValues(other) {
+    this._checkQuantity(other);
+    this._checkCommensurable(other.unit_);
+    // Values of different arbitrary units (e.g., [IU] and [arb'U]) cannot
+    // be compared, and getConverterFrom throws an error for them.
+    if (this.unit_.csCode_ !== other.unit_.csCode_)
+      this.unit_.getConverterFrom(other.unit_, this.locale_);
+    return [this._getBaseValue(this.value_, this.unit_),
+      this._getBaseValue(other.value_, other.unit_)];
+  } // end _getComparisonValues
+
+
+  /**
+   * Converts a value to the base units, e.g., 20 Cel to 293.15 K.  This
+   * should only be called from within this class.
+   *
+   * @param value the value to be converted
+   * @param unit the unit object for the unit of the value
+   * @returns the value in the base units
+   */
+  _getBaseValue(value, unit) {
+    return (unit.cnv_ != null) ?
+      funcs.forName(unit.cnv_).cnvFrom(value * unit.cnvPfx_) *
+        unit.magnitude_ : value * unit.magnitude_;
+  }
+
+
+  /**
+   * Checks whether two values returned by _getComparisonValues are equal
+   * within a tolerance (see equals).  This should only be called from
+   * within this class.
+   *
+   * @param thisVal the value for this quantity
+   * @param otherVal the value for the other quantity
+   * @param other the other Quantity
+   * @param tolerance the relative difference allowed
+   * @returns true if the values are equal; false if they are not
+   */
+  _valuesMatch(thisVal, otherVal, other, tolerance) {
+    let scale = Math.max(Math.abs(thisVal), Math.abs(otherVal),
+      Math.abs(this.unit_.magnitude_), Math.abs(other.unit_.magnitude_));
+    return Math.abs(thisVal - otherVal) <= tolerance * scale;
+  }
+
+
+  /**
+   * Gets the value of a quantity to be added to or subtracted from this
+   * one, converted to this quantity's unit.  For a special unit on an
+   * interval scale, the value is converted as a difference.  This should
+   * only be called from within this class.
+   *
+   * @param other the Quantity to be added or subtracted
+   * @returns the converted value
+   * @throws the errors thrown by add
+   */
+  _getDifferenceValue(other) {
+    this._checkQuantity(other);
+    let toUnit = this.unit_;
+    let fromUnit = other.unit_;
+    if (toUnit.cnv_ != null) {
+      toUnit = toUnit.getIntervalUnit(this.locale_);
+      fromUnit = fromUnit.getIntervalUnit(this.locale_);
+    }
+    this._checkCommensurable(toUnit, fromUnit);
+    return this._convertValue(other.value_, fromUnit, toUnit);
+  } // end _getDifferenceValue
+
+
+  /**
+   * Converts a value from one unit to another.  Values for units with the
+   * same code, including arbitrary units (e.g., [IU]), which cannot be
+   * converted, are returned as they are.  This should only be called from
+   * within this class.
+   *
+   * @param value the value to be converted
+   * @param fromUnit the unit object for the unit of the value
+   * @param toUnit the unit object for the unit to convert to
+   * @returns the converted value
+   * @throws the errors thrown by Unit.convertFrom
+   */
+  _convertValue(value, fromUnit, toUnit) {
+    return (fromUnit.csCode_ === toUnit.csCode_ &&
+      fromUnit.magnitude_ === toUnit.magnitude_ &&
+      fromUnit.cnv_ === toUnit.cnv_ && fromUnit.cnvPfx_ === toUnit.cnvPfx_) ?
+      value : toUnit.convertFrom(value, fromUnit, this.locale_);
+  }
+
+
+  /**
+   * Checks that a unit has the same dimension, and the same mole and
+   * equivalent exponents, as this quantity's unit, so that values can be
+   * converted to it.  This should only be called from within this class.
+   *
+   * @param toUnit the unit object to be checked
+   * @param fromUnit the unit object it is to be compared with; optional.
+   *  It defaults to this quantity's unit.
+   * @throws an error with a NOT_COMMENSURABLE code if they are not the same
+   */
+  _checkCommensurable(toUnit, fromUnit = this.unit_) {
+    let sameDim = (!fromUnit.dim_ && !toUnit.dim_) ||
+      (!!fromUnit.dim_ && !!toUnit.dim_ && fromUnit.dim_.equals(toUnit.dim_));
+    if (!sameDim || fromUnit.moleExp_ !== toUnit.moleExp_ ||
+        fromUnit.equivalentExp_ !== toUnit.equivalentExp_) {
+      throw (intUtils_.makeCodedError('NOT_COMMENSURABLE',
+        LocaleTables.getInstance().getMessage('notCommensurableMsg',
+          {'fromUnit': fromUnit.csCode_, 'toUnit': toUnit.csCode_},
+          this.locale_)));
+    }
+  } // end _checkCommensurable
+
+
+  /**
+   * Checks that an operand of one of the methods is a Quantity.  This should
+   * only be called from within this class.
+   *
+   * @param other the operand
+   * @throws an error with an INVALID_QUANTITY code if it is not a Quantity
+   */
+  _checkQuantity(other) {
+    if (!(other instanceof Quantity)) {
+      throw (intUtils_.makeCodedError('INVALID_QUANTITY',
+        LocaleTables.getInstance().getMessage('notQuantityMsg',
+          {'operand': other}, this.locale_)));
+    }
+  }
+
+
+  /**
+   * Gets the options used to create this quantity, for creating new ones.
+   * This should only be called from within this class.
+   *
+   * @returns the options hash (see the constructor)
+   */
+  _getOptions() {
+    return {'strict': this.strict_, 'locale': this.locale_};
+  }
+
+
+  /**
+   * Gets the unit object for a unit string.  This should only be called
+   * from within this class.
+   *
+   * @param uStr the unit string
+   * @returns a copy of the unit object
+   * @throws the errors thrown by the constructor for a unit string
+   */
+  _parseUnit(uStr) {
+    if (!utils_)
+      utils_ = UcumLhcUtils.getInstance();
+    let resp = utils_.getSpecifiedUnit(this.strict_ ? uStr : uStr.trim(),
+      'convert', false,
+      {'strict': this.strict_, 'locale': this.locale_});
+    if (!resp['unit']) {
+      let errors = resp['errors'].filter((e) => e.severity === 'error');
+      if (errors.length === 0)
+        errors = resp['errors'];
+      let err = errors.length > 0 ?
+        intUtils_.makeCodedError(errors[0]['code'],
+          errors.map((e) => e.message).join('  ')) :
+        intUtils_.makeCodedError('UNIT_NOT_FOUND',
+          LocaleTables.getInstance().getMessage('quantityUnitNotFoundMsg',
+            {'unitString': uStr}, this.locale_));
+      err.errors = resp['errors'];
+      throw err;
+    }
+    return resp['unit'].clone();
+  } // end _parseUnit
+
+} // end Quantity class
@@ -0,0 +1,186 @@
+/**
+ * This class parses strings that contain a value and a unit, such as
+ * "5.3 mg/dL", "1.5e3 /uL", "2-5 mmol/L" or "<0.1 ng/mL", as they are often
+ * found in HL7 messages and free text.  The string is split into:
+ *  an optional comparator (<, <=, >, >= or =; ≤ and ≥ may be used for
+ *    <= and >=);
+ *  a value, which is a decimal number that may have a sign and an exponent
+ *    in scientific notation (e.g., 1.5e3), or a range of two such numbers
+ *    separated by a hyphen (e.g., 2-5); and
+ *  the unit expression, which is validated with validateUnitString.
+ * Blanks may be used between the parts, but are not required.
+ */
+
+var LocaleTables = require('./localeTables.js').LocaleTables;
+
+import * as intUtils_ from "./ucumInternalUtils.js";
+
+/**
+ * The pattern for a number, with an optional sign, decimal part and
+ * exponent.
+ */
+const NUMBER_PATTERN = '[+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE][+-]?\\d+)?';
+
+/**
+ * The pattern for a whole quantity string.  The groups are the comparator,
+ * the value or range, the value (or the low value of a range), the high
+ * value of a range and the rest of the string, which should be the unit
+ * expression.
+ */
+const QUANTITY_REGEX = new RegExp('^\\s*(<=|>=|≤|≥|<|>|=)?\\s*((' +
+  NUMBER_PATTERN + ')(?:\\s*-\\s*(' + NUMBER_PATTERN + '))?)(.*)$');
+
+/**
+ * The comparators that are written in more than one way, and the form
+ * returned for them.
+ */
+const COMPARATOR_FORMS = {'≤': '<=', '≥': '>='};
+
+export class QuantityParser {
+
+  /**
+   * Constructor.
+   *
+   * @param utils the UcumLhcUtils object used to validate the unit
+   *  expressions
+   */
+  constructor(utils) {
+    this.utils_ = utils;
+  }
+
+
+  /**
+   * Parses a string containing a value and a unit.
+   *
+   * @param qStr the string to be parsed
+   * @param suggest a boolean indicating whether or not suggestions are
+   *  wanted for a unit expression that is not valid
+   * @param options the options for validateUnitString ('strict', 'locale',
+   *  'messageFormat', 'autocorrect' and 'maxCorrections')
+   * @returns the hash described for UcumLhcUtils.parseQuantity
+   */
+  parse(qStr, suggest, options) {
+    let msgs = LocaleTables.getInstance();
+    let locale = options.locale;
+    let retObj = {'status': 'valid', 'comparator': null, 'value': null,
+      'range': null, 'unitString': null, 'unit': null, 'msg': [],
+      'errors': []};
+
+    let matches = null;
+    if (typeof qStr !== 'string' || qStr.trim() === '') {
+      this._addProblem(retObj, 'error', 'NO_QUANTITY_STRING',
+        msgs.getMessage('noQuantityStringMsg', null, locale), 'value', null,
+        null);
+    }
+    else if (!(matches = qStr.match(QUANTITY_REGEX))) {
+      this._addProblem(retObj, 'invalid', 'INVALID_QUANTITY',
+        msgs.getMessage('noQuantityValueMsg', {'quantityString': qStr},
+          locale), 'value', qStr, 0);
+    }
+    else {
+      let [, comparator, valueStr, lowStr, highStr, rest] = matches;
+      if (comparator)
+        retObj['comparator'] = COMPARATOR_FORMS[comparator] || comparator;
+      let valueStart = qStr.length - rest.length - valueStr.length;
+      let low = this._parseNumber(retObj, lowStr, valueStart, locale);
+      if (highStr !== undefined) {
+        let high = this._parseNumber(retObj, highStr,
+          valueStart + valueStr.length - highStr.length, locale);
+        if (low !== null && high !== null) {
+          retObj['range'] = {'low': low, 'high': high};
+          if (low > high) {
+            this._addProblem(retObj, 'invalid', 'INVALID_QUANTITY',
+              msgs.getMessage('reversedRangeMsg', {'range': valueStr},
+                locale), 'value', valueStr, valueStart);
+          }
+        }
+        if (comparator) {
+          this._addProblem(retObj, 'invalid', 'INVALID_QUANTITY',
+            msgs.getMessage('comparatorWithRangeMsg',
+              {'comparator': comparator, 'range': valueStr}, locale),
+            'value', valueStr, valueStart);
+        }
+      }
+      else
+        retObj['value'] = low;
+
+      let unitStr = rest.trim();
+      let unitStart = qStr.length - rest.length + rest.indexOf(unitStr);
+      if (unitStr === '') {
+        this._addProblem(retObj, 'invalid', 'NO_UNIT_STRING',
+          msgs.getMessage('noQuantityUnitMsg', {'quantityString': qStr},
+            locale), 'unit', null, null);
+      }
+      else {
+        retObj['unitString'] = unitStr;
+        let unitResp = this.utils_.validateUnitString(unitStr, suggest,
+          'validate', options);
+        retObj['unit'] = unitResp;
+        retObj['msg'] = retObj['msg'].concat(unitResp['msg']);
+        for (let e = 0; e < unitResp['errors'].length; e++) {
+          let err = Object.assign({}, unitResp['errors'][e]);
+          if (err['start'] !== null)
+            err['start'] += unitStart;
+          if (err['end'] !== null)
+            err['end'] += unitStart;
+          err['input'] = 'unit';
+          retObj['errors'].push(err);
+        }
+        if (unitResp['status'] !== 'valid' && retObj['status'] !== 'error')
+          retObj['status'] = unitResp['status'];
+      }
+    }
+    return retObj;
+
+  } // end parse
+
+
+  /**
+   * Converts a number in a quantity string to a number.  A number that is
+   * too large to be represented (e.g., 5e400) is reported as a problem.
+   * This should only be called from within this class.
+   *
+   * @param retObj the object returned by parse, to which any problem is
+   *  added
+   * @param numStr the number, as it appears in the string
+   * @param start the index in the string where the number starts
+   * @param locale the locale of the message; optional
+   * @returns the number, or null if it is not finite
+   */
+  _parseNumber(retObj, numStr, start, locale) {
+    let num = parseFloat(numStr);
+    if (!isFinite(num)) {
+      this._addProblem(retObj, 'invalid', 'INVALID_QUANTITY',
+        LocaleTables.getInstance().getMessage('invalidQuantityValueMsg',
+          {'value': numStr}, locale), 'value', numStr, start);
+      num = null;
+    }
+    return num;
+  }
+
+
+  /**
+   * Adds a message and its error object for a problem found in a quantity
+   * string, other than a problem with the unit expression itself, to the
+   * object returned by parse, and sets its status.  This should only be
+   * called from within this class.
+   *
+   * @param retObj the object to be updated
+   * @param status the status for the problem ('invalid' or 'error')
+   * @param code the error code, which is one of the keys in Ucum.errorCodes_
+   * @param msg the message
+   * @param input the part of the string the problem is in, 'value' or 'unit'
+   * @param token the part of the string that the message is about, or null
+   * @param start the index in the string where the token starts, or null
+   */
+  _addProblem(retObj, status, code, msg, input, token, start) {
+    retObj['msg'].push(msg);
+    let err = intUtils_.makeErrorObj(code, 'error', msg, token, start,
+      token === null ? null : start + token.length);
+    err['input'] = input;
+    retObj['errors'].push(err);
+    if (retObj['status'] !== 'error')
+      retObj['status'] = status;
+  }
+
+} // end QuantityParser class
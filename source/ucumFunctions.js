@@ -18,15 +18,21 @@ class UcumFunctions {
     // Create the hash containing the function pairs
     this.funcs = {};
 
+    // The temperature functions just add or subtract an offset, so the
+    // units that use them are on interval scales.  These have isAffine set,
+    // which allows those units to be used for temperature differences.
+
     // Celsius - convert to Celsius from kelvin and from Celsius to kelvin
     // where kelvin is the base unit for temperature
     this.funcs['cel'] = {cnvTo   : function(x){return x - 273.15;},
-                      cnvFrom : function(x){return x + 273.15;}};
+                      cnvFrom : function(x){return x + 273.15;},
+                      isAffine : true};
 
     // Fahrenheit - convert to Fahrenheit from kelvin and from Fahrenheit to
     // kelvin - which is the base unit for temperature
     this.funcs['degf'] = {cnvTo   : function(x){return x - 459.67;},
-                       cnvFrom : function(x){return x + 459.67;}};
+                       cnvFrom : function(x){return x + 459.67;},
+                       isAffine : true};
 
     // Reaumur - convert between Reaumur and Kelvin.   Because of the way the
     // calling code in the Units class is set up (in the convertFrom method),
@@ -35,7 +41,8 @@ class UcumFunctions {
     //this.funcs['degre'] = {cnvTo   : function(x){return x + 273.15;},
     //                    cnvFrom : function(x){return x - 273.15;}};
     this.funcs['degre'] = {cnvTo   : function(x){return x - 273.15;},
-                        cnvFrom : function(x){return x + 273.15;}};
+                        cnvFrom : function(x){return x + 273.15;},
+                        isAffine : true};
 
     // pH - convert to pH from moles per liter and from moles per liter to pH
     // where a mole is an amount of a substance (a count of particles)
@@ -110,7 +117,7 @@ class UcumFunctions {
     fname = fname.toLowerCase();
 
     let f = this.funcs[fname] ;
-    if (f === null)
+    if (!f)
       throw(new Error(`Requested function ${fname} is not defined`));
     return f;
   }
@@ -125,7 +132,55 @@ class UcumFunctions {
    */
   isDefined(fname) {
     fname = fname.toLowerCase();
-    return this.funcs[fname] !== null;
+    return Object.prototype.hasOwnProperty.call(this.funcs, fname);
+  }
+
+
+  /**
+   * Adds a function pair, e.g., for a scale used by a site's own units.
+   * The caller is responsible for checking the functions (see
+   * UnitRegistry.registerFunction).
+   *
+   * @param fname name of the function.  Names are not case sensitive.
+   * @param cnvTo the function that converts a value on the ratio scale to
+   *  the value for the special unit
+   * @param cnvFrom the function that converts a value for the special unit
+   *  to the value on the ratio scale
+   * @throws an error if a function with the name is already defined
+   */
+  addFunction(fname, cnvTo, cnvFrom) {
+    if (this.isDefined(fname))
+      throw(new Error(`Function ${fname} is already defined`));
+    this.funcs[fname.toLowerCase()] = {cnvTo : cnvTo, cnvFrom : cnvFrom,
+                                       isCustom : true};
+  }
+
+
+  /**
+   * Removes a function pair added by addFunction.  The functions defined
+   * in this class cannot be removed.
+   *
+   * @param fname name of the function
+   * @return true if the function was removed; false if no function with
+   *  the name was added by addFunction
+   */
+  removeFunction(fname) {
+    let removed = this.isCustom(fname);
+    if (removed)
+      delete this.funcs[fname.toLowerCase()];
+    return removed;
+  }
+
+
+  /**
+   * Returns a flag indicating whether or not the function was added by
+   * addFunction.
+   *
+   * @param fname name of the function in question
+   * @return true if it was added by addFunction; false if not
+   */
+  isCustom(fname) {
+    return this.isDefined(fname) && !!this.funcs[fname.toLowerCase()].isCustom;
   }
 
 } // end of UcumFunctions class
@@ -17,6 +17,7 @@
  *
  */
 
+var Ucum = require('./config.js').Ucum;
 var UnitTables = require('./unitTables.js').UnitTables ;
 
 
@@ -92,3 +93,124 @@ export function getSynonyms(theSyn) {
 
 } // end getSynonyms
 
+
+
+/**
+ * @typedef {{
+ *   code: string,
+ *   severity: 'error' | 'warning' | 'info',
+ *   message: string,
+ *   token: string | null,
+ *   start: number | null,
+ *   end: number | null,
+ *   segments: MessageSegment[]
+ * }} UcumError
+ */
+
+/**
+ * @typedef {{
+ *   type: 'text' | 'emphasis',
+ *   text: string
+ * }} MessageSegment
+ */
+
+/**
+ * Creates the structured error object that accompanies a message returned
+ * by the validation and conversion methods.
+ *
+ * @param code the error code, which is one of the keys in Ucum.errorCodes_
+ * @param severity 'error' for a problem that prevents a unit from being
+ *  found or a conversion from being made; 'warning' for a problem that
+ *  was worked around with a substitution, e.g., 2.mg for 2mg; or 'info' for
+ *  a message that is informational only
+ * @param message the message text
+ * @param token the part of the input string that the message is about, or
+ *  null if it is not about a specific part of the string
+ * @param start the index in the input string where the token starts, or
+ *  null if it is not known
+ * @param end the index in the input string just past the end of the token,
+ *  or null if it is not known
+ * @param segments the message split into its text and emphasis segments
+ *  (see getMessageSegments); optional.  If it is not specified the message
+ *  is a single text segment.
+ * @returns {UcumError} the error object
+ */
+export function makeErrorObj(code, severity, message, token, start, end,
+                             segments) {
+  return {
+    'code': code,
+    'severity': severity,
+    'message': message,
+    'token': (token === undefined) ? null : token,
+    'start': (start === undefined) ? null : start,
+    'end': (end === undefined) ? null : end,
+    'segments': segments ? segments :
+      [{'type': 'text', 'text': String(message)}]
+  };
+} // end makeErrorObj
+
+
+/**
+ * Splits a message that was built with the emphasis marks in
+ * Ucum.emphStartMark_ and Ucum.emphEndMark_ into its segments, i.e., the
+ * runs of plain text and the emphasized parts.  The emphasis marks supply
+ * no spacing, so an emphasis segment is not separated from the text around
+ * it by blanks; the text renderer (see formatMessage) adds them.
+ *
+ * @param msg the message
+ * @returns {MessageSegment[]} the segments, in order.  Empty text segments
+ *  are left out.
+ */
+export function getMessageSegments(msg) {
+  let segments = [];
+  let parts = String(msg).split(Ucum.emphStartMark_);
+  for (let p = 0; p < parts.length; p++) {
+    let text = parts[p];
+    if (p > 0) {
+      let endPos = text.indexOf(Ucum.emphEndMark_);
+      if (endPos >= 0) {
+        segments.push({'type': 'emphasis', 'text': text.substring(0, endPos)});
+        text = text.substring(endPos + 1);
+      }
+    }
+    text = text.split(Ucum.emphEndMark_).join('');
+    if (text !== '')
+      segments.push({'type': 'text', 'text': text});
+  }
+  return segments;
+} // end getMessageSegments
+
+
+/**
+ * Creates the text of a message from its segments.
+ *
+ * @param segments the segments (see getMessageSegments)
+ * @param formatter a function that is passed (a copy of) the segments and
+ *  returns the message text; or null, in which case each emphasis segment
+ *  is surrounded by openEmph and closeEmph
+ * @param openEmph the string to be put before an emphasis segment
+ * @param closeEmph the string to be put after an emphasis segment
+ * @returns the message text
+ */
+export function formatMessage(segments, formatter, openEmph, closeEmph) {
+  if (typeof formatter === 'function')
+    return String(formatter(segments.map((seg) => Object.assign({}, seg))));
+  return segments.map((seg) => seg.type === 'emphasis' ?
+    openEmph + seg.text + closeEmph : seg.text).join('');
+} // end formatMessage
+
+
+/**
+ * Creates an Error object that carries one of the error codes defined in
+ * Ucum.errorCodes_ in its 'code' property, so that code catching it can
+ * tell what kind of problem occurred.
+ *
+ * @param code the error code
+ * @param message the error message
+ * @returns the Error object
+ */
+export function makeCodedError(code, message) {
+  let err = new Error(message);
+  err.code = code;
+  return err;
+} // end makeCodedError
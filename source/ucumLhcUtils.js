@@ -7,7 +7,18 @@
 var Ucum = require('./config.js').Ucum;
 import {ucumJsonDefs} from './ucumJsonDefs.js';
 var UnitTables = require('./unitTables.js').UnitTables;
+var PrefixTables = require('./prefixTables.js').PrefixTables;
+var LocaleTables = require('./localeTables.js').LocaleTables;
+var AnalyteTables = require('./analyteTables.js').AnalyteTables;
 var UnitString = require('./unitString.js').UnitString;
+var LruCache = require('./lruCache.js').LruCache;
+var UnitCorrector = require('./unitCorrector.js').UnitCorrector;
+var UnitCompleter = require('./unitCompleter.js').UnitCompleter;
+var UnitNormalizer = require('./unitNormalizer.js').UnitNormalizer;
+var UnitAstParser = require('./unitAstParser.js').UnitAstParser;
+var UnitFormatter = require('./unitFormatter.js').UnitFormatter;
+var UnitRegistry = require('./unitRegistry.js').UnitRegistry;
+var QuantityParser = require('./quantityParser.js').QuantityParser;
 
 import * as intUtils_ from "./ucumInternalUtils.js";
 
@@ -18,7 +29,10 @@ export class UcumLhcUtils {
 
   /**
    * Constructor.  This loads the json prefix and unit definitions if
-   * they haven't been loaded already and creates itself as a singleton object.
+   * they haven't been loaded already.  Each instance has its own parser,
+   * settings (see useHTMLInMessages and useBraceMsgForEachString) and cache
+   * of parsed unit strings, so instances configured differently can be used
+   * side by side.  The unit definitions and locale bundles are shared.
    *
    */
   constructor() {
@@ -30,9 +44,52 @@ export class UcumLhcUtils {
       }
 
       // Get the UnitString parser that will be used with this instance
-      // of the LHC Utilities
+      // of the LHC Utilities.  It holds this instance's message settings;
+      // the data for each string parsed is kept separately for each call.
       this.uStrParser_ = UnitString.getInstance();
 
+      // Cache of the results returned by getSpecifiedUnit, keyed by the
+      // unit string and the valConv and suggest parameters
+      this.unitCache_ = new LruCache(Ucum.unitCacheSize_);
+
+      // The version of the unit tables (see UnitTables.getVersion) that the
+      // results in the cache are based on.  The cache is cleared when units
+      // are registered or unregistered, by this or any other instance.
+      this.unitCacheVersion_ = UnitTables.getInstance().getVersion();
+
+      // The version of the locale bundles (see LocaleTables.getVersion) that
+      // the results in the cache are based on.  The cache is cleared when
+      // bundles are added or removed, by this or any other instance.
+      this.localeCacheVersion_ = LocaleTables.getInstance().getVersion();
+
+      // Used to find corrections for invalid unit strings
+      this.unitCorrector_ = new UnitCorrector(this);
+
+      // Used to find completions for partial unit strings
+      this.unitCompleter_ = new UnitCompleter(this);
+
+      // Used to convert unit strings to their canonical form
+      this.unitNormalizer_ = new UnitNormalizer(this);
+
+      // Used to build and print abstract syntax trees for unit strings
+      this.astParser_ = new UnitAstParser();
+
+      // Used to render unit strings for display
+      this.unitFormatter_ = new UnitFormatter();
+
+      // Used to parse strings that contain a value and a unit
+      this.quantityParser_ = new QuantityParser(this);
+
+      // The bundles of messages and unit names for locales other than
+      // English
+      this.localeTabs_ = LocaleTables.getInstance();
+
+      // Used to register units defined at run time
+      this.unitRegistry_ = new UnitRegistry(this);
+
+      // The conversions of arbitrary units for particular analytes
+      this.analyteTabs_ = AnalyteTables.getInstance();
+
   } // end constructor
 
 
@@ -41,6 +98,9 @@ export class UcumLhcUtils {
    * object.  It should be called by web applications that use
    * these utilities.
    *
+   * @deprecated This changes the messages returned to every caller.  Use
+   *  the messageFormat option of validateUnitString (and the conversion
+   *  methods) instead, or the segments in the error objects returned.
    * @param use flag indicating whether or not to use the braces message;
    *  defaults to true
    */
@@ -48,6 +108,8 @@ export class UcumLhcUtils {
     if (use === undefined)
       use = true ;
     this.uStrParser_.useHTMLInMessages(use);
+    // cached results contain messages in the previous format
+    this.unitCache_.clear();
   }
 
 
@@ -64,6 +126,285 @@ export class UcumLhcUtils {
     if (use === undefined)
       use = true ;
     this.uStrParser_.useBraceMsgForEachString(use);
+    // cached results may or may not contain the braces message
+    this.unitCache_.clear();
+  }
+
+
+  /**
+   * Sets the maximum number of parsed unit expressions that are kept in the
+   * cache used by getSpecifiedUnit (and so by the validation and conversion
+   * methods).  When the cache is full the least recently used expression
+   * is discarded.  The default size is set by Ucum.unitCacheSize_.
+   *
+   * @param size the maximum number of unit expressions to be kept; 0 turns
+   *  off caching
+   */
+  setUnitCacheSize(size) {
+    this.unitCache_.setMaxSize(size);
+  }
+
+
+  /**
+   * Returns statistics on the use of the cache of parsed unit expressions.
+   *
+   * @returns a hash containing 'hits', the number of requests that were
+   *  answered from the cache; 'misses', the number that were not; 'size',
+   *  the number of unit expressions in the cache; and 'maxSize', the
+   *  maximum number of expressions kept.
+   */
+  getUnitCacheStats() {
+    return this.unitCache_.getStats();
+  }
+
+
+  /**
+   * Removes all unit expressions from the cache of parsed unit expressions
+   * and resets the hit and miss counts.
+   */
+  clearUnitCache() {
+    this.unitCache_.clear();
+  }
+
+
+  /**
+   * Adds a bundle of messages, unit names, prefix names and unit guidance
+   * for a locale, which are then used by the validation and conversion
+   * methods when they are called with that locale.  English is used for
+   * any text that is not in the bundle.  If a bundle was already added for
+   * the locale, the new bundle is merged into it.
+   *
+   * @param bundle a hash containing 'locale', the locale code (e.g., 'es' or
+   *  'fr-CA'), and any of these hashes:
+   *  'messages' message templates, keyed by the keys in Ucum.messages_;
+   *  'unitNames' unit names, keyed by unit code;
+   *  'prefixNames' prefix names, keyed by prefix code; and
+   *  'guidance' unit guidance text, keyed by unit code.
+   * @throws an error if the bundle has no locale code or one of its
+   *  elements is not a hash
+   */
+  addLocaleBundle(bundle) {
+    this.localeTabs_.addBundle(bundle);
+  }
+
+
+  /**
+   * Removes the bundle for a locale, so that English is used for it.
+   *
+   * @param locale the locale code
+   * @returns true if a bundle was removed; false if there was none
+   */
+  removeLocaleBundle(locale) {
+    return this.localeTabs_.removeBundle(locale);
+  }
+
+
+  /**
+   * Provides the codes of the locales for which bundles have been added.
+   *
+   * @returns an array of locale codes, in lower case and sorted
+   */
+  getLocales() {
+    return this.localeTabs_.getLocales();
+  }
+
+
+  /**
+   * Defines a unit, e.g., an arbitrary unit used only at one site, and adds
+   * it to the unit tables, so that it can be used in unit expressions by
+   * all of the UcumLhcUtils objects.  The unit is computed from a
+   * definition based on units that are already defined, the way the units
+   * in the UCUM definitions are.  For example, a unit with the definition
+   * "{beats}/min" and a magnitude of 60 is equal to 60 {beats}/min.
+   *
+   * @param unitDef a hash that defines the unit, containing:
+   *  'code' the unit code (required).  It must not already be a unit code
+   *    or a valid unit expression (e.g., a prefix and a unit code).  It
+   *    cannot contain blanks, or operators, parentheses or braces outside
+   *    of square brackets, and cannot start or end with a digit; codes for
+   *    custom units are usually in square brackets, e.g., [bpm];
+   *  'name' the unit name (required);
+   *  'definition' the unit expression the unit is based on, which must be
+   *    valid in strict mode (see validateUnitString) and cannot contain a
+   *    special unit such as Cel.  Defaults to '1' (a dimensionless number);
+   *  'magnitude' the number of definition units in one of the new units.
+   *    Defaults to 1;
+   *  'ciCode' the case-insensitive code.  Defaults to the code in upper
+   *    case.  It must not already be in use;
+   *  'isArbitrary' a boolean indicating whether or not the unit is an
+   *    arbitrary unit, which has no dimension and cannot be converted to
+   *    any other unit.  The definition and magnitude are not used for an
+   *    arbitrary unit.  Defaults to false;
+   *  'isMetric' a boolean indicating whether or not prefixes can be used
+   *    with the unit.  Defaults to false;
+   *  'function' the name of the conversion functions for a special unit,
+   *    i.e., a unit on a non-ratio scale, such as Cel.  These may be
+   *    functions defined in UcumFunctions or ones added with
+   *    registerFunction.  The definition and magnitude then give the unit
+   *    of the ratio scale values the functions convert to and from (e.g.,
+   *    K for Cel).  Not used for an arbitrary unit; optional; and
+   *  'property', 'printSymbol', 'synonyms' (a string of synonyms separated
+   *    by semicolons, or an array), 'guidance' and 'category', the text for
+   *    those properties of the unit.  Each is optional.
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the unit was added, or 'failed' if not;
+   *  'unit' the unit object added, or null if none was added;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the unit was added; and
+   *  'errors' an array of error objects, one for each message.  The codes
+   *    used are INVALID_UNIT_DEFINITION and UNIT_CODE_EXISTS.
+   */
+  registerUnit(unitDef, options = {}) {
+    return this.unitRegistry_.register(unitDef, options.locale || null);
+  }
+
+
+  /**
+   * Removes a unit added by registerUnit from the unit tables.  Units that
+   * were defined from it, e.g., with a definition of [bpm]/10, are not
+   * removed and keep their dimension and magnitude.
+   *
+   * @param code the code of the unit
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the unit was removed, or 'failed' if no unit
+   *    with the code was registered (units from the UCUM and LOINC
+   *    definitions cannot be removed);
+   *  'unit' the unit object removed, or null if none was removed;
+   *  'msg' an array containing a message if the unit was not removed; and
+   *  'errors' an array of error objects, one for each message.  The code
+   *    used is UNIT_NOT_REGISTERED.
+   */
+  unregisterUnit(code, options = {}) {
+    return this.unitRegistry_.unregister(code, options.locale || null);
+  }
+
+
+  /**
+   * Adds a pair of conversion functions for special units, i.e., units on
+   * a non-ratio scale, such as a site's own log scale for titers or an
+   * assay calibration curve.  Units that use the functions can then be
+   * added with registerUnit (using its 'function' element) and converted
+   * like the special units in the UCUM definitions, such as Cel and [pH].
+   *
+   * Before the functions are added, they are checked to make sure that
+   * they are inverses of each other, i.e., that cnvFrom(cnvTo(x)) is x for
+   * each of a set of sample values.
+   *
+   * @param funcDef a hash that defines the functions, containing:
+   *  'name' the name of the functions (required).  It must not already be
+   *    in use, and is not case sensitive;
+   *  'cnvTo' the function that takes a value on the ratio scale (e.g., in
+   *    K for Cel) and returns the value for the special unit (required);
+   *  'cnvFrom' the function that takes a value for the special unit and
+   *    returns the value on the ratio scale (required);
+   *  'samplePoints' an array of the ratio scale values at which the
+   *    functions are checked.  They must be values for which cnvTo is
+   *    defined.  Optional; defaults to Ucum.functionSamplePoints_, which
+   *    are all positive; and
+   *  'tolerance' the largest relative difference allowed between a sample
+   *    value and cnvFrom(cnvTo(value)).  Optional; defaults to
+   *    Ucum.functionTolerance_.
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the functions were added, or 'failed' if not;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the functions were added; and
+   *  'errors' an array of error objects, one for each message.  The codes
+   *    used are INVALID_FUNCTION_DEFINITION and FUNCTION_EXISTS.
+   */
+  registerFunction(funcDef, options = {}) {
+    return this.unitRegistry_.registerFunction(funcDef,
+      options.locale || null);
+  }
+
+
+  /**
+   * Removes a pair of functions added by registerFunction.  Functions that
+   * are used by a unit cannot be removed until the unit is unregistered.
+   *
+   * @param name the name of the functions
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the functions were removed, or 'failed' if
+   *    not;
+   *  'msg' an array containing a message if the functions were not
+   *    removed; and
+   *  'errors' an array of error objects, one for each message.  The codes
+   *    used are FUNCTION_NOT_REGISTERED (for a name that was not added by
+   *    registerFunction) and FUNCTION_IN_USE.
+   */
+  unregisterFunction(name, options = {}) {
+    return this.unitRegistry_.unregisterFunction(name,
+      options.locale || null);
+  }
+
+
+  /**
+   * Adds the conversion of an arbitrary unit, such as [IU], for a particular
+   * analyte (substance).  Arbitrary units cannot be converted in general,
+   * but can be for an analyte for which the amount in one of the units is
+   * known, e.g., 1 [IU] of vitamin D is 0.025 ug.  The conversions for an
+   * analyte are used when the analyte is passed in the options for
+   * convertUnitTo (or convertUnitToBatch or createConverter), including for
+   * unit expressions that contain the arbitrary unit, e.g., [IU]/mL.
+   *
+   * @param convDef a hash that defines the conversion, containing:
+   *  'analyte' the key of the analyte, e.g., a LOINC code or a name chosen
+   *    by the caller (required).  Keys are case sensitive;
+   *  'code' the code of the arbitrary unit, e.g., [IU] (required).  Units
+   *    with the same meaning but different codes, e.g., [iU] and [IU], each
+   *    need a conversion;
+   *  'value' the number of 'unit's in one of the arbitrary units
+   *    (required); and
+   *  'unit' the expression for the unit of the equivalent amount, e.g., ug
+   *    (required).  It must be valid in strict mode, and cannot be an
+   *    arbitrary or special unit.
+   *  A conversion must not already be registered for the analyte and code.
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the conversion was added, or 'failed' if not;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the conversion was added; and
+   *  'errors' an array of error objects, one for each message.  The codes
+   *    used are INVALID_ANALYTE_CONVERSION and ANALYTE_CONVERSION_EXISTS.
+   */
+  registerAnalyteConversion(convDef, options = {}) {
+    return this.unitRegistry_.registerAnalyteConversion(convDef,
+      options.locale || null);
+  }
+
+
+  /**
+   * Removes a conversion added by registerAnalyteConversion.
+   *
+   * @param analyte the key of the analyte
+   * @param code the code of the arbitrary unit
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'locale', the code of the locale of the messages to be returned (see
+   *  validateUnitString).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the conversion was removed, or 'failed' if no
+   *    such conversion was registered;
+   *  'msg' an array containing a message if the conversion was not
+   *    removed; and
+   *  'errors' an array of error objects, one for each message.  The code
+   *    used is ANALYTE_CONVERSION_NOT_REGISTERED.
+   */
+  unregisterAnalyteConversion(analyte, code, options = {}) {
+    return this.unitRegistry_.unregisterAnalyteConversion(analyte, code,
+      options.locale || null);
   }
 
 
@@ -118,9 +459,55 @@ export class UcumLhcUtils {
    *        Each array will contain the unit code, the unit name and the
    *        unit guidance (if any).
    *     If no suggestions were requested and found, this property is not
-   *     returned.
+   *     returned; and
+   *  'errors' which is an array of error objects, one for each message in
+   *     the 'msg' array plus one for each set of suggestions.  Each contains:
+   *     'code' a code for the problem, one of the keys of Ucum.errorCodes_;
+   *     'severity' which is 'error', 'warning' (a substitution was made)
+   *        or 'info';
+   *     'message' the message text;
+   *     'token' the part of uStr that the message is about, or null;
+   *     'start' and 'end' the location of the token in uStr (end is the
+   *        index just past the token), or null if not known; and
+   *     'segments' the message split into its plain text and emphasized
+   *        parts (see the messageFormat option).
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'strict' a boolean indicating whether or not uStr is to be validated in
+   *    strict mode.  In strict mode anything that is not literal UCUM syntax
+   *    is rejected: no substitutions are made (e.g., [lb_av] for pound or
+   *    2.mg for 2mg), suggest is ignored, leading and trailing blanks are
+   *    not removed, and only error messages are returned.  The status is
+   *    'valid' only if uStr is valid exactly as passed in.  Defaults to false.
+   *  'autocorrect' a boolean indicating whether or not corrections are
+   *    wanted if uStr is not valid exactly as passed in.  If true, a
+   *    'corrections' array is added to the object returned.  It contains
+   *    complete, corrected versions of uStr that are valid as they stand,
+   *    ranked by confidence (highest first); see UnitCorrector.getCorrections.
+   *    Corrections include case changes (mg for MG), added brackets ([in_i]
+   *    for in_i), added operators (2.mg for 2mg and mg/dL for mgdL or
+   *    mg dL), removed blanks, moved annotations and unit codes substituted
+   *    for unit names and synonyms.  The array is
+   *    empty if no corrections were found.  Defaults to false.
+   *  'maxCorrections' the maximum number of corrections to be returned;
+   *    defaults to Ucum.maxCorrections_ (5).
+   *  'locale' the code of the locale (e.g., 'es' or 'fr-CA') of the
+   *    messages and the unit name and guidance to be returned.  Bundles for
+   *    locales are added with addLocaleBundle; English is used for any text
+   *    that is not in a bundle.  Defaults to English.
+   *  'messageFormat' how the emphasized parts of the messages (e.g., the
+   *    operator in "terminated with the operator ->/<-") are to be shown:
+   *    'text' for the ->/<- markers; 'html' for span elements with the
+   *    emphSpan class; or a function that is passed the segments of a
+   *    message and returns its text.  Each segment is a hash containing
+   *    'type' ('text' or 'emphasis') and 'text'.  The segments supply no
+   *    spacing around an emphasis segment.  Whatever the format, each error
+   *    object also has a 'segments' element containing the segments of its
+   *    message, for applications that build their own display.  Defaults
+   *    to 'text' (unless the deprecated useHTMLInMessages method was used).
+   *    Any other value gives an 'error' status, with an error object that
+   *    has the INVALID_MESSAGE_FORMAT code.
    */
-  validateUnitString(uStr, suggest, valConv) {
+  validateUnitString(uStr, suggest, valConv, options = {}) {
 
     if (suggest === undefined)
       suggest = false ;
@@ -128,7 +515,7 @@ export class UcumLhcUtils {
     if (valConv === undefined)
       valConv = 'validate' ;
 
-    let resp = this.getSpecifiedUnit(uStr, valConv, suggest);
+    let resp = this.getSpecifiedUnit(uStr, valConv, suggest, options);
     let theUnit = resp['unit'];
     let retObj = !theUnit ? {'ucumCode': null} :
       {'ucumCode': resp['origString'],
@@ -140,6 +527,13 @@ export class UcumLhcUtils {
       retObj['suggestions'] = resp['suggestions'];
     }
     retObj['msg'] = resp['retMsg'];
+    retObj['errors'] = resp['errors'];
+    if (options.autocorrect) {
+      let strictResp = options.strict ? resp :
+        this.getSpecifiedUnit(uStr, valConv, false, {'strict': true});
+      retObj['corrections'] = strictResp.status === 'valid' ? [] :
+        this.unitCorrector_.getCorrections(uStr, options.maxCorrections);
+    }
     return retObj;
 
   } // end validateUnitString
@@ -169,25 +563,27 @@ export class UcumLhcUtils {
     /** @type {ConversionType} */
     let conversionType = 'normal';
 
-    // detect mol <-> mass conversions and eq <-> eq conversions,
-    // and non-mol <-> eq <-> mass conversions
-    if ((fromUnit.isMolarUnit() && toUnit.isMolarUnit()) || 
-        (fromUnit.isEquivalentUnit() && toUnit.isEquivalentUnit()) ||
-        (!(fromUnit.isMolarUnit() || toUnit.isMolarUnit()) && 
-        !(fromUnit.isEquivalentUnit() || toUnit.isEquivalentUnit()))) {
-      conversionType = 'normal';
-    }
+    // Units with the same mole and equivalent exponents, e.g., mmol/L and
+    // mol/dL, or meq/L and eq/mL, need a normal conversion.  Otherwise,
+    // the unit with more equivalent or mole units (in the numerator or the
+    // denominator) is treated as the equivalent or mole unit, e.g., L/mol to
+    // L/g is a mol->mass conversion.
+    let fromEqExp = fromUnit.equivalentExp_;
+    let toEqExp = toUnit.equivalentExp_;
+    let fromMolExp = fromUnit.moleExp_;
+    let toMolExp = toUnit.moleExp_;
     // handle eq <-> mol/mass conversions
-    else if (fromUnit.isEquivalentUnit()) {
-      conversionType = toUnit.isMolarUnit() ? 'eq->mol' : 'eq->mass';
-    } else if (toUnit.isEquivalentUnit()) {
-      conversionType = fromUnit.isMolarUnit() ? 'mol->eq' : 'mass->eq';
+    if (fromEqExp !== toEqExp) {
+      let fromEq = Math.abs(fromEqExp) > Math.abs(toEqExp);
+      if (fromUnit.getAmountExp() === toUnit.getAmountExp())
+        conversionType = fromEq ? 'eq->mol' : 'mol->eq';
+      else
+        conversionType = fromEq ? 'eq->mass' : 'mass->eq';
     }
     // handle mol <-> mass conversions
-    else if (fromUnit.isMolarUnit()) {
-      conversionType = 'mol->mass';
-    } else if (toUnit.isMolarUnit()) {
-      conversionType = 'mass->mol';
+    else if (fromMolExp !== toMolExp) {
+      conversionType = Math.abs(fromMolExp) > Math.abs(toMolExp) ?
+        'mol->mass' : 'mass->mol';
     }
 
     return conversionType;
@@ -211,7 +607,8 @@ export class UcumLhcUtils {
    *     }
    *   },
    *  fromUnit: string,
-   *  toUnit: string
+   *  toUnit: string,
+   *  errors: Object[]
    * }} ConvertUnitResult
    */
 
@@ -234,6 +631,24 @@ export class UcumLhcUtils {
    *  - charge: the absolute value of the charge of the substance in question when a conversion is being requested from mass/moles to
    *    equivalents and vice versa. It is required when one of the units represents a value in equivalents and the other in mass or moles. 
    *    It is ignored if neither unit includes an equivalent unit.
+   *  - strict: a boolean indicating whether or not the unit strings are to be
+   *    parsed in strict mode (see validateUnitString).  Defaults to false.
+   *  - locale: the code of the locale of the messages and unit names to be
+   *    returned (see validateUnitString).  Defaults to English.
+   *  - messageFormat: the format of the messages returned (see
+   *    validateUnitString).  Defaults to 'text'.
+   *  - difference: a boolean indicating whether or not the value is a
+   *    difference between two values, e.g., a change in temperature,
+   *    rather than an absolute value.  A difference of 10 Cel is 18 [degF],
+   *    while a temperature of 10 Cel is 50 [degF].  This only matters for
+   *    special units on an interval scale, such as Cel and [degF]; other
+   *    special units, e.g., [pH], cannot be used for differences.  (In unit
+   *    expressions with other units, such as Cel/h, Cel and [degF] are
+   *    always units of difference.)  Defaults to false.
+   *  - analyte: the key of the analyte (substance), e.g., a LOINC code,
+   *    whose conversions (see registerAnalyteConversion) are to be used for
+   *    arbitrary units such as [IU], which otherwise cannot be converted.
+   *    Optional.
    * @returns {ConvertUnitResult}
    * - a hash with six elements:
    *   - 'status' that will be: 'succeeded' if the conversion was successfully
@@ -276,130 +691,78 @@ export class UcumLhcUtils {
    *   - 'fromUnit' the unit object for the fromUnitCode passed in; returned
    *     in case it's needed for additional data from the object; and
    *   - 'toUnit' the unit object for the toUnitCode passed in; returned
-   *     in case it's needed for additional data from the object.
+   *     in case it's needed for additional data from the object; and
+   *   - 'errors' an array of error objects, one for each message in the
+   *     'msg' array plus one for each set of suggestions.  See the
+   *     description of the 'errors' array returned by validateUnitString.
+   *     Error objects for problems found in one of the unit strings have an
+   *     additional 'input' element, set to 'from' or 'to', that indicates
+   *     which string the 'start' and 'end' locations refer to.
    */
   convertUnitTo(fromUnitCode, fromVal, toUnitCode, options = {}) {
-    let { suggest = false, molecularWeight = null, charge = null } = options;
+    let { suggest = false, molecularWeight = null, charge = null,
+          strict = false, locale = null, messageFormat = null,
+          difference = false, analyte = null } = options;
 
     /** @type {ConvertUnitResult} */
     let returnObj = {'status' : 'failed',
                      'toVal' : null,
-                     'msg' : []} ;
+                     'msg' : [],
+                     'errors' : []} ;
 
-    if (fromUnitCode) {
+    // The unit strings are parsed as they were passed in, so that the
+    // locations in the error objects point into them.
+    let [fromUnitStr, toUnitStr] = [fromUnitCode, toUnitCode];
+    if (fromUnitCode && !strict) {
       fromUnitCode = fromUnitCode.trim();
     }
     if (!fromUnitCode || fromUnitCode == '') {
       returnObj['status'] = 'error';
-      returnObj['msg'].push('No "from" unit expression specified.');
+      this._addMessage(returnObj, 'NO_FROM_UNIT',
+        this.localeTabs_.getMessage('noFromUnitMsg', null, locale));
     }
-    this._checkFromVal(fromVal, returnObj);
-    if (toUnitCode) {
+    this._checkFromVal(fromVal, returnObj, locale);
+    if (toUnitCode && !strict) {
       toUnitCode = toUnitCode.trim();
     }
     if (!toUnitCode || toUnitCode == '') {
       returnObj['status'] = 'error';
-      returnObj['msg'].push('No "to" unit expression specified.');
+      this._addMessage(returnObj, 'NO_TO_UNIT',
+        this.localeTabs_.getMessage('noToUnitMsg', null, locale));
     }
+    this._checkMessageFormat(messageFormat, returnObj, locale);
     if (returnObj['status'] !== 'error') {
       try {
-        let fromUnit = null;
-
-        let parseResp = this.getSpecifiedUnit(fromUnitCode, 'convert', suggest);
-        fromUnit = parseResp['unit'];
-        if (parseResp['retMsg'])
-          returnObj['msg'] = returnObj['msg'].concat(parseResp['retMsg']);
-        if (parseResp['suggestions']) {
-          returnObj['suggestions'] = {};
-          returnObj['suggestions']['from'] = parseResp['suggestions'];
-        }
-        if (!fromUnit) {
-          returnObj['msg'].push(`Unable to find a unit for ${fromUnitCode}, ` +
-            `so no conversion could be performed.`);
-        }
-
-        let toUnit = null;
-        parseResp = this.getSpecifiedUnit(toUnitCode, 'convert', suggest);
-        toUnit = parseResp['unit'];
-        if (parseResp['retMsg'])
-          returnObj['msg'] = returnObj['msg'].concat(parseResp['retMsg']);
-        if (parseResp['suggestions']) {
-          if (!returnObj['suggestions'])
-            returnObj['suggestions'] = {} ;
-          returnObj['suggestions']['to'] = parseResp['suggestions'];
-        }
-        if (!toUnit) {
-          returnObj['msg'].push(`Unable to find a unit for ${toUnitCode}, ` +
-                                `so no conversion could be performed.`);
-        }
+        let [fromUnit, toUnit] = this._getConversionUnits(fromUnitStr,
+          toUnitStr, suggest, returnObj, strict, locale, messageFormat);
 
         if (fromUnit && toUnit) {
           try {
-            const convertType = this.detectConversionType(fromUnit, toUnit); 
-
-            switch (convertType) {
-              case 'normal':
-                returnObj['toVal'] = toUnit.convertFrom(fromVal, fromUnit);
-                break;
-              case 'mol->mass':
-              case 'mass->mol':
-                if (!molecularWeight) {
-                  throw new Error(Ucum.needMoleWeightMsg_);
-                }
-                if (!fromUnit.isMoleMassCommensurable(toUnit)) {
-                  throw new Error(`Sorry.  ${fromUnitCode} cannot be ` +
-                      `converted to ${toUnitCode}.`);
-                }
-                returnObj['toVal'] = convertType === "mol->mass" ?
-                  fromUnit.convertMolToMass(fromVal, toUnit, molecularWeight) :
-                  fromUnit.convertMassToMol(fromVal, toUnit, molecularWeight);
-                break;
-              case 'eq->mass':
-              case 'mass->eq':
-                if (!molecularWeight) {
-                  throw new Error(Ucum.needEqWeightMsg_);
-                }
-                if (!charge) {
-                  throw new Error(Ucum.needEqChargeMsg_);
-                }
-                if (!fromUnit.isEqMassCommensurable(toUnit)) {
-                  throw new Error(`Sorry.  ${fromUnitCode} cannot be ` +
-                      `converted to ${toUnitCode}.`);
-                }
-                returnObj['toVal'] = convertType === "eq->mass" ?
-                  fromUnit.convertEqToMass(fromVal, toUnit, molecularWeight, charge) :
-                  fromUnit.convertMassToEq(fromVal, toUnit, molecularWeight, charge);
-                break;
-              case 'eq->mol':
-              case 'mol->eq':
-                if (!charge) {
-                  throw new Error(Ucum.needEqChargeMsg_);
-                }
-                returnObj['toVal'] = convertType === "eq->mol" ?
-                  fromUnit.convertEqToMol(fromVal, toUnit, charge) :
-                  fromUnit.convertMolToEq(fromVal, toUnit, charge);
-                break;
-              default:
-                throw new Error("Unknown conversion type.  No conversion was attempted.");
-            }
-            // if an error hasn't been thrown - either from convertFrom or here,
-            // set the return object to show success
+            let convert = this._getConversionFunction(fromUnit, toUnit,
+              fromUnitCode, toUnitCode, molecularWeight, charge, locale,
+              difference, analyte);
+            returnObj['toVal'] = convert(fromVal);
+            // if an error hasn't been thrown - either from convertFrom or
+            // when getting the conversion function, set the return object
+            // to show success
             returnObj['status'] = 'succeeded';
             returnObj['fromUnit'] = fromUnit;
             returnObj['toUnit'] = toUnit;
           }
           catch (err) {
             returnObj['status'] = 'failed';
-            returnObj['msg'].push(err.message);
+            this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+              err.message);
           }
         } // end if we have the from and to units
       } 
       catch (err) {
-        if (err.message == Ucum.needMoleWeightMsg_)
+        if (err.code === 'NEED_MOLECULAR_WEIGHT')
           returnObj['status'] = 'failed';
         else
           returnObj['status'] = 'error';
-        returnObj['msg'].push(err.message);
+        this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+          err.message);
       }
     }
 
@@ -408,6 +771,506 @@ export class UcumLhcUtils {
   } // end convertUnitTo
 
 
+  /**
+   * This method converts an array of values from one unit to another.  The
+   * unit strings are parsed, and the type of conversion needed is
+   * determined, just once for all of the values, so this should be used
+   * instead of convertUnitTo when many values are to be converted between
+   * the same two units.
+   *
+   * @param {string} fromUnitCode - the unit code/expression/string of the
+   *  unit to be converted
+   * @param {Array<number|string>|ArrayLike<number>} fromVals - the values,
+   *  in "from" units, to be converted to "to" units.  This can be an array
+   *  or a typed array, e.g., a Float64Array.
+   * @param {string} toUnitCode - the unit code/expression/string of the unit
+   *  that the values are to be converted to
+   * @param options the same options that can be passed to convertUnitTo
+   *  (suggest, molecularWeight, charge, strict, locale, messageFormat,
+   *  difference and analyte)
+   * @returns a hash with the same elements as the one returned by
+   *  convertUnitTo, except that 'toVal' is replaced by 'results' and:
+   *   - 'status' will be 'succeeded' if all of the values were converted;
+   *     'failed' if the conversion could not be made, e.g., if the units
+   *     are not commensurable; or 'error' if an error occurred, including
+   *     one or more values that are not valid;
+   *   - 'msg' and 'errors' contain the messages and error objects for the
+   *     unit strings and the conversion.  Messages for individual values
+   *     are in the 'results' array; and
+   *   - 'results' is an array with one hash for each value passed in, in
+   *     the same order.  Each hash contains the 'status', 'toVal', 'msg' and
+   *     'errors' elements for the value, with the same meanings that they
+   *     have in the hash returned by convertUnitTo.  If the conversion
+   *     could not be made for any value, the status for each value is the
+   *     same as the overall status and its 'msg' and 'errors' arrays are
+   *     empty.  This is an empty array if no values were passed in.
+   */
+  convertUnitToBatch(fromUnitCode, fromVals, toUnitCode, options = {}) {
+    let { suggest = false, molecularWeight = null, charge = null,
+          strict = false, locale = null, messageFormat = null,
+          difference = false, analyte = null } = options;
+
+    let returnObj = {'status' : 'failed',
+                     'results' : [],
+                     'msg' : [],
+                     'errors' : []} ;
+
+    // The unit strings are parsed as they were passed in, so that the
+    // locations in the error objects point into them.
+    let [fromUnitStr, toUnitStr] = [fromUnitCode, toUnitCode];
+    if (fromUnitCode && !strict) {
+      fromUnitCode = fromUnitCode.trim();
+    }
+    if (!fromUnitCode || fromUnitCode == '') {
+      returnObj['status'] = 'error';
+      this._addMessage(returnObj, 'NO_FROM_UNIT',
+        this.localeTabs_.getMessage('noFromUnitMsg', null, locale));
+    }
+    if (!fromVals || typeof fromVals.length !== 'number' ||
+        typeof fromVals === 'string') {
+      returnObj['status'] = 'error';
+      this._addMessage(returnObj, 'INVALID_FROM_VALUE',
+        this.localeTabs_.getMessage('noFromValuesMsg', null, locale));
+      fromVals = [];
+    }
+    if (toUnitCode && !strict) {
+      toUnitCode = toUnitCode.trim();
+    }
+    if (!toUnitCode || toUnitCode == '') {
+      returnObj['status'] = 'error';
+      this._addMessage(returnObj, 'NO_TO_UNIT',
+        this.localeTabs_.getMessage('noToUnitMsg', null, locale));
+    }
+    this._checkMessageFormat(messageFormat, returnObj, locale);
+
+    let convert = null;
+    if (returnObj['status'] !== 'error') {
+      try {
+        let [fromUnit, toUnit] = this._getConversionUnits(fromUnitStr,
+          toUnitStr, suggest, returnObj, strict, locale, messageFormat);
+        if (fromUnit && toUnit) {
+          try {
+            convert = this._getConversionFunction(fromUnit, toUnit,
+              fromUnitCode, toUnitCode, molecularWeight, charge, locale,
+              difference, analyte);
+            returnObj['fromUnit'] = fromUnit;
+            returnObj['toUnit'] = toUnit;
+          }
+          catch (err) {
+            this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+              err.message);
+          }
+        }
+      }
+      catch (err) {
+        returnObj['status'] = 'error';
+        this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+          err.message);
+      }
+    }
+
+    let results = returnObj['results'];
+    let valsLen = fromVals.length;
+    if (convert) {
+      returnObj['status'] = 'succeeded';
+      try {
+        for (let v = 0; v < valsLen; v++) {
+          let fromVal = fromVals[v];
+          let valResult = {'status' : 'succeeded', 'toVal' : null,
+                           'msg' : [], 'errors' : []};
+          this._checkFromVal(fromVal, valResult, locale);
+          if (valResult['status'] === 'error')
+            returnObj['status'] = 'error';
+          else
+            valResult['toVal'] = convert(fromVal);
+          results.push(valResult);
+        }
+      }
+      // The values do not affect whether or not the units can be converted,
+      // so if the conversion fails for one value it fails for all of them.
+      catch (err) {
+        convert = null;
+        results.length = 0;
+        returnObj['status'] = 'failed';
+        this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+          err.message);
+      }
+    }
+    if (!convert) {
+      for (let v = 0; v < valsLen; v++) {
+        results.push({'status' : returnObj['status'], 'toVal' : null,
+                      'msg' : [], 'errors' : []});
+      }
+    }
+
+    return returnObj ;
+
+  } // end convertUnitToBatch
+
+
+  /**
+   * This method creates a converter object that converts values from one
+   * unit to another.  The unit strings are parsed, the units are checked
+   * to make sure they can be converted, and any conversion functions needed
+   * for special units are found, just once, when the converter is created.
+   * The converter can then be used to convert any number of values without
+   * repeating that work.
+   *
+   * @param {string} fromUnitCode - the unit code/expression/string of the
+   *  unit to be converted
+   * @param {string} toUnitCode - the unit code/expression/string of the unit
+   *  that values are to be converted to
+   * @param {{
+   *   molecularWeight?: number,
+   *   charge?: number,
+   *   strict?: boolean,
+   *   locale?: string,
+   *   messageFormat?: string | Function,
+   *   difference?: boolean,
+   *   analyte?: string
+   * }} options - the molecular weight and charge of the substance, the
+   *  strict flag, the locale, the message format, the difference flag and
+   *  the analyte, used as they are by convertUnitTo
+   * @returns a frozen (immutable) converter object with these elements:
+   *  - 'fromUnit' the unit object for fromUnitCode;
+   *  - 'toUnit' the unit object for toUnitCode;
+   *  - 'msg' an array of any messages returned for the unit strings, e.g.,
+   *    an explanation of a substitution such as 'G' for 'Gauss';
+   *  - 'convert' a function that takes a number of "from" units and returns
+   *    the equivalent number of "to" units.  No validation of the number is
+   *    performed; a value that is not a number returns NaN; and
+   *  - 'inverse' a function that returns the converter for the reverse
+   *    conversion (from toUnitCode to fromUnitCode).
+   * @throws an error if the converter cannot be created, e.g., if a unit
+   *  string is not valid or the units are not commensurable.  The error's
+   *  code property contains the code (one of the keys in Ucum.errorCodes_)
+   *  for the first problem found, and its errors property contains the
+   *  error objects for all of the problems found (see convertUnitTo).
+   */
+  createConverter(fromUnitCode, toUnitCode, options = {}) {
+    let { molecularWeight = null, charge = null, strict = false,
+          locale = null, messageFormat = null, difference = false,
+          analyte = null } = options;
+
+    let returnObj = {'msg' : [], 'errors' : []};
+    // The unit strings are parsed as they were passed in, so that the
+    // locations in the error objects point into them.
+    let [fromUnitStr, toUnitStr] = [fromUnitCode, toUnitCode];
+    fromUnitCode = !fromUnitCode ? '' : strict ? fromUnitCode :
+      fromUnitCode.trim();
+    toUnitCode = !toUnitCode ? '' : strict ? toUnitCode : toUnitCode.trim();
+    if (fromUnitCode === '')
+      this._addMessage(returnObj, 'NO_FROM_UNIT',
+        this.localeTabs_.getMessage('noFromUnitMsg', null, locale));
+    if (toUnitCode === '')
+      this._addMessage(returnObj, 'NO_TO_UNIT',
+        this.localeTabs_.getMessage('noToUnitMsg', null, locale));
+    this._checkMessageFormat(messageFormat, returnObj, locale);
+
+    let converter = null;
+    if (returnObj['msg'].length === 0) {
+      try {
+        let [fromUnit, toUnit] = this._getConversionUnits(fromUnitStr,
+          toUnitStr, false, returnObj, strict, locale, messageFormat);
+        if (fromUnit && toUnit) {
+          let convertTo = this._getConversionFunction(fromUnit, toUnit,
+            fromUnitCode, toUnitCode, molecularWeight, charge, locale,
+            difference, analyte);
+          let convertBack = this._getConversionFunction(toUnit, fromUnit,
+            toUnitCode, fromUnitCode, molecularWeight, charge, locale,
+            difference, analyte);
+          let msg = Object.freeze(returnObj['msg'].slice());
+          let inverseConverter = null;
+          converter = Object.freeze({
+            'fromUnit': fromUnit,
+            'toUnit': toUnit,
+            'msg': msg,
+            'convert': convertTo,
+            'inverse': () => inverseConverter
+          });
+          inverseConverter = Object.freeze({
+            'fromUnit': toUnit,
+            'toUnit': fromUnit,
+            'msg': msg,
+            'convert': convertBack,
+            'inverse': () => converter
+          });
+        }
+      }
+      catch (err) {
+        this._addMessage(returnObj, err.code || 'PROCESSING_ERROR',
+          err.message);
+      }
+    }
+
+    if (!converter) {
+      let errors = returnObj['errors'].filter((e) => e.severity === 'error');
+      if (errors.length === 0)
+        errors = returnObj['errors'];
+      let err = intUtils_.makeCodedError(errors[0]['code'],
+        errors.map((e) => e.message).join('  '));
+      err.errors = returnObj['errors'];
+      throw err;
+    }
+    return converter;
+
+  } // end createConverter
+
+
+  /**
+   * Gets the unit objects for the "from" and "to" unit strings of a
+   * conversion request, and adds any messages, error objects and
+   * suggestions returned for them to the response object.  This should only
+   * be called from within this class.
+   *
+   * @param fromUnitCode the unit string of the unit to be converted, as it
+   *  was passed in (i.e., not trimmed)
+   * @param toUnitCode the unit string of the unit to be converted to, as it
+   *  was passed in
+   * @param suggest a boolean indicating whether or not suggestions are
+   *  requested for a string that cannot be resolved to a valid unit
+   * @param returnObj the response object to be updated
+   * @param strict a boolean indicating whether or not the unit strings are
+   *  to be parsed in strict mode
+   * @param locale the code of the locale of the messages and unit names, or
+   *  null for English
+   * @param messageFormat the format of the messages (see
+   *  validateUnitString), or null for the default
+   * @returns an array containing the "from" unit object and the "to" unit
+   *  object, either of which is null if a unit was not found for it
+   */
+  _getConversionUnits(fromUnitCode, toUnitCode, suggest, returnObj, strict,
+                      locale, messageFormat) {
+    let parseResp = this.getSpecifiedUnit(fromUnitCode, 'convert', suggest,
+      {'strict': strict, 'locale': locale, 'messageFormat': messageFormat});
+    let fromUnit = parseResp['unit'];
+    if (parseResp['retMsg'])
+      returnObj['msg'] = returnObj['msg'].concat(parseResp['retMsg']);
+    this._addInputErrors(returnObj, parseResp['errors'], 'from');
+    if (parseResp['suggestions']) {
+      returnObj['suggestions'] = {};
+      returnObj['suggestions']['from'] = parseResp['suggestions'];
+    }
+    if (!fromUnit) {
+      let code = strict ? fromUnitCode : fromUnitCode.trim();
+      this._addMessage(returnObj, 'UNIT_NOT_FOUND',
+        this.localeTabs_.getMessage('conversionUnitNotFoundMsg',
+          {'unitString': code}, locale), code);
+    }
+
+    parseResp = this.getSpecifiedUnit(toUnitCode, 'convert', suggest,
+      {'strict': strict, 'locale': locale, 'messageFormat': messageFormat});
+    let toUnit = parseResp['unit'];
+    if (parseResp['retMsg'])
+      returnObj['msg'] = returnObj['msg'].concat(parseResp['retMsg']);
+    this._addInputErrors(returnObj, parseResp['errors'], 'to');
+    if (parseResp['suggestions']) {
+      if (!returnObj['suggestions'])
+        returnObj['suggestions'] = {} ;
+      returnObj['suggestions']['to'] = parseResp['suggestions'];
+    }
+    if (!toUnit) {
+      let code = strict ? toUnitCode : toUnitCode.trim();
+      this._addMessage(returnObj, 'UNIT_NOT_FOUND',
+        this.localeTabs_.getMessage('conversionUnitNotFoundMsg',
+          {'unitString': code}, locale), code);
+    }
+    return [fromUnit, toUnit];
+  } // end _getConversionUnits
+
+
+  /**
+   * Determines the type of conversion needed between two units, checks
+   * that everything needed for that type of conversion (e.g., a molecular
+   * weight) was supplied, and returns a function that converts a value
+   * from the "from" unit to the "to" unit.  This should only be called
+   * from within this class.
+   *
+   * @param fromUnit the unit object for the unit to be converted
+   * @param toUnit the unit object for the unit to be converted to
+   * @param fromUnitCode the unit string for fromUnit; used in messages
+   * @param toUnitCode the unit string for toUnit; used in messages
+   * @param molecularWeight the molecular weight of the substance, or null
+   * @param charge the absolute value of the charge of the substance, or null
+   * @param locale the code of the locale of the messages, or null for
+   *  English; optional
+   * @param difference a boolean indicating whether or not the values are
+   *  differences, e.g., a change in temperature, rather than absolute
+   *  values (see convertUnitTo); optional
+   * @param analyte the key of the analyte whose conversions are to be used
+   *  for arbitrary units (see registerAnalyteConversion), or null; optional
+   * @returns a function that takes a "from" value and returns the "to" value
+   * @throws an error, with one of the codes in Ucum.errorCodes_ in its code
+   *  property, if the conversion cannot be made.
+   */
+  _getConversionFunction(fromUnit, toUnit, fromUnitCode, toUnitCode,
+                         molecularWeight, charge, locale, difference,
+                         analyte) {
+    let msgs = this.localeTabs_;
+    let convert = null;
+    if (difference) {
+      fromUnit = fromUnit.getIntervalUnit(locale);
+      toUnit = toUnit.getIntervalUnit(locale);
+    }
+    if (analyte) {
+      fromUnit = this._getAnalyteUnit(fromUnit, analyte, locale);
+      toUnit = this._getAnalyteUnit(toUnit, analyte, locale);
+    }
+    const convertType = this.detectConversionType(fromUnit, toUnit);
+
+    switch (convertType) {
+      case 'normal':
+        convert = toUnit.getConverterFrom(fromUnit, locale);
+        break;
+      case 'mol->mass':
+      case 'mass->mol':
+        if (!molecularWeight) {
+          throw intUtils_.makeCodedError('NEED_MOLECULAR_WEIGHT',
+              msgs.getMessage('needMoleWeightMsg', null, locale));
+        }
+        if (!fromUnit.isMoleMassCommensurable(toUnit)) {
+          throw intUtils_.makeCodedError('NOT_COMMENSURABLE',
+              msgs.getMessage('notCommensurableMsg',
+                {'fromUnit': fromUnitCode, 'toUnit': toUnitCode}, locale));
+        }
+        convert = convertType === "mol->mass" ?
+          (fromVal) => fromUnit.convertMolToMass(fromVal, toUnit,
+            molecularWeight) :
+          (fromVal) => fromUnit.convertMassToMol(fromVal, toUnit,
+            molecularWeight);
+        break;
+      case 'eq->mass':
+      case 'mass->eq':
+        if (!molecularWeight) {
+          throw intUtils_.makeCodedError('NEED_MOLECULAR_WEIGHT',
+              msgs.getMessage('needEqWeightMsg', null, locale));
+        }
+        if (!charge) {
+          throw intUtils_.makeCodedError('NEED_CHARGE',
+              msgs.getMessage('needEqChargeMsg', null, locale));
+        }
+        if (!fromUnit.isEqMassCommensurable(toUnit)) {
+          throw intUtils_.makeCodedError('NOT_COMMENSURABLE',
+              msgs.getMessage('notCommensurableMsg',
+                {'fromUnit': fromUnitCode, 'toUnit': toUnitCode}, locale));
+        }
+        convert = convertType === "eq->mass" ?
+          (fromVal) => fromUnit.convertEqToMass(fromVal, toUnit,
+            molecularWeight, charge) :
+          (fromVal) => fromUnit.convertMassToEq(fromVal, toUnit,
+            molecularWeight, charge);
+        break;
+      case 'eq->mol':
+      case 'mol->eq':
+        if (!charge) {
+          throw intUtils_.makeCodedError('NEED_CHARGE',
+              msgs.getMessage('needEqChargeMsg', null, locale));
+        }
+        convert = convertType === "eq->mol" ?
+          (fromVal) => fromUnit.convertEqToMol(fromVal, toUnit, charge) :
+          (fromVal) => fromUnit.convertMolToEq(fromVal, toUnit, charge);
+        break;
+      default:
+        throw new Error("Unknown conversion type.  No conversion was " +
+          "attempted.");
+    }
+    return convert;
+  } // end _getConversionFunction
+
+
+  /**
+   * Replaces the arbitrary units in a unit with their equivalents for an
+   * analyte (see registerAnalyteConversion), e.g., for an analyte for which
+   * 1 [IU] is 0.025 ug, [IU]/mL becomes a unit equal to 0.025 ug/mL.  The
+   * arbitrary units, and the exponent of each in the unit, are found in the
+   * unit's code.  This should only be called from within this class.
+   *
+   * @param unit the unit object
+   * @param analyte the key of the analyte
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a new unit object for the unit with the equivalents of its
+   *  arbitrary units, or the unit passed in if it is not arbitrary
+   * @throws an error with the ARBITRARY_UNIT code if no conversion is
+   *  registered for the analyte for one of the arbitrary units, or with the
+   *  UNIT_NOT_FOUND code if the unit of a conversion is no longer valid,
+   *  e.g., because a unit it uses was unregistered
+   */
+  _getAnalyteUnit(unit, analyte, locale) {
+    let retUnit = unit;
+    if (unit.isArbitrary_) {
+      let exps = {};
+      this._getArbitraryExponents(this.astParser_.buildAst(unit.csCode_), 1,
+        exps);
+      let codes = Object.keys(exps);
+      if (codes.length > 0) {
+        retUnit = unit.clone();
+        retUnit.isArbitrary_ = false;
+      }
+      for (let c = 0; c < codes.length; c++) {
+        let exp = exps[codes[c]];
+        let conv = this.analyteTabs_.getConversion(analyte, codes[c]);
+        if (!conv) {
+          throw (intUtils_.makeCodedError('ARBITRARY_UNIT',
+            this.localeTabs_.getMessage('noAnalyteConversionMsg',
+              {'code': codes[c], 'analyte': analyte}, locale)));
+        }
+        let equivUnit = this.getSpecifiedUnit(conv.unit, 'convert', false,
+          {'strict': true})['unit'];
+        if (!equivUnit) {
+          throw (intUtils_.makeCodedError('UNIT_NOT_FOUND',
+            this.localeTabs_.getMessage('analyteUnitNotFoundMsg',
+              {'code': codes[c], 'analyte': analyte, 'unit': conv.unit},
+              locale)));
+        }
+        let arbUnit = UnitTables.getInstance().getUnitByCode(codes[c]);
+        retUnit.magnitude_ *= Math.pow(conv.value * equivUnit.magnitude_ /
+          arbUnit.magnitude_, exp);
+        if (equivUnit.dim_) {
+          let equivDim = equivUnit.dim_.clone().mul(exp);
+          retUnit.dim_ = retUnit.dim_ ? retUnit.dim_.add(equivDim) : equivDim;
+        }
+        retUnit.moleExp_ += equivUnit.moleExp_ * exp;
+        retUnit.equivalentExp_ += equivUnit.equivalentExp_ * exp;
+      }
+    }
+    return retUnit;
+
+  } // end _getAnalyteUnit
+
+
+  /**
+   * Finds the arbitrary unit atoms in a node of the abstract syntax tree for
+   * a unit expression, and adds up the exponent of each.  This calls itself
+   * for the nodes within the node passed in.  This should only be called
+   * from within this class.
+   *
+   * @param node the node (see UnitAstParser)
+   * @param sign 1 if the node is in the numerator of the expression, or -1
+   *  if it is in the denominator
+   * @param exps the hash of exponents, keyed by unit code, which is updated
+   */
+  _getArbitraryExponents(node, sign, exps) {
+    if (node.type === 'term') {
+      for (let c = 0; c < node.components.length; c++) {
+        let comp = node.components[c];
+        this._getArbitraryExponents(comp.node,
+          comp.operator === '/' ? -sign : sign, exps);
+      }
+    }
+    else if (node.type === 'group') {
+      this._getArbitraryExponents(node.term, sign, exps);
+    }
+    else if (node.type === 'unit') {
+      let atom = UnitTables.getInstance().getUnitByCode(node.atom.code);
+      if (atom && atom.isArbitrary_) {
+        let exp = sign * (node.exponent ? node.exponent.value : 1);
+        exps[node.atom.code] = (exps[node.atom.code] || 0) + exp;
+      }
+    }
+  } // end _getArbitraryExponents
+
+
   /**
    *  Converts the given unit string into its base units, their exponents, and
    *  a magnitude, and returns that data.
@@ -432,6 +1295,9 @@ export class UcumLhcUtils {
    *         useful as a scale factor for other conversions (i.e., it only has validity
    *         and usefulness for the input values that produced it).
    *  'unitToExp': a map of base units in fromUnit to their exponent
+   *  'errors': an array of error objects, one for each message in 'msg'.
+   *     See the description of the 'errors' array returned by
+   *     validateUnitString.
    */
   convertToBaseUnits(fromUnit, fromVal) {
     let retObj = {};
@@ -441,12 +1307,15 @@ export class UcumLhcUtils {
       retObj = {status: inputUnitLookup.status == 'valid' ? 'succeeded' : inputUnitLookup.status};
       let unit = inputUnitLookup.unit;
       retObj.msg = inputUnitLookup.retMsg || [];
+      retObj.errors = inputUnitLookup.errors || [];
       if (!unit) {
         if (inputUnitLookup.retMsg?.length == 0)
-          retObj.msg.push('Could not find unit information for '+fromUnit);
+          this._addMessage(retObj, 'UNIT_NOT_FOUND',
+            'Could not find unit information for '+fromUnit, fromUnit);
       }
       else if (unit.isArbitrary_) {
-        retObj.msg.push('Arbitrary units cannot be converted to base units or other units.');
+        this._addMessage(retObj, 'ARBITRARY_UNIT',
+          'Arbitrary units cannot be converted to base units or other units.');
         retObj.status = 'failed';
       }
       else if (retObj.status == 'succeeded') {
@@ -470,7 +1339,8 @@ export class UcumLhcUtils {
         // There should not be any error in retUnitLookup, unless there is a bug.
         let retUnit = retUnitLookup.unit;
         if (retUnitLookup.status !== 'valid') {
-          retObj.msg.push('Unable construct base unit string; tried '+baseUnitString);
+          this._addMessage(retObj, 'PROCESSING_ERROR',
+            'Unable construct base unit string; tried '+baseUnitString);
           retObj.status = 'error';
         }
         else {
@@ -478,7 +1348,8 @@ export class UcumLhcUtils {
             retObj.magnitude = retUnit.convertFrom(fromVal, unit);
           }
           catch (e) {
-            retObj.msg.push(e.toString());
+            this._addMessage(retObj, e.code || 'PROCESSING_ERROR',
+              e.toString());
             retObj.status = 'error';
           }
           if (retObj.status == 'succeeded') {
@@ -499,15 +1370,76 @@ export class UcumLhcUtils {
    * @param fromVal The value to check
    * @param responseObj the object that will be updated if the value is not
    *  usable.
+   * @param locale the code of the locale of the message, or null for
+   *  English; optional
    */
-  _checkFromVal(fromVal, responseObj) {
+  _checkFromVal(fromVal, responseObj, locale) {
     if (fromVal === null || isNaN(fromVal) || (typeof fromVal !== 'number' &&
         !intUtils_.isNumericString(fromVal))) {
       responseObj.status = 'error';
-      if (!responseObj.msg)
-        responseObj.msg = [];
-      responseObj.msg.push('No "from" value, or an invalid "from" value, ' +
-                         'was specified.');
+      this._addMessage(responseObj, 'INVALID_FROM_VALUE',
+        this.localeTabs_.getMessage('invalidFromValueMsg', null, locale));
+    }
+  }
+
+
+  /**
+   *  Checks the messageFormat option passed to one of the validation or
+   *  conversion methods.  If it is not valid, the responseObj will have its
+   *  status set to 'error' and a message added.
+   * @param messageFormat the option's value; null if it was not specified
+   * @param responseObj the object that will be updated if the value is not
+   *  valid
+   * @param locale the code of the locale of the message, or null for
+   *  English; optional
+   */
+  _checkMessageFormat(messageFormat, responseObj, locale) {
+    if (messageFormat !== null && messageFormat !== 'text' &&
+        messageFormat !== 'html' && typeof messageFormat !== 'function') {
+      responseObj.status = 'error';
+      this._addMessage(responseObj, 'INVALID_MESSAGE_FORMAT',
+        this.localeTabs_.getMessage('invalidMessageFormatMsg',
+          {'messageFormat': String(messageFormat)}, locale));
+    }
+  }
+
+
+  /**
+   *  Adds a message, and an error object for it, to the 'msg' and 'errors'
+   *  arrays of a response object.  The arrays are created if they do not
+   *  already exist.
+   * @param responseObj the object to be updated
+   * @param code the error code, one of the keys of Ucum.errorCodes_
+   * @param msg the message text
+   * @param token the part of the input the message is about; optional
+   */
+  _addMessage(responseObj, code, msg, token) {
+    if (!responseObj.msg)
+      responseObj.msg = [];
+    if (!responseObj.errors)
+      responseObj.errors = [];
+    responseObj.msg.push(msg);
+    responseObj.errors.push(intUtils_.makeErrorObj(code, 'error', msg,
+      token || null, null, null));
+  }
+
+
+  /**
+   *  Adds the error objects returned for one of the unit strings of a
+   *  conversion request to the 'errors' array of the response object,
+   *  marking each with the input ('from' or 'to') it came from.
+   * @param responseObj the object to be updated
+   * @param errors the error objects returned by getSpecifiedUnit (may be
+   *  undefined)
+   * @param input 'from' or 'to'
+   */
+  _addInputErrors(responseObj, errors, input) {
+    if (errors) {
+      for (let e = 0; e < errors.length; e++) {
+        let err = Object.assign({}, errors[e]);
+        err['input'] = input;
+        responseObj.errors.push(err);
+      }
     }
   }
 
@@ -542,6 +1474,444 @@ export class UcumLhcUtils {
   } // end checkSynonyms
 
 
+  /**
+   * This method searches the unit codes, names and synonyms for units that
+   * match a search term, allowing for typing errors (e.g., "milgram" or
+   * "killogram").  Unlike checkSynonyms, which only finds exact synonyms,
+   * this ranks the units found by how well they match, and is suitable for
+   * a unit picker with autocomplete.  See UnitTables.searchUnits for how
+   * the units are scored.
+   *
+   * @param searchStr the term to search for.  If it is not a string, the
+   *  status is 'error', as it is for an empty string.
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'limit' the maximum number of units to be returned; defaults to
+   *    Ucum.searchLimit_ (20).  Use 0 for no limit; and
+   *  'locale' the code of the locale of the messages and unit names to be
+   *    returned (see addLocaleBundle).  Defaults to English.
+   * @returns a hash with up to three elements:
+   *  'status' contains the status of the request, which can be 'error',
+   *    'failed' or succeeded';
+   *  'msg' which contains a message for an error or if no units were found;
+   *    and
+   *  'units' which is an array, ordered by score (highest first), that
+   *    contains one hash for each unit found:
+   *    'code' is the unit's csCode_
+   *    'name' is the unit's name_
+   *    'guidance' is the unit's guidance_
+   *    'category' is the unit's category_, e.g., 'Clinical'
+   *    'score' is a number from 0 to 1 indicating how well the unit matched
+   *    'matched' is the unit code, name or synonym that matched best
+   *    'matchType' is the kind of text that matched best: 'code', 'name'
+   *      or 'synonym'
+   */
+  searchUnits(searchStr, options = {}) {
+    let { limit = Ucum.searchLimit_, locale = null } = options;
+    let retObj = {} ;
+    if (typeof searchStr !== 'string' || searchStr.trim() === '') {
+      retObj['status'] = 'error';
+      retObj['msg'] = this.localeTabs_.getMessage('noSearchTermMsg', null,
+        locale);
+    }
+    else {
+      let hits = UnitTables.getInstance().searchUnits(searchStr, limit);
+      if (hits.length === 0) {
+        retObj['status'] = 'failed';
+        retObj['msg'] = this.localeTabs_.getMessage('noSearchResultsMsg',
+          {'searchStr': searchStr}, locale);
+      }
+      else {
+        retObj['status'] = 'succeeded';
+        retObj['units'] = hits.map((hit) => {
+          let unit = this._localizeUnit(hit.unit, locale);
+          return {'code': unit.csCode_,
+                  'name': unit.name_,
+                  'guidance': unit.guidance_,
+                  'category': hit.unit.category_,
+                  'score': hit.score,
+                  'matched': hit.matched,
+                  'matchType': hit.matchType};
+        });
+      }
+    }
+    return retObj ;
+
+  } // end searchUnits
+
+
+  /**
+   * This method finds completions for a partially entered unit expression,
+   * e.g., mmol, mmol/ and mmol/L for mmo, for use in a unit entry widget.
+   * Every completion starts with the expression entered, which is itself a
+   * completion, along with the expression followed by an operator, if it
+   * is valid as it stands.  The unit code being typed (the text after the
+   * last operator) is completed with unit codes, prefixes followed by
+   * metric unit codes, unit codes for whole expressions (from the LOINC
+   * units) and operators.  The codes of units whose names or synonyms
+   * include a word that starts with the code being typed (e.g., kg for
+   * kilo) are returned separately, as name matches.  Only completions and
+   * name matches that are valid UCUM syntax are returned.  See
+   * UnitCompleter for details.
+   *
+   * @param partial the partial unit expression
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'limit' the maximum number of completions (and of name matches) to be
+   *    returned; defaults to Ucum.autocompleteLimit_ (10); and
+   *  'locale' the code of the locale of the messages to be returned (see
+   *    addLocaleBundle).  Defaults to English.
+   * @returns a hash with up to four elements:
+   *  'status' contains the status of the request, which can be 'error',
+   *    'failed' or succeeded';
+   *  'msg' which contains a message for an error or if no completions or
+   *    name matches were found;
+   *  'completions' which is an array, ordered by score (highest first),
+   *    that contains one hash for each completion found (it may be empty
+   *    if name matches were found):
+   *    'ucumCode' is the completed unit expression, which starts with
+   *      partial;
+   *    'name' is the display name of the completed expression;
+   *    'category' is the category of the unit used to complete it, e.g.,
+   *      'Clinical', or null;
+   *    'matchType' is how the completion was found: 'exact' (for partial
+   *      itself), 'code', 'prefix', 'expression' or 'operator'; and
+   *    'score' is a number from 0 to 1 indicating how likely the
+   *      completion is; and
+   *  'nameMatches' which is an array, ordered by score, that contains a
+   *    hash like those in completions for each name match found.  Its
+   *    ucumCode is partial with the unit code being typed replaced by the
+   *    code of the unit, and its matchType is 'name'.
+   */
+  autocomplete(partial, options = {}) {
+    let { limit = Ucum.autocompleteLimit_, locale = null } = options;
+    let retObj = {} ;
+    if (typeof partial !== 'string' || partial === '') {
+      retObj['status'] = 'error';
+      retObj['msg'] = this.localeTabs_.getMessage('noPartialUnitMsg', null,
+        locale);
+    }
+    else {
+      let resp = this.unitCompleter_.getCompletions(partial, limit);
+      if (resp['completions'].length === 0 &&
+          resp['nameMatches'].length === 0) {
+        retObj['status'] = 'failed';
+        retObj['msg'] = this.localeTabs_.getMessage('noCompletionsMsg',
+          {'partial': partial}, locale);
+      }
+      else {
+        retObj['status'] = 'succeeded';
+        retObj['completions'] = resp['completions'];
+        retObj['nameMatches'] = resp['nameMatches'];
+      }
+    }
+    return retObj ;
+
+  } // end autocomplete
+
+
+  /**
+   * This method converts a unit expression to a canonical form, so that
+   * expressions that mean the same unit, e.g., mg/dL, mg.dL-1 and
+   * (mg)/(dL), are returned as the same string.  The terms are written in
+   * a stable order (the terms that are multiplied, by code, followed by
+   * the terms that are divided, by code), exponents for the same unit code
+   * are merged, and parentheses are removed.  See UnitNormalizer for
+   * details.
+   *
+   * @param uStr the unit expression to be normalized
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'stripAnnotations' a boolean indicating whether or not annotations
+   *    (text in curly braces) are to be removed; defaults to false; and
+   *  'strict' a boolean indicating whether or not uStr is to be parsed in
+   *    strict mode (see validateUnitString); defaults to false.
+   * @returns a hash containing:
+   *  'status' will be 'valid' (uStr is a valid UCUM expression), 'invalid'
+   *    (it is not) or 'error' (an input or programming error occurred);
+   *  'ucumCode' the canonical form of uStr, or null if it is not valid;
+   *  'msg' an array of the messages returned for uStr by
+   *    validateUnitString; and
+   *  'errors' an array of the error objects returned for uStr by
+   *    validateUnitString.
+   */
+  normalize(uStr, options = {}) {
+    let { stripAnnotations = false, strict = false } = options;
+    let resp = this.unitNormalizer_.normalize(uStr, stripAnnotations, strict);
+    return {'status': resp.status, 'ucumCode': resp.ucumCode,
+            'msg': resp.retMsg, 'errors': resp.errors};
+
+  } // end normalize
+
+
+  /**
+   * This method parses a unit expression and returns its abstract syntax
+   * tree (AST), which shows the structure of the expression: its terms,
+   * operators, parenthesized groups, prefixes, unit atoms, exponents,
+   * annotations and integer factors, with the location of each in the
+   * expression.  The expression must be valid in strict mode (see
+   * validateUnitString), so that the tree matches the string exactly.
+   * See UnitAstParser for a description of the nodes in the tree.
+   *
+   * @param uStr the unit expression to be parsed
+   * @returns a hash containing:
+   *  'status' will be 'valid' (uStr is a valid UCUM expression), 'invalid'
+   *    (it is not) or 'error' (an input or programming error occurred);
+   *  'ast' the 'term' node at the root of the tree, or null if uStr is not
+   *    valid;
+   *  'msg' an array of the messages returned for uStr by
+   *    validateUnitString in strict mode; and
+   *  'errors' an array of the error objects returned for uStr by
+   *    validateUnitString in strict mode.
+   */
+  parseToAst(uStr) {
+    let resp = this.getSpecifiedUnit(uStr, 'validate', false,
+      {'strict': true});
+    return {'status': resp.status,
+            'ast': resp.status === 'valid' ? this.astParser_.buildAst(uStr) :
+              null,
+            'msg': resp.retMsg, 'errors': resp.errors};
+
+  } // end parseToAst
+
+
+  /**
+   * This method prints an abstract syntax tree returned by parseToAst, or
+   * any node of one, as a unit expression.  The tree may have been changed
+   * by the caller, e.g., to remove annotations or change a prefix; only
+   * the types, codes, values, text and operators in the nodes are used.
+   *
+   * @param ast the tree or node to be printed
+   * @returns the unit expression
+   * @throws an error with a PROCESSING_ERROR code if a node with an unknown
+   *  type is found
+   */
+  printAst(ast) {
+    return this.astParser_.print(ast);
+  }
+
+
+  /**
+   * This method renders a unit expression, optionally with a value, for
+   * display, using the print symbols of its prefixes and unit atoms and
+   * superscript exponents, e.g., kg·m²/s³ for kg.m2/s3.  See UnitFormatter.
+   *
+   * @param uStr the unit expression to be rendered
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'format' the format of the output: 'text' (plain text, using Unicode
+   *    characters), 'html' or 'latex' (LaTeX math mode); defaults to 'text';
+   *  'value' a value to be shown before the unit; and
+   *  'strict' a boolean indicating whether or not uStr is to be parsed in
+   *    strict mode (see validateUnitString); defaults to false.
+   * @returns a hash containing:
+   *  'status' will be 'valid' (uStr is a valid UCUM expression), 'invalid'
+   *    (it is not) or 'error' (an input or programming error occurred,
+   *    including an unknown format);
+   *  'formatted' the rendered unit (and value), or null if uStr is not
+   *    valid;
+   *  'msg' an array of messages (possibly empty); and
+   *  'errors' an array of error objects, one for each message in 'msg'.
+   *    See validateUnitString.
+   */
+  formatUnit(uStr, options = {}) {
+    let { format = 'text', value = null, strict = false } = options;
+    let resp = this.getSpecifiedUnit(uStr, 'validate', false,
+      {'strict': strict});
+    let retObj = {'status': resp['status'], 'formatted': null,
+                  'msg': resp['retMsg'], 'errors': resp['errors']};
+    if (resp['status'] === 'valid') {
+      try {
+        retObj['formatted'] = this.unitFormatter_.format(
+          this.astParser_.buildAst(resp['origString']), format, value);
+      }
+      catch (err) {
+        retObj['status'] = 'error';
+        this._addMessage(retObj, err.code || 'PROCESSING_ERROR', err.message);
+      }
+    }
+    return retObj;
+
+  } // end formatUnit
+
+
+  /**
+   * This method parses a string that contains a value and a unit, such as
+   * "120 mm[Hg]", "37.2 Cel", "1.5e3 /uL", "2-5 mmol/L" or "<0.1 ng/mL",
+   * and validates the unit expression.  The string may start with a
+   * comparator (<, <=, >, >= or =; ≤ and ≥ are accepted for <= and >=),
+   * followed by a number, which may be in scientific notation, or a range
+   * of two numbers separated by a hyphen, and then the unit expression.
+   * Blanks between the parts are optional.  See QuantityParser.
+   *
+   * @param qStr the string to be parsed
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'suggestions', a boolean indicating whether or not suggestions are
+   *  wanted for a unit expression that is not valid (see
+   *  validateUnitString), which defaults to false, and the 'strict',
+   *  'autocorrect', 'maxCorrections', 'locale' and 'messageFormat' options
+   *  of validateUnitString, which are used for the unit expression.
+   * @returns a hash containing:
+   *  'status' will be 'valid' (a value and a valid unit expression were
+   *    found), 'invalid' (no value was found, a number is too large to be
+   *    represented, the low value of a range is greater than the high
+   *    value, the unit expression is missing or not valid, or a comparator
+   *    was used with a range) or 'error' (no string was specified, or
+   *    another input or programming error occurred);
+   *  'comparator' the comparator, e.g., '<' or '>=', or null if there is
+   *    none;
+   *  'value' the number found, or null if none was found, it is too large
+   *    to be represented or there is a range;
+   *  'range' a hash containing the 'low' and 'high' numbers of a range, or
+   *    null if there is no range or either number is too large to be
+   *    represented;
+   *  'unitString' the unit expression, or null if there is none;
+   *  'unit' the object returned by validateUnitString for the unit
+   *    expression (with its status, ucumCode, unit and so on), or null if
+   *    there is no unit expression;
+   *  'msg' an array of the messages for the problems found in the string,
+   *    including those returned for the unit expression; and
+   *  'errors' an array of error objects, one for each message (see
+   *    validateUnitString).  Each also has an 'input' element, which is
+   *    'value' or 'unit', for the part of the string the problem is in.
+   *    The locations of the problems are indexes in qStr.
+   */
+  parseQuantity(qStr, options = {}) {
+    let { suggestions = false } = options;
+    let valOptions = Object.assign({}, options);
+    delete valOptions['suggestions'];
+    let retObj;
+    try {
+      retObj = this.quantityParser_.parse(qStr, suggestions, valOptions);
+    }
+    catch (err) {
+      retObj = {'status': 'error', 'comparator': null, 'value': null,
+        'range': null, 'unitString': null, 'unit': null, 'msg': [],
+        'errors': []};
+      this._addMessage(retObj, err.code || 'PROCESSING_ERROR', err.message);
+    }
+    return retObj;
+
+  } // end parseQuantity
+
+
+  /**
+   * This method compares two unit expressions to determine how the units
+   * they represent are related, e.g., whether mL/min and cm3/min are the
+   * same unit, or kg and g are commensurable but differ by a factor.  The
+   * comparison uses the dimension vectors and magnitudes of the units.
+   *
+   * @param unitA the first unit expression
+   * @param unitB the second unit expression
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'strict', a boolean indicating whether or not the unit expressions are
+   *  to be parsed in strict mode (see validateUnitString).  Defaults to
+   *  false.
+   * @returns a hash containing:
+   *  'status' will be 'succeeded' if the units were compared; 'invalid' if
+   *    no unit could be found for one or both of the expressions; or
+   *    'error' if an input or programming error occurred;
+   *  'relation' the relation between the units, or null if they were not
+   *    compared:
+   *    'identical' if the expressions are the same, once normalized (see
+   *      normalize), e.g., mg/dL and mg.dL-1;
+   *    'equalMagnitude' if the expressions are different but the units are
+   *      equal, e.g., mL/min and cm3/min, or mg{total} and mg;
+   *    'commensurable' if the units measure the same kind of quantity but
+   *      are not equal, e.g., kg and g;
+   *    'moleMassRelated' if the units can be converted to each other with
+   *      the molecular weight (and/or charge) of a substance, e.g., mmol/L
+   *      and mg/dL; or
+   *    'incommensurable' if the units cannot be converted to each other,
+   *      which includes units with arbitrary units, e.g., [IU]/L, unless
+   *      the expressions are identical;
+   *  'factor' the number of unitB units in one unitA unit (1 for identical
+   *    and equal units), or null if there is no such factor, e.g., for
+   *    units that are not commensurable, or for special units such as Cel
+   *    that are not a multiple of another unit;
+   *  'conversionType' the type of conversion needed for the units (see
+   *    detectConversionType), e.g., 'mol->mass', included only when the
+   *    relation is 'moleMassRelated';
+   *  'msg' an array of messages (possibly empty) for the unit expressions;
+   *    and
+   *  'errors' an array of error objects, one for each message in 'msg'.
+   *    See validateUnitString.  Error objects for problems found in one of
+   *    the unit expressions have an additional 'input' element, set to 'a'
+   *    or 'b', that indicates which expression the 'start' and 'end'
+   *    locations refer to.
+   */
+  compareUnits(unitA, unitB, options = {}) {
+    let { strict = false } = options;
+    let retObj = {'status': 'succeeded', 'relation': null, 'factor': null,
+                  'msg': [], 'errors': []};
+    let units = [];
+    let inputs = [['a', unitA], ['b', unitB]];
+    for (let i = 0; i < inputs.length; i++) {
+      let [input, uStr] = inputs[i];
+      let resp = this.getSpecifiedUnit(uStr, 'validate', false,
+        {'strict': strict});
+      retObj['msg'] = retObj['msg'].concat(resp['retMsg']);
+      this._addInputErrors(retObj, resp['errors'], input);
+      units.push(resp['unit']);
+      if (resp['status'] === 'error')
+        retObj['status'] = 'error';
+      else if (!resp['unit'] && retObj['status'] !== 'error')
+        retObj['status'] = 'invalid';
+    }
+
+    if (retObj['status'] === 'succeeded') {
+      let [uA, uB] = units;
+      let normA = this.normalize(unitA, {'strict': strict})['ucumCode'];
+      if (normA && normA === this.normalize(unitB,
+          {'strict': strict})['ucumCode']) {
+        retObj['relation'] = 'identical';
+        retObj['factor'] = 1;
+      }
+      else if (uA.isArbitrary_ || uB.isArbitrary_) {
+        // Arbitrary units, e.g., [IU], are not defined in terms of other
+        // units, so they can only be compared to themselves.
+        retObj['relation'] = 'incommensurable';
+      }
+      else {
+        let convType = this.detectConversionType(uA, uB);
+        if (convType !== 'normal') {
+          let related = false;
+          if (convType === 'mol->mass' || convType === 'mass->mol')
+            related = uA.isMoleMassCommensurable(uB);
+          else if (convType === 'eq->mass' || convType === 'mass->eq')
+            related = uA.isEqMassCommensurable(uB);
+          else
+            related = uA.dim_.equals(uB.dim_);
+          retObj['relation'] = related ? 'moleMassRelated' :
+            'incommensurable';
+          if (related)
+            retObj['conversionType'] = convType;
+        }
+        else if (!uA.dim_.equals(uB.dim_) || uA.moleExp_ !== uB.moleExp_ ||
+                 uA.equivalentExp_ !== uB.equivalentExp_) {
+          retObj['relation'] = 'incommensurable';
+        }
+        // Special units (e.g., Cel) are not multiples of each other, so
+        // they are either equal or there is no factor.
+        else if (uA.cnv_ || uB.cnv_) {
+          let isEqual = uA.equals(uB);
+          retObj['relation'] = isEqual ? 'equalMagnitude' : 'commensurable';
+          retObj['factor'] = isEqual ? 1 : null;
+        }
+        else {
+          let factor = uA.magnitude_ / uB.magnitude_;
+          if (Math.abs(factor - 1) <= Ucum.magnitudeTolerance_) {
+            retObj['relation'] = 'equalMagnitude';
+            retObj['factor'] = 1;
+          }
+          else {
+            retObj['relation'] = 'commensurable';
+            retObj['factor'] = factor;
+          }
+        }
+      }
+    } // end if both units were found
+    return retObj;
+
+  } // end compareUnits
+
+
   /**
    * This method parses a unit string to get (or try to get) the unit
    * represented by the string.  It returns an error message if no string was specified
@@ -577,21 +1947,84 @@ export class UcumLhcUtils {
    *          unit guidance (if any).
    *   The return hash will not contain a suggestions array if a valid unit
    *   was found or if suggestions were not requested and found.
+   *   'errors' an array of error objects, one for each message in 'retMsg'
+   *     plus one for each suggestions hash.  See validateUnitString.
+   * @param options a hash of optional settings; optional.  It may contain
+   *  'strict', a boolean indicating whether or not uName is to be parsed
+   *  in strict mode (see validateUnitString).  Defaults to false;
+   *  'locale', the code of the locale of the messages and unit names to be
+   *  returned (see validateUnitString).  Defaults to English; and
+   *  'messageFormat', the format of the messages to be returned (see
+   *  validateUnitString).  Defaults to 'text'.
+   *
+   *   Results are kept in a cache (see setUnitCacheSize).  Each request is
+   *   given its own copy of the cached unit object, so the caller may
+   *   modify it (e.g., with Unit.power).  Results for a messageFormat
+   *   function are not cached, since its output is not known.
+   *
+   *   If messageFormat is not 'text', 'html' or a function, the status is
+   *   'error' and the error object has the INVALID_MESSAGE_FORMAT code.
    */
-  getSpecifiedUnit(uName, valConv, suggest) {
+  getSpecifiedUnit(uName, valConv, suggest, options = {}) {
 
-    if (suggest === undefined)
+    let { strict = false, locale = null, messageFormat = null } = options;
+    if (suggest === undefined || strict)
       suggest = false ;
 
     let retObj = {};
     retObj['retMsg'] = [];
+    retObj['errors'] = [];
+    let formatResp = {};
+    this._checkMessageFormat(messageFormat, formatResp, locale);
+    if (formatResp.status === 'error') {
+      retObj['retMsg'] = formatResp.msg;
+      retObj['errors'] = formatResp.errors;
+      retObj['status'] = 'error';
+      return retObj;
+    }
 
+    let cacheKey = null;
+    let leadingBlanks = 0;
+    let tablesVersion = UnitTables.getInstance().getVersion();
+    if (tablesVersion !== this.unitCacheVersion_) {
+      // cached results may not be valid for the units now defined
+      this.unitCache_.clear();
+      this.unitCacheVersion_ = tablesVersion;
+    }
+    let localeVersion = this.localeTabs_.getVersion();
+    if (localeVersion !== this.localeCacheVersion_) {
+      // cached results may contain text that a bundle has replaced
+      this.unitCache_.clear();
+      this.localeCacheVersion_ = localeVersion;
+    }
     if (!uName) {
-      retObj['retMsg'].push('No unit string specified.');
+      let noUnitMsg = this.localeTabs_.getMessage('noUnitSpecifiedMsg', null,
+        locale);
+      retObj['retMsg'].push(noUnitMsg);
+      retObj['errors'].push(intUtils_.makeErrorObj('NO_UNIT_STRING', 'error',
+        noUnitMsg));
     }
     else {
       let utab = UnitTables.getInstance();
-      uName = uName.trim();
+      if (!strict) {
+        // The locations in the error objects are relative to the trimmed
+        // string, so the blanks removed from its start are added back to
+        // them before they are returned.
+        leadingBlanks = uName.length - uName.trimStart().length;
+        uName = uName.trim();
+      }
+
+      // Return a copy of the cached result if this string was already
+      // requested with the same flags.
+      if (typeof messageFormat !== 'function') {
+        cacheKey = `${valConv === 'validate' ? 'v' : 'c'}` +
+          `${suggest ? 's' : '-'}${strict ? 'x' : '-'}` +
+          `${messageFormat ? messageFormat.charAt(0) : '-'}` +
+          `${locale ? locale + ':' : ''}${uName}`;
+      }
+      let cached = cacheKey && this.unitCache_.get(cacheKey);
+      if (cached)
+        return this._copySpecifiedUnitResult(cached, leadingBlanks);
 
       // go ahead and just try using the name as the code.  This may or may not
       // work, but if it does, it cuts out a lot of parsing.
@@ -600,23 +2033,31 @@ export class UcumLhcUtils {
       // If we found it, set the returned unit string to what was passed in;
       // otherwise try parsing as a unit string
       if (theUnit) {
-        retObj['unit'] = theUnit ;
+        retObj['unit'] = this._localizeUnit(theUnit, locale);
         retObj['origString'] = uName;
       }
       else {
         try {
-          let resp = this.uStrParser_.parseString(uName, valConv, suggest);
+          let resp = this.uStrParser_.parseString(uName, valConv, suggest,
+            {'strict': strict, 'locale': locale,
+             'messageFormat': messageFormat});
           retObj['unit'] = resp[0];
           retObj['origString'] = resp[1];
           if (resp[2])
             retObj['retMsg'] = resp[2];
           retObj['suggestions'] = resp[3];
+          if (resp[4])
+            retObj['errors'] = resp[4];
         }
         catch (err) {
           console.log(`Unit requested for unit string ${uName}.` +
             'request unsuccessful; error thrown = ' + err.message);
-            retObj['retMsg'].unshift(`${uName} is not a valid unit.  ` +
-                                     `${err.message}`);
+            let errMsg = this.localeTabs_.getMessage('invalidUnitMsg',
+              {'unitString': uName, 'reason': err.message}, locale);
+            retObj['retMsg'].unshift(errMsg);
+            retObj['errors'].unshift(intUtils_.makeErrorObj(
+              err.code || 'PROCESSING_ERROR', 'error', errMsg, uName, 0,
+              uName.length));
         }
       } // end if the unit was not found as a unit name
     } // end if a unit expression was specified
@@ -632,37 +2073,117 @@ export class UcumLhcUtils {
       retObj.status = retObj.origString === uName ? 'valid': 'invalid';
     }
 
+    if (cacheKey)
+      this.unitCache_.set(cacheKey, retObj);
+    if (cacheKey || leadingBlanks > 0)
+      retObj = this._copySpecifiedUnitResult(retObj, leadingBlanks);
     return retObj;
 
   } // end getSpecifiedUnit
 
 
+  /**
+   * Makes a copy of a result hash returned by getSpecifiedUnit, so that
+   * changes made to the copy's arrays and unit object by the caller do not
+   * change the copy in the cache (or a unit in the unit tables).  This
+   * should only be called from within this class.
+   *
+   * @param retObj the result hash to be copied
+   * @param offset the number to be added to the start and end locations in
+   *  the error objects, e.g., for blanks removed from the start of the
+   *  unit string; optional, defaults to 0
+   * @returns the copy
+   */
+  _copySpecifiedUnitResult(retObj, offset = 0) {
+    let copy = Object.assign({}, retObj);
+    copy['retMsg'] = retObj['retMsg'].slice();
+    copy['errors'] = retObj['errors'].map((e) => Object.assign({}, e,
+      {'segments': e.segments.map((seg) => Object.assign({}, seg)),
+       'start': e.start === null ? null : e.start + offset,
+       'end': e.end === null ? null : e.end + offset}));
+    if (retObj['suggestions'])
+      copy['suggestions'] = retObj['suggestions'].slice();
+    if (retObj['unit'])
+      copy['unit'] = retObj['unit'].clone();
+    return copy;
+  } // end _copySpecifiedUnitResult
+
+
+  /**
+   * Gets a unit from the unit tables with the name and guidance for a
+   * locale, if the locale bundles have them.  This should only be called
+   * from within this class.
+   *
+   * @param unit the unit object from the unit tables
+   * @param locale the code of the locale, or null for English
+   * @returns the unit passed in, if there is no localized name or guidance
+   *  for it; otherwise a copy of it with the localized name and guidance
+   */
+  _localizeUnit(unit, locale) {
+    let name = this.localeTabs_.getUnitName(unit.csCode_, locale);
+    let guidance = this.localeTabs_.getGuidance(unit.csCode_, locale);
+    if (name !== null || guidance !== null) {
+      unit = unit.clone();
+      if (name !== null)
+        unit.name_ = name;
+      if (guidance !== null)
+        unit.guidance_ = guidance;
+    }
+    return unit;
+  } // end _localizeUnit
+
+
   /**
    * This method retrieves a list of units commensurable, i.e., that can be
    * converted from and to, a specified unit.  Returns an error if the "from"
    * unit cannot be found.
    *
    * @param fromName the name/unit string of the "from" unit
+   * @param options a hash of optional settings, for use when the list is
+   *  to be offered to a user, e.g., in a "convert to" list; optional.  It
+   *  may contain:
+   *  'includePrefixed' a boolean indicating whether or not forms of the
+   *    units found with other prefixes (from Ucum.commensurablePrefixes_)
+   *    on their metric unit atoms, e.g., umol/mL for mmol/L, are to be
+   *    included.  Defaults to false;
+   *  'category' a category (the category_ attribute, e.g., 'Clinical'), or
+   *    an array of them, that the units returned must have.  A prefixed form
+   *    of a unit has the category of the unit it was made from;
+   *  'source' a source (the source_ attribute, 'UCUM' or 'LOINC'), or an
+   *    array of them, that the units returned must have.  A prefixed form of
+   *    a unit has the source of the unit it was made from;
+   *  'sortByMagnitude' a boolean indicating whether or not the units are to
+   *    be sorted by how close their magnitudes are to that of the "from"
+   *    unit (closest first).  Defaults to false; and
+   *  'limit' the maximum number of units to be returned.  Defaults to no
+   *    limit; and
+   *  'locale' the code of the locale of the messages to be returned (see
+   *    addLocaleBundle).  Defaults to English.
    * @returns an array containing two elements;
    *   first element is the list of commensurable units if any were found
    *   second element is an error message if the "from" unit is not found
    */
-  commensurablesList(fromName) {
+  commensurablesList(fromName, options = {}) {
+    let { includePrefixed = false, category = null, source = null,
+          sortByMagnitude = false, limit = null, locale = null } = options;
 
     let retMsg = [];
     let commUnits = null ;
-    let parseResp = this.getSpecifiedUnit(fromName, 'validate', false);
+    let parseResp = this.getSpecifiedUnit(fromName, 'validate', false,
+      {'locale': locale});
     let fromUnit = parseResp['unit'];
     if (parseResp['retMsg'].length > 0)
       retMsg = parseResp['retMsg'] ;
     if (!fromUnit) {
-      retMsg.push(`Could not find unit ${fromName}.`);
+      retMsg.push(this.localeTabs_.getMessage(
+        'commensurablesUnitNotFoundMsg', {'unitString': fromName}, locale));
     }
     else {
       let dimVec = null ;
       let fromDim = fromUnit.getProperty('dim_');
       if (!fromDim) {
-        retMsg.push('No commensurable units were found for ' + fromName) ;
+        retMsg.push(this.localeTabs_.getMessage('noCommensurablesMsg',
+          {'unitString': fromName}, locale));
       }
       else {
         try {
@@ -680,9 +2201,266 @@ export class UcumLhcUtils {
         }
       } // end if the from unit has a dimension vector
     } // end if we found a "from" unit
+
+    if (commUnits) {
+      if (includePrefixed)
+        commUnits = this._addPrefixedForms(commUnits);
+      if (category || source) {
+        let categories = [].concat(category || []);
+        let sources = [].concat(source || []);
+        commUnits = commUnits.filter((unit) =>
+          (!category || categories.indexOf(unit.category_) >= 0) &&
+          (!source || sources.indexOf(unit.source_) >= 0));
+      }
+      if (sortByMagnitude) {
+        let distance = (unit) =>
+          Math.abs(Math.log10(unit.magnitude_ / fromUnit.magnitude_));
+        commUnits = commUnits.slice().sort((a, b) =>
+          distance(a) - distance(b));
+      }
+      if (limit)
+        commUnits = commUnits.slice(0, limit);
+    }
     return [commUnits , retMsg];
   } // end commensurablesList
 
+
+  /**
+   * Adds to a list of units the forms of those units with other prefixes
+   * (or none) on their metric unit atoms.  For a unit with more than one
+   * metric atom, e.g., mg/L, each combination of prefixes is used, unless
+   * only the first atom is to be changed.  This should only be called from
+   * within this class.
+   *
+   * @param units the array of units
+   * @param prefixCodes the codes of the prefixes to be used; optional,
+   *  defaults to Ucum.commensurablePrefixes_
+   * @param firstAtomOnly a boolean indicating whether or not only the
+   *  prefix of the first metric atom in each unit is to be changed;
+   *  optional, defaults to false
+   * @returns a new array with the units passed in, followed by the new
+   *  prefixed forms.  A new form has the category_ and source_ of the unit
+   *  it was made from.
+   *
+   * The parser is used directly, rather than through getSpecifiedUnit, so
+   * that the many forms tried do not push other units out of the cache.
+   */
+  _addPrefixedForms(units, prefixCodes = Ucum.commensurablePrefixes_,
+                    firstAtomOnly = false) {
+    let allUnits = units.slice();
+    let seen = {};
+    units.forEach((unit) => seen[unit.csCode_] = true);
+    let utab = UnitTables.getInstance();
+    let pfxTabs = PrefixTables.getInstance();
+    let prefixes = [null].concat(prefixCodes);
+
+    for (let u = 0; u < units.length; u++) {
+      let unit = units[u];
+
+      // Find the unit nodes with metric atoms.  The codes in the unit
+      // tables are valid, so the tree can be built without checking them
+      // first.
+      let ast = this.astParser_.buildAst(unit.csCode_);
+      let nodes = [];
+      let findNodes = (node) => {
+        if (node.type === 'term')
+          node.components.forEach((comp) => findNodes(comp.node));
+        else if (node.type === 'group')
+          findNodes(node.term);
+        else if (node.type === 'unit') {
+          // Base units, such as g, are metric, but are not marked that way
+          let atom = utab.getUnitByCode(node.atom.code);
+          if (atom && (atom.isMetric_ || atom.isBase_))
+            nodes.push(node);
+        }
+      };
+      findNodes(ast);
+      if (firstAtomOnly)
+        nodes = nodes.slice(0, 1);
+
+      // Try each combination of prefixes on those nodes
+      let combos = nodes.length > 0 ?
+        Math.pow(prefixes.length, nodes.length) : 0;
+      for (let c = 0; c < combos; c++) {
+        let rest = c;
+        nodes.forEach((node) => {
+          let pfxCode = prefixes[rest % prefixes.length];
+          rest = Math.floor(rest / prefixes.length);
+          node.prefix = !pfxCode ? null : {'type': 'prefix', 'code': pfxCode,
+            'name': pfxTabs.getPrefixByCode(pfxCode).getName()};
+        });
+        let code = this.printAst(ast);
+        if (!seen[code]) {
+          seen[code] = true;
+          let newUnit = utab.getUnitByCode(code);
+          if (!newUnit) {
+            let parseResp = this.uStrParser_.parseString(code, 'validate',
+              false, {'strict': true});
+            if (parseResp[0] && parseResp[2].length === 0) {
+              newUnit = parseResp[0];
+              newUnit.category_ = unit.category_;
+              newUnit.source_ = unit.source_;
+            }
+          }
+          if (newUnit)
+            allUnits.push(newUnit);
+        }
+      } // end do for each combination of prefixes
+    } // end do for each unit
+    return allUnits;
+
+  } // end _addPrefixedForms
+
+
+  /**
+   * This method finds the unit, commensurable with a specified unit, in
+   * which a value is easiest to read, i.e., the unit for which the converted
+   * value falls within a given range, such as 12 ug for 0.000012 g or
+   * 1.5 L for 1500 mL.
+   *
+   * Unless a list of allowed units is specified, the units considered are
+   * the unit specified and the forms of it with other prefixes on its first
+   * metric unit atom.  Only the prefixes with exponents that are multiples
+   * of 3 (k, m, u, etc.) are used for those forms, since prefixes such as c
+   * and da are rarely used for display.  Special units, e.g., Cel, are not
+   * given other prefixes.
+   *
+   * @param value the value, in the unit specified by unitCode
+   * @param unitCode the unit code/expression of the value's unit
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'allowedUnits' an array of the unit codes that may be returned.  If
+   *    this is specified, the units commensurable with unitCode in it are
+   *    the units considered (rather than the prefixed forms of unitCode);
+   *  'clinicalOnly' a boolean indicating whether or not only units flagged
+   *    as 'Clinical' in the unit tables (the category_ attribute) may be
+   *    returned.  Defaults to false.  If no such unit is found, the unit
+   *    specified is used;
+   *  'minValue' and 'maxValue' the range, of the absolute value of the
+   *    converted value, that is easiest to read.  minValue is included in
+   *    the range; maxValue is not.  They default to Ucum.bestFitRange_
+   *    (1 to 1000).  When more than one unit gives a value in the range, the
+   *    one that gives the smallest value is returned.  When none does, the
+   *    one that gives the value closest to the range is returned; and
+   *  'strict' a boolean indicating whether or not the unit expressions are
+   *    to be parsed in strict mode (see validateUnitString).  Defaults to
+   *    false; and
+   *  'locale' the code of the locale of the messages to be returned (see
+   *    addLocaleBundle).  Defaults to English.
+   * @returns a hash containing:
+   *  'status' will be 'succeeded' if a unit was found; 'failed' if none of
+   *    the allowed units is commensurable with unitCode or unitCode is not
+   *    valid; or 'error' if an input or programming error occurred;
+   *  'toVal' the value in the unit found (or null if none was found);
+   *  'toUnitCode' the code of the unit found (or null);
+   *  'toUnit' the unit object for the unit found (not included if no unit
+   *    was found);
+   *  'msg' an array of messages (possibly empty); and
+   *  'errors' an array of error objects, one for each message in 'msg'.
+   *    See convertUnitTo.
+   */
+  bestFitUnit(value, unitCode, options = {}) {
+    let { allowedUnits = null, clinicalOnly = false,
+          minValue = Ucum.bestFitRange_[0], maxValue = Ucum.bestFitRange_[1],
+          strict = false, locale = null } = options;
+
+    let returnObj = {'status': 'failed', 'toVal': null, 'toUnitCode': null,
+                     'msg': [], 'errors': []};
+    // The unit string is parsed as it was passed in, so that the locations
+    // in the error objects point into it.
+    let unitStr = unitCode;
+    if (unitCode && !strict)
+      unitCode = unitCode.trim();
+    if (!unitCode) {
+      returnObj['status'] = 'error';
+      this._addMessage(returnObj, 'NO_FROM_UNIT',
+        this.localeTabs_.getMessage('noFromUnitMsg', null, locale));
+    }
+    this._checkFromVal(value, returnObj, locale);
+    if (returnObj['status'] === 'error')
+      return returnObj;
+
+    let parseResp = this.getSpecifiedUnit(unitStr, 'convert', false,
+      {'strict': strict, 'locale': locale});
+    let fromUnit = parseResp['unit'];
+    returnObj['msg'] = returnObj['msg'].concat(parseResp['retMsg']);
+    this._addInputErrors(returnObj, parseResp['errors'], 'from');
+    if (!fromUnit) {
+      this._addMessage(returnObj, 'UNIT_NOT_FOUND',
+        this.localeTabs_.getMessage('noBestFitUnitMsg',
+          {'unitString': unitCode}, locale), unitCode);
+      return returnObj;
+    }
+
+    // Get the units to be considered
+    let candidates = [];
+    if (allowedUnits) {
+      allowedUnits.forEach((code) => {
+        let resp = this.getSpecifiedUnit(code, 'convert', false,
+          {'strict': strict, 'locale': locale});
+        if (resp['unit'])
+          candidates.push(resp['unit']);
+      });
+    }
+    else {
+      candidates.push(fromUnit);
+      if (!fromUnit.cnv_) {
+        let pfxCodes = PrefixTables.getInstance().allPrefixesByCode().filter(
+          (pfx) => pfx.getExp() !== null && pfx.getExp() % 3 === 0).map(
+          (pfx) => pfx.getCode());
+        candidates = this._addPrefixedForms([fromUnit], pfxCodes, true);
+      }
+    }
+    if (clinicalOnly) {
+      let clinical = {};
+      let commUnits = this.commensurablesList(unitCode,
+        {'category': 'Clinical'})[0] || [];
+      commUnits.forEach((unit) => clinical[unit.csCode_] = true);
+      let clinicalCands = candidates.filter((unit) => clinical[unit.csCode_]);
+      candidates = clinicalCands.length > 0 || allowedUnits ? clinicalCands :
+        [fromUnit];
+    }
+
+    // Convert the value to each unit, and keep the best one
+    let best = null;
+    let absValue = Math.abs(Number(value));
+    for (let c = 0; c < candidates.length; c++) {
+      let unit = candidates[c];
+      let toVal = null;
+      try {
+        toVal = unit.convertFrom(Number(value), fromUnit);
+      }
+      catch (err) {
+        // not commensurable; skip it
+      }
+      if (toVal !== null && !isNaN(toVal)) {
+        let absVal = Math.abs(toVal);
+        // How far the value is from the range, on a log scale; 0 if it is
+        // in the range.  Zero is in the range for every unit.
+        let distance = absValue === 0 ? 0 :
+          absVal < minValue ? Math.log10(minValue / absVal) :
+          absVal >= maxValue ? Math.log10(absVal / maxValue) + 1e-9 : 0;
+        if (!best || distance < best.distance ||
+            (distance === best.distance && absVal < Math.abs(best.toVal))) {
+          best = {'unit': unit, 'toVal': toVal, 'distance': distance};
+        }
+      }
+    } // end do for each candidate unit
+
+    if (best) {
+      returnObj['status'] = 'succeeded';
+      returnObj['toVal'] = best.toVal;
+      returnObj['toUnitCode'] = best.unit.csCode_;
+      returnObj['toUnit'] = best.unit;
+    }
+    else {
+      this._addMessage(returnObj, 'NOT_COMMENSURABLE',
+        this.localeTabs_.getMessage('noAllowedUnitMsg',
+          {'unitString': unitCode}, locale));
+    }
+    return returnObj;
+
+  } // end bestFitUnit
+
 } // end UcumLhcUtils class
 
 
@@ -7,4 +7,5 @@
 
 export var Ucum = require("./config.js").Ucum;
 export var UcumLhcUtils = require("./ucumLhcUtils.js").UcumLhcUtils;
-export var UnitTables = require("./unitTables.js").UnitTables;
\ No newline at end of file
+export var UnitTables = require("./unitTables.js").UnitTables;
+export var Quantity = require("./quantity.js").Quantity;
@@ -10,6 +10,7 @@
  */
 var Ucum = require('./config.js').Ucum;
 var Dimension = require('./dimension.js').Dimension;
+var LocaleTables = require('./localeTables.js').LocaleTables;
 import funcs from "./ucumFunctions.js";
 var UnitTables;
 
@@ -377,70 +378,98 @@ export class Unit {
    *
    * @param num the magnitude for the unit to be translated (e.g. 15 for 15 mL)
    * @param fromUnit the unit to be translated to one of this type (e.g. a mL unit)
+   * @param locale the code of the locale of the error messages, or null for
+   *  English; optional
    *
    * @return the number of converted units (e.g. 1 for 1 tablespoon)
    * @throws an error if the dimension of the fromUnit differs from this unit's
    * dimension
    */
-  convertFrom(num, fromUnit) {
-    let newNum = 0.0 ;
+  convertFrom(num, fromUnit, locale = null) {
 
+    return this.getConverterFrom(fromUnit, locale)(num) ;
+
+  } // end convertFrom
+
+
+  /**
+   * Returns a function that takes a number of the fromUnit and returns the
+   * equivalent number of this unit, as convertFrom does.  The checks for
+   * whether or not the units can be converted, and the lookup of any
+   * conversion functions for special units, are done once, when this is
+   * called, rather than each time a number is converted.
+   *
+   * @param fromUnit the unit to be translated to one of this type (e.g. a
+   *  mL unit)
+   * @param locale the code of the locale of the error messages, or null for
+   *  English; optional
+   *
+   * @return the conversion function
+   * @throws an error if either unit is an arbitrary unit or if the dimension
+   *  of the fromUnit differs from this unit's dimension
+   */
+  getConverterFrom(fromUnit, locale = null) {
+
+    let msgs = LocaleTables.getInstance();
     if (this.isArbitrary_)
-      throw (new Error(`Attempt to convert to arbitrary unit "${this.csCode_}"`));
+      throw (intUtils_.makeCodedError('ARBITRARY_UNIT',
+        msgs.getMessage('arbitraryToUnitMsg', {'code': this.csCode_},
+          locale)));
     if (fromUnit.isArbitrary_)
-      throw (new Error(`Attempt to convert arbitrary unit "${fromUnit.csCode_}"`));
+      throw (intUtils_.makeCodedError('ARBITRARY_UNIT',
+        msgs.getMessage('arbitraryFromUnitMsg', {'code': fromUnit.csCode_},
+          locale)));
 
+    let notCommensurableMsg = () => msgs.getMessage('notCommensurableMsg',
+      {'fromUnit': fromUnit.csCode_, 'toUnit': this.csCode_}, locale);
     // reject request if both units have dimensions that are not equal
     if (fromUnit.dim_ && this.dim_ && !(fromUnit.dim_.equals(this.dim_))) {
       // check first to see if a mole<->mass conversion is appropriate
       if (this.isMoleMassCommensurable(fromUnit)) {
-        throw(new Error(Ucum.needMoleWeightMsg_));
+        throw(intUtils_.makeCodedError('NEED_MOLECULAR_WEIGHT',
+          msgs.getMessage('needMoleWeightMsg', null, locale)));
       }
       else {
-        throw(new Error(`Sorry.  ${fromUnit.csCode_} cannot be converted ` +
-          `to ${this.csCode_}.`));
+        throw(intUtils_.makeCodedError('NOT_COMMENSURABLE',
+          notCommensurableMsg()));
       }
     }
     // reject request if there is a "from" dimension but no "to" dimension
     if (fromUnit.dim_ && (!this.dim_ || this.dim_.isNull())) {
-      throw(new Error(`Sorry.  ${fromUnit.csCode_} cannot be converted ` +
-        `to ${this.csCode_}.`));
+      throw(intUtils_.makeCodedError('NOT_COMMENSURABLE',
+        notCommensurableMsg()));
     }
 
     // reject request if there is a "to" dimension but no "from" dimension
     if (this.dim_ && (!fromUnit.dim_ || fromUnit.dim_.isNull())) {
-      throw(new Error(`Sorry.  ${fromUnit.csCode_} cannot be converted ` +
-        `to ${this.csCode_}.`));
+      throw(intUtils_.makeCodedError('NOT_COMMENSURABLE',
+        notCommensurableMsg()));
     }
 
-    let fromCnv = fromUnit.cnv_ ;
     let fromMag = fromUnit.magnitude_ ;
+    let fromPfx = fromUnit.cnvPfx_ ;
+    let toMag = this.magnitude_ ;
+    let toPfx = this.cnvPfx_ ;
+
+    // Get the functions that turn num * fromUnit.magnitude into its ratio
+    // scale equivalent, e.g., convert Celsius to Kelvin, and that turn that
+    // into a non-ratio unit, e.g. convert Kelvin to Fahrenheit
+    let fromFunc = (fromUnit.cnv_ != null) ? funcs.forName(fromUnit.cnv_) :
+      null;
+    let toFunc = (this.cnv_ != null) ? funcs.forName(this.cnv_) : null;
+
+    return function(num) {
+      let x;
+      if (fromFunc)
+        x = fromFunc.cnvFrom(num * fromPfx) * fromMag;
+        //x = fromFunc.cnvFrom(num * fromMag) * fromUnit.cnvPfx_;
+      else
+        x = num * fromMag;
 
-    let x;
-    if (fromCnv != null) {
-      // turn num * fromUnit.magnitude into its ratio scale equivalent,
-      // e.g., convert Celsius to Kelvin
-      let fromFunc = funcs.forName(fromCnv);
-      x = fromFunc.cnvFrom(num * fromUnit.cnvPfx_) * fromMag;
-      //x = fromFunc.cnvFrom(num * fromMag) * fromUnit.cnvPfx_;
-    }
-    else {
-      x = num * fromMag;
-    }
-
-    if (this.cnv_ != null) {
-      // turn mag * origUnit on ratio scale into a non-ratio unit,
-      // e.g. convert Kelvin to Fahrenheit
-      let toFunc = funcs.forName(this.cnv_);
-      newNum = toFunc.cnvTo(x / this.magnitude_) / this.cnvPfx_;
-    }
-    else {
-      newNum = x / this.magnitude_;
-    }
-
-    return newNum;
+      return toFunc ? toFunc.cnvTo(x / toMag) / toPfx : x / toMag;
+    };
 
-  } // end convertFrom
+  } // end getConverterFrom
 
 
   /**
@@ -454,14 +483,16 @@ export class Unit {
    * @param mag the magnitude for this unit (e.g. 1 for 1 tablespoon)
    * @param toUnit the unit to which this unit is to be translated
    *  (e.g. an mL unit)
+   * @param locale the code of the locale of the error messages, or null for
+   *  English; optional
    *
    * @return the converted number value (e.g. 15 mL)
    * @throws an error if the dimension of the toUnit differs from this unit's
    *   dimension
    */
-  convertTo(num, toUnit) {
+  convertTo(num, toUnit, locale = null) {
 
-    return toUnit.convertFrom(num, this) ;
+    return toUnit.convertFrom(num, this, locale) ;
 
   } // end convertTo
 
@@ -531,6 +562,10 @@ export class Unit {
    * - mol, umol, mmol, etc.  The unit expressions surrounding the moles and
    * mass must be convertible.  No validation of this requirement is performed.
    *
+   * The number of mole units that replace mass units is the difference
+   * between the amount exponents (see getAmountExp) of the two units, so
+   * this also handles units such as g2/L to mmol2/L, or L/g to L/mol.
+   *
    * @param amt the quantity of this unit to be converted
    * @param molUnit the target/to unit for which the converted # is wanted
    * @param molecularWeight the molecular weight of the substance for which the
@@ -541,13 +576,14 @@ export class Unit {
     // The prefix values that have been applied to this unit, which is the mass
     // (grams) unit, are reflected in the magnitude.  So the number of moles
     // represented by this unit equals the number of grams -- amount * magnitude
-    // divided by the molecular Weight
-    let molAmt = (this.magnitude_ * amt)/molecularWeight ;
+    // divided by the molecular Weight (once for each mole unit)
+    let molExp = molUnit.getAmountExp() - this.getAmountExp();
+    let molAmt = (this.magnitude_ * amt)/Math.pow(molecularWeight, molExp) ;
     // The molUnit's basic magnitude, before prefixes are applied,
     // is avogadro's number, get that and divide it out of the current magnitude.
     let tabs = this._getUnitTables();
     let avoNum = tabs.getUnitByCode('mol').magnitude_ ;
-    let molesFactor = molUnit.magnitude_ / avoNum ;
+    let molesFactor = molUnit.magnitude_ / Math.pow(avoNum, molExp) ;
     // return the molAmt divided by the molesFactor as the number of moles
     // for the molUnit
     return molAmt/molesFactor ;
@@ -561,6 +597,10 @@ export class Unit {
    * g, mg, mmg, kg, etc.  Any unit expressions surrounding the moles and mass
    * must be convertible. No validation of this requirement is performed.
    *
+   * The number of mass units that replace mole units is the difference
+   * between the amount exponents (see getAmountExp) of the two units, so
+   * this also handles units such as mmol2/L to g2/L, or L/mol to L/g.
+   *
    * @param amt the quantity of this unit to be converted
    * @param massUnit the target/to unit for which the converted # is wanted
    * @param molecularWeight the molecular weight of the substance for which the
@@ -576,12 +616,13 @@ export class Unit {
     // Determine what prefix values (mg or mg/dL, etc.) have been applied to
     // this unit by dividing the simple mole unit magnitude out of the
     // current mole unit magnitude.
-    let molesFactor = this.magnitude_ / avoNum ;
+    let molExp = this.getAmountExp() - massUnit.getAmountExp();
+    let molesFactor = this.magnitude_ / Math.pow(avoNum, molExp) ;
     // The number of grams (mass) is equal to the number of moles (amt)
-    // times the molecular weight.  We also multiply that by the prefix values
-    // applied to the current unit (molesFactor) to get the grams for this
-    // particular unit.
-    let massAmt = (molesFactor * amt) * molecularWeight ;
+    // times the molecular weight (once for each mole unit).  We also multiply
+    // that by the prefix values applied to the current unit (molesFactor) to
+    // get the grams for this particular unit.
+    let massAmt = (molesFactor * amt) * Math.pow(molecularWeight, molExp) ;
     // Finally, we return the mass amount/grams for this particular unit
     // divided by any effects of prefixes applied to the "to" unit, which
     // is assumed to be some form of a gram unit
@@ -598,8 +639,11 @@ export class Unit {
    * @returns {number} - The equivalent mass in the specified mass unit.
    */
   convertEqToMass(equivalents, targetUnit, molecularWeight, charge) {
-    let standardMoleUnit = this._getUnitTables().getUnitByCode('mol');
-    const molAmount = this.convertEqToMol(equivalents, standardMoleUnit, charge);
+    // One equivalent is 1/charge moles.  The magnitudes of eq and mol are
+    // both avogadro's number, so the amount in moles is for a unit with the
+    // magnitude of this one, which convertMolToMass can convert.
+    let eqExp = this.equivalentExp_ - targetUnit.equivalentExp_;
+    const molAmount = equivalents / Math.pow(charge, eqExp);
     return this.convertMolToMass(molAmount, targetUnit, molecularWeight);
   } // end convertEqToMass
   
@@ -613,19 +657,12 @@ export class Unit {
    * @returns {number} - The equivalent amount in the specified equivalent unit.
    */
   convertMassToEq(mass, eqUnit, molecularWeight, charge) {
-    // Calculate equivalent mass by dividing molecular weight by charge
-    let equivalentMass = molecularWeight / charge;
-    // Calculate equivalents by dividing mass by equivalent mass
-    let equivalents = mass / equivalentMass;
-    // Get Avogadro's number from the unit tables
-    let avogadroNumber =  this._getUnitTables().getUnitByCode('mol').magnitude_ ;
-    // Calculate mole factor by dividing the magnitude of the equivalent unit by Avogadro's number
-    // eqUnit may have a prefix (e.g. meq) and we need to adjust for that
-    let moleFactor = eqUnit.magnitude_ / avogadroNumber ;
-    // Adjust equivalents by dividing by the mole factor
-    let adjustedEquivalents = equivalents / moleFactor;
-    // Return the adjusted equivalents
-    return adjustedEquivalents;
+    // Convert the mass to moles, for a unit with the magnitude of eqUnit
+    // (the magnitudes of eq and mol are both avogadro's number), and then
+    // the moles to equivalents.  One mole is charge equivalents.
+    let eqExp = eqUnit.equivalentExp_ - this.equivalentExp_;
+    const molAmount = this.convertMassToMol(mass, eqUnit, molecularWeight);
+    return molAmount * Math.pow(charge, eqExp);
   } // end convertMassToEq
 
   /**
@@ -650,6 +687,18 @@ export class Unit {
   } // end isMolarUnit
 
 
+  /**
+   * Gets the exponent of the amount of substance in this unit, counting both
+   * mole and equivalent units, e.g., 2 for mmol2/L, 1 for meq/L and -1 for
+   * L/mol.
+   *
+   * @returns {number} - The sum of the mole and equivalent exponents.
+   */
+  getAmountExp() {
+    return this.moleExp_ + this.equivalentExp_;
+  } // end getAmountExp
+
+
   /**
    * This function converts an equivalent amount to moles using the charge of the substance.
    * 
@@ -659,13 +708,18 @@ export class Unit {
    * @return {number} - The amount in moles.
    */
   convertEqToMol(eqFromVal, molToUnit, charge){
-    // Check if molToUnit is a molar unit and eqFromVal is a eq unit
-    if (!molToUnit.isMolarUnit() || !this.isEquivalentUnit()){
-      throw new Error("Invalid units for conversion of Eq to Mol. Please provide an equivalent and a molar unit.");
+    // Check that some of the equivalent units in this unit are mole units in
+    // molToUnit, e.g., eq/L to mol/L or L/eq to L/mol
+    let eqExp = this.equivalentExp_ - molToUnit.equivalentExp_;
+    if (eqExp === 0 || this.getAmountExp() !== molToUnit.getAmountExp()){
+      throw intUtils_.makeCodedError('NOT_COMMENSURABLE',
+        "Invalid units for conversion of Eq to Mol. Please provide an " +
+        "equivalent and a molar unit.");
     }
     // The conversion from equivalents to moles is based on the principle that one equivalent is equal to 1/valencyFactor moles. 
     // The relative magnitude is accounted for via the current unit's magnitude (this.magnitude_) and the target unit's magnitude (molToUnit.magnitude_)
-    return eqFromVal * (this.magnitude_ / molToUnit.magnitude_) / charge;
+    return eqFromVal * (this.magnitude_ / molToUnit.magnitude_) /
+      Math.pow(charge, eqExp);
   } // end convertEqToMol
 
   /**
@@ -677,13 +731,18 @@ export class Unit {
    * @return {number} - The amount in equivalent
    */
   convertMolToEq(molFromVal, eqToUnit, charge){
-    // Check if eqToUnit is an equivalent unit and molFromVal is a molar unit
-    if (!eqToUnit.isEquivalentUnit() || !this.isMolarUnit()){
-      throw new Error("Invalid units for conversion of Mol to Eq. Please provide a molar and an equivalent unit.");
+    // Check that some of the mole units in this unit are equivalent units in
+    // eqToUnit, e.g., mol/L to eq/L or L/mol to L/eq
+    let eqExp = eqToUnit.equivalentExp_ - this.equivalentExp_;
+    if (eqExp === 0 || this.getAmountExp() !== eqToUnit.getAmountExp()){
+      throw intUtils_.makeCodedError('NOT_COMMENSURABLE',
+        "Invalid units for conversion of Mol to Eq. Please provide a " +
+        "molar and an equivalent unit.");
     }
     // The conversion from moles to equivalents is based on the principle that one equivalent is equal to 1/valencyFactor moles.
     // The relative magnitude is accounted for via the current unit's magnitude (this.magnitude_) and the target unit's magnitude (eqToUnit.magnitude_)
-    return molFromVal * charge * (this.magnitude_ / eqToUnit.magnitude_);
+    return molFromVal * Math.pow(charge, eqExp) *
+      (this.magnitude_ / eqToUnit.magnitude_);
   } // end convertMolToEq
   
   /**
@@ -703,6 +762,81 @@ export class Unit {
   } // end mutateRatio
 
 
+  /**
+   * Returns a flag indicating whether or not this is a special unit on an
+   * interval scale, i.e., one whose conversion functions just add or
+   * subtract an offset, such as Cel and [degF].  A difference between two
+   * values of such a unit can be expressed in a ratio scale unit, e.g., a
+   * difference of 1 Cel is 1 K, and a difference of 1 [degF] is 5/9 K.
+   *
+   * @return true if this is a special unit on an interval scale; false if
+   *  not
+   */
+  isIntervalScale() {
+    return this.cnv_ != null && funcs.isDefined(this.cnv_) &&
+      !!funcs.forName(this.cnv_).isAffine;
+  }
+
+
+  /**
+   * Returns the unit used for differences between values of this unit,
+   * e.g., K for Cel.  This is a ratio scale unit that has the dimension of
+   * this unit, and a magnitude that includes any prefix, e.g., the unit
+   * for mCel is mK.  For a unit that is not special this is a copy of the
+   * unit.
+   *
+   * This function DOES NOT modify this unit.
+   *
+   * @param locale the code of the locale of the error message, or null for
+   *  English; optional
+   * @return the unit for differences
+   * @throws an error if this is a special unit that is not on an interval
+   *  scale, e.g., [pH], since a difference between two of its values does
+   *  not have a fixed size
+   */
+  getIntervalUnit(locale = null) {
+    let retUnit = this.clone();
+    if (retUnit.cnv_ != null) {
+      if (!retUnit.isIntervalScale()) {
+        let msgs = LocaleTables.getInstance();
+        throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+          msgs.getMessage('notIntervalScaleMsg', {'name':
+            msgs.getUnitName(retUnit.csCode_, locale) || retUnit.name_},
+            locale)));
+      }
+      retUnit._makeInterval();
+    }
+    return retUnit;
+
+  } // end getIntervalUnit
+
+
+  /**
+   * Mutates this unit, which must be a special unit on an interval scale,
+   * into the unit used for differences between its values.  See
+   * getIntervalUnit.  This should only be called from within this class.
+   */
+  _makeInterval() {
+    this.magnitude_ *= this.cnvPfx_;
+    this.cnv_ = null;
+    this.cnvPfx_ = 1;
+    this.isSpecial_ = false;
+  }
+
+
+  /**
+   * Returns a flag indicating whether or not this unit is a number on a
+   * ratio scale, i.e., a unit with no dimension (such as 10*3 or %) and no
+   * conversion function.  Special units can be multiplied by these.
+   *
+   * @return true if this unit is a dimensionless ratio scale unit; false
+   *  if not
+   */
+  isDimensionlessRatio() {
+    return this.cnv_ == null && (!this.dim_ || this.dim_.isZero());
+  }
+
+
   /**
    * Multiplies this unit with a scalar. Special meaning for
    * special units so that (0.1*B) is 1 dB.
@@ -734,7 +868,10 @@ export class Unit {
   /**
    * Multiplies this unit with another unit. If one of the
    * units is a non-ratio unit the other must be dimensionless or
-   * else an exception is thrown.
+   * else an exception is thrown.  The exception to that is a special
+   * unit on an interval scale, e.g., Cel, which is used as a unit of
+   * difference (see getIntervalUnit) when the other unit is not
+   * dimensionless.
    *
    * This function does NOT modify this unit
    * @param unit2 the unit to be multiplied with this one
@@ -746,12 +883,19 @@ export class Unit {
 
     var retUnit = this.clone() ;
 
+    // A special unit on an interval scale, e.g., Cel, that is combined with
+    // anything but a number is a unit of difference, e.g., in Cel/h.
+    if (retUnit.isIntervalScale() && !unit2.isDimensionlessRatio())
+      retUnit._makeInterval();
+    if (unit2.isIntervalScale() && !retUnit.isDimensionlessRatio())
+      unit2 = unit2.getIntervalUnit();
+
     if (retUnit.cnv_ != null) {
-      if (unit2.cnv_ == null && (!unit2.dim_ || unit2.dim_.isZero()))
+      if (unit2.isDimensionlessRatio())
         retUnit.cnvPfx_ *= unit2.magnitude_;
       else
-        throw (new Error(`Attempt to multiply non-ratio unit ${retUnit.name_} ` +
-          'failed.'));
+        throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+          `Attempt to multiply non-ratio unit ${retUnit.name_} failed.`));
     } // end if this unit has a conversion function
 
     else if (unit2.cnv_ != null) {
@@ -761,7 +905,8 @@ export class Unit {
         retUnit.cnv_ = unit2.cnv_ ;
       }
       else
-        throw (new Error(`Attempt to multiply non-ratio unit ${unit2.name_}`));
+        throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+          `Attempt to multiply non-ratio unit ${unit2.name_}`));
     } // end if unit2 has a conversion function
 
     // else neither unit has a conversion function
@@ -800,9 +945,10 @@ export class Unit {
     else if (unit2.printSymbol_)
       retUnit.printSymbol_ = unit2.printSymbol_;
 
-    // Update the mole exponent count by adding the count for unit2 to the
-    // count for this unit.
+    // Update the mole and equivalent exponent counts by adding the counts
+    // for unit2 to the counts for this unit.
     retUnit.moleExp_ = retUnit.moleExp_ + unit2.moleExp_ ;
+    retUnit.equivalentExp_ = retUnit.equivalentExp_ + unit2.equivalentExp_ ;
 
     // A unit that has the arbitrary attribute taints any unit created from it
     // via an arithmetic operation.  Taint accordingly
@@ -833,8 +979,11 @@ export class Unit {
 
   /**
    * Divides this unit by another unit. If this unit is not on a ratio
-   * scale an exception is raised. Mutating to a ratio scale unit
-   * is not possible for a unit, only for a measurement.
+   * scale an exception is raised, unless unit2 is dimensionless. Mutating
+   * to a ratio scale unit is not possible for a unit, only for a
+   * measurement.  Special units on an interval scale, e.g., Cel, are used
+   * as units of difference (see getIntervalUnit), except when one is
+   * divided by a dimensionless unit.
    *
    * This unit is NOT modified by this function.
    * @param unit2 the unit by which to divide this one
@@ -845,10 +994,19 @@ export class Unit {
 
     var retUnit = this.clone();
 
-    if (retUnit.cnv_ != null)
-      throw (new Error(`Attempt to divide non-ratio unit ${retUnit.name_}`));
+    // As for multiplication, special units on interval scales are units of
+    // difference unless a special unit is divided by a number.
+    if (retUnit.isIntervalScale() && !unit2.isDimensionlessRatio())
+      retUnit._makeInterval();
+    if (unit2.isIntervalScale())
+      unit2 = unit2.getIntervalUnit();
+
+    if (retUnit.cnv_ != null && !unit2.isDimensionlessRatio())
+      throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+        `Attempt to divide non-ratio unit ${retUnit.name_}`));
     if (unit2.cnv_ != null)
-      throw (new Error(`Attempt to divide by non-ratio unit ${unit2.name_}`));
+      throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+        `Attempt to divide by non-ratio unit ${unit2.name_}`));
 
     if (retUnit.name_ && unit2.name_)
       retUnit.name_ = this._concatStrs(retUnit.name_, '/', unit2.name_, '[', ']');
@@ -866,7 +1024,10 @@ export class Unit {
 
     retUnit.resetFieldsForDerivedUnit();
 
-    retUnit.magnitude_ /= unit2.magnitude_;
+    if (retUnit.cnv_ != null)
+      retUnit.cnvPfx_ /= unit2.magnitude_;
+    else
+      retUnit.magnitude_ /= unit2.magnitude_;
 
     if (retUnit.printSymbol_ && unit2.printSymbol_)
       retUnit.printSymbol_ = this._concatStrs(retUnit.printSymbol_, '/',
@@ -891,9 +1052,10 @@ export class Unit {
         retUnit.dim_ = unit2.dim_.clone().minus();
     } // end if unit2 has a dimension object
 
-    // Update the mole exponent count by subtracting the count for unit2 from
-    // the // count for this unit.
+    // Update the mole and equivalent exponent counts by subtracting the
+    // counts for unit2 from the counts for this unit.
     retUnit.moleExp_ = retUnit.moleExp_ - unit2.moleExp_ ;
+    retUnit.equivalentExp_ = retUnit.equivalentExp_ - unit2.equivalentExp_ ;
 
     // A unit that has the arbitrary attribute taints any unit created from
     // it via an arithmetic operation.  Taint accordingly
@@ -920,11 +1082,14 @@ export class Unit {
   invert() {
 
     if (this.cnv_ != null)
-      throw (new Error(`Attempt to invert a non-ratio unit - ${this.name_}`));
+      throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+        `Attempt to invert a non-ratio unit - ${this.name_}`));
 
     this.name_ = this.invertString(this.name_);
     this.magnitude_ = 1/this.magnitude_ ;
     this.dim_.minus();
+    this.moleExp_ = -this.moleExp_ ;
+    this.equivalentExp_ = -this.equivalentExp_ ;
     return this;
 
   } // end invert
@@ -1013,7 +1178,9 @@ export class Unit {
    * Raises the unit to a power.  For example
    *  kg.m/s2 raised to the -2 power would be kg-2.m-2/s-4
    *
-   * If this unit is not on a ratio scale an error is thrown. Mutating
+   * If this unit is not on a ratio scale an error is thrown, unless it is
+   * on an interval scale, e.g., Cel, in which case it becomes the unit of
+   * difference (see getIntervalUnit) raised to the power.  Mutating
    * to a ratio scale unit is not possible for a unit, only for a
    * measurement (magnitude and dimension).
    *
@@ -1028,9 +1195,13 @@ export class Unit {
    */
   power(p) {
 
+    // A special unit on an interval scale raised to a power other than 1,
+    // e.g., Cel2, is a unit of difference.
+    if (p !== 1 && this.isIntervalScale())
+      this._makeInterval();
     if (this.cnv_ != null)
-      throw (new Error(`Attempt to raise a non-ratio unit, ${this.name_}, ` +
-                       'to a power.'));
+      throw (intUtils_.makeCodedError('NON_RATIO_UNIT',
+        `Attempt to raise a non-ratio unit, ${this.name_}, to a power.`));
 
     //this.name_ = UnitString.pow(this.name_, p);
     // the above line is replaced with the code below, as the pow method
@@ -1078,6 +1249,8 @@ export class Unit {
     if (this.dim_) {
       this.dim_.mul(p);
     }
+    this.moleExp_ *= p;
+    this.equivalentExp_ *= p;
     return this;
 
   } // end power
@@ -1085,75 +1258,71 @@ export class Unit {
 
   /*
    * This function tests this unit against the unit passed in to see if the
-   * two are mole to mass commensurable.  It assumes that one of the units
-   * is a mole-based unit and the other is a mass-based unit.  It also assumes
-   * that the mole-based unit has a single mole unit in the numerator and that
-   * the mass-based unit has a single mass unit in the numerator.  It does NOT
-   * check to validate those assumptions.
+   * two are mole to mass commensurable, i.e., whether the units would have
+   * the same dimension if the mole units in them were replaced with mass
+   * units.  The mole exponents of the units must differ, e.g., mmol/L and
+   * mg/dL, mmol2/L and g2/L, or L/mol and L/g.
    *
-   * The check is made by setting the dimension vector element corresponding
-   * to the base mass unit (gram) in the mole unit, and then comparing the
-   * two dimension vectors.  If they match, the units are commensurable.
-   * Otherwise they are not.
+   * The check is made by adding the mole exponent of each unit to the
+   * dimension vector element corresponding to the base mass unit (gram),
+   * and then comparing the two dimension vectors.  If they match, the units
+   * are commensurable.  Otherwise they are not.
    *
    * @param unit2 the unit to be compared to this one
    * @returns boolean indicating commensurability
    */
   isMoleMassCommensurable(unit2) {
-    let tabs = this._getUnitTables();
-    let d = tabs.getMassDimensionIndex();
     let commensurable = false ;
-    if (this.moleExp_ === 1 && unit2.moleExp_ === 0) {
-      let testDim = this.dim_.clone();
-      let curVal = testDim.getElementAt(d);
-      testDim.setElementAt(d, (curVal + this.moleExp_));
-      commensurable = (testDim.equals(unit2.dim_));
-    }
-    else if (unit2.moleExp_ === 1 && this.moleExp_ === 0) {
-      let testDim = unit2.dim_.clone();
-      let curVal = testDim.getElementAt(d);
-      testDim.setElementAt(d, (curVal + unit2.moleExp_));
-      commensurable = (testDim.equals(this.dim_));
+    if (this.moleExp_ !== unit2.moleExp_ && this.dim_ && unit2.dim_) {
+      commensurable = this._getMassDim(this.moleExp_).equals(
+        unit2._getMassDim(unit2.moleExp_));
     }
     return commensurable ;
   }
 
   /**
    * This function tests this unit against the unit passed in to see if the
-   * two are eq to mass commensurable.  It assumes that one of the units
-   * is a eq-based unit and the other is a mass-based unit.  It also assumes
-   * that the eq-based unit has a single eq unit in the numerator and that
-   * the mass-based unit has a single mass unit in the numerator.  It does NOT
-   * check to validate those assumptions.
+   * two are eq to mass commensurable, i.e., whether the units would have
+   * the same dimension if the equivalent (and mole) units in them were
+   * replaced with mass units.  The equivalent exponents of the units must
+   * differ, e.g., meq/L and mg/dL, or L/eq and L/g.
    *
-   * The check is made by setting the dimension vector element corresponding
-   * to the base mass unit (gram) in the eq unit, and then comparing the
-   * two dimension vectors.  If they match, the units are commensurable.
-   * Otherwise they are not.
+   * The check is made by adding the amount exponent (see getAmountExp) of
+   * each unit to the dimension vector element corresponding to the base
+   * mass unit (gram), and then comparing the two dimension vectors.  If they
+   * match, the units are commensurable.  Otherwise they are not.
    *
    * @param {Unit} unit2 the unit to be compared to this one
    * @returns {boolean} boolean indicating commensurability
    */
   isEqMassCommensurable(unit2) {
-    let tabs = this._getUnitTables();
-    let d = tabs.getMassDimensionIndex();
     let commensurable = false ;
-    if (this.equivalentExp_ === 1 && unit2.equivalentExp_ === 0) {
-      let testDim = this.dim_.clone();
-      let curVal = testDim.getElementAt(d);
-      testDim.setElementAt(d, (curVal + this.equivalentExp_));
-      commensurable = (testDim.equals(unit2.dim_));
-    }
-    else if (unit2.equivalentExp_ === 1 && this.equivalentExp_ === 0) {
-      let testDim = unit2.dim_.clone();
-      let curVal = testDim.getElementAt(d);
-      testDim.setElementAt(d, (curVal + unit2.equivalentExp_));
-      commensurable = (testDim.equals(this.dim_));
+    if (this.equivalentExp_ !== unit2.equivalentExp_ && this.dim_ &&
+        unit2.dim_) {
+      commensurable = this._getMassDim(this.getAmountExp()).equals(
+        unit2._getMassDim(unit2.getAmountExp()));
     }
     return commensurable;
   }
 
 
+  /**
+   * Creates a copy of this unit's dimension with a number added to the
+   * element for the base mass unit (gram), i.e., the dimension the unit
+   * would have if that number of mole units were replaced with mass units.
+   * This should only be called from within this class.
+   *
+   * @param exp the number to be added to the mass element
+   * @returns the new Dimension object
+   */
+  _getMassDim(exp) {
+    let d = this._getUnitTables().getMassDimensionIndex();
+    let massDim = this.dim_.clone();
+    massDim.setElementAt(d, massDim.getElementAt(d) + exp);
+    return massDim;
+  }
+
+
   /**
    * This returns the UnitTables singleton object.  Including the require
    * statement included here causes a circular dependency condition that
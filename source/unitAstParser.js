@@ -0,0 +1,298 @@
+/**
+ * This class builds an abstract syntax tree (AST) for a unit expression,
+ * showing its structure (terms, operators, parenthesized groups, prefixes,
+ * unit atoms, exponents, annotations and integer factors), and prints an
+ * AST back out as a unit expression.
+ *
+ * Each node of the tree is a hash with a 'type' and the 'start' and 'end'
+ * indexes of the text for the node in the string parsed (where end is the
+ * index just past the text, as for String.substring).  The node types are:
+ *  'term' a sequence of components joined by operators, with 'components',
+ *    an array of hashes that each contain the 'operator' that precedes the
+ *    component ('.', '/', or null for the first component, unless the
+ *    expression starts with a division operator) and the component's
+ *    'node', which is a group, unit, factor or annotation node;
+ *  'group' a parenthesized expression, with the 'term' node for what is
+ *    in the parentheses;
+ *  'unit' a unit code, with its 'prefix' node (or null), its 'atom' node,
+ *    its 'exponent' node (or null) and its 'annotation' node (or null);
+ *  'factor' an integer, with its 'value', and 'exponent' and 'annotation'
+ *    nodes (or null), as for a unit;
+ *  'prefix' a prefix, with its 'code' and 'name';
+ *  'atom' a unit atom (a unit code without a prefix), with its 'code' and
+ *    'name';
+ *  'exponent' an exponent, with its (integer) 'value'; and
+ *  'annotation' an annotation, with its 'text', including the braces.
+ */
+
+var Ucum = require('./config.js').Ucum;
+var UnitTables = require('./unitTables.js').UnitTables;
+var PrefixTables = require('./prefixTables.js').PrefixTables;
+
+import * as intUtils_ from "./ucumInternalUtils.js";
+
+export class UnitAstParser {
+
+  /**
+   * Constructor.
+   */
+  constructor() {
+    this.utabs_ = UnitTables.getInstance();
+    this.pfxTabs_ = PrefixTables.getInstance();
+  }
+
+
+  /**
+   * Builds the AST for a unit expression.  The expression is assumed to be
+   * valid; it should be checked first (see UcumLhcUtils.parseToAst).
+   *
+   * @param uStr the unit expression
+   * @returns the 'term' node for the expression
+   */
+  buildAst(uStr) {
+    return this._parseTerm(uStr, 0, uStr.length);
+  }
+
+
+  /**
+   * Prints an AST (or any node of one) as a unit expression.
+   *
+   * @param node the node to be printed
+   * @returns the unit expression for the node
+   * @throws an error with a PROCESSING_ERROR code if a node with an unknown
+   *  type is found
+   */
+  print(node) {
+    let str = '';
+    switch (node && node.type) {
+      case 'term':
+        for (let c = 0; c < node.components.length; c++) {
+          let comp = node.components[c];
+          str += (comp.operator || '') + this.print(comp.node);
+        }
+        break;
+      case 'group':
+        str = '(' + this.print(node.term) + ')';
+        break;
+      case 'unit':
+      case 'factor':
+        if (node.type === 'factor')
+          str = String(node.value);
+        else
+          str = (node.prefix ? node.prefix.code : '') + node.atom.code;
+        if (node.exponent)
+          str += String(node.exponent.value);
+        if (node.annotation)
+          str += node.annotation.text;
+        break;
+      case 'annotation':
+        str = node.text;
+        break;
+      default:
+        throw (intUtils_.makeCodedError('PROCESSING_ERROR',
+          `Unable to print an AST node with type ${node && node.type}.`));
+    }
+    return str;
+
+  } // end print
+
+
+  /**
+   * Builds the node for a term, i.e., a sequence of components joined by
+   * operators.  This calls itself for parenthesized expressions.  This
+   * should only be called from within this class.
+   *
+   * @param str the unit expression
+   * @param start the index in str at which the term starts
+   * @param end the index in str just past the end of the term
+   * @returns the 'term' node
+   */
+  _parseTerm(str, start, end) {
+    let components = [];
+    let op = null;
+    let i = start;
+    if (str.charAt(i) === '/') {
+      op = '/';
+      i++;
+    }
+    while (i < end) {
+      let compEnd = this._getComponentEnd(str, i, end);
+      let node;
+      if (str.charAt(i) === '(') {
+        node = {'type': 'group', 'start': i, 'end': compEnd,
+          'term': this._parseTerm(str, i + 1, compEnd - 1)};
+      }
+      else {
+        node = this._parseComponent(str.substring(i, compEnd), i);
+      }
+      components.push({'operator': op, 'node': node});
+
+      // A parenthesized expression can follow a unit code without an
+      // operator (which is only allowed when not in strict mode).  That is
+      // treated as multiplication.
+      let ch = str.charAt(compEnd);
+      if (compEnd < end && Ucum.validOps_.indexOf(ch) !== -1) {
+        op = ch;
+        i = compEnd + 1;
+      }
+      else {
+        op = '.';
+        i = compEnd;
+      }
+    } // end do for each component
+    return {'type': 'term', 'start': start, 'end': end,
+      'components': components};
+
+  } // end _parseTerm
+
+
+  /**
+   * Finds the end of the component of a unit expression that starts at
+   * a given index, i.e., a parenthesized expression or the text up to the
+   * next operator or parenthesis that is not in square brackets or an
+   * annotation.  This should only be called from within this class.
+   *
+   * @param str the unit expression
+   * @param start the index at which the component starts
+   * @param end the index just past the end of the term that contains the
+   *  component
+   * @returns the index just past the end of the component
+   */
+  _getComponentEnd(str, start, end) {
+    let depth = 0;
+    let closer = null;
+    for (let i = start; i < end; i++) {
+      let ch = str.charAt(i);
+      if (closer) {
+        if (ch === closer)
+          closer = null;
+      }
+      else if (ch === '[')
+        closer = ']';
+      else if (ch === '{')
+        closer = '}';
+      else if (ch === '(') {
+        if (depth === 0 && i > start)
+          return i;
+        depth++;
+      }
+      else if (ch === ')') {
+        depth--;
+        if (depth <= 0)
+          return i + 1;
+      }
+      else if (depth === 0 && Ucum.validOps_.indexOf(ch) !== -1)
+        return i;
+    }
+    return end;
+  } // end _getComponentEnd
+
+
+  /**
+   * Builds the node for a component that is not a parenthesized
+   * expression, i.e., a unit code, integer or annotation, with any
+   * exponent and annotation.  This should only be called from within this
+   * class.
+   *
+   * @param text the text of the component, e.g., m2{area}
+   * @param offset the index at which the text starts in the expression
+   * @returns a 'unit', 'factor' or 'annotation' node
+   */
+  _parseComponent(text, offset) {
+    let annotation = null;
+    let code = text;
+    let codeStart = offset;
+    let annoStart = text.indexOf('{');
+    if (annoStart >= 0) {
+      let annoEnd = text.indexOf('}', annoStart) + 1;
+      annotation = {'type': 'annotation', 'text':
+        text.substring(annoStart, annoEnd), 'start': offset + annoStart,
+        'end': offset + annoEnd};
+      code = text.substring(0, annoStart) + text.substring(annoEnd);
+      // An annotation that precedes the code is only allowed when not in
+      // strict mode.
+      if (annoStart === 0)
+        codeStart = offset + annoEnd;
+    }
+    if (code === '')
+      return annotation;
+
+    // Look for an exponent if the code is not a unit atom, the way the
+    // parser does (see UnitString._isCodeWithExponent).  Codes from the
+    // LOINC data, such as kg and m2, are combinations of a prefix, atom
+    // and/or exponent, and are broken down into those.
+    let exponent = null;
+    if (!/^\d+$/.test(code) && !this._isAtom(code)) {
+      let expMatch = code.match(/(^[^\-\+]+?)([\-\+\d]+)$/);
+      if (expMatch) {
+        code = expMatch[1];
+        let expStart = codeStart + code.length;
+        exponent = {'type': 'exponent', 'value': parseInt(expMatch[2]),
+          'start': expStart, 'end': expStart + expMatch[2].length};
+      }
+    }
+    let node = {'start': offset, 'end': offset + text.length};
+    if (/^\d+$/.test(code)) {
+      node.type = 'factor';
+      node.value = Number(code);
+    }
+    else {
+      node.type = 'unit';
+      let pfxCode = this._getPrefixCode(code);
+      let pfxObj = pfxCode ? this.pfxTabs_.getPrefixByCode(pfxCode) : null;
+      node.prefix = !pfxObj ? null : {'type': 'prefix', 'code': pfxCode,
+        'name': pfxObj.getName(), 'start': codeStart,
+        'end': codeStart + pfxCode.length};
+      let atomCode = code.substring(pfxObj ? pfxCode.length : 0);
+      let atomStart = codeStart + (pfxObj ? pfxCode.length : 0);
+      let atomUnit = this.utabs_.getUnitByCode(atomCode);
+      node.atom = {'type': 'atom', 'code': atomCode,
+        'name': atomUnit ? atomUnit.name_ : null, 'start': atomStart,
+        'end': atomStart + atomCode.length};
+    }
+    node.exponent = exponent;
+    node.annotation = annotation;
+    return node;
+
+  } // end _parseComponent
+
+
+  /**
+   * Finds the prefix, if any, of a unit code, the way the parser does (see
+   * UnitString._makeUnit).  This should only be called from within this
+   * class.
+   *
+   * @param code the unit code, without an exponent or annotation
+   * @returns the prefix code, or null if the code has no prefix
+   */
+  _getPrefixCode(code) {
+    let pfxCode = null;
+    if (!this._isAtom(code)) {
+      let candidates = [code.charAt(0), 'da'];
+      for (let c = 0; c < candidates.length && !pfxCode; c++) {
+        let cand = candidates[c];
+        if (code.indexOf(cand) === 0 && this.pfxTabs_.getPrefixByCode(cand) &&
+            this._isAtom(code.substring(cand.length)))
+          pfxCode = cand;
+      }
+    }
+    return pfxCode;
+
+  } // end _getPrefixCode
+
+
+  /**
+   * Checks whether or not a code is the code for a unit atom, i.e., a unit
+   * from the UCUM definitions rather than a combination of units from the
+   * LOINC data (see UnitString._makeUnit).  This should only be called from
+   * within this class.
+   *
+   * @param code the code to be checked
+   * @returns true if it is the code for a unit atom; false if not
+   */
+  _isAtom(code) {
+    let unit = this.utabs_.getUnitByCode(code);
+    return !!unit && unit.source_ !== 'LOINC';
+  }
+
+} // end UnitAstParser class
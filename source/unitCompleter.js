@@ -0,0 +1,336 @@
+/**
+ * This class finds completions for a partially entered unit expression,
+ * e.g., mmol, mmol/ and mmol/L for mmo.  It is meant for use by a unit
+ * entry widget that offers completions as the user types.
+ *
+ * Each completion starts with the whole string typed.  If that string is a
+ * valid unit expression it is a completion itself, as is the string
+ * followed by each operator.  The unit code being typed (the text after the
+ * last operator or parenthesis) is completed with:
+ *  - unit codes that start with it (any unit code, if nothing has been
+ *    typed after an operator);
+ *  - a prefix followed by the code of a metric unit, where what was typed
+ *    starts with the prefix;
+ *  - unit codes for expressions (e.g., mmol/L, from the LOINC units) that
+ *    start with the whole string typed so far;
+ *  - an operator, where an expression in the unit tables continues with
+ *    one.
+ * A number is not completed, although it is returned with the operators
+ * if it is valid as it stands.
+ * The codes for units whose names or synonyms have a word that starts
+ * with the unit code being typed (e.g., kg for kilo) are returned
+ * separately, as name matches, since they replace the code being typed
+ * rather than complete it.
+ * Only completions and name matches that are valid UCUM syntax are
+ * returned.  They are ranked using the weights in Ucum.autocompleteWeights_
+ * and the unit's category (Ucum.searchCategoryWeights_).
+ */
+
+var Ucum = require('./config.js').Ucum;
+var UnitTables = require('./unitTables.js').UnitTables;
+var PrefixTables = require('./prefixTables.js').PrefixTables;
+
+export class UnitCompleter {
+
+  /**
+   * Constructor.
+   *
+   * @param utils the UcumLhcUtils object used to check whether or not a
+   *  completed unit string is valid
+   */
+  constructor(utils) {
+    this.utils_ = utils;
+    this.utabs_ = UnitTables.getInstance();
+    this.pfxTabs_ = PrefixTables.getInstance();
+  }
+
+
+  /**
+   * Finds completions for a partial unit expression.
+   *
+   * @param partial the partial unit expression
+   * @param limit the maximum number of completions to be returned; optional,
+   *  defaults to Ucum.autocompleteLimit_
+   * @returns a hash containing 'completions', an array of the completions,
+   *  and 'nameMatches', an array of the name matches (see the class
+   *  description), each with up to limit elements, ordered by score
+   *  (highest first).  Either array may be empty.  Each completion or name
+   *  match is a hash containing:
+   *   'ucumCode' the completed unit expression, which starts with partial
+   *     (for a name match, with the part of partial before the code being
+   *     typed);
+   *   'name' the display name of the completed expression, e.g.,
+   *     "millimole per liter".  If the completion ends with an operator
+   *     this is the name of the expression before the operator followed by
+   *     "per" or "times";
+   *   'category' the category of the unit that completed the expression,
+   *     e.g., 'Clinical', or null if there is none;
+   *   'matchType' how the completion was found: 'exact' (for partial
+   *     itself), 'code', 'prefix', 'expression' or 'operator', or 'name'
+   *     for a name match (see the class description); and
+   *   'score' a number from 0 to 1; the higher the score, the more likely
+   *     the completion.
+   */
+  getCompletions(partial, limit) {
+
+    let retObj = {'completions': [], 'nameMatches': []};
+    if (limit === undefined || limit === null)
+      limit = Ucum.autocompleteLimit_;
+    if (!partial || limit <= 0)
+      return retObj;
+
+    // Split off the unit code being typed from the operator context before
+    // it.  Don't try to complete an annotation.
+    let fragStart = this._getFragmentStart(partial);
+    if (fragStart === null)
+      return retObj;
+    let context = partial.substring(0, fragStart);
+    let fragment = partial.substring(fragStart);
+
+    let candidates = [];
+    let nameCandidates = [];
+    let addCandidate = (ucumCode, typed, total, unit, matchType, name,
+                        factor = 1) => {
+      let catWeights = Ucum.searchCategoryWeights_;
+      let score = factor * Ucum.autocompleteWeights_[matchType] *
+        (catWeights[unit.category_] || catWeights['other']) *
+        (0.5 + 0.5 * typed / total);
+      (matchType === 'name' ? nameCandidates : candidates).push({
+        'ucumCode': ucumCode, 'name': name,
+        'category': unit.category_ || null, 'matchType': matchType,
+        'score': score});
+    };
+
+    // The string typed, if it is complete as it stands, and the string
+    // followed by each operator.
+    let partialResp = this.utils_.getSpecifiedUnit(partial, 'validate', false,
+      {'strict': true});
+    if (partialResp.status === 'valid') {
+      let unit = this.utabs_.getUnitByCode(partial) || partialResp.unit;
+      addCandidate(partial, 1, 1, unit, 'exact');
+      for (let o = 0; o < Ucum.validOps_.length; o++) {
+        addCandidate(partial + Ucum.validOps_[o], partial.length,
+          partial.length + 1, unit, 'operator', undefined,
+          Ucum.autocompleteWeights_['exact']);
+      }
+    }
+
+    // Don't try to complete a number, e.g., 10 to 10*3
+    if (/^\d+$/.test(fragment)) {
+      retObj['completions'] = this._selectCandidates(candidates, context,
+        limit);
+      return retObj;
+    }
+
+    // Expressions in the unit tables that continue the whole string.  An
+    // expression that continues what was typed with an operator gives a
+    // completion with just that operator, e.g., mmol/ for mmo.
+    let allCodes = this.utabs_.getAllUnitCodes();
+    for (let c = 0; c < allCodes.length; c++) {
+      let code = allCodes[c];
+      if (code.length > partial.length && code.indexOf(partial) === 0) {
+        let unit = this.utabs_.getUnitByCode(code);
+        let isExpression = this._isExpression(code);
+        addCandidate(code, partial.length, code.length, unit,
+          isExpression ? 'expression' : 'code');
+        if (isExpression) {
+          let opIdx = this._getOperatorIndex(code, partial.length);
+          if (opIdx !== null && opIdx < code.length - 1) {
+            let withOp = code.substring(0, opIdx + 1);
+            addCandidate(withOp, partial.length, withOp.length, unit,
+              'operator');
+          }
+        }
+      }
+    } // end do for each unit code
+
+    // Unit codes that start with the fragment, when the fragment follows an
+    // operator (units that start the string were found above).  When
+    // nothing has been typed after the operator, every unit code does.
+    if (context !== '') {
+      for (let c = 0; c < allCodes.length; c++) {
+        let code = allCodes[c];
+        if (code.length > fragment.length && code.indexOf(fragment) === 0 &&
+            !this._isExpression(code)) {
+          addCandidate(context + code, fragment.length, code.length,
+            this.utabs_.getUnitByCode(code), 'code');
+        }
+      }
+    }
+
+    if (fragment !== '') {
+
+      // A prefix followed by the start of a metric unit's code.  Units from
+      // the LOINC data can't take a prefix (see UnitString._makeUnit).
+      let prefixes = this.pfxTabs_.allPrefixesByCode();
+      for (let p = 0; p < prefixes.length; p++) {
+        let pfxCode = prefixes[p].getCode();
+        if (fragment.length > pfxCode.length &&
+            fragment.indexOf(pfxCode) === 0) {
+          let rest = fragment.substring(pfxCode.length);
+          for (let c = 0; c < allCodes.length; c++) {
+            let code = allCodes[c];
+            let unit = this.utabs_.getUnitByCode(code);
+            if (code.indexOf(rest) === 0 && code !== rest && unit.isMetric_ &&
+                unit.source_ !== 'LOINC' && !this._isExpression(code)) {
+              let completed = pfxCode + code;
+              addCandidate(context + completed, fragment.length,
+                completed.length, unit, 'prefix',
+                prefixes[p].getName() + unit.name_);
+            }
+          }
+        }
+      } // end do for each prefix
+
+      // Units with a name or synonym that has a word that starts with the
+      // fragment.  The shorter the name or synonym, the better the match,
+      // and units with a simple code come ahead of those with expressions
+      // for codes.  Only units with a simple code are used after an
+      // operator, since an expression would change the meaning of the rest.
+      if (fragment.length > 1) {
+        if (!this.utabs_.unitSearchTerms_)
+          this.utabs_.buildUnitSearchTerms();
+        let lower = fragment.toLowerCase();
+        for (let code in this.utabs_.unitSearchTerms_) {
+          if (context === '' || !this._isExpression(code)) {
+            let terms = this.utabs_.unitSearchTerms_[code];
+            let termLen = 0;
+            for (let t = 0; t < terms.length; t++) {
+              let term = terms[t];
+              if (term.type !== 'code' &&
+                  (termLen === 0 || term.lower.length < termLen) &&
+                  term.words.some((word) => word.indexOf(lower) === 0))
+                termLen = term.lower.length;
+            }
+            if (termLen > 0 && code !== fragment) {
+              addCandidate(context + code, fragment.length, termLen,
+                this.utabs_.getUnitByCode(code), 'name', undefined,
+                this._isExpression(code) ? 0.9 : 1);
+            }
+          }
+        } // end do for each unit
+      }
+    } // end if a unit code is being typed
+
+    retObj['completions'] = this._selectCandidates(candidates, context,
+      limit);
+    retObj['nameMatches'] = this._selectCandidates(nameCandidates, context,
+      limit);
+    return retObj;
+
+  } // end getCompletions
+
+
+  /**
+   * Keeps the best candidate for each completion (or name match), and
+   * checks each one, best first, until there are enough.  Shorter
+   * completions come first when the scores are the same.  This should only
+   * be called from within this class.
+   *
+   * @param candidates the array of candidates found by getCompletions
+   * @param context the part of the partial expression before the unit code
+   *  being typed
+   * @param limit the maximum number of candidates to be returned
+   * @returns an array of the valid candidates, in order, with their names
+   *  set
+   */
+  _selectCandidates(candidates, context, limit) {
+    candidates.sort((a, b) => (b.score - a.score) ||
+      (a.ucumCode.length - b.ucumCode.length));
+    let selected = [];
+    let seen = {};
+    for (let c = 0; c < candidates.length && selected.length < limit; c++) {
+      let cand = candidates[c];
+      if (!seen[cand.ucumCode]) {
+        seen[cand.ucumCode] = true;
+        let lastChar = cand.ucumCode.charAt(cand.ucumCode.length - 1);
+        let endsWithOp = Ucum.validOps_.indexOf(lastChar) !== -1;
+        let toCheck = endsWithOp ? cand.ucumCode.substring(0,
+          cand.ucumCode.length - 1) : cand.ucumCode;
+        let resp = this.utils_.getSpecifiedUnit(toCheck, 'validate', false,
+          {'strict': true});
+        if (resp.status === 'valid') {
+          let name = (context === '' && cand.name) ? cand.name :
+            resp.unit.name_;
+          if (endsWithOp)
+            name += lastChar === '/' ? ' per' : ' times';
+          cand.name = name;
+          selected.push(cand);
+        }
+      }
+    }
+    return selected;
+
+  } // end _selectCandidates
+
+
+  /**
+   * Finds where the unit code being typed at the end of a string starts,
+   * i.e., the index just past the last operator or parenthesis that is not
+   * in square brackets or an annotation.  This should only be called from
+   * within this class.
+   *
+   * @param str the string
+   * @returns the index, or null if the string ends inside an annotation
+   */
+  _getFragmentStart(str) {
+    let start = 0;
+    let closer = null;
+    for (let i = 0; i < str.length; i++) {
+      let ch = str.charAt(i);
+      if (closer) {
+        if (ch === closer)
+          closer = null;
+      }
+      else if (ch === '[')
+        closer = ']';
+      else if (ch === '{')
+        closer = '}';
+      else if (Ucum.validOps_.indexOf(ch) !== -1 || ch === '(' || ch === ')')
+        start = i + 1;
+    }
+    return closer === '}' ? null : start;
+  } // end _getFragmentStart
+
+
+  /**
+   * Finds the first operator ('.' or '/') in a string, at or after a given
+   * index, that is not in square brackets or an annotation.  This should
+   * only be called from within this class.
+   *
+   * @param str the string
+   * @param from the index at which to start looking
+   * @returns the index of the operator, or null if there is none
+   */
+  _getOperatorIndex(str, from) {
+    let closer = null;
+    for (let i = 0; i < str.length; i++) {
+      let ch = str.charAt(i);
+      if (closer) {
+        if (ch === closer)
+          closer = null;
+      }
+      else if (ch === '[')
+        closer = ']';
+      else if (ch === '{')
+        closer = '}';
+      else if (i >= from && Ucum.validOps_.indexOf(ch) !== -1)
+        return i;
+    }
+    return null;
+  } // end _getOperatorIndex
+
+
+  /**
+   * Checks whether or not a unit code is an expression, i.e., contains an
+   * operator or parenthesis outside of square brackets.  This should only
+   * be called from within this class.
+   *
+   * @param code the unit code
+   * @returns true if it is an expression; false if not
+   */
+  _isExpression(code) {
+    return /[./()]/.test(code.replace(/\[[^\]]*\]/g, ''));
+  }
+
+} // end UnitCompleter class
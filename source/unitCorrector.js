@@ -0,0 +1,747 @@
+/**
+ * This class finds corrections for unit strings that are not valid UCUM
+ * unit expressions.  Each correction is a complete, corrected unit
+ * expression that is valid UCUM syntax exactly as it stands, along with
+ * a confidence score and a list of the fixes that were made to get it.
+ *
+ * Fixes are found for each unit code (and each run of blanks) in the
+ * string separately, and then combined.  The kinds of fixes tried are
+ * listed, with the confidence assigned to each, in
+ * Ucum.correctionConfidence_.
+ */
+
+var Ucum = require('./config.js').Ucum;
+var UnitTables = require('./unitTables.js').UnitTables;
+var PrefixTables = require('./prefixTables.js').PrefixTables;
+
+export class UnitCorrector {
+
+  /**
+   * Constructor.
+   *
+   * @param utils the UcumLhcUtils object used to check whether or not a
+   *  corrected unit string is valid
+   */
+  constructor(utils) {
+    this.utils_ = utils;
+    this.utabs_ = UnitTables.getInstance();
+    this.pfxTabs_ = PrefixTables.getInstance();
+  }
+
+
+  /**
+   * Finds corrections for a unit string.
+   *
+   * @param uStr the unit string to be corrected
+   * @param maxCorrections the maximum number of corrections to be returned;
+   *  optional, defaults to Ucum.maxCorrections_
+   * @returns an array of corrections, ordered by confidence (highest
+   *  first), or an empty array if no corrections were found.  Each
+   *  correction is a hash containing:
+   *   'ucumCode' the corrected unit string;
+   *   'confidence' a number between 0 and 1 indicating how likely it is
+   *     that the correction is what was meant;
+   *   'fixes' an array of the fixes made to uStr.  Each fix contains:
+   *     'code' the kind of fix, one of the keys of Ucum.correctionConfidence_;
+   *     'token' the part of uStr that was changed;
+   *     'replacement' the text that replaced it; and
+   *     'start' and 'end' the location of the token in uStr (end is the
+   *       index just past the token); and
+   *   'unit' a hash for the unit of the corrected string, containing its
+   *     'code', 'name' and 'guidance'.
+   */
+  getCorrections(uStr, maxCorrections) {
+
+    if (maxCorrections === undefined || maxCorrections === null)
+      maxCorrections = Ucum.maxCorrections_;
+    let corrections = [];
+    if (!uStr || maxCorrections <= 0)
+      return corrections;
+
+    // Start with the fix for leading and trailing blanks, if needed, since
+    // the other fixes are made to the string without them.
+    let trimmed = uStr.trim();
+    let offset = uStr.indexOf(trimmed);
+    let startFixes = [];
+    let startConf = 1;
+    if (trimmed !== uStr) {
+      startFixes.push(this._makeFix('BLANK_SPACE', uStr, trimmed, 0,
+        uStr.length));
+      startConf = Ucum.correctionConfidence_['BLANK_SPACE'];
+    }
+    if (!trimmed)
+      return corrections;
+
+    // Build the candidate strings, a unit code at a time, keeping only the
+    // most likely candidates at each step.
+    let beamWidth = maxCorrections * 4;
+    let candidates = [{'text': '', 'confidence': startConf,
+                       'fixes': startFixes, 'caseKept': 0}];
+    let prevOp = '';
+    let tokens = this._replacePer(this._tokenize(trimmed));
+    for (let t = 0; t < tokens.length && candidates.length > 0; t++) {
+      let token = tokens[t];
+      let alts = null;
+      if (token.per) {
+        let start = token.start + offset;
+        alts = [{'text': '/', 'confidence':
+          Ucum.correctionConfidence_['PER_REPLACED'], 'fixes':
+          [this._makeFix('PER_REPLACED', token.text, '/', start,
+            start + token.text.length)]}];
+        prevOp = '/';
+      }
+      else if (token.op) {
+        alts = [{'text': token.text, 'confidence': 1, 'fixes': []}];
+        prevOp = token.text;
+      }
+      else if (token.blank) {
+        alts = this._getBlankFixes(tokens, t, offset);
+        // If an operator replaces the blanks, a number that follows needs
+        // the parentheses it would need after a division operator.
+        if (alts[0].text !== '')
+          prevOp = '/';
+      }
+      else {
+        alts = this._getTokenFixes(token.text, token.start + offset, prevOp,
+          beamWidth);
+      }
+      let nextCandidates = [];
+      for (let c = 0; c < candidates.length; c++) {
+        let cand = candidates[c];
+        for (let a = 0; a < alts.length; a++) {
+          nextCandidates.push({
+            'text': cand.text + alts[a].text,
+            'confidence': cand.confidence * alts[a].confidence,
+            'fixes': cand.fixes.concat(alts[a].fixes),
+            'caseKept': cand.caseKept + (alts[a].caseKept || 0)});
+        }
+      }
+      candidates = this._sortAndTrim(nextCandidates, beamWidth);
+    } // end do for each token
+
+    // A valid uppercase code that was left as is is less likely to be what
+    // was meant if the case of another code had to be changed.
+    for (let c = 0; c < candidates.length; c++) {
+      let cand = candidates[c];
+      if (cand.caseKept > 0 &&
+          cand.fixes.some((fix) => fix.code === 'CASE_CHANGED')) {
+        cand.confidence *= Math.pow(Ucum.correctionCaseKeptFactor_,
+          cand.caseKept);
+      }
+    }
+    candidates = this._sortAndTrim(candidates, beamWidth);
+
+    // Keep the candidates that are valid as they stand.
+    for (let c = 0; c < candidates.length &&
+         corrections.length < maxCorrections; c++) {
+      let cand = candidates[c];
+      if (cand.fixes.length > 0) {
+        let resp = this.utils_.getSpecifiedUnit(cand.text, 'validate', false,
+          {'strict': true});
+        if (resp.status === 'valid') {
+          let theUnit = resp.unit;
+          corrections.push({
+            'ucumCode': cand.text,
+            'confidence': cand.confidence,
+            'fixes': cand.fixes,
+            'unit': {'code': theUnit.csCode_,
+                     'name': theUnit.name_,
+                     'guidance': theUnit.guidance_}});
+        }
+      }
+    }
+    return corrections;
+
+  } // end getCorrections
+
+
+  /**
+   * Splits a unit string into unit codes, operators ('.', '/', '(' and
+   * ')') and runs of blanks.  Annotations and text in square brackets are
+   * kept with the unit code they are part of, even if they contain
+   * operator characters or blanks.  This should only be called from within
+   * this class.
+   *
+   * @param uStr the unit string
+   * @returns an array of hashes, one for each unit code, operator and run
+   *  of blanks, in order.  Each contains 'text', the unit code, operator or
+   *  blanks; 'op', a flag indicating whether or not it is an operator;
+   *  'blank', a flag indicating whether or not it is a run of blanks; and
+   *  'start', its location in uStr.
+   */
+  _tokenize(uStr) {
+    let tokens = [];
+    let cur = '';
+    let curStart = 0;
+    let len = uStr.length;
+    for (let i = 0; i < len; i++) {
+      let ch = uStr.charAt(i);
+      if (ch === '{' || ch === '[') {
+        let close = uStr.indexOf(ch === '{' ? '}' : ']', i);
+        if (close === -1)
+          close = len - 1;
+        if (cur === '')
+          curStart = i;
+        cur += uStr.substring(i, close + 1);
+        i = close;
+      }
+      else if (Ucum.validOps_.indexOf(ch) !== -1 || ch === '(' || ch === ')') {
+        if (cur !== '')
+          tokens.push({'text': cur, 'op': false, 'start': curStart});
+        tokens.push({'text': ch, 'op': true, 'start': i});
+        cur = '';
+      }
+      else if (/\s/.test(ch)) {
+        if (cur !== '')
+          tokens.push({'text': cur, 'op': false, 'start': curStart});
+        let blankEnd = i + 1;
+        while (blankEnd < len && /\s/.test(uStr.charAt(blankEnd)))
+          blankEnd++;
+        tokens.push({'text': uStr.substring(i, blankEnd), 'op': false,
+          'blank': true, 'start': i});
+        i = blankEnd - 1;
+        cur = '';
+      }
+      else {
+        if (cur === '')
+          curStart = i;
+        cur += ch;
+      }
+    }
+    if (cur !== '')
+      tokens.push({'text': cur, 'op': false, 'start': curStart});
+    return tokens;
+  } // end _tokenize
+
+
+  /**
+   * Replaces the word "per" before a unit code, e.g., in mg per dL or
+   * per min, and the blanks around it, with a single token for the
+   * division operator it stands for.  Otherwise "per" would be replaced
+   * like any other code that is not valid, e.g., with the code of a unit
+   * that has it as a synonym.  This should only be called from within this
+   * class.
+   *
+   * @param tokens the tokens of the (trimmed) string (see _tokenize)
+   * @returns a new array of the tokens, in which each "per" token, along
+   *  with the blanks around it, is replaced by a token with 'per' and 'op'
+   *  flags set to true
+   */
+  _replacePer(tokens) {
+    let retTokens = [];
+    let isCode = (token) => !!token && !token.op && !token.blank;
+    for (let t = 0; t < tokens.length; t++) {
+      let token = tokens[t];
+      if (isCode(token) && token.text.toLowerCase() === 'per' &&
+          tokens[t + 1] && tokens[t + 1].blank && isCode(tokens[t + 2]) &&
+          (t === 0 || (tokens[t - 1].blank && isCode(tokens[t - 2])))) {
+        let perToken = {'text': token.text + tokens[t + 1].text, 'op': true,
+          'per': true, 'start': token.start};
+        if (t > 0) {
+          // Replace the blank token that precedes it, too
+          let blank = retTokens.pop();
+          perToken.text = blank.text + perToken.text;
+          perToken.start = blank.start;
+        }
+        retTokens.push(perToken);
+        t++;
+      }
+      else
+        retTokens.push(token);
+    }
+    return retTokens;
+  } // end _replacePer
+
+
+  /**
+   * Finds the possible replacements for a run of blanks within a unit
+   * string.  Blanks next to an operator, e.g., in mg / dL, are removed.
+   * Blanks between two unit codes (or parenthesized expressions), e.g., in
+   * mg dL, are replaced with an operator.  Division is tried first, since a
+   * unit string written that way is most often a concentration or rate that
+   * lost its slash.  This should only be called from within this class.
+   *
+   * @param tokens the tokens of the (trimmed) string (see _tokenize)
+   * @param t the index of the token for the blanks
+   * @param offset the location of the trimmed string in the string passed
+   *  to getCorrections
+   * @returns an array of the replacements (see _getTokenFixes)
+   */
+  _getBlankFixes(tokens, t, offset) {
+    let blanks = tokens[t].text;
+    let start = tokens[t].start + offset;
+    let end = start + blanks.length;
+    let conf = Ucum.correctionConfidence_;
+    let alts = [];
+    // The string was trimmed, so there are tokens on both sides.
+    let prev = tokens[t - 1];
+    let next = tokens[t + 1];
+    if ((prev.op && prev.text !== ')') || (next.op && next.text !== '(')) {
+      alts.push({'text': '', 'confidence': conf['BLANK_SPACE'],
+        'fixes': [this._makeFix('BLANK_SPACE', blanks, '', start, end)]});
+    }
+    else {
+      for (let op of ['/', '.']) {
+        alts.push({'text': op, 'confidence': conf['MISSING_OPERATOR'],
+          'fixes': [this._makeFix('MISSING_OPERATOR', blanks, op, start,
+            end)]});
+      }
+    }
+    return alts;
+
+  } // end _getBlankFixes
+
+
+  /**
+   * Finds the possible replacements for a unit code.  If the code is valid
+   * as it stands, it is the only one returned.  This should only be called
+   * from within this class.
+   *
+   * @param text the unit code, which may include a number, annotation and
+   *  exponent
+   * @param start the location of the code in the string passed to
+   *  getCorrections
+   * @param prevOp the operator that precedes the code, or '' if there is
+   *  none
+   * @param maxAlts the maximum number of replacements to be returned
+   * @returns an array of the valid replacements, ordered by confidence.
+   *  Each is a hash containing 'text', the replacement; 'confidence'; and
+   *  'fixes', the fixes made (see getCorrections).
+   */
+  _getTokenFixes(text, start, prevOp, maxAlts) {
+
+    let alts = [];
+    let end = start + text.length;
+    let theUnit = this._getUnit(text);
+    if (theUnit)
+      return this._sortAndTrim(this._getValidCodeFixes(text, theUnit, start),
+        maxAlts);
+
+    // A number that precedes a unit code, e.g., 2mg, needs a multiplication
+    // operator after it.  If the code follows a division operator the
+    // result must be enclosed in parentheses, so that it is all divided.
+    let res = text.match(/^(\d+)([^\d{].*)$/);
+    if (res) {
+      let numLen = res[1].length;
+      let subAlts = this._getTokenFixes(res[2], start + numLen, '.', maxAlts);
+      for (let s = 0; s < subAlts.length; s++) {
+        let rep = `${res[1]}.${subAlts[s].text}`;
+        if (prevOp === '/')
+          rep = `(${rep})`;
+        alts.push(this._addFix(subAlts[s], rep, 'MISSING_MULTIPLICATION',
+          text, start, end));
+      }
+    }
+
+    // An annotation must follow the unit code it annotates, e.g., mg{total}
+    // rather than {total}mg.
+    res = text.match(/^(\{[^}]*\})([^{]+)$/);
+    if (res) {
+      let subAlts = this._getTokenFixes(res[2], start + res[1].length, prevOp,
+        maxAlts);
+      for (let s = 0; s < subAlts.length; s++) {
+        alts.push(this._addFix(subAlts[s], subAlts[s].text + res[1],
+          'MISPLACED_ANNOTATION', text, start, end));
+      }
+    }
+
+    // If an annotation follows the code, fix the code and keep the
+    // annotation.
+    res = text.match(/^([^{]+)(\{[^}]*\})$/);
+    if (res) {
+      let subAlts = this._getCodeFixes(res[1], start);
+      for (let s = 0; s < subAlts.length; s++)
+        subAlts[s].text += res[2];
+      alts = alts.concat(subAlts);
+    }
+    else if (text.indexOf('{') === -1) {
+
+      // Try the code as a whole, and then without an exponent.
+      alts = alts.concat(this._getCodeFixes(text, start));
+      res = text.match(/^(.*[^\d+-])([+-]?\d+)$/);
+      if (res) {
+        let subAlts = this._getCodeFixes(res[1], start);
+        for (let s = 0; s < subAlts.length; s++)
+          subAlts[s].text += res[2];
+        alts = alts.concat(subAlts);
+      }
+      alts = alts.filter((alt) => this._isValid(alt.text));
+
+      // If nothing else works, a character may have been typed twice, or
+      // the code may be two codes written together.
+      if (alts.length === 0) {
+        alts = this._getRepeatFixes(text, start).concat(
+          this._getSplitFixes(text, start));
+      }
+    }
+    alts = alts.filter((alt) => this._isValid(alt.text));
+    return this._sortAndTrim(alts, maxAlts);
+
+  } // end _getTokenFixes
+
+
+  /**
+   * Finds the replacements for a unit code that is valid as it stands: the
+   * code itself and, if it is in all uppercase, e.g., the MG in MG/DL, its
+   * case fixes, since it may still have been entered in the wrong case.  If
+   * a case fix gives a different unit (mg rather than the megagauss of MG),
+   * the replacement that keeps the code is marked with a 'caseKept' count
+   * of 1, so that getCorrections can apply Ucum.correctionCaseKeptFactor_.
+   * This should only be called from within this class.
+   *
+   * @param code the unit code
+   * @param theUnit the unit for the code
+   * @param start the location of the code in the string passed to
+   *  getCorrections
+   * @returns an array of the valid replacements (see _getTokenFixes)
+   */
+  _getValidCodeFixes(code, theUnit, start) {
+    let kept = {'text': code, 'confidence': 1, 'fixes': []};
+    let alts = [kept];
+    if (code.toUpperCase() === code && code.toLowerCase() !== code) {
+      let caseAlts = this._getCaseFixes(code, start).filter(
+        (alt) => this._isValid(alt.text));
+      if (caseAlts.some((alt) => !this._getUnit(alt.text).equals(theUnit)))
+        kept.caseKept = 1;
+      alts = alts.concat(caseAlts);
+    }
+    return alts;
+  }
+
+
+  /**
+   * Finds the replacements for a string with a character typed twice,
+   * e.g., mgg or mmoll, by removing one of the repeated characters.  This
+   * should only be called from within this class.
+   *
+   * @param text the string, which has no annotation
+   * @param start the location of the string in the string passed to
+   *  getCorrections
+   * @returns an array of replacements (see _getTokenFixes)
+   */
+  _getRepeatFixes(text, start) {
+    let alts = [];
+    let end = start + text.length;
+    for (let i = 1; i < text.length; i++) {
+      let rep = text.substring(0, i) + text.substring(i + 1);
+      if (text.charAt(i) === text.charAt(i - 1) && !/\d/.test(text.charAt(i))
+          && (i === 1 || text.charAt(i) !== text.charAt(i - 2)) &&
+          this._getUnit(rep)) {
+        alts.push({'text': rep,
+          'confidence': Ucum.correctionConfidence_['REPEATED_CHARACTER'],
+          'fixes': [this._makeFix('REPEATED_CHARACTER', text, rep, start,
+            end)]});
+      }
+    }
+    return alts;
+
+  } // end _getRepeatFixes
+
+
+  /**
+   * Finds the replacements for a string that is two unit codes written
+   * together without an operator, e.g., mgdL, by inserting an operator
+   * between them.  Each code must be valid as it stands or with a case
+   * change.  As in _getBlankFixes, division is tried first.  The string is
+   * not split between two of the same character, e.g., mgg into mg and g,
+   * since that is much more likely to be a character typed twice (see
+   * _getRepeatFixes).  This should only be called from within this class.
+   *
+   * @param text the string, which has no annotation
+   * @param start the location of the string in the string passed to
+   *  getCorrections
+   * @returns an array of replacements (see _getTokenFixes)
+   */
+  _getSplitFixes(text, start) {
+    let alts = [];
+    let end = start + text.length;
+    let conf = Ucum.correctionConfidence_['MISSING_OPERATOR'];
+    for (let i = 1; i < text.length; i++) {
+      let left = text.substring(0, i);
+      let right = text.substring(i);
+      // A number before the code is handled by _getTokenFixes, and one
+      // after it is an exponent.
+      if (/^\d+$/.test(left) || /^[\d+-]/.test(right) ||
+          left.charAt(i - 1) === right.charAt(0))
+        continue;
+      let leftAlts = this._getPartFixes(left, start);
+      let rightAlts = leftAlts.length === 0 ? [] :
+        this._getPartFixes(right, start + i);
+      for (let l = 0; l < leftAlts.length; l++) {
+        for (let r = 0; r < rightAlts.length; r++) {
+          let lAlt = leftAlts[l];
+          let rAlt = rightAlts[r];
+          for (let op of ['/', '.']) {
+            let rep = lAlt.text + op + rAlt.text;
+            alts.push({'text': rep,
+              'confidence': lAlt.confidence * rAlt.confidence * conf,
+              'fixes': lAlt.fixes.concat(rAlt.fixes,
+                this._makeFix('MISSING_OPERATOR', text, rep, start, end)),
+              'caseKept': (lAlt.caseKept || 0) + (rAlt.caseKept || 0)});
+          }
+        }
+      }
+    }
+    return alts;
+
+  } // end _getSplitFixes
+
+
+  /**
+   * Finds the replacements for one of the unit codes in a string split by
+   * _getSplitFixes: those for the code, if it is valid (see
+   * _getValidCodeFixes), or else its valid case fixes.  This should only be
+   * called from within this class.
+   *
+   * @param code the unit code
+   * @param start the location of the code in the string passed to
+   *  getCorrections
+   * @returns an array of replacements (see _getTokenFixes)
+   */
+  _getPartFixes(code, start) {
+    let theUnit = this._getUnit(code);
+    return theUnit ? this._getValidCodeFixes(code, theUnit, start) :
+      this._getCaseFixes(code, start).filter((alt) => this._isValid(alt.text));
+  }
+
+
+  /**
+   * Finds the unit codes that may have been meant by a string that has no
+   * number, annotation or exponent: the code with a different case, with
+   * square brackets added, or the code for a unit with the string as its
+   * name or one of its synonyms.  This should only be called from within
+   * this class.
+   *
+   * @param code the string
+   * @param start the location of the string in the string passed to
+   *  getCorrections
+   * @returns an array of replacements (see _getTokenFixes), which may
+   *  include replacements that turn out not to be valid
+   */
+  _getCodeFixes(code, start) {
+    let end = start + code.length;
+    let conf = Ucum.correctionConfidence_;
+    // Case fixes
+    let alts = this._getCaseFixes(code, start);
+
+    // Only codes for single units are used, since the code for a unit defined
+    // by an expression, e.g., mg/dL, would change the meaning of the rest of
+    // the string it's put in.
+    let addAlt = (rep, confidence, fixCodes) => {
+      if (rep !== code && this._tokenize(rep).length === 1) {
+        alts.push({'text': rep, 'confidence': confidence,
+          'fixes': fixCodes.map((c) => this._makeFix(c, code, rep, start,
+            end))});
+      }
+    };
+
+    // Brackets added, with or without case fixes
+    let bracketCodes = this._getCiMatches(`[${code.toUpperCase()}]`);
+    for (let c = 0; c < bracketCodes.length; c++) {
+      let bCode = bracketCodes[c];
+      if (bCode === `[${code}]`)
+        addAlt(bCode, conf['BRACKETS_ADDED'], ['BRACKETS_ADDED']);
+      else {
+        addAlt(bCode, conf['BRACKETS_ADDED'] * conf['CASE_CHANGED'] *
+          Math.pow(0.98, this._countCaseChanges(`[${code}]`, bCode) - 1),
+          ['CASE_CHANGED', 'BRACKETS_ADDED']);
+      }
+    }
+
+    // Unit names, as is and in lowercase
+    let names = [[code, conf['UNIT_NAME_SUBSTITUTED'],
+                  ['UNIT_NAME_SUBSTITUTED']]];
+    if (code.toLowerCase() !== code) {
+      names.push([code.toLowerCase(),
+        conf['UNIT_NAME_SUBSTITUTED'] * conf['CASE_CHANGED'],
+        ['CASE_CHANGED', 'UNIT_NAME_SUBSTITUTED']]);
+    }
+    for (let n = 0; n < names.length; n++) {
+      let [name, confidence, fixCodes] = names[n];
+      let units = this.utabs_.getUnitByName(name);
+      if (units) {
+        for (let u = 0; u < units.length; u++)
+          addAlt(units[u].csCode_, confidence, fixCodes);
+      }
+      let synResp = this.utabs_.getUnitBySynonym(name);
+      if (synResp.units) {
+        for (let u = 0; u < synResp.units.length; u++) {
+          addAlt(synResp.units[u].csCode_, confidence *
+            conf['SYNONYM_SUBSTITUTED'] / conf['UNIT_NAME_SUBSTITUTED'],
+            fixCodes.slice(0, -1).concat('SYNONYM_SUBSTITUTED'));
+        }
+      }
+    }
+    return alts;
+
+  } // end _getCodeFixes
+
+
+  /**
+   * Finds the unit codes that may have been meant by a string entered in
+   * the wrong case.  The case-insensitive code of a unit is all uppercase,
+   * so this looks for units (with or without a prefix) whose
+   * case-insensitive code matches the uppercase version of the string.
+   * The fewer characters changed, the better.  This should only be called
+   * from within this class.
+   *
+   * @param code the string, which has no number, annotation or exponent
+   * @param start the location of the string in the string passed to
+   *  getCorrections
+   * @returns an array of replacements (see _getTokenFixes), which may
+   *  include replacements that turn out not to be valid
+   */
+  _getCaseFixes(code, start) {
+    let end = start + code.length;
+    let caseCodes = this._getCiMatches(code.toUpperCase());
+    return caseCodes.filter((c) => c !== code &&
+      this._tokenize(c).length === 1).map((c) => ({'text': c,
+        'confidence': Ucum.correctionConfidence_['CASE_CHANGED'] *
+          Math.pow(0.98, this._countCaseChanges(code, c) - 1),
+        'fixes': [this._makeFix('CASE_CHANGED', code, c, start, end)]}));
+  }
+
+
+  /**
+   * Finds the unit codes, with or without a prefix, whose case-insensitive
+   * code matches a string.  This should only be called from within this
+   * class.
+   *
+   * @param ciCode the (uppercase) string
+   * @returns an array of the case-sensitive codes found
+   */
+  _getCiMatches(ciCode) {
+    let codes = [];
+    let units = this.utabs_.getUnitsByCiCode(ciCode);
+    if (units)
+      codes = units.map((u) => u.csCode_);
+    let prefixes = this.pfxTabs_.allPrefixesByCode();
+    for (let p = 0; p < prefixes.length; p++) {
+      let pfx = prefixes[p];
+      let pfxCi = pfx.getCiCode();
+      if (pfxCi && ciCode.length > pfxCi.length &&
+          ciCode.indexOf(pfxCi) === 0) {
+        units = this.utabs_.getUnitsByCiCode(ciCode.substr(pfxCi.length));
+        if (units) {
+          for (let u = 0; u < units.length; u++) {
+            if (units[u].isMetric_)
+              codes.push(pfx.getCode() + units[u].csCode_);
+          }
+        }
+      }
+    }
+    return codes;
+  } // end _getCiMatches
+
+
+  /**
+   * Counts the characters that differ, by case only, between two strings
+   * of the same length.  This should only be called from within this class.
+   *
+   * @param str1 the first string
+   * @param str2 the second string
+   * @returns the number of characters that differ
+   */
+  _countCaseChanges(str1, str2) {
+    let count = 0;
+    for (let i = 0; i < str1.length; i++) {
+      if (str1.charAt(i) !== str2.charAt(i))
+        count++;
+    }
+    return count;
+  }
+
+
+  /**
+   * Checks whether or not a unit string is valid UCUM syntax exactly as it
+   * stands.  This should only be called from within this class.
+   *
+   * @param uStr the unit string
+   * @returns true if it is valid; false if it is not
+   */
+  _isValid(uStr) {
+    return this._getUnit(uStr) !== null;
+  }
+
+
+  /**
+   * Gets the unit for a unit string that is valid UCUM syntax exactly as it
+   * stands.  This should only be called from within this class.
+   *
+   * @param uStr the unit string
+   * @returns the unit, or null if the string is not valid
+   */
+  _getUnit(uStr) {
+    let resp = this.utils_.getSpecifiedUnit(uStr, 'validate', false,
+      {'strict': true});
+    return resp.status === 'valid' ? resp.unit : null;
+  }
+
+
+  /**
+   * Creates a new replacement from one found for part of a unit code, with
+   * a fix for the whole code added.  This should only be called from within
+   * this class.
+   *
+   * @param subAlt the replacement found for the part of the code
+   * @param rep the replacement text for the whole code
+   * @param code the kind of fix, one of the keys of Ucum.correctionConfidence_
+   * @param token the whole code
+   * @param start the location of the code in the string passed to
+   *  getCorrections
+   * @param end the index just past the end of the code
+   * @returns the new replacement
+   */
+  _addFix(subAlt, rep, code, token, start, end) {
+    return {'text': rep,
+            'confidence': subAlt.confidence * Ucum.correctionConfidence_[code],
+            'fixes': subAlt.fixes.concat(this._makeFix(code, token, rep,
+              start, end)),
+            'caseKept': subAlt.caseKept};
+  }
+
+
+  /**
+   * Creates a fix object.  This should only be called from within this
+   * class.
+   *
+   * @param code the kind of fix, one of the keys of Ucum.correctionConfidence_
+   * @param token the text that was changed
+   * @param replacement the text that replaced it
+   * @param start the location of the token in the string passed to
+   *  getCorrections
+   * @param end the index just past the end of the token
+   * @returns the fix object
+   */
+  _makeFix(code, token, replacement, start, end) {
+    return {'code': code, 'token': token, 'replacement': replacement,
+            'start': start, 'end': end};
+  }
+
+
+  /**
+   * Sorts replacements or candidates by confidence (highest first), removes
+   * any with the same text as one with a higher confidence, and keeps only
+   * the number requested.  This should only be called from within this
+   * class.
+   *
+   * @param alts the array of replacements or candidates
+   * @param maxLen the maximum number to be kept
+   * @returns the sorted array
+   */
+  _sortAndTrim(alts, maxLen) {
+    // Array.prototype.sort is stable, so alternatives with the same
+    // confidence stay in the order in which they were found.
+    alts.sort((a, b) => b.confidence - a.confidence);
+    let seen = {};
+    let ret = [];
+    for (let a = 0; a < alts.length && ret.length < maxLen; a++) {
+      if (!seen[alts[a].text]) {
+        seen[alts[a].text] = true;
+        ret.push(alts[a]);
+      }
+    }
+    return ret;
+  } // end _sortAndTrim
+
+} // end UnitCorrector class
@@ -0,0 +1,271 @@
+/**
+ * This class renders a unit expression, optionally with a value, for
+ * display, using the print symbols of its prefixes and unit atoms (e.g., μ
+ * for u and °C for Cel) and superscript exponents.  For example, kg.m2/s3
+ * is rendered as kg·m²/s³.  Three formats are supported:
+ *  'text' plain text, using Unicode superscript (and, where possible,
+ *    subscript) characters;
+ *  'html' HTML, using sup, sub and i elements; and
+ *  'latex' LaTeX math mode, e.g., \mathrm{kg}\cdot\mathrm{m}^{2}.
+ *
+ * The print symbols in the unit definitions contain HTML markup (sup, sub
+ * and i elements, and an r element for roman text within italic text),
+ * which is converted for each format.  The unit code is used for a unit
+ * atom that has no print symbol.
+ */
+
+var UnitTables = require('./unitTables.js').UnitTables;
+var PrefixTables = require('./prefixTables.js').PrefixTables;
+
+import * as intUtils_ from "./ucumInternalUtils.js";
+
+/**
+ * Unicode superscript and subscript characters, keyed by the characters
+ * they stand for.
+ */
+const SUPERSCRIPTS = {'0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+  '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻', '+': '⁺'};
+const SUBSCRIPTS = {'0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄',
+  '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉', '-': '₋', '+': '₊',
+  'a': 'ₐ', 'e': 'ₑ', 'h': 'ₕ', 'j': 'ⱼ', 'k': 'ₖ', 'l': 'ₗ', 'm': 'ₘ',
+  'n': 'ₙ', 'o': 'ₒ', 'p': 'ₚ', 'r': 'ᵣ', 's': 'ₛ', 't': 'ₜ', 'x': 'ₓ'};
+
+/**
+ * LaTeX commands for the non-ASCII characters used in print symbols.
+ */
+const LATEX_SYMBOLS = {'μ': '\\mu ', 'Ω': '\\Omega ', 'π': '\\pi ',
+  'ε': '\\varepsilon ', '°': '^{\\circ}', 'Å': '\\AA '};
+
+export class UnitFormatter {
+
+  /**
+   * Constructor.
+   */
+  constructor() {
+    this.utabs_ = UnitTables.getInstance();
+    this.pfxTabs_ = PrefixTables.getInstance();
+  }
+
+
+  /**
+   * Renders the abstract syntax tree for a unit expression (see
+   * UnitAstParser), optionally with a value.
+   *
+   * @param ast the 'term' node for the expression
+   * @param format 'text', 'html' or 'latex'
+   * @param value the value to be shown before the unit; optional.  If it
+   *  is undefined or null, only the unit is rendered.
+   * @returns the rendered unit (and value)
+   * @throws an error with a PROCESSING_ERROR code if the format is not one
+   *  of those listed above
+   */
+  format(ast, format, value) {
+    if (['text', 'html', 'latex'].indexOf(format) < 0) {
+      throw (intUtils_.makeCodedError('PROCESSING_ERROR',
+        `${format} is not a valid format; use text, html or latex.`));
+    }
+    let str = this._formatNode(ast, format);
+    if (value !== undefined && value !== null) {
+      let sep = format === 'latex' ? '\\,' : (format === 'html' ? '&nbsp;' :
+        ' ');
+      str = String(value) + sep + str;
+    }
+    return str;
+
+  } // end format
+
+
+  /**
+   * Renders a node of the abstract syntax tree.  This calls itself for the
+   * nodes within the node passed in.  This should only be called from
+   * within this class.
+   *
+   * @param node the node
+   * @param format 'text', 'html' or 'latex'
+   * @returns the rendered node
+   */
+  _formatNode(node, format) {
+    let str = '';
+    switch (node.type) {
+      case 'term':
+        for (let c = 0; c < node.components.length; c++) {
+          let comp = node.components[c];
+          if (comp.operator === '/')
+            str += (c === 0 ? '1' : '') + '/';
+          else if (comp.operator === '.')
+            str += format === 'latex' ? '\\cdot ' : '·';
+          str += this._formatNode(comp.node, format);
+        }
+        break;
+      case 'group':
+        str = format === 'latex' ?
+          '\\left(' + this._formatNode(node.term, format) + '\\right)' :
+          '(' + this._formatNode(node.term, format) + ')';
+        break;
+      case 'unit':
+      case 'factor':
+        if (node.type === 'factor') {
+          str = String(node.value);
+        }
+        else {
+          let sym = '';
+          if (node.prefix) {
+            let pfx = this.pfxTabs_.getPrefixByCode(node.prefix.code);
+            sym = (pfx && pfx.printSymbol_) || node.prefix.code;
+          }
+          let atom = this.utabs_.getUnitByCode(node.atom.code);
+          sym += (atom && atom.printSymbol_) || node.atom.code;
+          str = this._convertMarkup(sym, format);
+          if (format === 'latex')
+            str = '\\mathrm{' + str + '}';
+        }
+        if (node.exponent)
+          str += this._makeSuperscript(String(node.exponent.value), format);
+        if (node.annotation)
+          str += this._formatAnnotation(node.annotation.text, format);
+        break;
+      case 'annotation':
+        str = this._formatAnnotation(node.text, format);
+        break;
+    }
+    return str;
+
+  } // end _formatNode
+
+
+  /**
+   * Converts the HTML markup in a print symbol to the markup for a format.
+   * This should only be called from within this class.
+   *
+   * @param sym the print symbol
+   * @param format 'text', 'html' or 'latex'
+   * @returns the converted print symbol
+   */
+  _convertMarkup(sym, format) {
+    let str;
+    if (format === 'html') {
+      // The r element isn't HTML; the text in it is just not italic.
+      str = sym.replace(/<r>(.*?)<\/r>/g,
+        '<span style="font-style: normal">$1</span>');
+    }
+    else if (format === 'text') {
+      str = sym.replace(/<sup>(.*?)<\/sup>/g, (m, text) =>
+        this._makeSuperscript(text, format));
+      str = str.replace(/<sub>(.*?)<\/sub>/g, (m, text) =>
+        this._makeSubscript(this._stripTags(text)));
+      str = this._stripTags(str);
+    }
+    else {
+      // The text between the tags (and the unit code, for a unit atom with
+      // no print symbol) may contain characters that are special in LaTeX.
+      str = sym.replace(/(<[^>]*>)|([^<]+)/g, (m, tag, text) =>
+        tag || this._escapeLatex(text, true));
+      str = str.replace(/<r>(.*?)<\/r>/g, '\\mathrm{$1}');
+      str = str.replace(/<i>(.*?)<\/i>/g, '\\mathit{$1}');
+      str = str.replace(/<sup>(.*?)<\/sup>/g, '^{$1}');
+      str = str.replace(/<sub>(.*?)<\/sub>/g, '_{$1}');
+      str = str.replace(/[ \u00a0]/g, '\\ ');
+      str = str.replace(/[μΩπε°Å]/g, (ch) => LATEX_SYMBOLS[ch]);
+    }
+    return str;
+
+  } // end _convertMarkup
+
+
+  /**
+   * Renders text, e.g., an exponent, as a superscript.  This should only
+   * be called from within this class.
+   *
+   * @param text the text
+   * @param format 'text', 'html' or 'latex'
+   * @returns the superscript text
+   */
+  _makeSuperscript(text, format) {
+    let str;
+    if (format === 'html')
+      str = '<sup>' + text + '</sup>';
+    else if (format === 'latex')
+      str = '^{' + text + '}';
+    else {
+      str = text.split('').map((ch) => SUPERSCRIPTS[ch] || ch).join('');
+    }
+    return str;
+  }
+
+
+  /**
+   * Renders text as Unicode subscript characters, if there are subscript
+   * characters for all of it.  This should only be called from within
+   * this class.
+   *
+   * @param text the text
+   * @returns the subscript text, or the text passed in if it can't be
+   *  written with subscript characters
+   */
+  _makeSubscript(text) {
+    let chars = text.split('');
+    return chars.every((ch) => SUBSCRIPTS[ch]) ?
+      chars.map((ch) => SUBSCRIPTS[ch]).join('') : text;
+  }
+
+
+  /**
+   * Renders an annotation.  This should only be called from within this
+   * class.
+   *
+   * @param text the annotation, including the braces
+   * @param format 'text', 'html' or 'latex'
+   * @returns the rendered annotation
+   */
+  _formatAnnotation(text, format) {
+    let str = text;
+    if (format === 'html') {
+      str = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g,
+        '&gt;');
+    }
+    else if (format === 'latex') {
+      str = '\\text{' + this._escapeLatex(text, false) + '}';
+    }
+    return str;
+  }
+
+
+  /**
+   * Escapes the characters that are special in LaTeX (\ % # $ & _ { } ~ ^).
+   * This should only be called from within this class.
+   *
+   * @param text the text
+   * @param mathMode a boolean indicating whether the text will be in math
+   *  mode (e.g., in \mathrm{}) rather than text mode (e.g., in \text{}).
+   *  The backslash, tilde and caret can only be written with text mode
+   *  commands, which are wrapped in \text{} for math mode.
+   * @returns the escaped text
+   */
+  _escapeLatex(text, mathMode) {
+    return text.replace(/([\\{}&%$#_^~])/g, (m, ch) => {
+      let esc;
+      if (ch === '\\' || ch === '~' || ch === '^') {
+        esc = {'\\': '\\textbackslash{}', '~': '\\textasciitilde{}',
+          '^': '\\textasciicircum{}'}[ch];
+        if (mathMode)
+          esc = '\\text{' + esc + '}';
+      }
+      else
+        esc = '\\' + ch;
+      return esc;
+    });
+  }
+
+
+  /**
+   * Removes the HTML tags from a string.  This should only be called from
+   * within this class.
+   *
+   * @param str the string
+   * @returns the string without the tags
+   */
+  _stripTags(str) {
+    return str.replace(/<[^>]*>/g, '');
+  }
+
+} // end UnitFormatter class
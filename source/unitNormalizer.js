@@ -0,0 +1,176 @@
+/**
+ * This class converts a valid unit expression to a canonical form, so that
+ * expressions that mean the same unit, such as mg/dL, mg.dL-1 and
+ * (mg)/(dL), are written the same way.
+ *
+ * The expression is broken down, using its abstract syntax tree (see
+ * UnitAstParser), into its unit codes (with any prefix), annotations and
+ * numeric factors, each with an exponent.  Exponents for the same code are
+ * added together, and the terms with a positive exponent are written
+ * first, in code order, followed by a division operator and term for each
+ * term with a negative exponent, also in code order, e.g., kg.m2/s2.
+ * Since a division operator applies only to the term that follows it, no
+ * parentheses are needed.  Numeric factors are multiplied together and
+ * written first.
+ */
+
+var UnitAstParser = require('./unitAstParser.js').UnitAstParser;
+
+export class UnitNormalizer {
+
+  /**
+   * Constructor.
+   *
+   * @param utils the UcumLhcUtils object used to parse and validate the
+   *  unit expressions
+   */
+  constructor(utils) {
+    this.utils_ = utils;
+    this.astParser_ = new UnitAstParser();
+  }
+
+
+  /**
+   * Converts a unit expression to its canonical form.
+   *
+   * @param uStr the unit expression
+   * @param stripAnnotations a boolean indicating whether or not annotations
+   *  are to be removed from the expression; optional, defaults to false
+   * @param strict a boolean indicating whether or not the expression is to
+   *  be parsed in strict mode (see UnitString.parseString); optional,
+   *  defaults to false
+   * @returns a hash containing:
+   *  'status' 'valid', 'invalid' or 'error', as returned by
+   *    UcumLhcUtils.getSpecifiedUnit for the expression;
+   *  'ucumCode' the canonical form of the expression, or null if the
+   *    expression is not valid;
+   *  'retMsg' the messages returned by getSpecifiedUnit; and
+   *  'errors' the error objects returned by getSpecifiedUnit.
+   */
+  normalize(uStr, stripAnnotations, strict) {
+    let resp = this.utils_.getSpecifiedUnit(uStr, 'validate', false,
+      {'strict': !!strict});
+    let retObj = {'status': resp.status, 'ucumCode': null,
+      'retMsg': resp.retMsg, 'errors': resp.errors};
+    if (resp.status === 'valid') {
+      // Use the string returned by the parser, which has any unit names
+      // replaced by their codes, and so on.
+      let terms = {};
+      this._collectTerms(this.astParser_.buildAst(resp.origString), 1,
+        terms);
+      retObj.ucumCode = this._buildString(terms, !!stripAnnotations);
+    }
+    return retObj;
+
+  } // end normalize
+
+
+  /**
+   * Breaks (a node of) the AST for a unit expression down into its terms,
+   * adding the exponent of each term found to the exponent already in the
+   * terms hash for it.  This calls itself for the nodes within the node
+   * passed in.  This should only be called from within this class.
+   *
+   * @param node the AST node (see UnitAstParser)
+   * @param sign 1 if the terms found are to be multiplied in; -1 if they
+   *  are to be divided out
+   * @param terms the hash of terms found so far, keyed by the code and
+   *  annotation of each one.  Each term is a hash containing 'code',
+   *  'annotation', 'exp' and 'isNumber'.
+   */
+  _collectTerms(node, sign, terms) {
+    if (node.type === 'term') {
+      node.components.forEach((comp) => {
+        this._collectTerms(comp.node, comp.operator === '/' ? -sign : sign,
+          terms);
+      });
+    }
+    else if (node.type === 'group') {
+      this._collectTerms(node.term, sign, terms);
+    }
+    else {
+      let isNumber = node.type === 'factor';
+      let code = '';
+      if (isNumber)
+        code = String(node.value);
+      else if (node.type === 'unit')
+        code = (node.prefix ? node.prefix.code : '') + node.atom.code;
+      let annotation = node.type === 'annotation' ? node.text :
+        (node.annotation ? node.annotation.text : '');
+      let exp = node.exponent ? node.exponent.value : 1;
+      let key = (isNumber ? '#' : '') + code + annotation;
+      if (!terms[key]) {
+        terms[key] = {'code': code, 'annotation': annotation, 'exp': 0,
+          'isNumber': isNumber};
+      }
+      terms[key].exp += sign * exp;
+    }
+  } // end _collectTerms
+
+
+  /**
+   * Builds the canonical unit expression for a set of terms.  This should
+   * only be called from within this class.
+   *
+   * @param terms the hash of terms (see _collectTerms)
+   * @param stripAnnotations a boolean indicating whether or not annotations
+   *  are to be left out
+   * @returns the canonical unit expression
+   */
+  _buildString(terms, stripAnnotations) {
+    let numerator = 1;
+    let denominator = 1;
+    let unitTerms = {};
+    for (let key in terms) {
+      let term = terms[key];
+      if (term.isNumber) {
+        let val = Math.pow(Number(term.code), Math.abs(term.exp));
+        if (term.exp > 0)
+          numerator *= val;
+        else
+          denominator *= val;
+      }
+      else {
+        let annotation = stripAnnotations ? '' : term.annotation;
+        if (term.code !== '' || annotation !== '') {
+          let uKey = term.code + annotation;
+          if (!unitTerms[uKey]) {
+            unitTerms[uKey] = {'code': term.code, 'annotation': annotation,
+              'exp': 0};
+          }
+          unitTerms[uKey].exp += term.exp;
+        }
+      }
+    } // end do for each term
+
+    let keys = Object.keys(unitTerms).sort((a, b) =>
+      a < b ? -1 : (a > b ? 1 : 0));
+    let multTerms = numerator > 1 ? [String(numerator)] : [];
+    let divTerms = denominator > 1 ? [String(denominator)] : [];
+    for (let k = 0; k < keys.length; k++) {
+      let term = unitTerms[keys[k]];
+      if (term.exp !== 0) {
+        let absExp = Math.abs(term.exp);
+        let list = term.exp > 0 ? multTerms : divTerms;
+        // An annotation by itself can't take an exponent, and an exponent
+        // can't be added to a code that ends with a digit (e.g., 10*3), so
+        // repeat those.
+        if (absExp > 1 && (term.code === '' || /\d$/.test(term.code))) {
+          for (let e = 0; e < absExp; e++)
+            list.push(term.code + term.annotation);
+        }
+        else {
+          list.push(term.code + (absExp === 1 ? '' : absExp) +
+            term.annotation);
+        }
+      }
+    } // end do for each unit term
+
+    let str = multTerms.join('.');
+    if (divTerms.length > 0)
+      str += '/' + divTerms.join('/');
+    return str === '' ? '1' : str;
+
+  } // end _buildString
+
+} // end UnitNormalizer class
@@ -0,0 +1,479 @@
+/**
+ * This class defines units at run time, e.g., units used only at one site,
+ * from a code, a name and a definition based on units that are already
+ * defined, and adds them to (and removes them from) the unit tables.
+ *
+ * A unit is computed from its definition the way the units in the UCUM
+ * definitions file are (see UcumXmlDocument.parseUnitStrings): the
+ * definition is parsed to get the dimension and magnitude of the unit it
+ * describes, and that magnitude is multiplied by the magnitude specified for
+ * the new unit.  For example, a unit defined as 60 times {beats}/min has
+ * the dimension of 1/min and a magnitude 60 times that of 1/min.
+ * Arbitrary units, like those in the definitions file, have no dimension
+ * and are not commensurable with any other unit.
+ *
+ * A unit can also be a special unit, i.e., one on a non-ratio scale such
+ * as Cel, that uses a pair of conversion functions.  Its definition is then
+ * the unit of the ratio scale values the functions convert to and from, the
+ * way the units in the definitions file with a function element are
+ * defined.  The functions may be ones defined in UcumFunctions or ones
+ * registered with registerFunction.
+ *
+ * Registered units have 'CUSTOM' as their source, and only those can be
+ * unregistered.  Likewise only registered functions can be unregistered.
+ *
+ * This class also registers the conversions of arbitrary units, such as
+ * [IU], for particular analytes (see AnalyteTables).
+ */
+
+var Ucum = require('./config.js').Ucum;
+var Unit = require('./unit.js').Unit;
+var UnitTables = require('./unitTables.js').UnitTables;
+var LocaleTables = require('./localeTables.js').LocaleTables;
+var AnalyteTables = require('./analyteTables.js').AnalyteTables;
+
+import * as intUtils_ from "./ucumInternalUtils.js";
+import funcs from "./ucumFunctions.js";
+
+export class UnitRegistry {
+
+  /**
+   * Constructor.
+   *
+   * @param utils the UcumLhcUtils object used to parse the definitions and
+   *  to check the codes of the units to be registered
+   */
+  constructor(utils) {
+    this.utils_ = utils;
+    this.utabs_ = UnitTables.getInstance();
+    this.localeTabs_ = LocaleTables.getInstance();
+    this.analyteTabs_ = AnalyteTables.getInstance();
+  }
+
+
+  /**
+   * Defines a unit and adds it to the unit tables.
+   *
+   * @param unitDef a hash that defines the unit.  See
+   *  UcumLhcUtils.registerUnit for its contents.
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the unit was added, or 'failed' if not;
+   *  'unit' the unit object added, or null if none was added;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the unit was added; and
+   *  'errors' an array of error objects, one for each message
+   */
+  register(unitDef, locale) {
+    let retObj = {'status': 'failed', 'unit': null, 'msg': [], 'errors': []};
+    let def = unitDef || {};
+    let code = def.code;
+    let ciCode = def.ciCode || (typeof code === 'string' ?
+      code.toUpperCase() : null);
+    let definition = def.definition === undefined || def.definition === null ?
+      '1' : String(def.definition);
+    let magnitude = def.magnitude === undefined || def.magnitude === null ?
+      1 : def.magnitude;
+
+    if (typeof code !== 'string' || code === '') {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION', 'noRegisterCodeMsg',
+        null, locale);
+    }
+    else if (!this._isValidCode(code)) {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+        'invalidRegisterCodeMsg', {'code': code}, locale, code);
+    }
+    else if (this.utabs_.getUnitByCode(code)) {
+      this._addMessage(retObj, 'UNIT_CODE_EXISTS', 'unitCodeExistsMsg',
+        {'code': code}, locale, code);
+    }
+    else if (this.utabs_.getUnitsByCiCode(ciCode)) {
+      this._addMessage(retObj, 'UNIT_CODE_EXISTS', 'unitCiCodeExistsMsg',
+        {'ciCode': ciCode}, locale, code);
+    }
+    // e.g., a prefix and a unit code, such as kmol
+    else if (this.utils_.getSpecifiedUnit(code, 'validate', false,
+        {'strict': true}).status === 'valid') {
+      this._addMessage(retObj, 'UNIT_CODE_EXISTS', 'unitExpressionExistsMsg',
+        {'code': code}, locale, code);
+    }
+    if (typeof def.name !== 'string' || def.name.trim() === '') {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION', 'noRegisterNameMsg',
+        {'code': code}, locale);
+    }
+    if (typeof magnitude !== 'number' || !isFinite(magnitude) ||
+        magnitude <= 0) {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+        'invalidRegisterMagnitudeMsg', {'code': code}, locale);
+    }
+    let cnv = def.function || null;
+    if (cnv && def.isArbitrary) {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+        'arbitraryRegisterFunctionMsg', {'code': code}, locale);
+    }
+    else if (cnv && (typeof cnv !== 'string' || !funcs.isDefined(cnv))) {
+      this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+        'unknownRegisterFunctionMsg', {'code': code, 'function': cnv},
+        locale);
+    }
+
+    let attrs = {
+      'isBase_': false,
+      'source_': 'CUSTOM',
+      'name_': typeof def.name === 'string' ? def.name.trim() : '',
+      'csCode_': code,
+      'ciCode_': ciCode,
+      'property_': def.property || '',
+      'printSymbol_': def.printSymbol || null,
+      'isMetric_': !!def.isMetric,
+      'isArbitrary_': !!def.isArbitrary,
+      'synonyms_': Array.isArray(def.synonyms) ? def.synonyms.join('; ') :
+        (def.synonyms || null),
+      'guidance_': def.guidance || null,
+      'category_': def.category || null,
+      'csUnitString_': definition,
+      'ciUnitString_': definition.toUpperCase(),
+      'baseFactorStr_': String(magnitude),
+      'baseFactor_': magnitude,
+      'cnv_': cnv,
+      'isSpecial_': !!cnv
+    };
+
+    // Arbitrary units have no dimension (see parseUnitStrings), and a
+    // definition of 1 is just a number.
+    if (attrs['isArbitrary_']) {
+      attrs['magnitude_'] = 1;
+      attrs['dim_'] = null;
+    }
+    else if (definition === '1') {
+      attrs['magnitude_'] = magnitude;
+      attrs['dim_'] = null;
+    }
+    else {
+      let resp = this.utils_.getSpecifiedUnit(definition, 'validate', false,
+        {'strict': true});
+      let defUnit = resp['unit'];
+      if (resp.status !== 'valid' || !defUnit) {
+        this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+          'invalidRegisterDefinitionMsg', {'code': code,
+            'definition': definition}, locale, definition);
+      }
+      else if (defUnit.cnv_) {
+        this._addMessage(retObj, 'INVALID_UNIT_DEFINITION',
+          'specialRegisterDefinitionMsg', {'code': code,
+            'definition': definition}, locale, definition);
+      }
+      else {
+        attrs['dim_'] = defUnit.dim_.clone();
+        attrs['magnitude_'] = defUnit.magnitude_ * magnitude;
+        attrs['moleExp_'] = defUnit.moleExp_;
+        attrs['equivalentExp_'] = defUnit.equivalentExp_;
+        attrs['isArbitrary_'] = defUnit.isArbitrary_;
+      }
+    }
+
+    if (retObj['errors'].length === 0) {
+      let newUnit = new Unit(attrs);
+      this.utabs_.addUnit(newUnit);
+      retObj['status'] = 'succeeded';
+      retObj['unit'] = newUnit;
+    }
+    return retObj;
+
+  } // end register
+
+
+  /**
+   * Removes a unit added by register from the unit tables.
+   *
+   * @param code the code of the unit
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the unit was removed, or 'failed' if no unit
+   *    with the code was registered;
+   *  'unit' the unit object removed, or null if none was removed;
+   *  'msg' an array containing a message if the unit was not removed; and
+   *  'errors' an array of error objects, one for each message
+   */
+  unregister(code, locale) {
+    let retObj = {'status': 'failed', 'unit': null, 'msg': [], 'errors': []};
+    let theUnit = this.utabs_.getUnitByCode(code);
+    if (!theUnit || theUnit.source_ !== 'CUSTOM') {
+      this._addMessage(retObj, 'UNIT_NOT_REGISTERED', 'unitNotRegisteredMsg',
+        {'code': code}, locale, code);
+    }
+    else {
+      retObj['unit'] = this.utabs_.removeUnit(code);
+      retObj['status'] = 'succeeded';
+    }
+    return retObj;
+
+  } // end unregister
+
+
+  /**
+   * Adds a pair of conversion functions for special units, after checking
+   * that they are inverses of each other at a set of sample points.
+   *
+   * @param funcDef a hash that defines the functions.  See
+   *  UcumLhcUtils.registerFunction for its contents.
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the functions were added, or 'failed' if not;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the functions were added; and
+   *  'errors' an array of error objects, one for each message
+   */
+  registerFunction(funcDef, locale) {
+    let retObj = {'status': 'failed', 'msg': [], 'errors': []};
+    let def = funcDef || {};
+    let name = def.name;
+    let points = def.samplePoints === undefined || def.samplePoints === null ?
+      Ucum.functionSamplePoints_ : def.samplePoints;
+    let tolerance = typeof def.tolerance === 'number' ? def.tolerance :
+      Ucum.functionTolerance_;
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      this._addMessage(retObj, 'INVALID_FUNCTION_DEFINITION',
+        'noRegisterFunctionNameMsg', null, locale);
+    }
+    else if (funcs.isDefined(name)) {
+      this._addMessage(retObj, 'FUNCTION_EXISTS', 'functionExistsMsg',
+        {'name': name}, locale, name);
+    }
+    if (typeof def.cnvTo !== 'function' || typeof def.cnvFrom !== 'function') {
+      this._addMessage(retObj, 'INVALID_FUNCTION_DEFINITION',
+        'noFunctionPairMsg', {'name': name}, locale, name);
+    }
+    else if (!Array.isArray(points) || points.length === 0 ||
+        !points.every((p) => typeof p === 'number' && isFinite(p))) {
+      this._addMessage(retObj, 'INVALID_FUNCTION_DEFINITION',
+        'invalidSamplePointsMsg', {'name': name}, locale, name);
+    }
+    else {
+      this._checkInverse(retObj, name, def.cnvTo, def.cnvFrom, points,
+        tolerance, locale);
+    }
+
+    if (retObj['errors'].length === 0) {
+      funcs.addFunction(name, def.cnvTo, def.cnvFrom);
+      retObj['status'] = 'succeeded';
+    }
+    return retObj;
+
+  } // end registerFunction
+
+
+  /**
+   * Removes a pair of functions added by registerFunction.  Functions that
+   * are used by a unit in the unit tables cannot be removed; the units must
+   * be unregistered first.
+   *
+   * @param name the name of the functions
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the functions were removed, or 'failed' if
+   *    not;
+   *  'msg' an array containing a message if the functions were not
+   *    removed; and
+   *  'errors' an array of error objects, one for each message
+   */
+  unregisterFunction(name, locale) {
+    let retObj = {'status': 'failed', 'msg': [], 'errors': []};
+    if (typeof name !== 'string' || !funcs.isCustom(name)) {
+      this._addMessage(retObj, 'FUNCTION_NOT_REGISTERED',
+        'functionNotRegisteredMsg', {'name': name}, locale, name);
+    }
+    else {
+      let lcName = name.toLowerCase();
+      let users = this.utabs_.allUnitsByDef().filter((u) =>
+        u.cnv_ && u.cnv_.toLowerCase() === lcName).map((u) => u.csCode_);
+      if (users.length > 0) {
+        this._addMessage(retObj, 'FUNCTION_IN_USE', 'functionInUseMsg',
+          {'name': name, 'codes': users.join(', ')}, locale, name);
+      }
+      else {
+        funcs.removeFunction(name);
+        retObj['status'] = 'succeeded';
+      }
+    }
+    return retObj;
+
+  } // end unregisterFunction
+
+
+  /**
+   * Adds the conversion of an arbitrary unit for an analyte.
+   *
+   * @param convDef a hash that defines the conversion.  See
+   *  UcumLhcUtils.registerAnalyteConversion for its contents.
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the conversion was added, or 'failed' if not;
+   *  'msg' an array of messages describing the problems found, which is
+   *    empty if the conversion was added; and
+   *  'errors' an array of error objects, one for each message
+   */
+  registerAnalyteConversion(convDef, locale) {
+    let retObj = {'status': 'failed', 'msg': [], 'errors': []};
+    let def = convDef || {};
+    let analyte = def.analyte;
+    let code = def.code;
+    let params = {'analyte': analyte, 'code': code, 'unit': def.unit};
+
+    if (typeof analyte !== 'string' || analyte.trim() === '') {
+      this._addMessage(retObj, 'INVALID_ANALYTE_CONVERSION', 'noAnalyteMsg',
+        null, locale);
+    }
+    let arbUnit = typeof code === 'string' ? this.utabs_.getUnitByCode(code) :
+      null;
+    if (!arbUnit || !arbUnit.isArbitrary_) {
+      this._addMessage(retObj, 'INVALID_ANALYTE_CONVERSION',
+        'notArbitraryCodeMsg', params, locale, code);
+    }
+    else if (this.analyteTabs_.getConversion(analyte, code)) {
+      this._addMessage(retObj, 'ANALYTE_CONVERSION_EXISTS',
+        'analyteConversionExistsMsg', params, locale, code);
+    }
+    if (typeof def.value !== 'number' || !isFinite(def.value) ||
+        def.value <= 0) {
+      this._addMessage(retObj, 'INVALID_ANALYTE_CONVERSION',
+        'invalidAnalyteValueMsg', params, locale);
+    }
+    let resp = typeof def.unit === 'string' ?
+      this.utils_.getSpecifiedUnit(def.unit, 'validate', false,
+        {'strict': true}) : {};
+    let equivUnit = resp['unit'];
+    if (resp.status !== 'valid' || !equivUnit || equivUnit.isArbitrary_ ||
+        equivUnit.cnv_) {
+      this._addMessage(retObj, 'INVALID_ANALYTE_CONVERSION',
+        'invalidAnalyteUnitMsg', params, locale, def.unit);
+    }
+
+    if (retObj['errors'].length === 0) {
+      this.analyteTabs_.addConversion(analyte, code, def.value, def.unit);
+      retObj['status'] = 'succeeded';
+    }
+    return retObj;
+
+  } // end registerAnalyteConversion
+
+
+  /**
+   * Removes a conversion added by registerAnalyteConversion.
+   *
+   * @param analyte the key of the analyte
+   * @param code the code of the arbitrary unit
+   * @param locale the code of the locale of the messages, or null for
+   *  English
+   * @returns a hash containing:
+   *  'status' 'succeeded' if the conversion was removed, or 'failed' if no
+   *    such conversion was registered;
+   *  'msg' an array containing a message if the conversion was not
+   *    removed; and
+   *  'errors' an array of error objects, one for each message
+   */
+  unregisterAnalyteConversion(analyte, code, locale) {
+    let retObj = {'status': 'failed', 'msg': [], 'errors': []};
+    if (this.analyteTabs_.removeConversion(analyte, code)) {
+      retObj['status'] = 'succeeded';
+    }
+    else {
+      this._addMessage(retObj, 'ANALYTE_CONVERSION_NOT_REGISTERED',
+        'analyteConversionNotRegisteredMsg', {'analyte': analyte,
+          'code': code}, locale, code);
+    }
+    return retObj;
+
+  } // end unregisterAnalyteConversion
+
+
+  /**
+   * Checks that a pair of functions are inverses of each other, i.e., that
+   * cnvFrom(cnvTo(x)) is x, for each of a set of sample values, and adds a
+   * message to the response object for the first value for which they are
+   * not.  This should only be called from within this class.
+   *
+   * @param retObj the response object
+   * @param name the name of the functions
+   * @param cnvTo the function that converts a ratio scale value
+   * @param cnvFrom the function that converts a value back to the ratio
+   *  scale
+   * @param points the sample values, which must be in the domain of cnvTo
+   * @param tolerance the largest relative difference allowed between a
+   *  sample value and the value returned for it
+   * @param locale the code of the locale of the message, or null
+   */
+  _checkInverse(retObj, name, cnvTo, cnvFrom, points, tolerance, locale) {
+    let failed = false;
+    for (let p = 0; p < points.length && !failed; p++) {
+      let x = points[p];
+      let result;
+      try {
+        let y = cnvTo(x);
+        result = (typeof y === 'number' && isFinite(y)) ? cnvFrom(y) : NaN;
+      }
+      catch (e) {
+        result = NaN;
+      }
+      if (typeof result !== 'number' || !isFinite(result)) {
+        failed = true;
+        this._addMessage(retObj, 'INVALID_FUNCTION_DEFINITION',
+          'functionFailedMsg', {'name': name, 'point': x}, locale, name);
+      }
+      else if (Math.abs(result - x) > tolerance * Math.max(Math.abs(x), 1)) {
+        failed = true;
+        this._addMessage(retObj, 'INVALID_FUNCTION_DEFINITION',
+          'functionNotInverseMsg', {'name': name, 'point': x,
+            'result': result}, locale, name);
+      }
+    }
+  } // end _checkInverse
+
+
+  /**
+   * Checks whether or not a string can be used as the code of a unit atom.
+   * A code cannot contain blanks, and cannot contain operators,
+   * parentheses or braces outside of square brackets, since those would
+   * break it up when it is used in a unit expression.  It also cannot start
+   * with a digit (which would be read as a number) or end with one (which
+   * would be read as an exponent) outside of square brackets.  This should
+   * only be called from within this class.
+   *
+   * @param code the code to be checked
+   * @returns true if the code can be used; false if not
+   */
+  _isValidCode(code) {
+    let outside = code.replace(/\[[^\[\]]*\]/g, '');
+    let ops = Ucum.validOps_.map((op) => '\\' + op).join('');
+    return !/\s/.test(code) &&
+      !new RegExp('[' + ops + '(){}\\[\\]]').test(outside) &&
+      !/^\d/.test(outside) && !/\d$/.test(outside);
+  } // end _isValidCode
+
+
+  /**
+   * Adds a message and its error object to a response object.  This should
+   * only be called from within this class.
+   *
+   * @param retObj the response object
+   * @param code the error code, one of the keys in Ucum.errorCodes_
+   * @param key the key of the message in Ucum.messages_
+   * @param params the values for the placeholders in the message
+   * @param locale the code of the locale of the message, or null
+   * @param token the part of the unit definition the message is about;
+   *  optional
+   */
+  _addMessage(retObj, code, key, params, locale, token) {
+    let msg = this.localeTabs_.getMessage(key, params, locale);
+    retObj['msg'].push(msg);
+    retObj['errors'].push(intUtils_.makeErrorObj(code, 'error', msg,
+      token || null, null, null));
+  } // end _addMessage
+
+} // end UnitRegistry class
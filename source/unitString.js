@@ -6,6 +6,7 @@ var Ucum = require('./config.js').Ucum;
 var Unit = require('./unit.js').Unit;
 var UnitTables = require('./unitTables.js').UnitTables;
 var PrefixTables = require('./prefixTables.js').PrefixTables;
+var LocaleTables = require('./localeTables.js').LocaleTables;
 
 import * as intUtils_ from "./ucumInternalUtils.js";
 
@@ -19,10 +20,12 @@ export class UnitString {
     // Get instances of the unit and prefix tables and the utilities
     this.utabs_ = UnitTables.getInstance();
     this.pfxTabs_ = PrefixTables.getInstance();
+    this.localeTabs_ = LocaleTables.getInstance();
 
     // Set emphasis characters to defaults.  These are used to emphasize
-    // certain characters or strings in user messages.  They can be reset in
-    // the useHTMLInMessages method.
+    // certain characters or strings in user messages when no message format
+    // is passed to parseString.  They can be reset in the (deprecated)
+    // useHTMLInMessages method.
     this.openEmph_ = Ucum.openEmph_;
     this.closeEmph_ = Ucum.closeEmph_;
 
@@ -51,6 +54,20 @@ export class UnitString {
     // Messages to be returned to the calling function
     this.retMsg_ = [] ;
 
+    // Error objects for the messages in this.retMsg_, plus one for each
+    // set of suggestions, to be returned to the calling function
+    this.retErrors_ = [] ;
+
+    // The unit string passed to parseString, used to find the location of
+    // the text that an error object refers to
+    this.origInput_ = '' ;
+
+    // The location in this.origInput_ of the text replaced by each
+    // annotation and parenthetical placeholder, keyed by the placeholder
+    // (e.g., parens_placeholder0parens_placeholder).  Each location is an
+    // array containing the start index and the index just past the end.
+    this.placeholderSpans_ = {} ;
+
     // Units for parenthetical unit strings
     this.parensUnits_ = [] ;
 
@@ -59,6 +76,21 @@ export class UnitString {
 
     // suggestions for unit strings that for which no unit was found
     this.suggestions = [] ;
+
+    // Flag indicating whether or not the current string is being parsed in
+    // strict mode, which is set when parseString is called.  In strict mode
+    // nothing is substituted for what was passed in; anything that is not
+    // valid UCUM syntax is reported as an error.
+    this.strict_ = false ;
+
+    // The locale of the messages and unit names for the current string,
+    // which is set when parseString is called.  Null for English.
+    this.locale_ = null ;
+
+    // The format of the messages for the current string ('text', 'html' or
+    // a formatter function), which is set when parseString is called.  Null
+    // if the emphasis strings above are to be used.
+    this.msgFormat_ = null ;
   } // end constructor
 
 
@@ -70,7 +102,11 @@ export class UnitString {
 
   /**
    * Sets the emphasis strings to the HTML used in the webpage display - or
-   * blanks them out, depending on the use parameter.
+   * blanks them out, depending on the use parameter.  These are used for
+   * every string parsed without a messageFormat option.
+   *
+   * @deprecated Pass the messageFormat option to parseString instead, which
+   *  affects only that call.
    *
    * @param use flag indicating whether or not to use the html message format;
    *  defaults to true
@@ -137,27 +173,90 @@ export class UnitString {
    *        Each array will contain the unit code, the unit name and the
    *        unit guidance (if any).
    *   The return array will not contain a suggestions array if a valid unit
-   *   was found or if suggestions were not requested.
-   * @throws an error if nothing was specified.
+   *   was found or if suggestions were not requested; and
+   *   an array of error objects (see makeErrorObj in ucumInternalUtils.js),
+   *     one for each message in the messages array plus one for each
+   *     suggestions hash, or an empty array.
+   * @param options a hash of optional settings; optional.  It may contain:
+   *  'strict' a boolean indicating whether or not the string is to be
+   *    parsed in strict mode.  In strict mode no substitutions are made
+   *    (e.g., [lb_av] for pound or 2.mg for 2mg), no suggestions are
+   *    looked for, no informational messages are returned, and leading and
+   *    trailing blanks are not removed.  Anything that is not valid UCUM
+   *    syntax is reported as an error and no unit is returned for it.
+   *    Defaults to false.
+   *  'locale' the code of the locale (e.g., 'es') of the messages and the
+   *    unit names to be returned (see LocaleTables).  English is used for
+   *    anything there is no bundle text for.  Defaults to English.
+   *  'messageFormat' how the emphasized parts of the messages are to be
+   *    shown: 'text' (surrounded by Ucum.openEmph_ and Ucum.closeEmph_),
+   *    'html' (in a span element; see Ucum.openEmphHTML_), or a function
+   *    that is passed the segments of a message (see getMessageSegments in
+   *    ucumInternalUtils.js) and returns its text.  Whatever the format,
+   *    the error objects returned contain the segments of their messages.
+   *    Defaults to the emphasis strings set by useHTMLInMessages.
+   * @throws an error if nothing was specified.  The error's code property
+   *  will contain one of the codes in Ucum.errorCodes_.
    */
-  parseString(uStr, valConv, suggest) {
+  parseString(uStr, valConv, suggest, options = {}) {
+
+    // The string is parsed by a separate parser object with the settings of
+    // this one, so that the data kept while parsing (the messages, error
+    // objects, suggestions and so on) belongs to this call only.  A call
+    // made while another is in progress, e.g., from a messageFormat
+    // function, cannot change the data of the other call.
+    let parser = new UnitString();
+    parser.openEmph_ = this.openEmph_;
+    parser.closeEmph_ = this.closeEmph_;
+    parser.bracesMsg_ = this.bracesMsg_;
+    return parser._parseString(uStr, valConv, suggest, options);
+
+  } // end parseString
 
+
+  /**
+   * Does the work of parseString, keeping the data for the string in this
+   * object.  This should only be called from within this class (or by test
+   * code).
+   *
+   * @param uStr the string defining the unit
+   * @param valConv 'validate' or 'convert'
+   * @param suggest a boolean indicating whether or not suggestions are
+   *  requested
+   * @param options a hash of optional settings (see parseString)
+   * @returns the array described for parseString
+   * @throws an error if nothing was specified (see parseString)
+   */
+  _parseString(uStr, valConv, suggest, options = {}) {
+
+    let { strict = false, locale = null, messageFormat = null } = options;
+    this.strict_ = strict;
+    this.locale_ = locale;
+    this.msgFormat_ = messageFormat;
+
+    // In strict mode leading and trailing blanks are reported like any
+    // other blank space instead of being removed.
+    if (strict && uStr.trim() !== '' && uStr.trim() !== uStr) {
+      throw (intUtils_.makeCodedError('BLANK_SPACE',
+        this._formatMsg(this._msg('blankSpaceMsg'))));
+    }
     uStr = uStr.trim();
     // Make sure we have something to work with
     if (uStr === '' || uStr === null) {
-      throw (new Error('Please specify a unit expression to be validated.'));
+      throw (intUtils_.makeCodedError('NO_UNIT_STRING',
+        this._formatMsg(this._msg('noUnitStringMsg'))));
     }
 
     if (valConv === 'validate') {
-      this.vcMsgStart_ = Ucum.valMsgStart_;
-      this.vcMsgEnd_ = Ucum.valMsgEnd_;
+      this.vcMsgStart_ = this._msg('valMsgStart');
+      this.vcMsgEnd_ = this._msg('valMsgEnd');
     }
     else {
-      this.vcMsgStart_ = Ucum.cnvMsgStart_;
-      this.vcMsgEnd_ = Ucum.cnvMsgEnd_;
+      this.vcMsgStart_ = this._msg('cnvMsgStart');
+      this.vcMsgEnd_ = this._msg('cnvMsgEnd');
     }
 
-    if (suggest === undefined || suggest === false) {
+    if (suggest === undefined || suggest === false || strict) {
       this.suggestions_ = null;
     }
     else {
@@ -165,8 +264,11 @@ export class UnitString {
     }
 
     this.retMsg_ = [];
+    this.retErrors_ = [];
     this.parensUnits_ = [];
     this.annotations_ = [] ;
+    this.origInput_ = uStr;
+    this.placeholderSpans_ = {} ;
 
     let origString = uStr;
     let retObj = [];
@@ -201,7 +303,8 @@ export class UnitString {
       // explicitly forbids spaces except in annotations, which is why any
       // annotations are extracted before this check is made.
       if (uStr.indexOf(' ') > -1) {
-        throw (new Error('Blank spaces are not allowed in unit expressions.'));
+        throw (intUtils_.makeCodedError('BLANK_SPACE',
+          this._formatMsg(this._msg('blankSpaceMsg'))));
       } // end if blanks were found in the string
 
       // assign the array returned to retObj.  It will contain 2 elements:
@@ -229,9 +332,10 @@ export class UnitString {
     retObj[2] = this.retMsg_;
     if (this.suggestions_ && this.suggestions_.length > 0)
       retObj[3] = this.suggestions_ ;
+    retObj[4] = this.retErrors_;
     return retObj;
 
-  } // end parseString
+  } // end _parseString
 
 
   /**
@@ -246,6 +350,8 @@ export class UnitString {
    *
    * @param uStr the string defining the unit
    * @param origString the original unit string passed in
+   * @param base the index in the string passed to parseString at which
+   *  uStr starts; optional, defaults to 0
    *
    * @returns
    *  an array containing:
@@ -261,7 +367,7 @@ export class UnitString {
    * the this.suggestions_ array may be populated by methods called within
    *   this one
    */
-  _parseTheString(uStr, origString) {
+  _parseTheString(uStr, origString, base = 0) {
 
     // Unit to be returned
     let finalUnit = null;
@@ -272,7 +378,7 @@ export class UnitString {
     // Call _processParens to search for and process any/all parenthetical
     // strings in uStr.  Units created for parenthetical strings will be
     // stored in the this.parensUnits_ array.
-    let parensResp = this._processParens(uStr, origString);
+    let parensResp = this._processParens(uStr, origString, base);
     endProcessing = parensResp[2];
 
     // The array used to hold the units and their operators.
@@ -285,7 +391,7 @@ export class UnitString {
 
       // Call _makeUnitsArray to convert the string to an array of unit
       // descriptors with operators.
-      let mkUArray = this._makeUnitsArray(uStr, origString);
+      let mkUArray = this._makeUnitsArray(uStr, origString, base);
 
       endProcessing = mkUArray[2] ;
       if (!endProcessing) {
@@ -296,6 +402,7 @@ export class UnitString {
         for (let u1 = 0; u1 < uLen; u1++) {
           //for (let u1 = 0; u1 < uLen && !endProcessing; u1++) {
           let curCode = uArray[u1]['un'];
+          let curSpan = [uArray[u1]['start'], uArray[u1]['end']];
 
           // Determine the type of the "un" attribute of the current array element
 
@@ -311,7 +418,7 @@ export class UnitString {
             // If so, call _getParens to process the string and get the unit.
 
             if (curCode.indexOf(this.parensFlag_) >= 0) {
-              let parenUnit = this._getParensUnit(curCode, origString);
+              let parenUnit = this._getParensUnit(curCode, origString, curSpan);
               // if we couldn't process the string, set the end flag and bypass
               // further processing.
               if (!endProcessing)
@@ -328,7 +435,7 @@ export class UnitString {
             // Else it's not a parenthetical unit and not a number. Call
             // _makeUnit to create a unit for it.
             else {
-              let uRet = this._makeUnit(curCode, origString);
+              let uRet = this._makeUnit(curCode, origString, curSpan);
               // If we didn't get a unit, set the endProcessing flag.
               if (uRet[0] === null) {
                 endProcessing = true;
@@ -350,9 +457,9 @@ export class UnitString {
            uArray[0]['un'] === undefined || uArray[0]['un'] === null)
           && this.retMsg_.length === 0) {
         // not sure what this might be, but this is a safeguard
-        this.retMsg_.push(`Unit string (${origString}) did not contain ` +
-          `anything that could be used to create a unit, or else something ` +
-          `that is not handled yet by this package.  Sorry`);
+        this._addMessage('EMPTY_EXPRESSION', 'error',
+          this._msg('emptyExpressionMsg', {'unitString': origString}),
+          origString);
         endProcessing = true;
       }
     }
@@ -375,31 +482,38 @@ export class UnitString {
    * the this.retMsg_ array will be updated with any user messages
    *   (informational, error or warning) generated by this or called methods
    * the this.annotations_ array is populated by this method
+   * the this.placeholderSpans_ hash is updated with the location of each
+   *   annotation replaced by a placeholder
    */
   _getAnnotations(uString) {
     let openBrace = uString.indexOf('{');
     while (openBrace >= 0) {
 
       let closeBrace = uString.indexOf('}');
+      let braceStart = this._origPos(uString, openBrace, 0);
       if (closeBrace < 0) {
-        this.retMsg_.push('Missing closing brace for annotation starting at ' +
-          this.openEmph_ + uString.substr(openBrace) +
-          this.closeEmph_);
+        this._addMessage('MISSING_CLOSE_BRACE', 'error',
+          this._msg('missingCloseBraceMsg',
+            {'text': uString.substr(openBrace)}), uString.substr(openBrace),
+          [braceStart, this._origPos(uString, uString.length, 0, true)]);
         openBrace = -1;
       }
       else {
         let braceStr = uString.substring(openBrace, closeBrace + 1);
+        let braceSpan = [braceStart, braceStart + braceStr.length];
         // Check for valid characters in the annotation.
         if (!UnitString.VALID_ANNOTATION_REGEX.test(braceStr)) {
-          this.retMsg_.push(UnitString.INVALID_ANNOTATION_CHAR_MSG +
-            this.openEmph_ + braceStr + this.closeEmph_);
+          this._addMessage('INVALID_ANNOTATION_CHAR', 'error',
+            this._msg('invalidAnnotationCharMsg', {'text': braceStr}),
+            braceStr, braceSpan);
           openBrace = -1; // end search for annotations
         }
         else {
           let aIdx = this.annotations_.length.toString();
-          uString = uString.replace(braceStr, this.braceFlag_ + aIdx +
-            this.braceFlag_);
+          let placeholder = this.braceFlag_ + aIdx + this.braceFlag_;
+          uString = uString.replace(braceStr, placeholder);
           this.annotations_.push(braceStr);
+          this.placeholderSpans_[placeholder] = braceSpan;
           openBrace = uString.indexOf('{');
         }
       }
@@ -408,10 +522,13 @@ export class UnitString {
     // check for a stray/unmatched closing brace
     if (this.retMsg_.length == 0) { // if there were no other errors above
       let closeBrace = uString.indexOf('}');
-      if (closeBrace >= 0)
-        this.retMsg_.push('Missing opening brace for closing brace found at ' +
-          this.openEmph_ + uString.substring(0, closeBrace + 1) +
-          this.closeEmph_);
+      if (closeBrace >= 0) {
+        let closeStart = this._origPos(uString, closeBrace, 0);
+        this._addMessage('MISSING_OPEN_BRACE', 'error',
+          this._msg('missingOpenBraceMsg',
+            {'text': uString.substring(0, closeBrace + 1)}), '}',
+          [closeStart, closeStart + 1]);
+      }
     }
     return uString;
   } // end _getAnnotations
@@ -435,6 +552,8 @@ export class UnitString {
    *  string the first time this is called and parenthesized strings on any
    *  subsequent calls
    * @param origString the original string first passed in to parseString
+   * @param base the index in the string passed to parseString at which
+   *  uString starts; optional, defaults to 0
    * @returns
    *  an array containing:
    *   the string after the parentheses are replaced;
@@ -446,8 +565,10 @@ export class UnitString {
    *   (informational, error or warning) generated by this or called methods
    * this this.parensUnits_ array will be populated with units found for
    *   parenthetical unit strings
+   * the this.placeholderSpans_ hash is updated with the location of each
+   *   parenthetical string replaced by a placeholder
    */
-  _processParens(uString, origString) {
+  _processParens(uString, origString, base = 0) {
 
     // Unit strings array and index
     let uStrArray = [];
@@ -476,13 +597,12 @@ export class UnitString {
       if (openPos < 0) {
         let closePos = uString.indexOf(')');
         if (closePos >= 0) {
-          let theMsg = `Missing open parenthesis for close ` +
-            `parenthesis at ${uString.substring(0, closePos + trimmedCt)}` +
-            `${this.openEmph_}${uString.substr(closePos, 1)}${this.closeEmph_}`;
-          if (closePos < uString.length - 1) {
-            theMsg += `${uString.substr(closePos + 1)}`;
-          }
-          this.retMsg_.push(theMsg);
+          let theMsg = this._msg('missingOpenParenMsg',
+            {'before': uString.substring(0, closePos + trimmedCt),
+             'after': uString.substr(closePos + 1)});
+          let closeStart = this._origPos(uString, closePos, base);
+          this._addMessage('MISSING_OPEN_PAREN', 'error', theMsg, ')',
+            [closeStart, closeStart + 1]);
           uStrArray[uStrAryPos] = uString;
           stopProcessing = true;
         } // end if a close parenthesis was found
@@ -528,21 +648,33 @@ export class UnitString {
         // the position of the closing parenthesis for this group, to be
         // processed by the next iteration of this loop.  If there's nothing
         // left uString is set to "".
+        let openStart = this._origPos(uString, openPos, base);
         if (openCt === closeCt) {
           closePos = c;
-          uStrArray[uStrAryPos++] = this.parensFlag_ + pu.toString() + this.parensFlag_;
+          let placeholder = this.parensFlag_ + pu.toString() + this.parensFlag_;
+          let parensSpan = [openStart,
+            this._origPos(uString, closePos, base, true)];
+          uStrArray[uStrAryPos++] = placeholder;
           let parseResp = this._parseTheString(
-            uString.substring(openPos + 1, closePos - 1), origString);
+            uString.substring(openPos + 1, closePos - 1), origString,
+            this._origPos(uString, openPos + 1, base));
           if (parseResp[0] === null)
             stopProcessing = true;
           else if (uString[openPos + 1] === '/') {
             // If the term inside the parenthesis starts with '/', fail the validation. See LF-2854.
-            this.retMsg_.push("Unary operator '/' is only allowed at the beginning of the main term, not inside a parenthesis.");
+            this._addMessage('UNARY_DIVISION_IN_PARENS', 'error',
+              this._msg('unaryDivisionInParensMsg'), '(/',
+              [openStart, openStart + 2]);
             stopProcessing = true;
           }
           else {
             origString = parseResp[1];
             this.parensUnits_[pu++] = parseResp[0];
+            // Record the location after the parenthetical string is parsed,
+            // because any placeholders used for nested parentheses may use
+            // the same index.
+            this.placeholderSpans_[placeholder] = parensSpan;
+            base = parensSpan[1];
             uString = uString.substr(closePos);
             trimmedCt = closePos;
           }
@@ -552,10 +684,11 @@ export class UnitString {
         // an error.
         else {
           uStrArray.push(origString.substr(openPos));
-          this.retMsg_.push(`Missing close parenthesis for open parenthesis at ` +
-            `${origString.substring(0, openPos + trimmedCt)}` +
-            `${this.openEmph_}${origString.substr(openPos, 1)}` +
-            `${this.closeEmph_}${origString.substr(openPos + 1)}`);
+          this._addMessage('MISSING_CLOSE_PAREN', 'error',
+            this._msg('missingCloseParenMsg',
+              {'before': origString.substring(0, openPos + trimmedCt),
+               'after': origString.substr(openPos + 1)}), '(',
+            [openStart, openStart + 1]);
           stopProcessing = true;
         }
       } // end if an open parenthesis was found
@@ -576,16 +709,21 @@ export class UnitString {
    *
    * @param uStr the unit string being parsed
    * @param origString the original string passed to parseString
+   * @param base the index in the string passed to parseString at which
+   *  uStr starts; optional, defaults to 0
    * @returns
    *  an array containing:
-   *    the array representing the unit string;
+   *    the array representing the unit string.  Each element is a hash
+   *      containing the operator ('op'), the unit string ('un'), and the
+   *      location of the unit string in the string passed to parseString
+   *      ('start' and 'end', where end is the index just past the string);
    *    the original string passed in, possibly updated with corrections; and
    *    and a flag indicating whether or not processing can continue.
    *
    * the this.retMsg_ array will be updated with any user messages
    *   (informational, error or warning) generated by this or called methods
    */
-  _makeUnitsArray(uStr, origString) {
+  _makeUnitsArray(uStr, origString, base = 0) {
 
     // Separate the string into pieces based on delimiters / (division) and .
     // (multiplication).  The idea is to get an array of units on which we
@@ -596,19 +734,29 @@ export class UnitString {
     let uArray = [];
     let startNumCheck = /(^[0-9]+)(\[?[a-zA-Z\_0-9a-zA-Z\_]+\]?$)/ ;
 
+    // Get the location of each piece in the string passed to parseString
+    let spans = [];
+    let pieceStart = 0;
+    for (let p = 0; p < uArray1.length; p++) {
+      let pieceEnd = pieceStart + uArray1[p].length;
+      spans.push([this._origPos(uStr, pieceStart, base),
+                  this._origPos(uStr, pieceEnd, base, true)]);
+      pieceStart = pieceEnd;
+    }
+
     // If the first element in the array is the division operator (/), the
     // string started with '/'.  Add a first element containing 1 to the
     // array, which will cause the correct computation to be performed (inversion).
     if (uArray1[0] === "/") {
       uArray1.unshift("1");
+      spans.unshift([spans[0][0], spans[0][0]]);
     }
     // If the first element in the array is the multiplication operator (.)
     // return an error.
     else if (uArray1[0] === '.') {
-      this.retMsg_.push(`${origString} is not a valid UCUM code. ` +
-          `The multiplication operator at the beginning of the expression is ` +
-          `not valid. A multiplication operator must appear only between ` +
-          `two codes.`);
+      this._addMessage('LEADING_MULTIPLICATION', 'error',
+          this._msg('leadingMultiplicationMsg', {'unitString': origString}),
+          '.', spans[0]);
       endProcessing = true ;
     }
     if (!endProcessing) {
@@ -622,20 +770,34 @@ export class UnitString {
         if (numRes && numRes.length === 3 && numRes[1] !== '' &&
           numRes[2] !== '' && numRes[2].indexOf(this.braceFlag_) !== 0) {
           let dispVal = numRes[2] ;
+          let elemSpan = spans[0];
+          let unitStart = elemSpan[0] + numRes[1].length;
 
+          if (this.strict_) {
+            this._addStrictError('MISSING_MULTIPLICATION',
+              this._msg('multiplicationRequiredMsg', {'number': numRes[1]}),
+              elemSpan);
+            endProcessing = true;
+          }
           if (!endProcessing && numRes[2].indexOf(this.parensFlag_) !== -1) {
-            let parensback = this._getParensUnit(numRes[2], origString);
+            let parensback = this._getParensUnit(numRes[2], origString,
+              [unitStart, elemSpan[1]]);
             numRes[2] = parensback[0]['csCode_'];
             dispVal = `(${numRes[2]})`;
             endProcessing = parensback[1];
           }
           if (!endProcessing) {
-            this.retMsg_.push(`${numRes[1]}${dispVal} is not a valid UCUM code.` +
-              `  ${this.vcMsgStart_}${numRes[1]}.${dispVal}${this.vcMsgEnd_}`);
+            this._addMessage('MISSING_MULTIPLICATION', 'warning',
+              this._msg('missingMultiplicationMsg',
+                {'code': `${numRes[1]}${dispVal}`,
+                 'suggestion': `${numRes[1]}.${dispVal}`}),
+              `${numRes[1]}${dispVal}`, elemSpan);
             origString = origString.replace(`${numRes[1]}${dispVal}`,
               `${numRes[1]}.${dispVal}`);
             uArray1[0] = numRes[2];
             uArray1.unshift(numRes[1], '.');
+            spans.splice(0, 1, [elemSpan[0], unitStart],
+              [unitStart, unitStart], [unitStart, elemSpan[1]]);
           }
         }
       } // end if the first element is not a number (only)
@@ -649,27 +811,30 @@ export class UnitString {
       // and the multiplication operator (.).
       if (!endProcessing) {
         let u1 = uArray1.length;
-        uArray = [{op: "", un: uArray1[0]}];
+        uArray = [{op: "", un: uArray1[0], start: spans[0][0],
+                   end: spans[0][1]}];
         for (let n = 1; n < u1; n++) {
 
           // check to make sure that we don't have two operators together, e.g.,
           // mg./K.  If so, let the user know the problem.
+          let opSpan = spans[n];
           let theOp = uArray1[n++];
+          let elemSpan = spans[n];
           // oh wait - check to make sure something is even there, that the
           // user didn't end the expression with an operator.
           if (!uArray1[n]) {
-            this.retMsg_.push(`${origString} is not a valid UCUM code. ` +
-              `It is terminated with the operator ${this.openEmph_}` +
-              `${theOp}${this.closeEmph_}.`);
+            this._addMessage('TRAILING_OPERATOR', 'error',
+              this._msg('trailingOperatorMsg',
+                {'unitString': origString, 'operator': theOp}), theOp,
+              opSpan);
             n = u1;
             endProcessing = true;
           }
           else if (Ucum.validOps_.indexOf(uArray1[n]) !== -1) {
-            this.retMsg_.push(`${origString} is not a valid UCUM code. ` +
-              `A unit code is missing between${this.openEmph_}` +
-              `${theOp}${this.closeEmph_}and${this.openEmph_}` +
-              `${uArray1[n]}${this.closeEmph_}in${this.openEmph_}` +
-              `${theOp}${uArray1[n]}${this.closeEmph_}.`);
+            this._addMessage('MISSING_UNIT_CODE', 'error',
+              this._msg('missingUnitCodeMsg', {'unitString': origString,
+                'operator1': theOp, 'operator2': uArray1[n]}),
+              `${theOp}${uArray1[n]}`, [opSpan[0], elemSpan[1]]);
             n = u1;
             endProcessing = true;
           }
@@ -687,29 +852,50 @@ export class UnitString {
               if (numRes2 && numRes2.length === 3 && numRes2[1] !== '' &&
                 numRes2[2] !== '' && numRes2[2].indexOf(this.braceFlag_) !== 0) {
                 let invalidString = numRes2[0];
-                if (!endProcessing && numRes2[2].indexOf(this.parensFlag_) !== -1) {
-                  let parensback = this._getParensUnit(numRes2[2], origString);
+                // The parenthetical strings created below are not in the
+                // original string.  Start them two characters before the
+                // number so that the unit code maps to its original location,
+                // and record the location of the number and code as the
+                // location of the parenthetical string.
+                let synthBase = elemSpan[0] - 2;
+                if (this.strict_) {
+                  this._addStrictError('MISSING_MULTIPLICATION',
+                    this._msg('multiplicationRequiredMsg',
+                      {'number': numRes2[1]}), elemSpan);
+                  n = u1;
+                  endProcessing = true;
+                }
+                else if (!endProcessing &&
+                         numRes2[2].indexOf(this.parensFlag_) !== -1) {
+                  let parensback = this._getParensUnit(numRes2[2], origString,
+                    [elemSpan[0] + numRes2[1].length, elemSpan[1]]);
                   numRes2[2] = parensback[0]['csCode_'];
                   invalidString = `(${numRes2[2]})`;
                   endProcessing = parensback[1];
                   if (!endProcessing) {
-                    this.retMsg_.push(`${numRes2[1]}${invalidString} is not a ` +
-                      `valid UCUM code.  ${this.vcMsgStart_}${numRes2[1]}.${invalidString}` +
-                      `${this.vcMsgEnd_}`);
+                    this._addMessage('MISSING_MULTIPLICATION', 'warning',
+                      this._msg('missingMultiplicationMsg',
+                        {'code': `${numRes2[1]}${invalidString}`,
+                         'suggestion': `${numRes2[1]}.${invalidString}`}),
+                      `${numRes2[1]}${invalidString}`, elemSpan);
                     let parensString = `(${numRes2[1]}.${invalidString})`;
                     origString = origString.replace(`${numRes2[1]}${invalidString}`,
                       parensString);
-                    let nextParens = this._processParens(parensString, origString);
+                    let nextParens = this._processParens(parensString,
+                      origString, synthBase);
                     endProcessing = nextParens[2];
                     if (!endProcessing) {
-                      uArray.push({op: theOp, un: nextParens[0]});
+                      this.placeholderSpans_[nextParens[0]] = elemSpan;
+                      uArray.push({op: theOp, un: nextParens[0],
+                        start: elemSpan[0], end: elemSpan[1]});
                     }
                     //uArray.push({op: '.', un: numRes2[2]});
                   }
                 } // end if the string represents a parenthesized unit
                 else {
                   let parensStr = '(' + numRes2[1] + '.' + numRes2[2] + ')';
-                  let parensResp = this._processParens(parensStr, origString);
+                  let parensResp = this._processParens(parensStr, origString,
+                    synthBase);
                   // if a "stop processing" flag was returned, set the n index to end
                   // the loop and set the endProcessing flag
                   if (parensResp[2]) {
@@ -717,20 +903,26 @@ export class UnitString {
                     endProcessing = true;
                   }
                   else {
-                    this.retMsg_.push(`${numRes2[0]} is not a ` +
-                      `valid UCUM code.  ${this.vcMsgStart_}${numRes2[1]}.${numRes2[2]}` +
-                      `${this.vcMsgEnd_}`);
+                    this._addMessage('MISSING_MULTIPLICATION', 'warning',
+                      this._msg('missingMultiplicationMsg',
+                        {'code': numRes2[0],
+                         'suggestion': `${numRes2[1]}.${numRes2[2]}`}),
+                      numRes2[0], elemSpan);
                     origString = origString.replace(numRes2[0], parensStr);
-                    uArray.push({op: theOp, un: parensResp[0]});
+                    this.placeholderSpans_[parensResp[0]] = elemSpan;
+                    uArray.push({op: theOp, un: parensResp[0],
+                      start: elemSpan[0], end: elemSpan[1]});
                   } // end if no error on the processParens call
                 } // end if the string does not represent a parenthesized unit
               } // end if the string is a number followed by a string
               else {
-                uArray.push({op: theOp, un: uArray1[n]});
+                uArray.push({op: theOp, un: uArray1[n],
+                  start: elemSpan[0], end: elemSpan[1]});
               }
             }
             else {
-              uArray.push({op: theOp, un: uArray1[n]});
+              uArray.push({op: theOp, un: uArray1[n],
+                start: elemSpan[0], end: elemSpan[1]});
             }
           } // end if there isn't a missing operator or unit code
         } // end do for each element in uArray1
@@ -753,6 +945,9 @@ export class UnitString {
    * @param origString the original unit string passed in; passed through
    *  to _getAnnonText if annotation flags are found in any text preceding
    *  or following the parenthetical unit
+   * @param span an array containing the index in the string passed to
+   *  parseString at which pStr starts and the index just past its end;
+   *  optional
    * @returns
    *   an array containing
    *     the unit object; and
@@ -768,8 +963,10 @@ export class UnitString {
    * @throws an error if an invalid parensUnit index was found.  This is
    *    a processing error.
    */
-  _getParensUnit(pStr, origString) {
+  _getParensUnit(pStr, origString, span) {
     let endProcessing = false;
+    let base = span ? span[0] : null;
+    let fullStr = pStr;
     let retAry = [];
     let retUnit = null;
     let befAnnoText = null;
@@ -815,14 +1012,27 @@ export class UnitString {
     // If there's something in front of the starting parentheses flag, check to
     // see if it's a number or an annotation.
     if (befText) {
-      // If it's a number, assume that multiplication was assumed
-      if (intUtils_.isNumericString(befText)) {
+      // If it's a number, assume that multiplication was assumed - unless
+      // we're in strict mode, where it's just an error.
+      if (this.strict_ && (intUtils_.isNumericString(befText) ||
+          befText.indexOf(this.braceFlag_) >= 0)) {
+        this._addStrictError(intUtils_.isNumericString(befText) ?
+          'MISSING_MULTIPLICATION' : 'MISPLACED_ANNOTATION',
+          intUtils_.isNumericString(befText) ?
+            this._msg('multiplicationRequiredMsg', {'number': befText}) :
+            this._msg('annotationFirstMsg'),
+          this._origSpan(fullStr, 0, befText.length, base));
+        endProcessing = true;
+      }
+      else if (intUtils_.isNumericString(befText)) {
         let nMag = retUnit.getProperty('magnitude_');
         nMag *= Number(befText);
         retUnit.assignVals({'magnitude_': nMag});
         pStr = `${befText}.${pStr}`;
-        this.retMsg_.push(`${befText}${pStr} is not a valid UCUM code.\n` +
-          this.vcMsgStart_ + pStr + this.vcMsgEnd_);
+        this._addMessage('MISSING_MULTIPLICATION', 'warning',
+          this._msg('numberBeforeParensMsg',
+            {'code': `${befText}${pStr}`, 'suggestion': pStr}), befText,
+          this._origSpan(fullStr, 0, befText.length, base));
       }
       else {
         if (befText.indexOf(this.braceFlag_) >= 0) {
@@ -832,27 +1042,32 @@ export class UnitString {
           // parentheses) throw an error - because we don't know what
           // to do with it.  Could it be missing an operator?
           if (annoRet[1] || annoRet[2]) {
-            throw (new Error(`Text found before the parentheses (` +
-              `${befText}) included an annotation along with other text ` +
-              `for parenthetical unit ${retUnit.csCode_}`));
+            throw (intUtils_.makeCodedError('ANNOTATION_WITH_TEXT',
+              this._msg('annotationBeforeParensMsg',
+                {'text': befText, 'code': retUnit.csCode_})));
           }
           // Otherwise put the annotation after the unit string and note
           // the misplacement.
           pStr += annoRet[0];
-          this.retMsg_.push(`The annotation ${annoRet[0]} before the unit ` +
-            `code is invalid.\n` + this.vcMsgStart_ + pStr + this.vcMsgEnd_);
+          this._addMessage('MISPLACED_ANNOTATION', 'warning',
+            this._msg('misplacedAnnotationMsg',
+              {'annotation': annoRet[0], 'suggestion': pStr}), annoRet[0],
+            this._origSpan(fullStr, 0, befText.length, base));
         }
         // else the text before the parentheses is neither a number nor
         // an annotation.  If suggestions were NOT requested, record an
         // error.
         else if (!this.suggestions_) {
-          this.retMsg_.push(`${befText} preceding the unit code ${pStr} ` +
-            `is invalid.  Unable to make a substitution.`);
+          this._addMessage('TEXT_BEFORE_PARENS', 'error',
+            this._msg('textBeforeParensMsg', {'text': befText, 'code': pStr}),
+            befText,
+            this._origSpan(fullStr, 0, befText.length, base));
           endProcessing = true;
         }
         // otherwise try for suggestions
         else {
-          let suggestStat = this._getSuggestions(befText);
+          let suggestStat = this._getSuggestions(befText,
+            this._origSpan(fullStr, 0, befText.length, base));
           endProcessing =  (suggestStat !== 'succeeded');
 
         } // end if a brace was found or, if not, suggestions were not or
@@ -862,6 +1077,8 @@ export class UnitString {
 
     // Process any text after the parentheses
     if (aftText) {
+      let aftSpan = this._origSpan(fullStr, fullStr.length - aftText.length,
+        fullStr.length, base);
       // if it's an annotation, get it and add it to the pStr
       if (aftText.indexOf(this.braceFlag_) >= 0) {
         let annoRet = this._getAnnoText(aftText, origString);
@@ -870,9 +1087,9 @@ export class UnitString {
         // parentheses) throw an error - because we don't know what
         // to do with it.  Could it be missing an operator?
         if (annoRet[1] || annoRet[2]) {
-          throw (new Error(`Text found after the parentheses (` +
-            `${aftText}) included an annotation along with other text ` +
-            `for parenthetical unit ${retUnit.csCode_}`));
+          throw (intUtils_.makeCodedError('ANNOTATION_WITH_TEXT',
+            this._msg('annotationAfterParensMsg',
+              {'text': aftText, 'code': retUnit.csCode_})));
         }
         // Otherwise put the annotation after the unit string - no message
         // needed.
@@ -884,22 +1101,28 @@ export class UnitString {
 
         if (intUtils_.isNumericString(aftText)) {
           retUnit = null;
-          let msg = `An exponent (${aftText}) following a parenthesis ` +
-            `is invalid as of revision 1.9 of the UCUM Specification.`;
-          // Add the suggestion only if the string in the parenthesis don't end with a number.
-          if (!pStr.match(/\d$/)) {
+          let msg;
+          // Add the suggestion only if the string in the parenthesis don't end
+          // with a number, and not in strict mode, which makes no fixes.
+          if (!this.strict_ && !pStr.match(/\d$/)) {
             pStr += aftText;
-            msg += '\n  ' + this.vcMsgStart_ + pStr + this.vcMsgEnd_;
+            msg = this._msg('exponentAfterParensSuggestionMsg',
+              {'exponent': aftText, 'suggestion': pStr});
           }
-          this.retMsg_.push(msg);
+          else {
+            msg = this._msg('exponentAfterParensMsg', {'exponent': aftText});
+          }
+          this._addMessage('EXPONENT_AFTER_PARENS', 'error', msg, aftText,
+            aftSpan);
           endProcessing = true;
         }
         // else the text after the parentheses is neither a number nor
         // an annotation.  If suggestions were NOT requested, record an
         // error.
         else if (!this.suggestions_) {
-          this.retMsg_.push(`Text ${aftText} following the unit code ${pStr} ` +
-            `is invalid.  Unable to make a substitution.`);
+          this._addMessage('TEXT_AFTER_PARENS', 'error',
+            this._msg('textAfterParensMsg', {'text': aftText, 'code': pStr}),
+            aftText, aftSpan);
           endProcessing = true;
         }
         // otherwise try for suggestions
@@ -988,6 +1211,9 @@ export class UnitString {
    * in the unit data table.
    *
    * @param pStr the string being parsed
+   * @param span an array containing the index in the string passed to
+   *  parseString at which pStr starts and the index just past its end;
+   *  optional
    * @returns an object that contains an element named 'status', whose
    *  value indicates the status of the request:
    *   'succeeded' indicates that synonyms were found;
@@ -1005,27 +1231,33 @@ export class UnitString {
    *       Each array will contain the unit code, the unit name and the
    *       unit guidance (if any).
    */
-  _getSuggestions(pStr) {
+  _getSuggestions(pStr, span) {
 
     let retObj = intUtils_.getSynonyms(pStr);
     if (retObj['status'] === 'succeeded') {
       let suggSet = {} ;
-      suggSet['msg'] = `${pStr} is not a valid UCUM code.  We found possible ` +
-                       `units that might be what was meant:`;
+      let suggMsg = this._msg('suggestionsFoundMsg', {'code': pStr});
+      suggSet['msg'] = this._formatMsg(suggMsg);
       suggSet['invalidUnit'] = pStr ;
       let synLen = retObj['units'].length ;
       suggSet['units'] = [] ;
       for (let s = 0; s < synLen; s++) {
         let unit = retObj['units'][s];
-        let unitArray = [unit['code'], unit['name'], unit['guidance']];
+        let unitArray = [unit['code'],
+          this.localeTabs_.getUnitName(unit['code'], this.locale_) ||
+            unit['name'],
+          this.localeTabs_.getGuidance(unit['code'], this.locale_) ||
+            unit['guidance']];
 
         suggSet['units'].push(unitArray) ;
       }
       this.suggestions_.push(suggSet);
+      this.retErrors_.push(this._makeError('INVALID_CODE', 'error',
+        suggMsg, pStr, span));
     }
     else {
-      this.retMsg_.push(`${pStr} is not a valid UCUM code.  No alternatives ` +
-                  `were found.`);
+      this._addMessage('NO_ALTERNATIVES', 'error',
+        this._msg('noAlternativesMsg', {'code': pStr}), pStr, span);
     }
     return retObj['status'] ;
   } // end getSuggestions
@@ -1041,6 +1273,9 @@ export class UnitString {
    * @params uCode the string defining the unit
    * @param origString the original string to be parsed; used to provide
    *  context for messages
+   * @param span an array containing the index in the string passed to
+   *  parseString at which uCode starts and the index just past its end;
+   *  used to provide the location of the code in error objects.  Optional.
    * @returns
    *  an array containing:
    *    a unit object, or null if there were problems creating the unit; and
@@ -1052,19 +1287,19 @@ export class UnitString {
    *  the this.suggestions_ array will be populated if no unit (with or without
    *    substitutions) could be found and suggestions were requested
    */
-  _makeUnit(uCode, origString) {
+  _makeUnit(uCode, origString, span) {
 
     // First try the code just as is, without looking for annotations,
     // prefixes, exponents, or elephants.
     let retUnit = this.utabs_.getUnitByCode(uCode);
     if (retUnit) {
-      retUnit = retUnit.clone();
+      retUnit = this._localizeUnit(retUnit.clone());
     }
 
     // If we found it, we're done.  No need to parse for those elephants (or
     // other stuff).
     else if (uCode.indexOf(this.braceFlag_) >= 0) {
-      let getAnnoRet = this._getUnitWithAnnotation(uCode, origString);
+      let getAnnoRet = this._getUnitWithAnnotation(uCode, origString, span);
       retUnit = getAnnoRet[0];
       if (retUnit) {
         origString = getAnnoRet[1];
@@ -1081,42 +1316,41 @@ export class UnitString {
       // annotations.  Try looking for a unit that uses a carat (^)
       // instead of an asterisk (*)
 
-      if (uCode.indexOf('^') > -1) {
+      if (uCode.indexOf('^') > -1 && !this.strict_) {
         let tryCode = uCode.replace('^', '*');
         retUnit = this.utabs_.getUnitByCode(tryCode);
         if (retUnit) {
-          retUnit = retUnit.clone();
+          retUnit = this._localizeUnit(retUnit.clone());
           retUnit.csCode_ = retUnit.csCode_.replace('*', '^');
           retUnit.ciCode_ = retUnit.ciCode_.replace('*', '^');
         }
       }
       // If that didn't work, check to see if it should have brackets
       // around it (uCode = degF when it should be [degF]
-      if (!retUnit) {
+      if (!retUnit && !this.strict_) {
         let addBrackets = '[' + uCode + ']' ;
         retUnit = this.utabs_.getUnitByCode(addBrackets);
         if (retUnit) {
-          retUnit = retUnit.clone();
+          retUnit = this._localizeUnit(retUnit.clone());
           origString = origString.replace(uCode, addBrackets);
-          this.retMsg_.push(`${uCode} is not a valid unit expression, but ` +
-            `${addBrackets} is.\n` + this.vcMsgStart_ +
-            `${addBrackets} (${retUnit.name_})${this.vcMsgEnd_}`);
+          this._addMessage('BRACKETS_ADDED', 'warning',
+            this._msg('bracketsAddedMsg', {'code': uCode,
+              'bracketed': addBrackets, 'name': retUnit.name_}), uCode,
+            span);
         } // end if we found the unit after adding brackets
       } // end trying to add brackets
 
       // If we didn't find it, try it as a name
-      if (!retUnit) {
+      if (!retUnit && !this.strict_) {
         let retUnitAry = this.utabs_.getUnitByName(uCode);
         if (retUnitAry && retUnitAry.length > 0) {
-          retUnit = retUnitAry[0].clone();
-          let mString = 'The UCUM code for ' + uCode + ' is ' +
-            retUnit.csCode_ + '.\n' + this.vcMsgStart_ +
-            retUnit.csCode_ + this.vcMsgEnd_;
-          let dupMsg = false;
-          for (let r = 0; r < this.retMsg_.length && !dupMsg; r++)
-            dupMsg = this.retMsg_[r] === mString;
+          retUnit = this._localizeUnit(retUnitAry[0].clone());
+          let mString = this._msg('unitNameSubstitutedMsg',
+            {'name': uCode, 'code': retUnit.csCode_});
+          let dupMsg = this.retMsg_.indexOf(this._formatMsg(mString)) >= 0;
           if (!dupMsg)
-            this.retMsg_.push(mString);
+            this._addMessage('UNIT_NAME_SUBSTITUTED', 'warning', mString,
+              uCode, span);
           let rStr = new RegExp('(^|[.\/({])(' + uCode + ')($|[.\/)}])');
           let res = origString.match(rStr);
           origString = origString.replace(rStr, res[1] + retUnit.csCode_ + res[3]);
@@ -1138,7 +1372,7 @@ export class UnitString {
         }
         retUnit = this.utabs_.getUnitByCode(uCode);
         if (retUnit)
-          retUnit = retUnit.clone();
+          retUnit = this._localizeUnit(retUnit.clone());
       }
       if (!retUnit) {
 
@@ -1171,7 +1405,8 @@ export class UnitString {
         // because parseInt("2-1") results in 2. See LF-2870.
         if (exp && isNaN(exp)) {
           retUnit = null;
-          this.retMsg_.push(`${origCode} is not a valid UCUM code.`);
+          this._addMessage('INVALID_CODE', 'error',
+            this._msg('invalidCodeMsg', {'code': origCode}), origCode, span);
         }
         else {
           // If we still don't have a unit, separate out the prefix, if any,
@@ -1224,34 +1459,43 @@ export class UnitString {
             retUnit = null ;
             // BUT if the user asked for suggestions, at least look for them
             if (this.suggestions_) {
-              let suggestStat = this._getSuggestions(origCode);
+              let suggestStat = this._getSuggestions(origCode, span);
             }
             else {
-              this.retMsg_.push(`${origCode} is not a valid UCUM code.`);
+              this._addMessage('INVALID_CODE', 'error',
+                this._msg('invalidCodeMsg', {'code': origCode}), origCode,
+                span);
             }
           }
           else {
             // Otherwise we found a unit object.  Clone it and then apply the
             // prefix and exponent, if any, to it.  And remove the guidance.
-            retUnit = origUnit.clone();
+            retUnit = this._localizeUnit(origUnit.clone());
             // If we are here, this is only part of the full unit string, so it is
             // not a base unit, and the synonyms will mostly likely not be correct for the full
             // string.
             retUnit.resetFieldsForDerivedUnit();
+            // A special unit on an interval scale with an exponent other
+            // than 1, e.g., Cel2, is a unit of difference (K2).  Other special
+            // units cannot have such exponents (see below).  Cel1 is just Cel.
+            if (exp && parseInt(exp) !== 1 && retUnit.isIntervalScale())
+              retUnit = retUnit.getIntervalUnit();
             let theDim = retUnit.getProperty('dim_');
             let theMag = retUnit.getProperty('magnitude_');
             let theName = retUnit.getProperty('name_');
             let theCiCode = retUnit.getProperty('ciCode_');
             let thePrintSymbol = retUnit.getProperty('printSymbol_');
-            // If there is an exponent for the unit, apply it to the dimension
-            // and magnitude now
+            // If there is an exponent for the unit, apply it to the dimension,
+            // magnitude and mole and equivalent exponents now
             if (exp) {
               exp = parseInt(exp);
               let expMul = exp;
               if (theDim)
                 theDim = theDim.mul(exp);
               theMag = Math.pow(theMag, exp);
-              retUnit.assignVals({'magnitude_': theMag});
+              retUnit.assignVals({'magnitude_': theMag,
+                'moleExp_': retUnit.moleExp_ * exp,
+                'equivalentExp_': retUnit.equivalentExp_ * exp});
 
               // If there is also a prefix, apply the exponent to the prefix.
               if (pfxObj) {
@@ -1288,7 +1532,8 @@ export class UnitString {
             // attributes - name, csCode, ciCode and print symbol
             let theCode = retUnit.csCode_;
             if (pfxObj) {
-              theName = pfxObj.getName() + theName;
+              theName = (this.localeTabs_.getPrefixName(pfxCode,
+                this.locale_) || pfxObj.getName()) + theName;
               theCode = pfxCode + theCode;
               theCiCode = pfxObj.getCiCode() + theCiCode;
               thePrintSymbol = pfxObj.getPrintSymbol() + thePrintSymbol;
@@ -1308,6 +1553,12 @@ export class UnitString {
                 'ciCode_': theCiCode + intergerUnitExpSign + expStr,
                 'printSymbol_': thePrintSymbol + '<sup>' + expStr + '</sup>'
               });
+              if (retUnit.cnv_ && exp !== 1) {
+                this._addMessage('NON_RATIO_UNIT', 'error',
+                  this._msg('nonRatioExponentMsg', {'code': origCode}),
+                  origCode, span);
+                retUnit = null;
+              }
             }
           } // end if an original unit was found (without prefix and/or exponent)
         } // end if an invalid exponent wasn't found
@@ -1325,12 +1576,15 @@ export class UnitString {
    *
    * @param uCode the string defining the unit
    * @param origString the original full string submitted to parseString
+   * @param span an array containing the index in the string passed to
+   *  parseString at which uCode starts and the index just past its end;
+   *  optional
    * @returns the unit object found, or null if one could not be found
    *
    * the this.retMsg_ array will be updated with any user messages
    *   (informational, error or warning) generated by this or called methods
    */
-  _getUnitWithAnnotation(uCode, origString) {
+  _getUnitWithAnnotation(uCode, origString, span) {
 
     let retUnit = null;
 
@@ -1340,33 +1594,51 @@ export class UnitString {
     let befAnnoText = annoRet[1];
     let aftAnnoText = annoRet[2];
 
+    // Get the locations of the text before the annotation, the annotation
+    // and the text after the annotation.
+    let base = span ? span[0] : null;
+    let befLen = befAnnoText ? befAnnoText.length : 0;
+    let aftStart = aftAnnoText ? uCode.length - aftAnnoText.length :
+      uCode.length;
+    let befSpan = this._origSpan(uCode, 0, befLen, base);
+    let annoSpan = this._origSpan(uCode, befLen, aftStart, base);
+    let aftSpan = this._origSpan(uCode, aftStart, uCode.length, base);
+
     // Add the warning about annotations - just once.
 
-    if (this.bracesMsg_ && this.retMsg_.indexOf(this.bracesMsg_) === -1)
-      this.retMsg_.push(this.bracesMsg_);
+    if (this.bracesMsg_ && !this.strict_) {
+      let bracesMsg = this._msg('bracesMsg');
+      if (this.retMsg_.indexOf(this._formatMsg(bracesMsg)) === -1)
+        this._addMessage('ANNOTATIONS_IGNORED', 'info', bracesMsg, null);
+    }
 
     // If there's no text before or after the annotation, it's probably
     // something that should be interpreted as a 1, e.g., {KCT'U}.
     // HOWEVER, it could also be a case where someone used braces instead
     // of brackets, e.g., {degF} instead of [degF].  Check for that before
     // we assume it should be a 1.
+    // (Not in strict mode, where only errors are reported.)
     let msgLen = this.retMsg_.length;
     if (!befAnnoText && !aftAnnoText) {
       let tryBrackets = '[' + annoText.substring(1, annoText.length - 1) + ']';
-      let mkUnitRet = this._makeUnit(tryBrackets, origString);
+      let mkUnitRet = this.strict_ ? [null] :
+        this._makeUnit(tryBrackets, origString, annoSpan);
 
       // Nearly anything inside braces is valid, so we don't want to change the
       // unit, but we can put the found unit in the message as a sort of
       // warning.
       if (mkUnitRet[0]) {
         retUnit = uCode;
-        this.retMsg_.push(`${annoText} is a valid unit expression, but ` +
-          `did you mean ${tryBrackets} (${mkUnitRet[0].name_})?`);
+        this._addMessage('POSSIBLE_BRACKETS', 'info',
+          this._msg('possibleBracketsMsg', {'annotation': annoText,
+            'bracketed': tryBrackets, 'name': mkUnitRet[0].name_}), annoText,
+          annoSpan);
       }
       else {
         // remove error message generated for trybrackets
         if (this.retMsg_.length > msgLen) {
           this.retMsg_.pop();
+          this.retErrors_.pop();
         }
       }
 
@@ -1398,7 +1670,7 @@ export class UnitString {
         }
         // Otherwise try to find a unit
         else {
-          let mkUnitRet = this._makeUnit(befAnnoText, origString);
+          let mkUnitRet = this._makeUnit(befAnnoText, origString, befSpan);
 
           // if a unit was returned
           if (mkUnitRet[0]) {
@@ -1408,8 +1680,10 @@ export class UnitString {
           }
           // Otherwise add a not found message
           else {
-            this.retMsg_.push(`Unable to find a unit for ${befAnnoText} that ` +
-              `precedes the annotation ${annoText}.`);
+            this._addMessage('ANNOTATION_WITH_TEXT', 'error',
+              this._msg('unitBeforeAnnotationNotFoundMsg',
+                {'text': befAnnoText, 'annotation': annoText}), befAnnoText,
+              befSpan);
           }
         }
       }
@@ -1418,28 +1692,36 @@ export class UnitString {
       // the wrong place (and tell them)
       else if (!befAnnoText && aftAnnoText) {
 
+        // In strict mode the misplaced annotation is just an error.
+        if (this.strict_) {
+          this._addStrictError('MISPLACED_ANNOTATION',
+            this._msg('annotationFirstMsg'), span);
+        }
         // Again, test for a number and if it is a number, set the return
         // unit to the number.
-        if (intUtils_.isIntegerUnit(aftAnnoText)) {
+        else if (intUtils_.isIntegerUnit(aftAnnoText)) {
           retUnit = aftAnnoText + annoText ;
-          this.retMsg_.push(`The annotation ${annoText} before the `
-            `${aftAnnoText} is invalid.\n` + this.vcMsgStart_ + retUnit +
-            this.vcMsgEnd_);
+          this._addMessage('MISPLACED_ANNOTATION', 'warning',
+            this._msg('misplacedNumberAnnotationMsg', {'annotation': annoText,
+              'number': aftAnnoText, 'suggestion': retUnit}), annoText,
+            annoSpan);
         }
         else {
-          let mkUnitRet = this._makeUnit(aftAnnoText, origString);
+          let mkUnitRet = this._makeUnit(aftAnnoText, origString, aftSpan);
           if (mkUnitRet[0]) {
             retUnit = mkUnitRet[0];
             retUnit.csCode_ += annoText;
             origString = retUnit.csCode_;
-            this.retMsg_.push(`The annotation ${annoText} before the unit ` +
-              `code is invalid.\n` + this.vcMsgStart_ + retUnit.csCode_ +
-              this.vcMsgEnd_);
+            this._addMessage('MISPLACED_ANNOTATION', 'warning',
+              this._msg('misplacedAnnotationMsg', {'annotation': annoText,
+                'suggestion': retUnit.csCode_}), annoText, annoSpan);
           }
           // Otherwise add a not found message
           else {
-            this.retMsg_.push(`Unable to find a unit for ${befAnnoText} that ` +
-              `follows the annotation ${annoText}.`);
+            this._addMessage('ANNOTATION_WITH_TEXT', 'error',
+              this._msg('unitAfterAnnotationNotFoundMsg',
+                {'text': aftAnnoText, 'annotation': annoText}), aftAnnoText,
+              aftSpan);
           }
         }
       }
@@ -1447,9 +1729,10 @@ export class UnitString {
       // For now this is an error.  This may be a case of a missing
       // operator but that is not handled yet.
       else {
-        this.retMsg_.push(`Unable to find a unit for ${befAnnoText}${annoText}` +
-          `${aftAnnoText}.\nWe are not sure how to interpret text both before ` +
-          `and after the annotation.  Sorry`);
+        this._addMessage('ANNOTATION_WITH_TEXT', 'error',
+          this._msg('textAroundAnnotationMsg',
+            {'text': `${befAnnoText}${annoText}${aftAnnoText}`}),
+          `${befAnnoText}${annoText}${aftAnnoText}`, span);
       }
     } // else if there's text before/and or after the annotation
 
@@ -1495,14 +1778,13 @@ export class UnitString {
       }
       if (nextUnit === null ||
           ((typeof nextUnit !== 'number') && (!nextUnit.getProperty))) {
-        let msgString = `Unit string (${origString}) contains unrecognized ` +
-                        'element' ;
-        if (nextUnit) {
-          msgString += ` (${this.openEmph_}${nextUnit.toString()}` +
-                       `${this.closeEmph_})`;
-        }
-        msgString += '; could not parse full string.  Sorry';
-        this.retMsg_.push(msgString);
+        let msgString = nextUnit ?
+          this._msg('unrecognizedElementMsg', {'unitString': origString,
+            'element': nextUnit.toString()}) :
+          this._msg('unrecognizedNullElementMsg', {'unitString': origString});
+        this._addMessage('UNRECOGNIZED_ELEMENT', 'error', msgString,
+          nextUnit ? nextUnit.toString() : null,
+          [uArray[u2]['start'], uArray[u2]['end']]);
         endProcessing = true;
       }
       else {
@@ -1518,6 +1800,8 @@ export class UnitString {
         }
         catch (err) {
           this.retMsg_.unshift(err.message) ;
+          this.retErrors_.unshift(this._makeError(
+            err.code || 'PROCESSING_ERROR', 'error', err.message, null));
           endProcessing = true ;
           finalUnit = null ;
         }
@@ -1527,6 +1811,216 @@ export class UnitString {
   }  // end _performUnitArithmetic
 
 
+  /**
+   * Adds an error message for a problem found in strict mode, where the
+   * problem is not fixed and no substitution is suggested.  The message
+   * names the text in the string passed to parseString that contains the
+   * problem.  This should only be called from within this class.
+   *
+   * @param code the error code, one of the keys in Ucum.errorCodes_
+   * @param problem a description of the problem
+   * @param span an array containing the index in the string passed to
+   *  parseString at which the text containing the problem starts and the
+   *  index just past its end; if null the whole string is used
+   */
+  _addStrictError(code, problem, span) {
+    if (!span || span[0] === null || span[1] === null)
+      span = [0, this.origInput_.length];
+    let text = this.origInput_.substring(span[0], span[1]);
+    this._addMessage(code, 'error',
+      this._msg('strictSyntaxMsg', {'text': text, 'problem': problem}), text,
+      span);
+  } // end _addStrictError
+
+
+  /**
+   * Creates a message, in the locale of the string being parsed, from its
+   * template in Ucum.messages_ (or a locale bundle).  The emphasis marks
+   * (Ucum.emphStartMark_ and emphEndMark_) and the start and end of a
+   * suggestion are filled in along with the values passed in.  The marks
+   * are replaced when the message is added (see _addMessage) or otherwise
+   * returned (see _formatMsg).  This should only be called from within
+   * this class.
+   *
+   * @param key the key of the message in Ucum.messages_
+   * @param params a hash of values for the other placeholders in the
+   *  message; optional
+   * @returns the message, with the emphasis marks
+   */
+  _msg(key, params) {
+    return this.localeTabs_.getMessage(key, Object.assign({
+      'openEmph': Ucum.emphStartMark_, 'closeEmph': Ucum.emphEndMark_,
+      'vcMsgStart': this.vcMsgStart_, 'vcMsgEnd': this.vcMsgEnd_}, params),
+      this.locale_);
+  } // end _msg
+
+
+  /**
+   * Creates the text of a message built by _msg, in the message format of
+   * the string being parsed.  This should only be called from within this
+   * class.
+   *
+   * @param msg the message, with the emphasis marks
+   * @returns the message text
+   */
+  _formatMsg(msg) {
+    let format = this.msgFormat_;
+    return intUtils_.formatMessage(intUtils_.getMessageSegments(msg),
+      typeof format === 'function' ? format : null,
+      format === 'html' ? Ucum.openEmphHTML_ :
+        (format === 'text' ? Ucum.openEmph_ : this.openEmph_),
+      format === 'html' ? Ucum.closeEmphHTML_ :
+        (format === 'text' ? Ucum.closeEmph_ : this.closeEmph_));
+  } // end _formatMsg
+
+
+  /**
+   * Sets the name and guidance of a unit from the unit tables to those in
+   * the locale of the string being parsed, if the locale bundles have them.
+   * This should only be called from within this class.
+   *
+   * @param unit a copy of the unit from the unit tables
+   * @returns the unit passed in
+   */
+  _localizeUnit(unit) {
+    if (this.locale_) {
+      let name = this.localeTabs_.getUnitName(unit.csCode_, this.locale_);
+      if (name !== null)
+        unit.name_ = name;
+      let guidance = this.localeTabs_.getGuidance(unit.csCode_, this.locale_);
+      if (guidance !== null)
+        unit.guidance_ = guidance;
+    }
+    return unit;
+  } // end _localizeUnit
+
+
+  /**
+   * Adds a message to the this.retMsg_ array and an error object for the
+   * message to the this.retErrors_ array.  This should only be called from
+   * within this class.
+   *
+   * @param code the error code, one of the keys in Ucum.errorCodes_
+   * @param severity 'error', 'warning' or 'info'
+   * @param msg the message, as built by _msg
+   * @param token the part of the unit string the message is about, or null
+   *  if it is not about a specific part of the string
+   * @param span an array containing the index in the string passed to
+   *  parseString at which the token starts and the index just past its end;
+   *  optional.  See _makeError.
+   */
+  _addMessage(code, severity, msg, token, span) {
+    let errObj = this._makeError(code, severity, msg, token, span);
+    this.retMsg_.push(errObj.message);
+    this.retErrors_.push(errObj);
+  } // end _addMessage
+
+
+  /**
+   * Creates an error object for a message.  If the location of the token in
+   * the string passed to parseString is supplied, the token is set to the
+   * text at that location.  Otherwise the location used is that of the
+   * first occurrence of the token in that string; and if the token does not
+   * appear as-is in that string, e.g., because it is a substitution, the
+   * location is null.
+   *
+   * @param code the error code, one of the keys in Ucum.errorCodes_
+   * @param severity 'error', 'warning' or 'info'
+   * @param msg the message, as built by _msg (or plain text)
+   * @param token the part of the unit string the message is about, or null
+   * @param span an array containing the start and end (the index just past
+   *  the token) of the token in the string passed to parseString; optional
+   * @returns the error object, with the message text in the message format
+   *  of the string being parsed and the segments of the message
+   */
+  _makeError(code, severity, msg, token, span) {
+    let start = null;
+    let end = null;
+    if (span && span[0] !== null && span[0] !== undefined &&
+        span[1] !== null && span[1] !== undefined) {
+      start = Math.max(span[0], 0);
+      end = Math.max(span[1], start);
+      if (end <= this.origInput_.length)
+        token = this.origInput_.substring(start, end);
+    }
+    else if (token) {
+      let pos = this.origInput_.indexOf(token);
+      if (pos >= 0) {
+        start = pos;
+        end = pos + token.length;
+      }
+    }
+    return intUtils_.makeErrorObj(code, severity, this._formatMsg(msg), token,
+      start, end, intUtils_.getMessageSegments(msg));
+  } // end _makeError
+
+
+  /**
+   * Finds the index in the string passed to parseString that corresponds
+   * to an index in a string being parsed, which may contain placeholders
+   * for annotations, parenthetical strings and the special units in
+   * Ucum.specUnits_.  A placeholder corresponds to the text it replaced.
+   * This should only be called from within this class.
+   *
+   * @param str the string being parsed
+   * @param idx the index in str
+   * @param base the index in the string passed to parseString at which
+   *  str starts, or null if not known
+   * @param isEnd a flag indicating whether idx is the end of a token (the
+   *  index just past it), in which case an index inside a placeholder
+   *  corresponds to the end of the text it replaced rather than the start;
+   *  optional, defaults to false
+   * @returns the index in the string passed to parseString, or null if
+   *  base is null
+   */
+  _origPos(str, idx, base, isEnd) {
+    if (base === null || base === undefined)
+      return null;
+    let phRegex = new RegExp('(' + this.braceFlag_ + '|' + this.parensFlag_ +
+      ')\\d+\\1|' + Object.values(Ucum.specUnits_).join('|'), 'g');
+    let pos = base;
+    let lastIdx = 0;
+    let res = null;
+    while ((res = phRegex.exec(str)) !== null && res.index < idx) {
+      let phStart = pos + res.index - lastIdx;
+      let phSpan = this.placeholderSpans_[res[0]];
+      let phEnd = phSpan ? phSpan[1] : phStart + res[0].length;
+      if (!phSpan) {
+        for (let sUnit in Ucum.specUnits_) {
+          if (Ucum.specUnits_[sUnit] === res[0])
+            phEnd = phStart + sUnit.length;
+        }
+      }
+      lastIdx = res.index + res[0].length;
+      if (idx < lastIdx)
+        return isEnd ? phEnd : (phSpan ? phSpan[0] : phStart);
+      pos = phEnd;
+    }
+    return pos + idx - lastIdx;
+  } // end _origPos
+
+
+  /**
+   * Returns the location in the string passed to parseString of part of a
+   * string being parsed.  See _origPos.  This should only be called from
+   * within this class.
+   *
+   * @param str the string being parsed
+   * @param start the index in str where the part starts
+   * @param end the index in str just past the end of the part
+   * @param base the index in the string passed to parseString at which
+   *  str starts, or null if not known
+   * @returns an array containing the start and end of the part in the
+   *  string passed to parseString, or null if base is null
+   */
+  _origSpan(str, start, end, base) {
+    if (base === null || base === undefined)
+      return null;
+    return [this._origPos(str, start, base),
+            this._origPos(str, end, base, true)];
+  } // end _origSpan
+
+
   /**
    * This tests a string to see if it starts with characters and ends with
    * digits.  This is used to test for an exponent on a UCUM code (or what
@@ -1580,7 +2074,11 @@ export class UnitString {
  *  singleton UnitString object.  This is based on the UnitTables singleton
  *  implementation; see more detail in the UnitTables constructor description.
  *
- *  @return the singleton UnitString object.
+ *  NO LONGER TRUE - not implemented as a singleton.  Each object returned
+ *  has its own settings (see useHTMLInMessages and useBraceMsgForEachString),
+ *  and each call to parseString has its own parsing data.
+ *
+ *  @return a new UnitString object.
  */
 UnitString.getInstance = function(){
   return new UnitString();
@@ -50,6 +50,16 @@ class UnitTablesFactory {
      */
     this.unitCodes_ = {};
 
+    /**
+     * Tracks units by code using case-insensitive version.
+     *
+     * @type hash - key is the case-insensitive code;
+     *              value is an array of references to the Unit objects
+     *              with that code.  More than one unit may have the same
+     *              case-insensitive code, e.g., "l" and "L" (liter).
+     */
+    this.unitCiCodes_ = {};
+
     /**
      * Keeps track of the order in which units are defined.  The order is
      * important because unit definitions build on previous definitions.
@@ -87,6 +97,18 @@ class UnitTablesFactory {
      */
      this.unitSynonyms_ = {};
 
+    /**
+     * Holds the text searched by searchUnits for each unit - its code,
+     * name and synonyms.  Not built until first requested, and discarded
+     * when a unit is added.
+     *
+     * @type hash - key is the unit code
+     *              value is an array of hashes, one for each text, that
+     *              contain the text, its lowercase version and words, and
+     *              its type ('code', 'name' or 'synonym').
+     */
+    this.unitSearchTerms_ = null;
+
     /*
      * Holds onto the index of the index of the dimension vector flag for
      * the base mass unit (gram).  This is set when the base unit (gram) is
@@ -102,6 +124,15 @@ class UnitTablesFactory {
      *  Map of indices in the dimension vector to base unit symbols.
      */
     this.dimVecIndexToBaseUnit_ = {};
+
+    /**
+     * A count of the changes made to the tables, i.e., of the units added
+     * and removed, so that code that keeps results based on the tables
+     * (e.g., the cache in UcumLhcUtils) can tell when they are out of date.
+     *
+     * @type integer
+     */
+    this.version_ = 0;
   }
 
 
@@ -126,6 +157,9 @@ class UnitTablesFactory {
    */
   addUnit(theUnit) {
 
+    this.version_++;
+    this.unitSearchTerms_ = null;
+    this.unitSynonyms_ = {};
     let uName = theUnit['name_'] ;
     if (uName) {
       this.addUnitName(theUnit);
@@ -155,6 +189,75 @@ class UnitTablesFactory {
   } // end addUnit
 
 
+  /**
+   * Removes a Unit object from the tables.  This is the reverse of addUnit,
+   * and is used for units registered at run time (see
+   * UcumLhcUtils.unregisterUnit).  Units defined from the removed unit keep
+   * the dimension and magnitude they were given when they were added.
+   *
+   * @param uCode the case-sensitive code of the unit to be removed
+   * @returns the unit object removed
+   * @throws an error if the tables contain no unit with the code
+   */
+  removeUnit(uCode) {
+
+    let theUnit = this.getUnitByCode(uCode);
+    if (!theUnit)
+      throw(new Error(`UnitTables.removeUnit called for a code that is not ` +
+            `in the tables; code = ${uCode}`));
+    this.version_++;
+    this.unitSearchTerms_ = null;
+    this.unitSynonyms_ = {};
+
+    delete this.unitCodes_[uCode];
+    this.codeOrder_.splice(this.codeOrder_.indexOf(uCode), 1);
+    this._removeFromList(this.unitCiCodes_, theUnit['ciCode_'], theUnit);
+    this._removeFromList(this.unitNames_, theUnit['name_'], theUnit);
+    let uString = Ucum.caseSensitive_ == true ? theUnit['csUnitString_'] :
+      theUnit['ciUnitString_'];
+    if (uString && this.unitStrings_[uString]) {
+      let entry = this.unitStrings_[uString].find((e) => e.unit === theUnit);
+      this._removeFromList(this.unitStrings_, uString, entry);
+    }
+    if (theUnit['dim_'] && theUnit['dim_'].getProperty('dimVec_')) {
+      this._removeFromList(this.unitDimensions_,
+        theUnit['dim_'].getProperty('dimVec_'), theUnit);
+    }
+    return theUnit;
+  } // end removeUnit
+
+
+  /**
+   * Removes an entry from one of the tables whose values are arrays, e.g.,
+   * unitNames_, deleting the key if its array is left empty.  This should
+   * only be called from within this class.
+   *
+   * @param table the table
+   * @param key the key of the array that contains the entry
+   * @param entry the entry to be removed
+   */
+  _removeFromList(table, key, entry) {
+    let list = key ? table[key] : null;
+    if (list) {
+      let pos = list.indexOf(entry);
+      if (pos >= 0)
+        list.splice(pos, 1);
+      if (list.length === 0)
+        delete table[key];
+    }
+  } // end _removeFromList
+
+
+  /**
+   * Provides the number of changes made to the tables (see version_).
+   *
+   * @returns the count, which changes whenever a unit is added or removed
+   */
+  getVersion() {
+    return this.version_;
+  }
+
+
   /**
    * Adds a Unit object to the unitNames_ table.  More than one unit
    * can have the same name, e.g., the two units with the name "second",
@@ -185,8 +288,8 @@ class UnitTablesFactory {
 
 
   /**
-   * Adds a Unit object to the unitCodes_, unitUcCodes_, unitLcCodes_ and
-   * codeOrder_ tables.  This also sets the mass dimension index when the
+   * Adds a Unit object to the unitCodes_, unitCiCodes_ and codeOrder_
+   * tables.  This also sets the mass dimension index when the
    * base mass unit (gram) is read.
    *
    * @param theUnit the unit to be added
@@ -205,6 +308,13 @@ class UnitTablesFactory {
       else {
         this.unitCodes_[uCode] = theUnit;
         this.codeOrder_.push(uCode);
+        let ciCode = theUnit['ciCode_'];
+        if (ciCode) {
+          if (this.unitCiCodes_[ciCode])
+            this.unitCiCodes_[ciCode].push(theUnit);
+          else
+            this.unitCiCodes_[ciCode] = [theUnit];
+        }
         if (uCode == 'g') {
           let dimVec = theUnit.dim_.dimVec_;
           let d = 0;
@@ -366,6 +476,24 @@ class UnitTablesFactory {
   }
 
 
+  /**
+   *  Returns an array of unit objects with a case-insensitive code matching
+   *  the ciCode parameter.  Usually this will be an array of one, but there
+   *  may be more, e.g., for "L", which is the case-insensitive code for
+   *  both "l" and "L" (liter).
+   *
+   *  @param ciCode the case-insensitive code of the units to be returned
+   *  @returns the array of unit objects or null if none were found
+   */
+  getUnitsByCiCode(ciCode) {
+    let retUnits = null ;
+    if (ciCode) {
+      retUnits = this.unitCiCodes_[ciCode] || null;
+    }
+    return retUnits ;
+  }
+
+
   /**
    *  Returns a array of unit objects based on the unit's name.  Usually this
    *  will be an array of one, but there may be more, since unit names are
@@ -507,6 +635,219 @@ class UnitTablesFactory {
   } // end getUnitBySynonym
 
 
+  /**
+   * Searches the unit codes, names and synonyms for units that match a
+   * search string, allowing for typing errors, e.g., "milgram" or
+   * "killogram".  Each unit is scored on how closely its best matching text
+   * matches the search string, based on:
+   *  - the edit distance (the number of characters that must be inserted,
+   *    deleted, replaced or swapped to get one from the other) between the
+   *    search string and the text, or the start of the text;
+   *  - the overlap between the words of the search string and the words
+   *    of the text, so that "per deciliter milligram" matches "milligram per
+   *    deciliter"; and
+   *  - the kind of text matched (Ucum.searchMatchWeights_) and the unit's
+   *    category (Ucum.searchCategoryWeights_), so that clinical units come
+   *    first.
+   *
+   * @param searchStr the string to search for
+   * @param limit the maximum number of units to be returned; optional,
+   *  defaults to Ucum.searchLimit_.  Use 0 for no limit.
+   * @returns an array, ordered by score (highest first), containing a hash
+   *  for each unit whose score is at least Ucum.searchMinScore_:
+   *   'unit' the unit object;
+   *   'score' the score, from 0 to 1 (an exact match on the code, name or
+   *     synonym of a clinical unit);
+   *   'matched' the code, name or synonym that matched best; and
+   *   'matchType' the kind of text that matched: 'code', 'name' or
+   *     'synonym'.
+   *  The array is empty if no units were found.
+   * @throws an error if no search string is provided, or if it is not a
+   *  string
+   */
+  searchUnits(searchStr, limit) {
+
+    if (typeof searchStr !== 'string') {
+      throw (new Error('Unable to search for units because no search ' +
+        'string was provided.'));
+    }
+    if (limit === undefined || limit === null)
+      limit = Ucum.searchLimit_;
+    searchStr = searchStr.trim();
+    let query = searchStr.toLowerCase();
+    let hits = [];
+    if (query !== '') {
+      if (!this.unitSearchTerms_)
+        this.buildUnitSearchTerms();
+      let qWords = this._getWords(query);
+      for (let code in this.unitSearchTerms_) {
+        let theUnit = this.unitCodes_[code];
+        let best = null;
+        let terms = this.unitSearchTerms_[code];
+        for (let t = 0; t < terms.length; t++) {
+          let term = terms[t];
+          let score = (term.type === 'code' && term.text === searchStr) ? 1 :
+            this._getMatchScore(query, qWords, term) *
+            Ucum.searchMatchWeights_[term.type];
+          if (!best || score > best.score)
+            best = {'score': score, 'term': term};
+        }
+        if (best) {
+          let catWeights = Ucum.searchCategoryWeights_;
+          let score = best.score * (catWeights[theUnit.category_] ||
+            catWeights['other']);
+          if (score >= Ucum.searchMinScore_) {
+            hits.push({'unit': theUnit, 'score': score,
+                       'matched': best.term.text,
+                       'matchType': best.term.type});
+          }
+        }
+      } // end do for each unit
+      hits.sort((a, b) => b.score - a.score);
+      if (limit > 0)
+        hits = hits.slice(0, limit);
+    }
+    return hits;
+
+  } // end searchUnits
+
+
+  /**
+   * Builds the unitSearchTerms_ table.  This is called the first time the
+   * searchUnits method is called after a unit is added.
+   *
+   * @returns nothing
+   */
+  buildUnitSearchTerms() {
+    this.unitSearchTerms_ = {};
+    for (let code in this.unitCodes_) {
+      let theUnit = this.unitCodes_[code];
+      let texts = [[code, 'code']];
+      if (theUnit.name_)
+        texts.push([theUnit.name_, 'name']);
+      if (theUnit.synonyms_) {
+        let synsAry = theUnit.synonyms_.split(';');
+        for (let a = 0; a < synsAry.length; a++) {
+          let theSyn = synsAry[a].trim();
+          if (theSyn !== '')
+            texts.push([theSyn, 'synonym']);
+        }
+      }
+      this.unitSearchTerms_[code] = texts.map(([text, type]) => {
+        let lower = text.toLowerCase();
+        return {'text': text, 'lower': lower, 'words': this._getWords(lower),
+                'type': type};
+      });
+    }
+  } // end buildUnitSearchTerms
+
+
+  /**
+   * Scores how closely a search string matches a unit code, name or
+   * synonym.  This should only be called from within this class.
+   *
+   * @param query the lowercase search string
+   * @param qWords the words in the search string
+   * @param term the hash for the code, name or synonym from the
+   *  unitSearchTerms_ table
+   * @returns the score, from 0 (no match) to 1 (the same text)
+   */
+  _getMatchScore(query, qWords, term) {
+    let score = this._getWordScore(query, term.lower);
+
+    // Score the words as well, if there is more than one word in either.
+    // This is the average score of the search string's words, reduced
+    // somewhat if the text has words that were not searched for.  The small
+    // penalty keeps a match on the whole text ahead of a match on the words.
+    if (qWords.length > 1 || term.words.length > 1) {
+      let total = 0;
+      for (let q = 0; q < qWords.length; q++) {
+        let wordBest = 0;
+        for (let w = 0; w < term.words.length; w++) {
+          wordBest = Math.max(wordBest, this._getWordScore(qWords[q],
+            term.words[w]));
+        }
+        total += wordBest;
+      }
+      let coverage = Math.min(qWords.length / term.words.length, 1);
+      score = Math.max(score, 0.95 * (total / qWords.length) *
+        (0.8 + 0.2 * coverage));
+    }
+    return score;
+  } // end _getMatchScore
+
+
+  /**
+   * Scores how closely a string matches another string, either as a whole
+   * or as the start of the other string.  This should only be called from
+   * within this class.
+   *
+   * @param str the string being searched for
+   * @param text the string it is being compared to
+   * @returns the score, from 0 (no match) to 1 (the same string)
+   */
+  _getWordScore(str, text) {
+    if (str === text)
+      return 1;
+    let maxLen = Math.max(str.length, text.length);
+    let score = 1 - this.editDistance(str, text) / maxLen;
+
+    // If the text starts with the string, e.g., "millig" for "milligram",
+    // score it at least as high as a one-character difference would be,
+    // plus a little more the more of the text it covers.
+    if (text.indexOf(str) === 0)
+      score = Math.max(score, 0.8 + 0.2 * str.length / text.length);
+    return Math.max(score, 0);
+  } // end _getWordScore
+
+
+  /**
+   * Splits a string into words, on blanks and punctuation.  This should
+   * only be called from within this class.
+   *
+   * @param str the string
+   * @returns an array of the words
+   */
+  _getWords(str) {
+    return str.split(/[\s,;:()]+/).filter((w) => w !== '');
+  }
+
+
+  /**
+   * Calculates the edit distance between two strings: the number of
+   * single character insertions, deletions, substitutions and
+   * transpositions of adjacent characters needed to change one string into
+   * the other (the "optimal string alignment" distance).
+   *
+   * @param str1 the first string
+   * @param str2 the second string
+   * @returns the edit distance
+   */
+  editDistance(str1, str2) {
+    let len1 = str1.length;
+    let len2 = str2.length;
+    // rows for the previous two characters of str1 and the current one
+    let prev2 = null;
+    let prev = [];
+    for (let j = 0; j <= len2; j++)
+      prev.push(j);
+    for (let i = 1; i <= len1; i++) {
+      let cur = [i];
+      for (let j = 1; j <= len2; j++) {
+        let cost = str1.charAt(i - 1) === str2.charAt(j - 1) ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (i > 1 && j > 1 && str1.charAt(i - 1) === str2.charAt(j - 2) &&
+            str1.charAt(i - 2) === str2.charAt(j - 1)) {
+          cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+        }
+      }
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[len2];
+  } // end editDistance
+
+
   /**
    * Gets a list of all unit names in the Unit tables
    *
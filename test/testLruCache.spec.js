@@ -0,0 +1,55 @@
+/**
+ * Mocha tests for the LruCache class.
+ *
+ * Run from the command line with 'mocha testLruCache.spec.js' or 'grunt test'
+ */
+
+var assert = require('assert');
+var LruCache = require("../source-cjs/lruCache.js").LruCache;
+
+describe('Test LruCache class', function() {
+
+  it("should return stored values and count hits and misses", function() {
+    let cache = new LruCache(2);
+    cache.set('a', 1);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), undefined);
+    assert.deepEqual(cache.getStats(), {hits: 1, misses: 1, size: 1, maxSize: 2});
+  });
+
+  it("should discard the least recently used entry when full", function() {
+    let cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+  });
+
+  it("should not store anything when the maximum size is 0", function() {
+    let cache = new LruCache(0);
+    cache.set('a', 1);
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.getStats().size, 0);
+  });
+
+  it("should discard entries when the maximum size is reduced", function() {
+    let cache = new LruCache(3);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    cache.setMaxSize(1);
+    assert.equal(cache.getStats().size, 1);
+    assert.equal(cache.get('c'), 3);
+  });
+
+  it("should remove all entries and reset the counts when cleared", function() {
+    let cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.get('a');
+    cache.clear();
+    assert.deepEqual(cache.getStats(), {hits: 0, misses: 0, size: 0, maxSize: 2});
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Mocha tests for the Quantity class.
+ * Run from the command line with 'mocha testQuantity.spec.js' or 'grunt test'
+ */
+
+var assert = require('assert');
+var Quantity = require("../source-cjs/quantity.js").Quantity;
+var Utils = require("../source-cjs/ucumLhcUtils.js").UcumLhcUtils;
+var UTables = require("../source-cjs/unitTables.js").UnitTables;
+
+
+describe('Test Quantity creation', function() {
+  it("should create a quantity from a unit string or a unit object", function() {
+    let qty = new Quantity(5, 'mg/kg');
+    assert.equal(qty.getValue(), 5);
+    assert.equal(qty.getUnitCode(), 'mg/kg');
+    assert.equal(qty.toString(), '5 mg/kg');
+    qty = new Quantity(2, UTables.getInstance().getUnitByCode('g'));
+    assert.equal(qty.toString(), '2 g');
+  });
+
+  it("should throw coded errors for invalid values and units", function() {
+    assert.throws(() => new Quantity('5', 'g'),
+      (err) => err.code === 'INVALID_QUANTITY');
+    assert.throws(() => new Quantity(NaN, 'g'),
+      (err) => err.code === 'INVALID_QUANTITY');
+    assert.throws(() => new Quantity(5, 'foo'),
+      (err) => err.code === 'INVALID_CODE' && err.errors.length > 0);
+    assert.throws(() => new Quantity(5, null),
+      (err) => err.code === 'INVALID_QUANTITY');
+  });
+});
+
+
+describe('Test Quantity arithmetic', function() {
+  it("should multiply quantities and convert the product", function() {
+    let dose = new Quantity(5, 'mg/kg');
+    let weight = new Quantity(150, '[lb_av]');
+    let product = dose.multiply(weight);
+    assert.equal(product.getValue(), 750);
+    assert.equal(product.getUnitCode(), '(mg/kg).[lb_av]');
+    assert.equal(product.convertTo('mg').getValue().toPrecision(6), '340.194');
+    assert.equal(dose.toString(), '5 mg/kg');
+    assert.equal(dose.multiply(2).toString(), '10 mg/kg');
+  });
+
+  it("should divide quantities and raise them to powers", function() {
+    let rate = new Quantity(750, 'mg').divide(new Quantity(5, 'h'));
+    assert.equal(rate.toString(), '150 mg/h');
+    assert.equal(rate.divide(3).getValue(), 50);
+    let area = new Quantity(3, 'm').power(2);
+    assert.equal(area.toString(), '9 m2');
+    assert.equal(area.convertTo('cm2').getValue(), 90000);
+    assert.throws(() => area.power(0.5),
+      (err) => err.code === 'INVALID_QUANTITY');
+    assert.throws(() => rate.divide(0),
+      (err) => err.code === 'INVALID_QUANTITY' &&
+        err.message === '150 mg/h cannot be divided by zero (0).');
+    assert.throws(() => rate.divide(new Quantity(0, 'h')),
+      (err) => err.code === 'INVALID_QUANTITY' &&
+        err.message === '150 mg/h cannot be divided by zero (0 h).');
+    assert.throws(() => rate.divide('2'),
+      (err) => err.code === 'INVALID_QUANTITY');
+  });
+
+  it("should add and subtract quantities in the first quantity's unit", function() {
+    let mass = new Quantity(1, 'kg');
+    assert.equal(mass.add(new Quantity(500, 'g')).toString(), '1.5 kg');
+    assert.equal(mass.subtract(new Quantity(500, 'g')).toString(), '0.5 kg');
+    assert.equal(new Quantity(5, '[IU]').add(new Quantity(3, '[IU]'))
+      .getValue(), 8);
+  });
+
+  it("should treat quantities added to temperatures as differences", function() {
+    let temp = new Quantity(20, 'Cel');
+    assert.equal(temp.add(new Quantity(9, '[degF]')).getValue(), 25);
+    assert.equal(temp.subtract(new Quantity(5, 'K')).getValue(), 15);
+    assert.equal(Math.round(temp.convertTo('[degF]').getValue()), 68);
+    assert.throws(() => new Quantity(7, '[pH]').add(new Quantity(1, '[pH]')),
+      (err) => err.code === 'NON_RATIO_UNIT');
+  });
+
+  it("should throw structured errors for dimension mismatches", function() {
+    let mass = new Quantity(1, 'kg');
+    assert.throws(() => mass.add(new Quantity(5, 'm')),
+      (err) => err.code === 'NOT_COMMENSURABLE' &&
+        err.message === 'Sorry.  m cannot be converted to kg.');
+    assert.throws(() => mass.convertTo('mmol'),
+      (err) => err.code === 'NOT_COMMENSURABLE');
+    assert.throws(() => new Quantity(1, 'mol').compareTo(new Quantity(1, '1')),
+      (err) => err.code === 'NOT_COMMENSURABLE');
+    assert.throws(() => mass.add(5),
+      (err) => err.code === 'INVALID_QUANTITY');
+  });
+});
+
+
+describe('Test Quantity messages', function() {
+  it("should return error messages for the locale", function() {
+    let utils = Utils.getInstance();
+    utils.addLocaleBundle({'locale': 'es', 'messages': {
+      'notCommensurableMsg': '{fromUnit} no se puede convertir a {toUnit}.'}});
+    try {
+      let mass = new Quantity(1, 'mg', {'locale': 'es'});
+      assert.throws(() => mass.convertTo('L'),
+        (err) => err.code === 'NOT_COMMENSURABLE' &&
+          err.message === 'mg no se puede convertir a L.');
+      assert.throws(() => mass.compareTo(new Quantity(1, 'm')),
+        (err) => err.message === 'mg no se puede convertir a m.');
+    }
+    finally {
+      utils.removeLocaleBundle('es');
+    }
+  });
+});
+
+
+describe('Test Quantity comparison', function() {
+  it("should compare quantities in different units", function() {
+    let mass = new Quantity(1, 'kg');
+    assert.equal(mass.compareTo(new Quantity(500, 'g')), 1);
+    assert.equal(mass.compareTo(new Quantity(3, '[lb_av]')), -1);
+    assert.equal(mass.compareTo(new Quantity(1000, 'g')), 0);
+    assert.ok(mass.equals(new Quantity(1000000, 'mg')));
+    assert.ok(!mass.equals(new Quantity(999, 'g')));
+    assert.ok(new Quantity(20, 'Cel').equals(new Quantity(68, '[degF]')));
+  });
+
+  it("should compare interval units at zero in either order", function() {
+    let cel = new Quantity(0, 'Cel');
+    let degF = new Quantity(32, '[degF]');
+    assert.ok(cel.equals(degF));
+    assert.ok(degF.equals(cel));
+    assert.equal(cel.compareTo(degF), 0);
+    assert.equal(degF.compareTo(cel), 0);
+    assert.ok(new Quantity(-17.77777777777778, 'Cel').equals(
+      new Quantity(0, '[degF]')));
+    assert.equal(cel.compareTo(new Quantity(33, '[degF]')), -1);
+    assert.equal(new Quantity(33, '[degF]').compareTo(cel), 1);
+  });
+
+  it("should use the same tolerance in equals and compareTo", function() {
+    let mass = new Quantity(1, 'g');
+    let close = new Quantity(1000.0000000001, 'mg');
+    assert.ok(mass.equals(close));
+    assert.equal(mass.compareTo(close), 0);
+    assert.ok(!mass.equals(close, 1e-15));
+    assert.equal(mass.compareTo(close, 1e-15), -1);
+    assert.ok(new Quantity(0, 'g').equals(new Quantity(1e-16, 'kg')));
+  });
+});
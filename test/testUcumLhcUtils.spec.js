@@ -836,3 +836,1744 @@ describe('Test detectConversionType method', ()=> {
     assert.equal(resp, 'mol->eq', resp);
   });
 });
+
+
+describe('Test error objects returned with messages', function() {
+
+  it("should return a NO_UNIT_STRING error when no unit string is supplied", function() {
+    let resp = utils.validateUnitString();
+    assert.equal(resp.errors.length, 1, JSON.stringify(resp.errors));
+    assert.equal(resp.errors[0].code, 'NO_UNIT_STRING');
+    assert.equal(resp.errors[0].severity, 'error');
+    assert.equal(resp.errors[0].message, resp.msg[0]);
+  });
+
+  it("should return a NO_ALTERNATIVES error with the location of the code", function() {
+    let resp = utils.validateUnitString('mg/noFool', true);
+    assert.equal(resp.status, 'invalid', resp.status);
+    let err = resp.errors.find(e => e.code === 'NO_ALTERNATIVES');
+    assert(err, JSON.stringify(resp.errors));
+    assert.equal(err.severity, 'error');
+    assert.equal(err.token, 'noFool');
+    assert.equal(err.start, 3);
+    assert.equal(err.end, 9);
+  });
+
+  it("should count leading blanks in the locations", function() {
+    for (let i = 0; i < 2; i++) { // the second time the result is cached
+      let resp = utils.validateUnitString('  mg/kgg');
+      assert.equal(resp.errors[0].token, 'kgg');
+      assert.deepEqual([resp.errors[0].start, resp.errors[0].end], [5, 8]);
+    }
+    let resp = utils.validateUnitString('mg/kgg');
+    assert.deepEqual([resp.errors[0].start, resp.errors[0].end], [3, 6]);
+    resp = utils.convertUnitTo(' mg/kgg', 1, '  kgg');
+    assert.deepEqual(resp.errors.filter((e) => e.start !== null).map(
+      (e) => [e.input, e.start, e.end]), [['from', 4, 7], ['to', 2, 5]]);
+    resp = utils.convertUnitToBatch(' mg/kgg', [1], 'g');
+    assert.equal(resp.errors[0].start, 4);
+    assert.throws(() => utils.createConverter('g', '   kgg'),
+      (err) => err.errors[0].start === 3);
+    resp = utils.bestFitUnit(1, ' mg/kgg');
+    assert.equal(resp.errors[0].start, 4);
+  });
+
+  it("should return a MISSING_MULTIPLICATION warning for 2mg", function() {
+    let resp = utils.validateUnitString('2mg');
+    assert.equal(resp.status, 'invalid', resp.status);
+    assert.equal(resp.errors.length, resp.msg.length);
+    assert.equal(resp.errors[0].code, 'MISSING_MULTIPLICATION');
+    assert.equal(resp.errors[0].severity, 'warning');
+    assert.equal(resp.errors[0].message, resp.msg[0]);
+  });
+
+  it("should return an empty errors array for a valid unit", function() {
+    let resp = utils.validateUnitString('mg/dL');
+    assert.deepEqual(resp.errors, []);
+  });
+
+  it("should only use codes that are defined in Ucum.errorCodes_", function() {
+    let strings = ['2mg', 'mg{abc', 'mg}', '(mg', 'mg)', '.mg', 'mg/', 'mg//dL',
+      '{a}mg', 'Gauss', 'noFool', 'm{abc}g', '(m)g', '(m)2', 'mg m'];
+    for (let s of strings) {
+      let resp = utils.validateUnitString(s, true);
+      assert(resp.errors.length > 0, s);
+      for (let e of resp.errors)
+        assert(Ucum.errorCodes_[e.code], s + ': ' + e.code);
+    }
+  });
+
+  it("should mark unit string errors with the conversion input they came from", function() {
+    let resp = utils.convertUnitTo('mg', 1, 'noFool');
+    assert.equal(resp.status, 'failed', resp.status);
+    let err = resp.errors.find(e => e.code === 'INVALID_CODE');
+    assert(err, JSON.stringify(resp.errors));
+    assert.equal(err.input, 'to');
+    assert(resp.errors.find(e => e.code === 'UNIT_NOT_FOUND'));
+  });
+
+  it("should return codes for missing conversion input", function() {
+    let resp = utils.convertUnitTo('', 'abc', '');
+    let codes = resp.errors.map(e => e.code);
+    assert.deepEqual(codes, ['NO_FROM_UNIT', 'INVALID_FROM_VALUE', 'NO_TO_UNIT']);
+    assert.deepEqual(resp.errors.map(e => e.message), resp.msg);
+  });
+
+  it("should return NEED_MOLECULAR_WEIGHT for a mass to mole conversion without a weight", function() {
+    let resp = utils.convertUnitTo('mg', 1, 'mmol');
+    assert.equal(resp.errors.length, 1, JSON.stringify(resp.errors));
+    assert.equal(resp.errors[0].code, 'NEED_MOLECULAR_WEIGHT');
+  });
+
+  it("should return NOT_COMMENSURABLE for units that cannot be converted", function() {
+    let resp = utils.convertUnitTo('mg', 1, 'm');
+    assert.equal(resp.status, 'failed', resp.status);
+    assert.equal(resp.errors[0].code, 'NOT_COMMENSURABLE');
+  });
+
+  it("should return ARBITRARY_UNIT from convertToBaseUnits for an arbitrary unit", function() {
+    let resp = utils.convertToBaseUnits('[IU]', 1);
+    assert.equal(resp.status, 'failed', resp.status);
+    assert.equal(resp.errors[0].code, 'ARBITRARY_UNIT');
+  });
+});
+
+
+describe('Test convertUnitToBatch method', function() {
+
+  it("should convert an array of values", function() {
+    let resp = utils.convertUnitToBatch('mg/dL', [1, 2.5, '10'], 'g/L');
+    assert.equal(resp.status, 'succeeded', JSON.stringify(resp.msg));
+    assert.equal(resp.results.length, 3);
+    let expected = [0.01, 0.025, 0.1];
+    for (let i = 0; i < 3; i++) {
+      assert.equal(resp.results[i].status, 'succeeded');
+      assert(Math.abs(resp.results[i].toVal - expected[i]) < 1e-12,
+        resp.results[i].toVal);
+      let single = utils.convertUnitTo('mg/dL', [1, 2.5, '10'][i], 'g/L');
+      assert.equal(resp.results[i].toVal, single.toVal);
+    }
+    assert.equal(resp.fromUnit.csCode_, 'mg/dL');
+    assert.equal(resp.toUnit.csCode_, 'g/L');
+  });
+
+  it("should convert a typed array of values, including special units", function() {
+    let resp = utils.convertUnitToBatch('Cel', new Float64Array([0, 100]), '[degF]');
+    assert.equal(resp.status, 'succeeded', JSON.stringify(resp.msg));
+    assert(Math.abs(resp.results[0].toVal - 32) < 1e-9, resp.results[0].toVal);
+    assert(Math.abs(resp.results[1].toVal - 212) < 1e-9, resp.results[1].toVal);
+  });
+
+  it("should use the molecular weight and charge for mol, mass and eq conversions", function() {
+    let resp = utils.convertUnitToBatch('mmol/L', [1, 2], 'mg/dL',
+      {molecularWeight: 180.156});
+    assert.equal(resp.status, 'succeeded', JSON.stringify(resp.msg));
+    assert.equal(resp.results[1].toVal,
+      utils.convertUnitTo('mmol/L', 2, 'mg/dL', {molecularWeight: 180.156}).toVal);
+
+    resp = utils.convertUnitToBatch('meq', [2, 4], 'mmol', {charge: 2});
+    assert.equal(resp.status, 'succeeded', JSON.stringify(resp.msg));
+    assert.equal(resp.results[0].toVal, 1);
+    assert.equal(resp.results[1].toVal, 2);
+  });
+
+  it("should return an error result for each invalid value", function() {
+    let resp = utils.convertUnitToBatch('mg', [1, 'abc', null], 'g');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.results[0].status, 'succeeded');
+    assert.equal(resp.results[0].toVal, 0.001);
+    for (let i = 1; i < 3; i++) {
+      assert.equal(resp.results[i].status, 'error');
+      assert.equal(resp.results[i].toVal, null);
+      assert.equal(resp.results[i].errors[0].code, 'INVALID_FROM_VALUE');
+    }
+  });
+
+  it("should fail every value if the units cannot be converted", function() {
+    let resp = utils.convertUnitToBatch('mg', [1, 2], 'mmol');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.msg[0], Ucum.needMoleWeightMsg_);
+    assert.deepEqual(resp.results.map(r => r.status), ['failed', 'failed']);
+
+    resp = utils.convertUnitToBatch('mg', [1, 2], 'm');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'NOT_COMMENSURABLE');
+    assert.deepEqual(resp.results.map(r => r.toVal), [null, null]);
+  });
+
+  it("should return an error if no array of values is passed in", function() {
+    let resp = utils.convertUnitToBatch('mg', 5, 'g');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.errors[0].code, 'INVALID_FROM_VALUE');
+    assert.deepEqual(resp.results, []);
+  });
+});
+
+
+describe('Test createConverter method', function() {
+
+  it("should create a converter that gives the same results as convertUnitTo", function() {
+    let converter = utils.createConverter('[lb_av]', 'kg');
+    assert(Object.isFrozen(converter));
+    assert.equal(converter.fromUnit.csCode_, '[lb_av]');
+    assert.equal(converter.toUnit.csCode_, 'kg');
+    for (let val of [0, 1, 150.5]) {
+      assert.equal(converter.convert(val),
+        utils.convertUnitTo('[lb_av]', val, 'kg').toVal);
+    }
+  });
+
+  it("should create an inverse converter", function() {
+    let converter = utils.createConverter('Cel', '[degF]');
+    let inverse = converter.inverse();
+    assert(Object.isFrozen(inverse));
+    assert.equal(inverse.fromUnit.csCode_, '[degF]');
+    assert(Math.abs(converter.convert(100) - 212) < 1e-9);
+    assert(Math.abs(inverse.convert(212) - 100) < 1e-9);
+    assert.strictEqual(inverse.inverse(), converter);
+  });
+
+  it("should use the molecular weight and charge", function() {
+    let converter = utils.createConverter('mg/dL', 'mmol/L',
+      {molecularWeight: 180.156});
+    assert.equal(converter.convert(90),
+      utils.convertUnitTo('mg/dL', 90, 'mmol/L', {molecularWeight: 180.156}).toVal);
+    assert(Math.abs(converter.inverse().convert(converter.convert(90)) - 90) < 1e-9);
+
+    converter = utils.createConverter('g', 'eq', {molecularWeight: 40.078, charge: 2});
+    assert(Math.abs(converter.convert(40.078) - 2) < 1e-9, converter.convert(40.078));
+  });
+
+  it("should return messages for substitutions in the unit strings", function() {
+    let converter = utils.createConverter('Gauss', 'T');
+    assert.equal(converter.toUnit.csCode_, 'T');
+    assert.equal(converter.msg.length, 1);
+    assert.equal(converter.convert(10000), 1);
+  });
+
+  it("should throw an error with a code if the units cannot be converted", function() {
+    assert.throws(() => utils.createConverter('mg', 'mmol'),
+      (err) => err.code === 'NEED_MOLECULAR_WEIGHT' &&
+        err.message === Ucum.needMoleWeightMsg_);
+    assert.throws(() => utils.createConverter('mg', 'm'),
+      (err) => err.code === 'NOT_COMMENSURABLE');
+    assert.throws(() => utils.createConverter('mg', 'noFool'),
+      (err) => err.code === 'INVALID_CODE' && err.errors.length === 2);
+    assert.throws(() => utils.createConverter('', 'g'),
+      (err) => err.code === 'NO_FROM_UNIT');
+  });
+});
+
+
+describe('Test the unit expression cache', function() {
+
+  it("should return cached results for a unit expression used again", function() {
+    let cacheUtils = Utils.getInstance();
+    cacheUtils.clearUnitCache();
+    let first = cacheUtils.getSpecifiedUnit('mg/dL', 'convert', false);
+    let second = cacheUtils.getSpecifiedUnit('mg/dL', 'convert', false);
+    assert.notStrictEqual(second.unit, first.unit);
+    assert.equal(second.unit.csCode_, first.unit.csCode_);
+    assert.equal(second.status, 'valid');
+    let stats = cacheUtils.getUnitCacheStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.size, 1);
+  });
+
+  it("should keep separate results for the valConv and suggest flags", function() {
+    let cacheUtils = Utils.getInstance();
+    let conv = cacheUtils.getSpecifiedUnit('2mg', 'convert', false);
+    let val = cacheUtils.getSpecifiedUnit('2mg', 'validate', false);
+    assert.notEqual(conv.retMsg[0], val.retMsg[0]);
+    let noSugg = cacheUtils.getSpecifiedUnit('mg/Gauss2x', 'validate', false);
+    let sugg = cacheUtils.getSpecifiedUnit('mg/Gauss2x', 'validate', true);
+    assert.equal(noSugg.suggestions, undefined);
+    assert.equal(cacheUtils.getUnitCacheStats().hits, 0);
+  });
+
+  it("should not let changes to a result change the cached result", function() {
+    let cacheUtils = Utils.getInstance();
+    let first = cacheUtils.validateUnitString('2mg');
+    first.msg.push('extra');
+    first.errors[0].code = 'changed';
+    let second = cacheUtils.validateUnitString('2mg');
+    assert.equal(second.msg.length, 1);
+    assert.equal(second.errors[0].code, 'MISSING_MULTIPLICATION');
+  });
+
+  it("should not let changes to a returned unit change the cached unit", function() {
+    let cacheUtils = Utils.getInstance();
+    cacheUtils.convertUnitTo('m', 1, 'cm').toUnit.power(2);
+    assert.equal(cacheUtils.convertUnitTo('m', 1, 'cm').toVal, 100);
+    cacheUtils.getSpecifiedUnit('km', 'convert').unit.invert();
+    assert.equal(cacheUtils.convertUnitTo('km', 1, 'm').toVal, 1000);
+    cacheUtils.createConverter('g', 'kg').fromUnit.power(3);
+    assert.equal(cacheUtils.convertUnitTo('g', 1000, 'kg').toVal, 1);
+  });
+
+  it("should discard results when the cache is full", function() {
+    let cacheUtils = Utils.getInstance();
+    cacheUtils.setUnitCacheSize(2);
+    cacheUtils.getSpecifiedUnit('mg/dL', 'convert');
+    cacheUtils.getSpecifiedUnit('g/L', 'convert');
+    cacheUtils.getSpecifiedUnit('umol/L', 'convert');
+    assert.equal(cacheUtils.getUnitCacheStats().size, 2);
+    assert.equal(cacheUtils.getUnitCacheStats().maxSize, 2);
+    cacheUtils.getSpecifiedUnit('mg/dL', 'convert');
+    assert.equal(cacheUtils.getUnitCacheStats().hits, 0);
+    cacheUtils.getSpecifiedUnit('umol/L', 'convert');
+    assert.equal(cacheUtils.getUnitCacheStats().hits, 1);
+  });
+
+  it("should clear the cache when the message format is changed", function() {
+    let cacheUtils = Utils.getInstance();
+    let plain = cacheUtils.validateUnitString('mg/');
+    cacheUtils.useHTMLInMessages(true);
+    assert.equal(cacheUtils.getUnitCacheStats().size, 0);
+    let html = cacheUtils.validateUnitString('mg/');
+    assert.notEqual(plain.msg[0], html.msg[0]);
+  });
+});
+
+
+describe('Test strict validation mode', function() {
+  let strictOpts = {strict: true};
+
+  it("should accept valid UCUM expressions", function() {
+    ['mg/dL', '[lb_av]', 'mg{total}', '{cells}/uL', '10^3', 'kg.m2/s2'].forEach(
+      function(uStr) {
+        let resp = utils.validateUnitString(uStr, false, 'validate', strictOpts);
+        assert.equal(resp.status, 'valid', uStr);
+        assert.equal(resp.ucumCode, uStr);
+        assert.deepEqual(resp.errors, [], uStr);
+      });
+  });
+
+  it("should not substitute a unit code for a unit name", function() {
+    let resp = utils.validateUnitString('pound', false, 'validate', strictOpts);
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.ucumCode, null);
+    assert.equal(resp.errors.length, 1);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    assert.equal(resp.errors[0].severity, 'error');
+  });
+
+  it("should not add brackets to a unit code", function() {
+    let resp = utils.validateUnitString('degF', false, 'validate', strictOpts);
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.ucumCode, null);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+  });
+
+  it("should report a missing multiplication operator as an error", function() {
+    let resp = utils.validateUnitString('mg/2kJ', false, 'validate', strictOpts);
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.ucumCode, null);
+    assert.equal(resp.msg.length, 1);
+    assert.equal(resp.msg[0], '2kJ is not valid UCUM syntax.  A ' +
+      'multiplication operator (.) is required after 2.');
+    assert.deepEqual(resp.errors[0], {code: 'MISSING_MULTIPLICATION',
+      severity: 'error', message: resp.msg[0], token: '2kJ', start: 3, end: 6,
+      segments: [{type: 'text', text: resp.msg[0]}]});
+  });
+
+  it("should not suggest a fix for an exponent after parentheses", function() {
+    let resp = utils.validateUnitString('(mg)2', false, 'validate',
+      strictOpts);
+    assert.equal(resp.status, 'invalid');
+    assert.deepEqual(resp.msg, ['An exponent (2) following a parenthesis ' +
+      'is invalid as of revision 1.9 of the UCUM Specification.']);
+    assert.equal(resp.errors[0].code, 'EXPONENT_AFTER_PARENS');
+    // The suggestion is still made when not in strict mode
+    resp = utils.validateUnitString('(mg)2');
+    assert.ok(resp.msg[0].indexOf('mg2') > 0, resp.msg[0]);
+  });
+
+  it("should report a misplaced annotation as an error", function() {
+    let resp = utils.validateUnitString('{a}mg', false, 'validate', strictOpts);
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.errors.length, 1);
+    assert.equal(resp.errors[0].code, 'MISPLACED_ANNOTATION');
+    assert.equal(resp.errors[0].severity, 'error');
+  });
+
+  it("should not return suggestions or informational messages", function() {
+    let strictUtils = Utils.getInstance();
+    strictUtils.useBraceMsgForEachString(true);
+    let resp = strictUtils.validateUnitString('mg/Gauss2x', true, 'validate',
+      strictOpts);
+    assert.equal(resp.suggestions, undefined);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    resp = strictUtils.validateUnitString('{degF}', true, 'validate', strictOpts);
+    assert.equal(resp.status, 'valid');
+    assert.deepEqual(resp.msg, []);
+  });
+
+  it("should not remove leading or trailing blanks", function() {
+    let resp = utils.validateUnitString(' mg', false, 'validate', strictOpts);
+    assert.notEqual(resp.status, 'valid');
+    assert.equal(resp.errors[0].code, 'BLANK_SPACE');
+    assert.equal(utils.validateUnitString(' mg').status, 'valid');
+  });
+
+  it("should keep strict and lenient results apart in the cache", function() {
+    let cacheUtils = Utils.getInstance();
+    assert.equal(cacheUtils.validateUnitString('2mg').errors[0].severity,
+      'warning');
+    assert.equal(cacheUtils.validateUnitString('2mg', false, 'validate',
+      strictOpts).errors[0].severity, 'error');
+  });
+
+  it("should fail a conversion for a string that is not strictly valid", function() {
+    let resp = utils.convertUnitTo('pound', 1, 'kg', strictOpts);
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    assert.equal(resp.errors[0].input, 'from');
+    assert.equal(utils.convertUnitTo('[lb_av]', 1, 'kg', strictOpts).status,
+      'succeeded');
+  });
+});
+
+
+describe('Test autocorrect option', function() {
+  let acOpts = {autocorrect: true};
+
+  /**
+   *  Returns the corrected unit strings returned for a unit string.
+   */
+  function getCorrections(uStr, options) {
+    let resp = utils.validateUnitString(uStr, false, 'validate',
+      Object.assign({}, acOpts, options));
+    return resp.corrections.map((c) => c.ucumCode);
+  }
+
+  it("should return no corrections for a valid string", function() {
+    assert.deepEqual(getCorrections('mg/dL'), []);
+    assert.equal(utils.validateUnitString('mg/dL').corrections, undefined);
+  });
+
+  it("should fix the case of unit codes", function() {
+    assert.equal(getCorrections('MMOL/L')[0], 'mmol/L');
+    let corrections = getCorrections('MG/DL');
+    assert.equal(corrections[0], 'mg/dL');
+    assert.ok(corrections.indexOf('mg/dL') < corrections.indexOf('mg/dl'));
+    // MG (megagauss) is valid, but MG/dL is less likely than mg/dL
+    assert.ok(corrections.indexOf('MG/dL') > corrections.indexOf('mg/dL'));
+    assert.equal(getCorrections('MGDL')[0], 'mg/dL');
+  });
+
+  it("should add missing brackets", function() {
+    let resp = utils.validateUnitString('in_i', false, 'validate', acOpts);
+    assert.equal(resp.corrections[0].ucumCode, '[in_i]');
+    assert.equal(resp.corrections[0].unit.name, 'inch');
+    assert.deepEqual(resp.corrections[0].fixes, [{code: 'BRACKETS_ADDED',
+      token: 'in_i', replacement: '[in_i]', start: 0, end: 4}]);
+    assert.equal(getCorrections('IN_I')[0], '[in_i]');
+  });
+
+  it("should add missing multiplication operators", function() {
+    assert.equal(getCorrections('2mg')[0], '2.mg');
+    assert.equal(getCorrections('mg/2kJ')[0], 'mg/(2.kJ)');
+  });
+
+  it("should add operators between unit codes written together", function() {
+    let resp = utils.validateUnitString('mgdL', false, 'validate', acOpts);
+    assert.deepEqual(resp.corrections.map((c) => c.ucumCode),
+      ['mg/dL', 'mg.dL']);
+    assert.deepEqual(resp.corrections[0].fixes, [{code: 'MISSING_OPERATOR',
+      token: 'mgdL', replacement: 'mg/dL', start: 0, end: 4}]);
+  });
+
+  it("should fix blanks within unit strings", function() {
+    assert.equal(getCorrections('mg dL')[0], 'mg/dL');
+    assert.equal(getCorrections('mg dL')[1], 'mg.dL');
+    let resp = utils.validateUnitString(' mg / dL', false, 'validate',
+      acOpts);
+    assert.equal(resp.corrections[0].ucumCode, 'mg/dL');
+    assert.deepEqual(resp.corrections[0].fixes.map((f) => [f.code, f.start]),
+      [['BLANK_SPACE', 0], ['BLANK_SPACE', 3], ['BLANK_SPACE', 5]]);
+    assert.equal(getCorrections('mg (24.h)')[0], 'mg/(24.h)');
+  });
+
+  it("should replace per with a division operator", function() {
+    let resp = utils.validateUnitString('mg per dL', false, 'validate',
+      acOpts);
+    assert.equal(resp.corrections[0].ucumCode, 'mg/dL');
+    assert.deepEqual(resp.corrections[0].fixes, [{code: 'PER_REPLACED',
+      token: ' per ', replacement: '/', start: 2, end: 7}]);
+    assert.equal(getCorrections('mmol PER L per h')[0], 'mmol/L/h');
+    assert.equal(getCorrections('per min')[0], '/min');
+  });
+
+  it("should remove a character typed twice", function() {
+    assert.deepEqual(getCorrections('mgg'), ['mg']);
+    assert.deepEqual(getCorrections('mmoll'), ['mmol']);
+    let resp = utils.validateUnitString('ug/mll', false, 'validate', acOpts);
+    assert.deepEqual(resp.corrections.map((c) => c.ucumCode), ['ug/ml']);
+    assert.deepEqual(resp.corrections[0].fixes, [{code: 'REPEATED_CHARACTER',
+      token: 'mll', replacement: 'ml', start: 3, end: 6}]);
+  });
+
+  it("should move misplaced annotations", function() {
+    assert.equal(getCorrections('{total}mg')[0], 'mg{total}');
+  });
+
+  it("should substitute unit codes for unit names and synonyms", function() {
+    let resp = utils.validateUnitString('mg/pound', false, 'validate', acOpts);
+    assert.equal(resp.corrections[0].ucumCode, 'mg/[lb_av]');
+    assert.equal(resp.corrections[0].fixes[0].code, 'UNIT_NAME_SUBSTITUTED');
+    assert.equal(resp.corrections[0].fixes[0].start, 3);
+    assert.ok(resp.corrections.length > 1);
+    assert.equal(resp.corrections[1].fixes[0].code, 'SYNONYM_SUBSTITUTED');
+  });
+
+  it("should rank corrections by confidence", function() {
+    let resp = utils.validateUnitString('pound', false, 'validate', acOpts);
+    for (let c = 1; c < resp.corrections.length; c++) {
+      assert.ok(resp.corrections[c - 1].confidence >=
+        resp.corrections[c].confidence);
+    }
+    assert.ok(resp.corrections[0].confidence <= 1);
+  });
+
+  it("should return only valid corrections, up to the maximum requested", function() {
+    assert.equal(getCorrections('pound', {maxCorrections: 2}).length, 2);
+    let corrections = getCorrections('MG/DL');
+    for (let c = 0; c < corrections.length; c++) {
+      assert.equal(utils.validateUnitString(corrections[c], false, 'validate',
+        {strict: true}).status, 'valid', corrections[c]);
+    }
+  });
+
+  it("should return an empty array if no corrections are found", function() {
+    assert.deepEqual(getCorrections('mg/noFool'), []);
+  });
+});
+
+
+describe('Test searchUnits method', function() {
+
+  it("should return an error if no search term is specified", function() {
+    let resp = utils.searchUnits('  ');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.msg, 'No term specified for unit search.');
+    for (let term of [5, null, {}, ['mg']]) {
+      assert.deepEqual(utils.searchUnits(term), resp);
+    }
+  });
+
+  it("should return scored units for a misspelled term", function() {
+    let resp = utils.searchUnits('killogram', {limit: 5});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.units.length, 5);
+    let first = resp.units[0];
+    assert.equal(first.code, 'kg');
+    assert.equal(first.name, 'kilogram');
+    assert.equal(first.category, 'Clinical');
+    assert.equal(first.matched, 'kilogram');
+    assert.equal(first.matchType, 'name');
+    assert.ok(first.score > 0.8 && first.score < 1);
+  });
+
+  it("should return failed if no units are found", function() {
+    let resp = utils.searchUnits('xyzzy');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.msg, 'Unable to find any units matching xyzzy');
+    assert.equal(resp.units, undefined);
+  });
+});
+
+
+describe('Test autocomplete method', function() {
+
+  it("should return an error if no partial expression is specified", function() {
+    let resp = utils.autocomplete('');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.msg,
+      'No partial unit expression specified for completion.');
+    assert.deepEqual(utils.autocomplete(5), resp);
+  });
+
+  it("should complete a unit code, with and without an operator", function() {
+    let resp = utils.autocomplete('mmo');
+    assert.equal(resp.status, 'succeeded');
+    let codes = resp.completions.map((c) => c.ucumCode);
+    assert.equal(codes[0], 'mmol');
+    assert.ok(codes.indexOf('mmol/') > 0, JSON.stringify(codes));
+    assert.ok(codes.indexOf('mmol/L') > 0, JSON.stringify(codes));
+    codes.forEach((code) => assert.equal(code.indexOf('mmo'), 0));
+    let withOp = resp.completions[codes.indexOf('mmol/')];
+    assert.equal(withOp.matchType, 'operator');
+    assert.equal(withOp.name, 'millimole per');
+  });
+
+  it("should complete the unit code after an operator", function() {
+    let resp = utils.autocomplete('mg/d');
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.completions[0].ucumCode, 'mg/dL');
+    assert.equal(resp.completions[0].name, 'milligram per deciliter');
+  });
+
+  it("should offer unit codes after an operator", function() {
+    let resp = utils.autocomplete('mg.');
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.completions.length, 10);
+    resp.completions.forEach((c) => {
+      assert.equal(c.ucumCode.indexOf('mg.'), 0);
+      assert.equal(c.matchType, 'code');
+      assert.ok(c.ucumCode.length > 3);
+    });
+  });
+
+  it("should complete a number with an operator", function() {
+    let resp = utils.autocomplete('1');
+    assert.equal(resp.status, 'succeeded');
+    assert.deepEqual(resp.completions.map((c) => c.ucumCode),
+      ['1', '1.', '1/']);
+    assert.equal(resp.completions[0].matchType, 'exact');
+  });
+
+  it("should complete a unit code in square brackets", function() {
+    let resp = utils.autocomplete('[in');
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.completions[0].ucumCode, '[in_i]');
+  });
+
+  it("should complete a prefixed unit code and a unit name", function() {
+    let resp = utils.autocomplete('kilo', {limit: 3});
+    assert.equal(resp.status, 'succeeded');
+    assert.deepEqual(resp.completions, []);
+    assert.equal(resp.nameMatches.length, 3);
+    assert.equal(resp.nameMatches[0].ucumCode, 'kg');
+    assert.equal(resp.nameMatches[0].matchType, 'name');
+    resp = utils.autocomplete('dam');
+    let prefixed = resp.completions.filter((c) => c.matchType === 'prefix');
+    assert.ok(prefixed.length > 0, JSON.stringify(resp.completions));
+  });
+
+  it("should return only completions that start with the partial expression", function() {
+    let resp = utils.autocomplete('Cel');
+    assert.deepEqual(resp.completions.map((c) => c.ucumCode),
+      ['Cel', 'Cel.', 'Cel/']);
+    assert.equal(resp.completions[0].matchType, 'exact');
+    assert.equal(resp.completions[2].name, 'degree Celsius per');
+    // units with names that start with "cel", e.g., /100{cells}
+    assert.ok(resp.nameMatches.length > 0);
+    resp = utils.autocomplete('milli');
+    assert.deepEqual(resp.completions, []);
+    assert.ok(resp.nameMatches.some((c) => c.ucumCode === 'mg'));
+    for (let partial of ['mg', 'mg/d', 'mmo', '[in']) {
+      resp = utils.autocomplete(partial);
+      resp.completions.forEach((c) => assert.equal(c.ucumCode.indexOf(partial),
+        0, partial + ': ' + c.ucumCode));
+    }
+  });
+
+  it("should include an expression that is complete as typed", function() {
+    let codes = utils.autocomplete('mmol/L').completions.map((c) =>
+      c.ucumCode);
+    assert.equal(codes[0], 'mmol/L');
+    assert.ok(codes.indexOf('mmol/L/') > 0, JSON.stringify(codes));
+    assert.ok(codes.indexOf('mmol/Lmb') > 0, JSON.stringify(codes));
+    // longer completions still come first
+    codes = utils.autocomplete('mmo').completions.map((c) => c.ucumCode);
+    assert.ok(codes.indexOf('mmo') > codes.indexOf('mmol'));
+  });
+
+  it("should return failed inside an annotation", function() {
+    let resp = utils.autocomplete('mg{a');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.msg, 'Unable to find any completions for mg{a');
+    assert.equal(resp.completions, undefined);
+  });
+});
+
+
+describe('Test normalize method', function() {
+
+  it("should return the same string for equivalent expressions", function() {
+    ['mg/dL', 'mg.dL-1', '(mg)/(dL)', 'dL-1.mg', ' mg/dL '].forEach((uStr) => {
+      let resp = utils.normalize(uStr);
+      assert.equal(resp.status, 'valid', uStr);
+      assert.equal(resp.ucumCode, 'mg/dL', uStr);
+    });
+  });
+
+  it("should merge exponents and order the terms", function() {
+    assert.equal(utils.normalize('kg.m.s-2.m').ucumCode, 'kg.m2/s2');
+    assert.equal(utils.normalize('s-1.m').ucumCode, 'm/s');
+    assert.equal(utils.normalize('mg/(dL.h)').ucumCode, 'mg/dL/h');
+    assert.equal(utils.normalize('mmol/L/mmol').ucumCode, '/L');
+    assert.equal(utils.normalize('min-1').ucumCode, '/min');
+    assert.equal(utils.normalize('m.m-1').ucumCode, '1');
+    assert.equal(utils.normalize('10*3.10*3').ucumCode, '10*6');
+    assert.equal(utils.normalize('4.[pi].10*-7.N/A2').ucumCode,
+      '4.N.[pi]/10*7/A2');
+  });
+
+  it("should keep or strip annotations", function() {
+    assert.equal(utils.normalize('{cells}/uL').ucumCode, '{cells}/uL');
+    assert.equal(utils.normalize('{cells}/uL',
+      {stripAnnotations: true}).ucumCode, '/uL');
+    assert.equal(utils.normalize('mg{total}/d',
+      {stripAnnotations: true}).ucumCode, 'mg/d');
+  });
+
+  it("should return a valid UCUM expression", function() {
+    ['(kg.m)/s2', 'm2{area}.m', '8/{HCP}', 'mg/(10.mL)'].forEach((uStr) => {
+      let norm = utils.normalize(uStr).ucumCode;
+      let resp = utils.validateUnitString(norm, false, 'validate',
+        {strict: true});
+      assert.equal(resp.status, 'valid', uStr + ' -> ' + norm);
+    });
+  });
+
+  it("should return invalid or error status for bad input", function() {
+    let resp = utils.normalize('foo');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.ucumCode, null);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    resp = utils.normalize('');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.ucumCode, null);
+  });
+});
+
+
+describe('Test parseToAst and printAst methods', function() {
+
+  it("should return the structure of an expression with spans", function() {
+    let resp = utils.parseToAst('ug/(kg.min2{x})');
+    assert.equal(resp.status, 'valid');
+    let ast = resp.ast;
+    assert.equal(ast.type, 'term');
+    assert.deepEqual([ast.start, ast.end], [0, 15]);
+    assert.equal(ast.components.length, 2);
+
+    let ug = ast.components[0];
+    assert.equal(ug.operator, null);
+    assert.equal(ug.node.type, 'unit');
+    assert.equal(ug.node.prefix.code, 'u');
+    assert.equal(ug.node.prefix.name, 'micro');
+    assert.equal(ug.node.atom.code, 'g');
+    assert.equal(ug.node.atom.name, 'gram');
+    assert.deepEqual([ug.node.atom.start, ug.node.atom.end], [1, 2]);
+
+    let group = ast.components[1];
+    assert.equal(group.operator, '/');
+    assert.equal(group.node.type, 'group');
+    assert.deepEqual([group.node.start, group.node.end], [3, 15]);
+    let min = group.node.term.components[1];
+    assert.equal(min.operator, '.');
+    assert.equal(min.node.prefix, null);
+    assert.equal(min.node.atom.code, 'min');
+    assert.equal(min.node.exponent.value, 2);
+    assert.deepEqual([min.node.exponent.start, min.node.exponent.end],
+      [10, 11]);
+    assert.equal(min.node.annotation.text, '{x}');
+    assert.deepEqual([min.node.annotation.start, min.node.annotation.end],
+      [11, 14]);
+  });
+
+  it("should return factors, annotations and leading division", function() {
+    let ast = utils.parseToAst('/10*3.{cells}.2').ast;
+    let comps = ast.components;
+    assert.equal(comps[0].operator, '/');
+    assert.equal(comps[0].node.atom.code, '10*');
+    assert.equal(comps[0].node.exponent.value, 3);
+    assert.equal(comps[1].node.type, 'annotation');
+    assert.equal(comps[1].node.text, '{cells}');
+    assert.equal(comps[2].node.type, 'factor');
+    assert.equal(comps[2].node.value, 2);
+  });
+
+  it("should print an AST as the expression parsed", function() {
+    ['mg/dL', 'ug/(kg.min2{x})', '/10*3.{cells}.2', '4.[pi].10*-7.N/A2',
+     'cm[H2O]', 'dam', 'kB[10.nV]'].forEach((uStr) => {
+      assert.equal(utils.printAst(utils.parseToAst(uStr).ast), uStr);
+    });
+  });
+
+  it("should print a changed AST", function() {
+    let ast = utils.parseToAst('mg{total}/dL').ast;
+    ast.components[0].node.annotation = null;
+    ast.components[1].node.prefix.code = 'c';
+    assert.equal(utils.printAst(ast), 'mg/cL');
+    assert.throws(() => utils.printAst({type: 'bogus'}),
+      /Unable to print an AST node with type bogus/);
+  });
+
+  it("should return invalid for a string that is not strictly valid", function() {
+    let resp = utils.parseToAst('mg(dL)');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.ast, null);
+    assert.ok(resp.errors.length > 0);
+    resp = utils.parseToAst('');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.ast, null);
+  });
+});
+
+
+describe('Test compareUnits method', function() {
+
+  function compare(a, b) {
+    let resp = utils.compareUnits(a, b);
+    return [resp.status, resp.relation, resp.factor];
+  }
+
+  it("should find identical and equal units", function() {
+    assert.deepEqual(compare('mg/dL', 'mg.dL-1'), ['succeeded', 'identical', 1]);
+    assert.deepEqual(compare('Cel', 'Cel'), ['succeeded', 'identical', 1]);
+    assert.deepEqual(compare('mL/min', 'cm3/min'),
+      ['succeeded', 'equalMagnitude', 1]);
+    assert.deepEqual(compare('mg{total}', 'mg'),
+      ['succeeded', 'equalMagnitude', 1]);
+  });
+
+  it("should return the factor for commensurable units", function() {
+    assert.deepEqual(compare('kg', 'g'), ['succeeded', 'commensurable', 1000]);
+    assert.deepEqual(compare('g', 'kg'), ['succeeded', 'commensurable', 0.001]);
+    assert.deepEqual(compare('[in_i]', 'cm'),
+      ['succeeded', 'commensurable', 2.54]);
+    assert.deepEqual(compare('Cel', '[degF]'),
+      ['succeeded', 'commensurable', null]);
+  });
+
+  it("should find mole-mass related units", function() {
+    let resp = utils.compareUnits('mmol/L', 'mg/dL');
+    assert.equal(resp.relation, 'moleMassRelated');
+    assert.equal(resp.factor, null);
+    assert.equal(resp.conversionType, 'mol->mass');
+    resp = utils.compareUnits('meq/L', 'mmol/L');
+    assert.equal(resp.relation, 'moleMassRelated');
+    assert.equal(resp.conversionType, 'eq->mol');
+  });
+
+  it("should find incommensurable units", function() {
+    assert.deepEqual(compare('kg', 'm'), ['succeeded', 'incommensurable', null]);
+    assert.deepEqual(compare('mol', '1'),
+      ['succeeded', 'incommensurable', null]);
+    assert.equal(utils.compareUnits('kg', 'm').conversionType, undefined);
+  });
+
+  it("should not compare different arbitrary units", function() {
+    assert.deepEqual(compare('[IU]/L', "[arb'U]/L"),
+      ['succeeded', 'incommensurable', null]);
+    assert.deepEqual(compare('[IU]/L', 'g/L'),
+      ['succeeded', 'incommensurable', null]);
+    assert.deepEqual(compare('m[IU]', '[IU]'),
+      ['succeeded', 'incommensurable', null]);
+    assert.deepEqual(compare('[IU]/L', '[IU].L-1'),
+      ['succeeded', 'identical', 1]);
+  });
+
+  it("should return invalid or error for bad input", function() {
+    let resp = utils.compareUnits('g', 'foo');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.relation, null);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    assert.equal(resp.errors[0].input, 'b');
+    resp = utils.compareUnits('', 'g');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.errors[0].input, 'a');
+  });
+});
+
+
+describe('Test commensurablesList options', function() {
+
+  function codes(fromName, options) {
+    return utils.commensurablesList(fromName, options)[0].map((u) => u.csCode_);
+  }
+
+  it("should return the same list without options", function() {
+    let plain = codes('mg/L');
+    assert.deepEqual(codes('mg/L', {}), plain);
+    assert.ok(plain.indexOf('ug/mL') >= 0);
+    assert.ok(plain.indexOf('mg/cL') < 0);
+  });
+
+  it("should include prefixed forms of the units", function() {
+    let units = utils.commensurablesList('mg/L', {includePrefixed: true})[0];
+    let list = units.map((u) => u.csCode_);
+    assert.ok(list.length > codes('mg/L').length);
+    let mgcL = units[list.indexOf('mg/cL')];
+    assert.ok(mgcL, JSON.stringify(list));
+    assert.equal(mgcL.category_, 'Clinical');
+    assert.equal(new Set(list).size, list.length);
+    // Only the commonly used prefixes are used
+    assert.ok(list.indexOf('Eg/L') < 0);
+  });
+
+  it("should filter by category and source", function() {
+    let units = utils.commensurablesList('g', {category: 'Clinical'})[0];
+    assert.ok(units.length > 0);
+    units.forEach((u) => assert.equal(u.category_, 'Clinical'));
+    units = utils.commensurablesList('g', {source: ['UCUM']})[0];
+    assert.ok(units.length > 0);
+    units.forEach((u) => assert.equal(u.source_, 'UCUM'));
+  });
+
+  it("should sort by closeness of magnitude and apply a limit", function() {
+    assert.deepEqual(codes('mg/L', {sortByMagnitude: true, limit: 2}),
+      ['mg/L', 'ug/mL']);
+    let list = codes('mmol/L', {includePrefixed: true, sortByMagnitude: true,
+      limit: 5});
+    assert.equal(list.length, 5);
+    assert.ok(list.indexOf('mmol/L') >= 0, JSON.stringify(list));
+    // a prefixed form with the same magnitude
+    assert.ok(list.indexOf('eq/kL') >= 0, JSON.stringify(list));
+  });
+
+  it("should return a message for an invalid unit", function() {
+    let resp = utils.commensurablesList('foo', {includePrefixed: true});
+    assert.equal(resp[0], null);
+    assert.equal(resp[1][resp[1].length - 1], 'Could not find unit foo.');
+  });
+});
+
+
+describe('Test bestFitUnit method', function() {
+
+  function bestFit(value, unitCode, options) {
+    let resp = utils.bestFitUnit(value, unitCode, options);
+    return [resp.status, resp.toVal, resp.toUnitCode];
+  }
+
+  it("should choose a prefix that gives a readable value", function() {
+    assert.deepEqual(bestFit(0.000012, 'g'), ['succeeded', 12, 'ug']);
+    assert.deepEqual(bestFit(1500, 'mL'), ['succeeded', 1.5, 'L']);
+    assert.deepEqual(bestFit(0.05, 'g'), ['succeeded', 50, 'mg']);
+    assert.deepEqual(bestFit(0.0001, 'mg/dL'), ['succeeded', 100, 'ng/dL']);
+    assert.deepEqual(bestFit(-0.002, 'L'), ['succeeded', -2, 'mL']);
+    assert.deepEqual(bestFit(37, 'Cel'), ['succeeded', 37, 'Cel']);
+    let resp = utils.bestFitUnit(0.000012, 'g');
+    assert.equal(resp.toUnit.csCode_, 'ug');
+  });
+
+  it("should use only the allowed units", function() {
+    assert.deepEqual(bestFit(1500, 'mL', {allowedUnits: ['mL', 'dL', 'L']}),
+      ['succeeded', 1.5, 'L']);
+    assert.deepEqual(bestFit(0.2, 'L', {allowedUnits: ['mL', 'dL', 'L']}),
+      ['succeeded', 2, 'dL']);
+    let resp = utils.bestFitUnit(1500, 'mL', {allowedUnits: ['kg']});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'NOT_COMMENSURABLE');
+  });
+
+  it("should use only clinical units when requested", function() {
+    let resp = utils.bestFitUnit(5e-13, 'mol', {clinicalOnly: true});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.toUnit.category_, 'Clinical');
+    assert.equal(resp.toUnitCode, 'fmol');
+  });
+
+  it("should use the range specified", function() {
+    assert.deepEqual(bestFit(1500, 'mL', {minValue: 0.001, maxValue: 1}),
+      ['succeeded', 0.0015, 'kL']);
+  });
+
+  it("should return an error or failure for bad input", function() {
+    let resp = utils.bestFitUnit('x', 'g');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.errors[0].code, 'INVALID_FROM_VALUE');
+    resp = utils.bestFitUnit(5, 'foo');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.toVal, null);
+    assert.equal(resp.errors[resp.errors.length - 1].code, 'UNIT_NOT_FOUND');
+  });
+});
+
+
+describe('Test formatUnit method', function() {
+
+  function format(uStr, options) {
+    return utils.formatUnit(uStr, options).formatted;
+  }
+
+  it("should render plain text with print symbols and exponents", function() {
+    assert.equal(format('kg.m2/s3'), 'kg·m²/s³');
+    assert.equal(format('ug/mL'), 'μg/mL');
+    assert.equal(format('Cel'), '°C');
+    assert.equal(format('10*3/uL'), '10³/μL');
+    assert.equal(format('m-1'), 'm⁻¹');
+    assert.equal(format('/min'), '1/min');
+    assert.equal(format('[TCID_50]'), 'TCID₅₀');
+    assert.equal(format('mg{total}/(24.h)'), 'mg{total}/(24·h)');
+    // no print symbol
+    assert.equal(format('[sin_i]'), '[sin_i]');
+  });
+
+  it("should render HTML", function() {
+    assert.equal(format('kg.m2/s3', {format: 'html'}),
+      'kg·m<sup>2</sup>/s<sup>3</sup>');
+    assert.equal(format('a_t', {format: 'html'}), 'a<sub>t</sub>');
+    assert.equal(format('mg/dL', {format: 'html', value: 5.3}),
+      '5.3&nbsp;mg/dL');
+  });
+
+  it("should render LaTeX", function() {
+    assert.equal(format('kg.m2/s3', {format: 'latex'}),
+      '\\mathrm{kg}\\cdot \\mathrm{m}^{2}/\\mathrm{s}^{3}');
+    assert.equal(format('ug', {format: 'latex'}), '\\mathrm{\\mu g}');
+    assert.equal(format('Cel', {format: 'latex', value: 37}),
+      '37\\,\\mathrm{^{\\circ}C}');
+    assert.equal(format('mg{total}', {format: 'latex'}),
+      '\\mathrm{mg}\\text{\\{total\\}}');
+  });
+
+  it("should escape LaTeX special characters", function() {
+    assert.equal(format('%', {format: 'latex'}), '\\mathrm{\\%}');
+    assert.equal(format('mg%', {format: 'latex'}), '\\mathrm{mg\\%}');
+    assert.equal(format('[in_i]', {format: 'latex'}), '\\mathrm{in}');
+    // no print symbol
+    assert.equal(format('[sin_i]', {format: 'latex'}),
+      '\\mathrm{[sin\\_i]}');
+    assert.equal(format('{a~b^c}', {format: 'latex'}),
+      '\\text{\\{a\\textasciitilde{}b\\textasciicircum{}c\\}}');
+  });
+
+  it("should include a value", function() {
+    assert.equal(format('mg/dL', {value: 5.3}), '5.3 mg/dL');
+  });
+
+  it("should return a status for invalid input or format", function() {
+    let resp = utils.formatUnit('foo');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.formatted, null);
+    resp = utils.formatUnit('mg', {format: 'rtf'});
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.formatted, null);
+    assert.equal(resp.errors[0].code, 'PROCESSING_ERROR');
+  });
+});
+
+
+describe('Test locale bundles', function() {
+
+  before(function() {
+    utils.addLocaleBundle({'locale': 'es',
+      'messages': {
+        'invalidCodeMsg': '{code} no es un código UCUM válido.',
+        'valMsgStart': '¿Quiso decir ',
+        'missingMultiplicationMsg': '{code} no es un código UCUM válido.  ' +
+          '{vcMsgStart}{suggestion}{vcMsgEnd}',
+        'noFromUnitMsg': 'No se especificó la unidad de origen.',
+        'needMoleWeightMsg': 'Se requiere el peso molecular.',
+        'notCommensurableMsg': '{fromUnit} no se puede convertir a ' +
+          '{toUnit}.',
+        'notIntervalScaleMsg': '{name} no está en una escala de intervalos.',
+        'noSearchTermMsg': 'No se especificó ningún término.',
+        'noCompletionsMsg': 'No hay terminaciones para {partial}',
+        'commensurablesUnitNotFoundMsg': 'No se encontró {unitString}.',
+        'noAllowedUnitMsg': 'Ninguna unidad sirve para {unitString}.'},
+      'unitNames': {'g': 'gramo', 'L': 'litro'},
+      'prefixNames': {'m': 'mili'},
+      'guidance': {'g': 'unidad de masa'}});
+  });
+
+  after(function() {
+    utils.removeLocaleBundle('es');
+  });
+
+  it("should return messages for the locale", function() {
+    let resp = utils.validateUnitString('foo', false, 'validate',
+      {'locale': 'es'});
+    assert.deepEqual(resp.msg, ['foo no es un código UCUM válido.']);
+    assert.equal(resp.errors[0].message, resp.msg[0]);
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    resp = utils.validateUnitString('2mg', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.msg[0],
+      '2mg no es un código UCUM válido.  ¿Quiso decir 2.mg?');
+  });
+
+  it("should fall back to English", function() {
+    // message not in the bundle
+    let resp = utils.validateUnitString('m/', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.msg[0].indexOf('m/ is not a valid UCUM code.'), 0);
+    // locale with no bundle
+    resp = utils.validateUnitString('foo', false, 'validate',
+      {'locale': 'fr'});
+    assert.deepEqual(resp.msg, ['foo is not a valid UCUM code.']);
+    // no locale
+    resp = utils.validateUnitString('foo');
+    assert.deepEqual(resp.msg, ['foo is not a valid UCUM code.']);
+    assert.equal(utils.validateUnitString('g').unit.name, 'gram');
+  });
+
+  it("should use the language bundle for a regional locale", function() {
+    let resp = utils.validateUnitString('foo', false, 'validate',
+      {'locale': 'es_MX'});
+    assert.deepEqual(resp.msg, ['foo no es un código UCUM válido.']);
+  });
+
+  it("should return unit names and guidance for the locale", function() {
+    let resp = utils.validateUnitString('g', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.unit.name, 'gramo');
+    assert.equal(resp.unit.guidance, 'unidad de masa');
+    // with a prefix
+    resp = utils.validateUnitString('mJ', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.unit.name, 'milijoule');
+    // in an expression
+    resp = utils.validateUnitString('hg/L', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.unit.name, 'hectogramo/litro');
+    // The unit in the unit tables is not changed
+    assert.equal(utils.getSpecifiedUnit('g', 'validate').unit.name_, 'gram');
+  });
+
+  it("should return conversion messages for the locale", function() {
+    let resp = utils.convertUnitTo('', 1, 'g', {'locale': 'es'});
+    assert.deepEqual(resp.msg, ['No se especificó la unidad de origen.']);
+    resp = utils.convertUnitTo('mmol', 1, 'g', {'locale': 'es'});
+    assert.equal(resp.status, 'failed');
+    assert.deepEqual(resp.msg, ['Se requiere el peso molecular.']);
+    assert.equal(resp.errors[0].code, 'NEED_MOLECULAR_WEIGHT');
+    resp = utils.convertUnitTo('mmol', 1, 'g');
+    assert.deepEqual(resp.msg, [Ucum.needMoleWeightMsg_]);
+    resp = utils.convertUnitTo('mg', 1, 'L', {'locale': 'es'});
+    assert.deepEqual(resp.msg, ['mg no se puede convertir a L.']);
+    assert.equal(resp.errors[0].code, 'NOT_COMMENSURABLE');
+    resp = utils.convertUnitTo('[pH]', 1, '[pH]',
+      {'locale': 'es', 'difference': true});
+    assert.deepEqual(resp.msg,
+      ['pH no está en una escala de intervalos.']);
+  });
+
+  it("should return search and list messages for the locale", function() {
+    let opts = {'locale': 'es'};
+    assert.equal(utils.searchUnits('', opts).msg,
+      'No se especificó ningún término.');
+    assert.equal(utils.searchUnits('gram', opts).units[0].name, 'gramo');
+    assert.equal(utils.autocomplete('mg{a', opts).msg,
+      'No hay terminaciones para mg{a');
+    assert.deepEqual(utils.commensurablesList('foo', opts)[1].slice(-1),
+      ['No se encontró foo.']);
+    let resp = utils.bestFitUnit(1, 'mg', {'allowedUnits': ['L'],
+      'locale': 'es'});
+    assert.deepEqual(resp.msg, ['Ninguna unidad sirve para mg.']);
+  });
+
+  it("should list, merge and remove bundles", function() {
+    assert.deepEqual(utils.getLocales(), ['es']);
+    utils.addLocaleBundle({'locale': 'ES', 'unitNames': {'m': 'metro'}});
+    let resp = utils.validateUnitString('m', false, 'validate',
+      {'locale': 'es'});
+    assert.equal(resp.unit.name, 'metro');
+    assert.equal(utils.validateUnitString('g', false, 'validate',
+      {'locale': 'es'}).unit.name, 'gramo');
+    assert.equal(utils.removeLocaleBundle('fr'), false);
+    assert.throws(() => utils.addLocaleBundle({'unitNames': {}}));
+    assert.throws(() => utils.addLocaleBundle({'locale': 'fr',
+      'messages': 'x'}));
+    assert.deepEqual(utils.getLocales(), ['es']);
+  });
+
+  it("should not return cached text from another instance's bundles", function() {
+    let utilsA = Utils.getInstance();
+    let utilsB = Utils.getInstance();
+    let resp = utilsA.validateUnitString('foo', false, 'validate',
+      {'locale': 'de'});
+    assert.deepEqual(resp.msg, ['foo is not a valid UCUM code.']);
+    utilsB.addLocaleBundle({'locale': 'de',
+      'messages': {'invalidCodeMsg': '{code} ist kein gültiger UCUM-Code.'}});
+    resp = utilsA.validateUnitString('foo', false, 'validate',
+      {'locale': 'de'});
+    assert.deepEqual(resp.msg, ['foo ist kein gültiger UCUM-Code.']);
+    utilsB.removeLocaleBundle('de');
+    resp = utilsA.validateUnitString('foo', false, 'validate',
+      {'locale': 'de'});
+    assert.deepEqual(resp.msg, ['foo is not a valid UCUM code.']);
+  });
+});
+
+
+describe('Test message formats and segments', function() {
+  let expSegments = [{type: 'text', text: 'mg/ is not a valid UCUM code. ' +
+    'It is terminated with the operator '}, {type: 'emphasis', text: '/'},
+    {type: 'text', text: '.'}];
+
+  it("should return the segments of each message", function() {
+    let resp = utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': 'text'});
+    assert.equal(resp.msg[0], 'mg/ is not a valid UCUM code. It is ' +
+      'terminated with the operator ' + Ucum.openEmph_ + '/' +
+      Ucum.closeEmph_ + '.');
+    assert.deepEqual(resp.errors[0].segments, expSegments);
+    // a message with no emphasis
+    resp = utils.convertUnitTo('mmol', 1, 'g');
+    assert.deepEqual(resp.errors[0].segments,
+      [{type: 'text', text: Ucum.needMoleWeightMsg_}]);
+  });
+
+  it("should return HTML messages for the html format", function() {
+    let resp = utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': 'html'});
+    assert.equal(resp.msg[0], 'mg/ is not a valid UCUM code. It is ' +
+      'terminated with the operator ' + Ucum.openEmphHTML_ + '/' +
+      Ucum.closeEmphHTML_ + '.');
+    assert.equal(resp.errors[0].message, resp.msg[0]);
+    assert.deepEqual(resp.errors[0].segments, expSegments);
+  });
+
+  it("should use a formatter function", function() {
+    let formatter = (segments) => segments.map((seg) =>
+      seg.type === 'emphasis' ? '*' + seg.text + '*' : seg.text).join('');
+    let resp = utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': formatter});
+    assert.equal(resp.msg[0], 'mg/ is not a valid UCUM code. It is ' +
+      'terminated with the operator */*.');
+    assert.equal(resp.errors[0].message, resp.msg[0]);
+    // for the messages of the conversion methods too
+    resp = utils.convertUnitTo('mg/', 1, 'g', {'messageFormat': formatter});
+    assert.equal(resp.msg[0], 'mg/ is not a valid UCUM code. It is ' +
+      'terminated with the operator */*.');
+    assert.throws(() => utils.createConverter('mg/', 'g',
+      {'messageFormat': formatter}), /operator \*\/\*\./);
+  });
+
+  it("should only use a format for the call it is passed to", function() {
+    let before = utils.validateUnitString('mg/').msg[0];
+    utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': 'html'});
+    utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': () => 'formatted'});
+    assert.equal(utils.validateUnitString('mg/').msg[0], before);
+    assert.equal(utils.validateUnitString('mg/', false, 'validate',
+      {'messageFormat': 'text'}).msg[0].indexOf('<span'), -1);
+  });
+
+  it("should return an error for an unknown message format", function() {
+    let resp = utils.validateUnitString('mg', false, 'validate',
+      {'messageFormat': 'markdown'});
+    assert.equal(resp.status, 'error');
+    assert.deepEqual(resp.msg, ['markdown is not a valid message format; ' +
+      'use text, html or a function.']);
+    assert.equal(resp.errors[0].code, 'INVALID_MESSAGE_FORMAT');
+    resp = utils.convertUnitTo('mg', 1, 'g', {'messageFormat': 'markdown'});
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.toVal, null);
+    assert.deepEqual(resp.errors.map((e) => e.code),
+      ['INVALID_MESSAGE_FORMAT']);
+    resp = utils.convertUnitToBatch('mg', [1], 'g', {'messageFormat': 5});
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.errors[0].code, 'INVALID_MESSAGE_FORMAT');
+    assert.throws(() => utils.createConverter('mg', 'g',
+      {'messageFormat': 'markdown'}),
+      (err) => err.code === 'INVALID_MESSAGE_FORMAT');
+  });
+});
+
+
+describe('Test independent instances', function() {
+
+  it("should keep the message settings of each instance", function() {
+    let htmlUtils = Utils.getInstance();
+    let textUtils = Utils.getInstance();
+    htmlUtils.useHTMLInMessages(true);
+    assert.notEqual(htmlUtils.validateUnitString('mg/').msg[0].indexOf(
+      Ucum.openEmphHTML_), -1);
+    assert.notEqual(textUtils.validateUnitString('mg/').msg[0].indexOf(
+      Ucum.openEmph_), -1);
+    htmlUtils.useBraceMsgForEachString(true);
+    assert.equal(htmlUtils.validateUnitString('mg{total}').msg.length, 1);
+    assert.equal(textUtils.validateUnitString('mg{total}').msg.length, 0);
+  });
+
+  it("should keep the parsing data of each call separate", function() {
+    let parser = UString.getInstance();
+    let inner = null;
+    // The formatter parses another string while the first is being parsed
+    let formatter = (segments) => {
+      if (!inner)
+        inner = parser.parseString('m//s', 'validate', false);
+      return segments.map((seg) => seg.text).join('');
+    };
+    let resp = parser.parseString('mg/', 'validate', false,
+      {'messageFormat': formatter});
+    assert.deepEqual(resp[2], ['mg/ is not a valid UCUM code. It is ' +
+      'terminated with the operator /.']);
+    assert.equal(resp[4].length, 1);
+    assert.equal(resp[4][0].code, 'TRAILING_OPERATOR');
+    assert.equal(inner[2].length, 1);
+    assert.equal(inner[4][0].code, 'MISSING_UNIT_CODE');
+  });
+});
+
+
+describe('Test unit registration', function() {
+  let otherUtils = Utils.getInstance();
+
+  after(function() {
+    ['[bpm]', "[xyz'U]", '[mmolx]'].forEach((code) =>
+      utils.unregisterUnit(code));
+  });
+
+  it("should register a unit computed from its definition", function() {
+    assert.equal(otherUtils.validateUnitString('[bpm]').status, 'invalid');
+    let resp = utils.registerUnit({code: '[bpm]', name: 'beats per minute',
+      definition: '{beats}/min', synonyms: ['heart rate']});
+    assert.equal(resp.status, 'succeeded');
+    assert.deepEqual(resp.msg, []);
+    assert.equal(resp.unit.csCode_, '[bpm]');
+    assert.equal(resp.unit.ciCode_, '[BPM]');
+    assert.equal(resp.unit.source_, 'CUSTOM');
+    // The cache of another instance is cleared
+    assert.equal(otherUtils.validateUnitString('[bpm]').status, 'valid');
+    assert.equal(utils.convertUnitTo('[bpm]', 120, '/s').toVal, 2);
+    assert.equal(utils.validateUnitString('[bpm]/10').status, 'valid');
+    assert.equal(utils.checkSynonyms('heart').units[0].code, '[bpm]');
+  });
+
+  it("should use the magnitude and the units in the definition", function() {
+    let resp = utils.registerUnit({code: '[mmolx]', name: 'double millimole',
+      definition: 'mmol', magnitude: 2});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.unit.moleExp_, 1);
+    assert.equal(utils.convertUnitTo('[mmolx]', 3, 'mmol').toVal, 6);
+  });
+
+  it("should register an arbitrary unit", function() {
+    let resp = utils.registerUnit({code: "[xyz'U]", name: 'xyz unit',
+      isArbitrary: true});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(utils.validateUnitString("[xyz'U]/mL").status, 'valid');
+    resp = utils.convertUnitTo("[xyz'U]", 1, '[iU]');
+    assert.equal(resp.status, 'failed');
+  });
+
+  it("should reject codes that are in use", function() {
+    ['[bpm]', 'g', 'hJ'].forEach((code) => {
+      let resp = utils.registerUnit({code: code, name: 'test'});
+      assert.equal(resp.status, 'failed', code);
+      assert.equal(resp.unit, null);
+      assert.equal(resp.errors[0].code, 'UNIT_CODE_EXISTS', code);
+    });
+    // case-insensitive codes
+    let resp = utils.registerUnit({code: '[BPM]', name: 'test'});
+    assert.equal(resp.errors[0].code, 'UNIT_CODE_EXISTS');
+    assert.deepEqual(resp.msg, ['A unit with the case-insensitive code ' +
+      '[BPM] is already defined.']);
+  });
+
+  it("should reject invalid definitions", function() {
+    ['', 'a.b', 'a b', 'x2', '3x', 'a{b}', null].forEach((code) => {
+      let resp = utils.registerUnit({code: code, name: 'test'});
+      assert.equal(resp.status, 'failed', code);
+      assert.equal(resp.errors[0].code, 'INVALID_UNIT_DEFINITION', code);
+    });
+    let resp = utils.registerUnit({code: '[zz]', name: ' ',
+      definition: 'foo', magnitude: -1});
+    assert.deepEqual(resp.msg, ['No name was specified for the unit [zz].',
+      'The magnitude of the unit [zz] is not a positive number.',
+      'The definition of the unit [zz] (foo) is not a valid unit ' +
+      'expression.']);
+    resp = utils.registerUnit({code: '[zz]', name: 'test',
+      definition: 'Cel'});
+    assert.equal(resp.errors[0].code, 'INVALID_UNIT_DEFINITION');
+    assert.equal(utils.validateUnitString('[zz]').status, 'invalid');
+  });
+
+  it("should unregister only registered units", function() {
+    let resp = utils.unregisterUnit('g');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'UNIT_NOT_REGISTERED');
+    assert.equal(utils.validateUnitString('g').status, 'valid');
+    resp = utils.unregisterUnit('[bpm]');
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.unit.csCode_, '[bpm]');
+    assert.equal(otherUtils.validateUnitString('[bpm]').status, 'invalid');
+    assert.equal(UTables.getInstance().getUnitsByCiCode('[BPM]'), null);
+    assert.equal(UTables.getInstance().getUnitByName('beats per minute'),
+      null);
+    assert.equal(utils.checkSynonyms('heart').status, 'failed');
+    assert.equal(utils.unregisterUnit('[bpm]').status, 'failed');
+  });
+});
+
+describe('Test function registration', function() {
+  let log2 = {name: 'log2Titer', cnvTo: (x) => Math.log(x) / Math.LN2,
+    cnvFrom: (x) => Math.pow(2, x)};
+
+  after(function() {
+    ['[log2_titer]', '[absU]'].forEach((code) => utils.unregisterUnit(code));
+    ['log2Titer', 'absCal'].forEach((name) => utils.unregisterFunction(name));
+  });
+
+  it("should register functions that are inverses", function() {
+    let resp = utils.registerFunction(log2);
+    assert.equal(resp.status, 'succeeded');
+    assert.deepEqual(resp.msg, []);
+    resp = utils.registerFunction({name: 'absCal', cnvTo: (x) => 2 * x + 5,
+      cnvFrom: (y) => (y - 5) / 2, samplePoints: [-10, 0, 10]});
+    assert.equal(resp.status, 'succeeded');
+  });
+
+  it("should convert units that use registered functions", function() {
+    let resp = utils.registerUnit({code: '[log2_titer]',
+      name: 'log2 titer', function: 'log2titer'});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.unit.cnv_, 'log2titer');
+    assert.equal(resp.unit.isSpecial_, true);
+    assert.equal(utils.convertUnitTo('[log2_titer]', 6, '1').toVal, 64);
+    assert.equal(utils.convertUnitTo('1', 64, '[log2_titer]').toVal, 6);
+
+    resp = utils.registerUnit({code: '[absU]', name: 'absorbance unit',
+      definition: 'mg/dL', function: 'absCal'});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(utils.convertUnitTo('[absU]', 15, 'mg/dL').toVal, 5);
+    assert.equal(utils.convertUnitTo('[absU]', 15, 'g/L').toVal, 0.05);
+    let mgdl = utils.getSpecifiedUnit('mg/dL', 'convert').unit;
+    assert.equal(mgdl.convertFrom(25, resp.unit), 10);
+    assert.equal(resp.unit.convertFrom(10, mgdl), 25);
+  });
+
+  it("should reject functions that are not inverses", function() {
+    let resp = utils.registerFunction({name: 'badPair',
+      cnvTo: (x) => x * 2, cnvFrom: (x) => x * 2});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'INVALID_FUNCTION_DEFINITION');
+    assert.equal(resp.msg[0], 'The cnvTo and cnvFrom functions for badPair ' +
+      'are not inverses of each other; cnvFrom(cnvTo(0.001)) is 0.004.');
+    resp = utils.registerFunction({name: 'badPair', cnvTo: Math.log,
+      cnvFrom: Math.exp, samplePoints: [1, -1]});
+    assert.equal(resp.msg[0], 'The function badPair did not return a ' +
+      'number for the sample point -1.');
+    resp = utils.registerFunction({name: 'badPair', cnvTo: Math.log,
+      cnvFrom: Math.exp, samplePoints: ['a']});
+    assert.equal(resp.errors[0].code, 'INVALID_FUNCTION_DEFINITION');
+    resp = utils.registerFunction({name: 'badPair', cnvTo: Math.log});
+    assert.equal(resp.errors[0].code, 'INVALID_FUNCTION_DEFINITION');
+    resp = utils.registerFunction({cnvTo: Math.log, cnvFrom: Math.exp});
+    assert.equal(resp.errors[0].code, 'INVALID_FUNCTION_DEFINITION');
+    assert.equal(utils.unregisterFunction('badPair').status, 'failed');
+  });
+
+  it("should reject names that are in use", function() {
+    let resp = utils.registerFunction({name: 'LG', cnvTo: Math.log,
+      cnvFrom: Math.exp});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'FUNCTION_EXISTS');
+    resp = utils.registerFunction(log2);
+    assert.equal(resp.errors[0].code, 'FUNCTION_EXISTS');
+  });
+
+  it("should reject units that use unknown functions", function() {
+    let resp = utils.registerUnit({code: '[zz]', name: 'test',
+      function: 'noSuchFunction'});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.msg[0], 'The unit [zz] uses the function ' +
+      'noSuchFunction, which is not defined.');
+    resp = utils.registerUnit({code: '[zz]', name: 'test',
+      function: 'lg', isArbitrary: true});
+    assert.equal(resp.errors[0].code, 'INVALID_UNIT_DEFINITION');
+  });
+
+  it("should unregister only registered functions not in use", function() {
+    let resp = utils.unregisterFunction('lg');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'FUNCTION_NOT_REGISTERED');
+    resp = utils.unregisterFunction('absCal');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'FUNCTION_IN_USE');
+    assert.equal(resp.msg[0], 'The function absCal cannot be removed ' +
+      'because it is used by the unit(s) [absU].');
+    utils.unregisterUnit('[absU]');
+    resp = utils.unregisterFunction('absCal');
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(utils.registerUnit({code: '[absU]', name: 'test',
+      function: 'absCal'}).status, 'failed');
+  });
+});
+
+describe('Test temperature differences', function() {
+  it("should accept compound units with Cel and [degF]", function() {
+    ['Cel/h', '[degF]/min', 'Cel2', 'W/(m.Cel)', '/Cel', 'Cel.m'].forEach(
+      (uStr) => assert.equal(utils.validateUnitString(uStr).status, 'valid',
+        uStr));
+  });
+
+  it("should keep Cel1 and [degF]1 as absolute temperatures", function() {
+    let resp = utils.convertUnitTo('Cel1', 10, 'K');
+    assert.equal(resp.status, 'succeeded', resp.msg);
+    assert.equal(resp.toVal, 283.15);
+    resp = utils.convertUnitTo('[degF]1', 32, 'K');
+    assert.equal(resp.status, 'succeeded', resp.msg);
+    assert.equal(resp.toVal.toFixed(2), '273.15');
+  });
+
+  it("should convert compound units with Cel and [degF]", function() {
+    assert.equal(utils.convertUnitTo('Cel/h', 10, 'K/h').toVal, 10);
+    assert.equal(utils.convertUnitTo('Cel/h', 1, '[degF]/h').toVal, 1.8);
+    assert.equal(utils.convertUnitTo('Cel2', 1, 'K2').toVal, 1);
+    assert.equal(utils.convertUnitTo('W/(m.Cel)', 9, 'W/(m.[degF])').toVal,
+      5);
+  });
+
+  it("should still treat Cel with a number as a temperature", function() {
+    assert.equal(utils.convertUnitTo('Cel/2', 10, 'Cel').toVal, 5);
+    assert.equal(utils.convertUnitTo('2.Cel', 5, 'Cel').toVal, 10);
+  });
+
+  it("should convert differences with the difference option", function() {
+    let resp = utils.convertUnitTo('Cel', 10, '[degF]', {difference: true});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(resp.toVal, 18);
+    assert.equal(resp.toUnit.csCode_, '[degF]');
+    assert.equal(utils.convertUnitTo('[degF]', 9, 'K',
+      {difference: true}).toVal, 5);
+    assert.equal(utils.convertUnitTo('g', 1, 'mg', {difference: true}).toVal,
+      1000);
+    resp = utils.convertUnitToBatch('Cel', [0, 10], '[degF]',
+      {difference: true});
+    assert.deepEqual(resp.results.map((r) => r.toVal), [0, 18]);
+    let converter = utils.createConverter('Cel', '[degF]',
+      {difference: true});
+    assert.equal(converter.convert(10), 18);
+    assert.equal(converter.inverse().convert(18), 10);
+  });
+
+  it("should not allow differences of other special units", function() {
+    let resp = utils.convertUnitTo('[pH]', 1, '[pH]', {difference: true});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'NON_RATIO_UNIT');
+    resp = utils.validateUnitString('[pH]/h');
+    assert.equal(resp.status, 'invalid');
+    resp = utils.validateUnitString('B2');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.errors[0].code, 'NON_RATIO_UNIT');
+  });
+});
+
+describe('Test analyte conversions for arbitrary units', function() {
+  before(function() {
+    utils.registerAnalyteConversion({analyte: '1989-3', code: '[IU]',
+      value: 0.025, unit: 'ug'});
+  });
+
+  after(function() {
+    utils.unregisterAnalyteConversion('1989-3', '[IU]');
+    utils.unregisterAnalyteConversion('insulin', '[IU]');
+  });
+
+  it("should convert arbitrary units for an analyte", function() {
+    let opts = {analyte: '1989-3'};
+    assert.equal(utils.convertUnitTo('[IU]', 40, 'ug', opts).toVal, 1);
+    assert.equal(utils.convertUnitTo('ug', 1, '[IU]', opts).toVal, 40);
+    assert.equal(utils.convertUnitTo('m[IU]/mL', 1, 'ng/mL', opts).toVal,
+      0.025);
+    assert.equal(utils.convertUnitTo('ug/[IU]', 1, '1', opts).toVal, 40);
+    let resp = utils.convertUnitTo('[IU]', 1, 'nmol',
+      {analyte: '1989-3', molecularWeight: 384.64});
+    assert.equal(resp.status, 'succeeded');
+    assert(Math.abs(resp.toVal - 0.025 / 384.64 * 1000) < 1e-12);
+    resp = utils.convertUnitToBatch('[IU]', [40, 80], 'ug', opts);
+    assert.deepEqual(resp.results.map((r) => r.toVal), [1, 2]);
+    let converter = utils.createConverter('[IU]', 'ug', opts);
+    assert.equal(converter.inverse().convert(1), 40);
+  });
+
+  it("should use only the conversions for the analyte given", function() {
+    let resp = utils.registerAnalyteConversion({analyte: 'insulin',
+      code: '[IU]', value: 0.0347, unit: 'mg'});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(utils.convertUnitTo('[IU]/mL', 100, 'mg/mL',
+      {analyte: 'insulin'}).toVal, 3.47);
+    resp = utils.convertUnitTo('[IU]', 1, 'ug', {analyte: 'other'});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'ARBITRARY_UNIT');
+    assert.equal(resp.msg[0], '[IU] is an arbitrary unit, and no ' +
+      'conversion for it is registered for the analyte other.');
+    resp = utils.convertUnitTo("[arb'U]", 1, 'ug', {analyte: 'insulin'});
+    assert.equal(resp.status, 'failed');
+    assert.equal(utils.convertUnitTo('[IU]', 1, 'ug').status, 'failed');
+  });
+
+  it("should reject conversions that are not valid", function() {
+    let resp = utils.registerAnalyteConversion({analyte: '1989-3',
+      code: '[IU]', value: 0.025, unit: 'ug'});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'ANALYTE_CONVERSION_EXISTS');
+    resp = utils.registerAnalyteConversion({analyte: ' ', code: 'g',
+      value: 0, unit: '[IU]'});
+    assert.deepEqual(resp.errors.map((e) => e.code),
+      ['INVALID_ANALYTE_CONVERSION', 'INVALID_ANALYTE_CONVERSION',
+       'INVALID_ANALYTE_CONVERSION', 'INVALID_ANALYTE_CONVERSION']);
+    assert.equal(resp.msg[1], 'g is not the code of an arbitrary unit.');
+    resp = utils.registerAnalyteConversion({analyte: 'x', code: '[IU]',
+      value: 1, unit: 'Cel'});
+    assert.equal(resp.errors[0].code, 'INVALID_ANALYTE_CONVERSION');
+  });
+
+  it("should return an error if the unit of a conversion is removed", function() {
+    utils.registerUnit({code: '[qq]', name: 'qq', definition: 'g'});
+    let resp = utils.registerAnalyteConversion({analyte: 'x', code: '[IU]',
+      value: 2, unit: '[qq]'});
+    assert.equal(resp.status, 'succeeded');
+    assert.equal(utils.convertUnitTo('[IU]', 1, 'g', {analyte: 'x'}).toVal,
+      2);
+    utils.unregisterUnit('[qq]');
+    resp = utils.convertUnitTo('[IU]', 1, 'g', {analyte: 'x'});
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'UNIT_NOT_FOUND');
+    assert.equal(resp.msg[0], 'The unit for [IU] for the analyte x ([qq]) ' +
+      'is no longer a valid unit expression, so no conversion could be ' +
+      'made.');
+    utils.unregisterAnalyteConversion('x', '[IU]');
+  });
+
+  it("should unregister conversions", function() {
+    let resp = utils.unregisterAnalyteConversion('insulin', '[IU]');
+    assert.equal(resp.status, 'succeeded');
+    resp = utils.unregisterAnalyteConversion('insulin', '[IU]');
+    assert.equal(resp.status, 'failed');
+    assert.equal(resp.errors[0].code, 'ANALYTE_CONVERSION_NOT_REGISTERED');
+    assert.equal(utils.convertUnitTo('[IU]', 1, 'mg',
+      {analyte: 'insulin'}).status, 'failed');
+  });
+});
+
+
+describe('Test mole and equivalent exponents', function() {
+  it("should track the exponents through exponents, products and quotients", function() {
+    let unit = utils.getSpecifiedUnit('mmol2/L', 'convert').unit;
+    assert.equal(unit.moleExp_, 2);
+    unit = utils.getSpecifiedUnit('L/mol', 'convert').unit;
+    assert.equal(unit.moleExp_, -1);
+    unit = utils.getSpecifiedUnit('meq.mmol/L', 'convert').unit;
+    assert.equal(unit.moleExp_, 1);
+    assert.equal(unit.equivalentExp_, 1);
+    assert.equal(unit.getAmountExp(), 2);
+  });
+
+  it("should convert units with a mole exponent other than 1", function() {
+    let resp = utils.convertUnitTo('mmol2/L', 1, 'g2/L', {molecularWeight: 40});
+    assert.equal(resp.status, 'succeeded', resp.msg);
+    assert.equal(resp.toVal.toPrecision(3), 0.00160);
+    resp = utils.convertUnitTo('L/mol', 1, 'L/g', {molecularWeight: 40});
+    assert.equal(resp.status, 'succeeded', resp.msg);
+    assert.equal(resp.toVal.toPrecision(3), 0.0250);
+    resp = utils.convertUnitTo('L/g', 1, 'L/mol', {molecularWeight: 40});
+    assert.equal(resp.toVal.toPrecision(3), 40.0);
+    assert.equal(utils.detectConversionType(
+      utils.getSpecifiedUnit('L/g', 'convert').unit,
+      utils.getSpecifiedUnit('L/mol', 'convert').unit), 'mass->mol');
+  });
+
+  it("should convert units with an equivalent exponent other than 1", function() {
+    let resp = utils.convertUnitTo('L/meq', 1, 'L/mmol', {charge: 2});
+    assert.equal(resp.status, 'succeeded', resp.msg);
+    assert.equal(resp.toVal.toPrecision(3), 2.00);
+    resp = utils.convertUnitTo('meq2', 1, 'mg2',
+      {molecularWeight: 40, charge: 2});
+    assert.equal(resp.toVal.toPrecision(3), 400);
+  });
+
+  it("should apply the prefixes of both units in eq and mass conversions", function() {
+    let resp = utils.convertUnitTo('meq', 1, 'mg',
+      {molecularWeight: 40, charge: 2});
+    assert.equal(resp.toVal.toPrecision(3), 20.0);
+    resp = utils.convertUnitTo('mg/dL', 20, 'meq/L',
+      {molecularWeight: 40, charge: 2});
+    assert.equal(resp.toVal.toPrecision(3), 10.0);
+  });
+
+  it("should not convert units whose dimensions differ after mole replacement", function() {
+    let resp = utils.convertUnitTo('mol/L', 1, 'mol2/L', {molecularWeight: 3});
+    assert.equal(resp.status, 'failed');
+    assert.equal(utils.compareUnits('mmol2/L', 'g/L').relation,
+      'incommensurable');
+    assert.equal(utils.compareUnits('mmol2/L', 'g2/L').relation,
+      'moleMassRelated');
+  });
+});
+
+
+describe('Test parseQuantity method', function() {
+  it("should split values in decimal and scientific notation from units", function() {
+    let resp = utils.parseQuantity('37.2 Cel');
+    assert.equal(resp.status, 'valid');
+    assert.equal(resp.value, 37.2);
+    assert.equal(resp.comparator, null);
+    assert.equal(resp.range, null);
+    assert.equal(resp.unitString, 'Cel');
+    assert.equal(resp.unit.ucumCode, 'Cel');
+    resp = utils.parseQuantity('1.5e3 /uL');
+    assert.equal(resp.value, 1500);
+    assert.equal(resp.unit.ucumCode, '/uL');
+    resp = utils.parseQuantity('5mg');
+    assert.equal(resp.value, 5);
+    assert.equal(resp.unitString, 'mg');
+    assert.equal(utils.parseQuantity('-3.5 Cel').value, -3.5);
+  });
+
+  it("should return ranges and comparators", function() {
+    let resp = utils.parseQuantity('2-5 mmol/L');
+    assert.equal(resp.status, 'valid');
+    assert.equal(resp.value, null);
+    assert.deepEqual(resp.range, {'low': 2, 'high': 5});
+    resp = utils.parseQuantity('<0.1 ng/mL');
+    assert.equal(resp.comparator, '<');
+    assert.equal(resp.value, 0.1);
+    assert.equal(utils.parseQuantity('≥5 %').comparator, '>=');
+    resp = utils.parseQuantity('<2-5 mg');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.msg[0],
+      'A comparator (<) cannot be used with a range (2-5).');
+    assert.equal(resp.errors[0].start, 1);
+  });
+
+  it("should report values that are not finite and reversed ranges", function() {
+    let resp = utils.parseQuantity('5e400 mg');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.value, null);
+    assert.equal(resp.msg[0], '5e400 is not a valid value for a quantity; ' +
+      'the value must be a finite number.');
+    assert.equal(resp.errors[0].code, 'INVALID_QUANTITY');
+    assert.equal(resp.errors[0].input, 'value');
+    resp = utils.parseQuantity('2 - 1e999 mg');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.range, null);
+    assert.equal(resp.errors[0].start, 4);
+    assert.equal(resp.errors[0].end, 9);
+    resp = utils.parseQuantity('5-2 mg');
+    assert.equal(resp.status, 'invalid');
+    assert.deepEqual(resp.range, {'low': 5, 'high': 2});
+    assert.deepEqual(resp.msg,
+      ['The low value of the range 5-2 is greater than the high value.']);
+    assert.equal(resp.errors[0].code, 'INVALID_QUANTITY');
+    assert.equal(resp.errors[0].start, 0);
+    assert.equal(utils.parseQuantity('2-2 mg').status, 'valid');
+  });
+
+  it("should validate the unit and locate its problems in the string", function() {
+    let resp = utils.parseQuantity('120 mmHg', {suggestions: true});
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.value, 120);
+    assert.equal(resp.unit.status, 'invalid');
+    assert.equal(resp.unit.suggestions[0].units[0][0], 'mm[Hg]');
+    assert.equal(resp.errors[0].code, 'INVALID_CODE');
+    assert.equal(resp.errors[0].input, 'unit');
+    assert.equal(resp.errors[0].start, 4);
+    assert.equal(resp.errors[0].end, 8);
+  });
+
+  it("should report strings with no value or unit", function() {
+    let resp = utils.parseQuantity('mg/dL');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.errors[0].code, 'INVALID_QUANTITY');
+    resp = utils.parseQuantity('5');
+    assert.equal(resp.status, 'invalid');
+    assert.equal(resp.value, 5);
+    assert.equal(resp.errors[0].code, 'NO_UNIT_STRING');
+    resp = utils.parseQuantity(' ');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.errors[0].code, 'NO_QUANTITY_STRING');
+  });
+});
@@ -16,20 +16,31 @@ var uString = UnitString.getInstance();
 
 describe('Test Unit Power method', function() {
   describe('Test invalid Power request', function() {
-    var fahrUnit = uTabs.getUnitByCode('[degF]');
+    var phUnit = uTabs.getUnitByCode('[pH]').clone();
     var errMsg = null;
     try {
-      var returnObj = fahrUnit.power(2);
+      var returnObj = phUnit.power(2);
     }
     catch(err) {
       errMsg = err.message;
     }
     it("should throw an error message about a non-ratio unit", function() {
-      assert.equal('Attempt to raise a non-ratio unit, degrees Fahrenheit, ' +
-          'to a power.', errMsg);
+      assert.equal('Attempt to raise a non-ratio unit, pH, to a power.',
+        errMsg);
     });
   }); // end test invalid power request
 
+  describe('Test Power request for an interval scale unit', function() {
+    var fahrUnit = uTabs.getUnitByCode('[degF]').clone();
+    fahrUnit = fahrUnit.power(2);
+    it("should return a unit of temperature difference squared", function() {
+      assert.equal('[degF]2', fahrUnit.csCode_);
+      assert.equal(null, fahrUnit.cnv_);
+      assert(Math.abs(fahrUnit.magnitude_ - 25 / 81) < 1e-15);
+      assert.deepEqual([0,0,0,0,2,0,0], fahrUnit.dim_.dimVec_);
+    });
+  }); // end test power request for an interval scale unit
+
   describe('Test valid Power request', function() {
     var footUnit = uTabs.getUnitByCode('[ft_i]').clone();
     var errMsg = null;
@@ -121,6 +132,36 @@ describe('Test Unit convertFrom/convertTo methods', function() {
     });
   }); // end test conversion for units with no vectors but with functions
 
+  describe('Test conversion of temperature differences', function(){
+    it("should return the units for differences", function() {
+      var celUnit = uTabs.getUnitByCode('Cel');
+      var fahrUnit = uTabs.getUnitByCode('[degF]');
+      assert(celUnit.isIntervalScale());
+      assert(!uTabs.getUnitByCode('[pH]').isIntervalScale());
+      assert(!uTabs.getUnitByCode('K').isIntervalScale());
+      var celDiff = celUnit.getIntervalUnit();
+      var fahrDiff = fahrUnit.getIntervalUnit();
+      assert.equal(celDiff.cnv_, null);
+      assert.equal(celUnit.cnv_, 'Cel');
+      assert.equal(fahrDiff.convertFrom(10, celDiff), 18);
+      var mcelDiff = uString.parseString('mCel')[0].getIntervalUnit();
+      assert.equal(mcelDiff.magnitude_, 0.001);
+    });
+    it("should throw an error for special units that are not on an interval " +
+       "scale", function() {
+      assert.throws(() => uTabs.getUnitByCode('[pH]').getIntervalUnit(),
+        /pH is not on an interval scale/);
+    });
+    it("should use Cel as a unit of difference in compound units", function() {
+      var celPerHour = uString.parseString('Cel/h')[0];
+      var kPerSec = uString.parseString('K/s')[0];
+      assert.equal(celPerHour.cnv_, null);
+      assert(Math.abs(kPerSec.convertFrom(3600, celPerHour) - 1) < 1e-12);
+      var fahrPerMin = uString.parseString('[degF]/min')[0];
+      assert(Math.abs(fahrPerMin.convertFrom(1, celPerHour) - 0.03) < 1e-12);
+    });
+  }); // end test conversion of temperature differences
+
 }); // end Test Unit convertFrom method
 
 describe('Test construction of name data for constructed units', function() {
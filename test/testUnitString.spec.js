@@ -1145,3 +1145,98 @@ describe('Test _isCodeWithExponent method', function() {
 
 }); // end test _isCodeWithExponent method
 
+
+
+describe('Test locations returned in error objects', function() {
+
+  /**
+   *  Parses the given unit string and returns the error objects
+   *  returned for it.
+   * @param uStr the unit string to parse
+   * @param suggest whether or not suggestions are requested
+   */
+  function getErrors(uStr, suggest) {
+    let uString = UnitString.getInstance();
+    return uString.parseString(uStr, 'validate', suggest)[4];
+  }
+
+  /**
+   *  Checks that the first error object in the given array has the
+   *  expected code, token and location.
+   */
+  function checkError(errors, code, token, start, end) {
+    assert.equal(errors.length > 0, true, 'no errors returned');
+    assert.equal(errors[0].code, code, JSON.stringify(errors[0]));
+    assert.equal(errors[0].token, token, JSON.stringify(errors[0]));
+    assert.equal(errors[0].start, start, JSON.stringify(errors[0]));
+    assert.equal(errors[0].end, end, JSON.stringify(errors[0]));
+  }
+
+  it("should return the location of an invalid code after the first unit", function() {
+    checkError(getErrors('mg/dL.kgg'), 'INVALID_CODE', 'kgg', 6, 9);
+  });
+
+  it("should return the location of an invalid code that follows an annotation", function() {
+    checkError(getErrors('{tot}.mg/dL.kgg'), 'INVALID_CODE', 'kgg', 12, 15);
+  });
+
+  it("should return the location of an invalid code within parentheses", function() {
+    checkError(getErrors('(mg).(L/xyz)'), 'INVALID_CODE', 'xyz', 8, 11);
+  });
+
+  it("should return the location of an invalid code after a special unit", function() {
+    checkError(getErrors('kB[10.nV]/xyz', true), 'NO_ALTERNATIVES', 'xyz', 10, 13);
+  });
+
+  it("should return the location of an invalid code when the same code appears earlier", function() {
+    checkError(getErrors('g{g}.L/g.(gg)'), 'INVALID_CODE', 'gg', 10, 12);
+  });
+
+  it("should return the location of a unit code with a missing multiplication operator", function() {
+    checkError(getErrors('mg/2kJ'), 'MISSING_MULTIPLICATION', '2kJ', 3, 6);
+  });
+
+  it("should return the location of a code following a missing multiplication operator", function() {
+    checkError(getErrors('mg/2kxx'), 'INVALID_CODE', 'kxx', 4, 7);
+  });
+
+  it("should return the location of a missing closing brace", function() {
+    checkError(getErrors('mg{abc'), 'MISSING_CLOSE_BRACE', '{abc', 2, 6);
+  });
+
+  it("should return the location of an invalid annotation", function() {
+    checkError(getErrors('m{a}/g{a b}'), 'INVALID_ANNOTATION_CHAR', '{a b}', 6, 11);
+  });
+
+  it("should return the location of an unmatched parenthesis", function() {
+    checkError(getErrors('m.(g'), 'MISSING_CLOSE_PAREN', '(', 2, 3);
+    checkError(getErrors('m.g)'), 'MISSING_OPEN_PAREN', ')', 3, 4);
+  });
+
+  it("should return the location of operators that are not valid", function() {
+    checkError(getErrors('mg..L'), 'MISSING_UNIT_CODE', '..', 2, 4);
+    checkError(getErrors('mg/'), 'TRAILING_OPERATOR', '/', 2, 3);
+    checkError(getErrors('.mg'), 'LEADING_MULTIPLICATION', '.', 0, 1);
+    checkError(getErrors('mg.(/L)'), 'UNARY_DIVISION_IN_PARENS', '(/', 3, 5);
+  });
+
+  it("should return the location of an exponent following parentheses", function() {
+    checkError(getErrors('mg/(m)2'), 'EXPONENT_AFTER_PARENS', '2', 6, 7);
+  });
+
+  it("should return the location of a misplaced annotation", function() {
+    checkError(getErrors('L/{a}mg'), 'MISPLACED_ANNOTATION', '{a}', 2, 5);
+  });
+
+  it("should return the location of a unit code given for a unit name", function() {
+    checkError(getErrors('(m){a}.Gauss'), 'UNIT_NAME_SUBSTITUTED', 'Gauss', 7, 12);
+  });
+
+  it("should use the location of the string passed to _makeUnitsArray", function() {
+    let uString = UnitString.getInstance();
+    uString.origInput_ = 'abcde.mg..L';
+    let resp = uString._makeUnitsArray('mg..L', 'mg..L', 6);
+    assert.equal(resp[2], true);
+    checkError(uString.retErrors_, 'MISSING_UNIT_CODE', '..', 8, 10);
+  });
+});
@@ -71,3 +71,81 @@ describe('Test getUnitByCode method', function() {
     });
   });
 });  // end of getUnitByCode tests
+
+describe('Test getUnitsByCiCode method', function() {
+
+  it("should return null if no code is specified", function() {
+    assert.equal(uTabs.getUnitsByCiCode(), null);
+  });
+
+  it("should return all of the units with a case-insensitive code", function() {
+    let codes = uTabs.getUnitsByCiCode('L').map((u) => u.csCode_).sort();
+    assert.deepEqual(codes, ['L', 'l']);
+    assert.equal(uTabs.getUnitsByCiCode('CEL')[0].csCode_, 'Cel');
+  });
+
+  it("should return null for a case-sensitive code", function() {
+    assert.equal(uTabs.getUnitsByCiCode('Cel'), null);
+  });
+});  // end of getUnitsByCiCode tests
+
+describe('Test editDistance method', function() {
+
+  it("should count insertions, deletions and substitutions", function() {
+    assert.equal(uTabs.editDistance('milligram', 'milligram'), 0);
+    assert.equal(uTabs.editDistance('milgram', 'milligram'), 2);
+    assert.equal(uTabs.editDistance('killogram', 'kilogram'), 1);
+    assert.equal(uTabs.editDistance('gram', 'dram'), 1);
+    assert.equal(uTabs.editDistance('', 'gram'), 4);
+  });
+
+  it("should count a swap of adjacent characters as one edit", function() {
+    assert.equal(uTabs.editDistance('garm', 'gram'), 1);
+  });
+});  // end of editDistance tests
+
+describe('Test searchUnits method', function() {
+
+  it("should throw an error if no search string is specified", function() {
+    assert.throws(() => uTabs.searchUnits());
+    assert.throws(() => uTabs.searchUnits(5), /no search string/);
+  });
+
+  it("should find units with misspelled names", function() {
+    assert.equal(uTabs.searchUnits('milgram')[0].unit.csCode_, 'mg');
+    let hit = uTabs.searchUnits('killogram')[0];
+    assert.equal(hit.unit.csCode_, 'kg');
+    assert.equal(hit.matched, 'kilogram');
+    assert.equal(hit.matchType, 'name');
+  });
+
+  it("should give an exact code match a score of 1", function() {
+    let hit = uTabs.searchUnits('mmol')[0];
+    assert.equal(hit.unit.csCode_, 'mmol');
+    assert.equal(hit.score, 1);
+    assert.equal(hit.matchType, 'code');
+  });
+
+  it("should match words in any order", function() {
+    assert.equal(uTabs.searchUnits('per deciliter milligram')[0].unit.csCode_,
+      'mg/dL');
+    assert.equal(uTabs.searchUnits('celsius')[0].unit.csCode_, 'Cel');
+  });
+
+  it("should rank clinical units ahead of others", function() {
+    let hits = uTabs.searchUnits('pound', 0);
+    let clinical = hits.findIndex((h) => h.unit.csCode_ === '[lb_av]');
+    let obsolete = hits.findIndex((h) => h.unit.csCode_ === '[lb_ap]');
+    assert.ok(clinical > -1 && obsolete > clinical);
+  });
+
+  it("should return hits ordered by score, up to the limit", function() {
+    let hits = uTabs.searchUnits('gram', 3);
+    assert.equal(hits.length, 3);
+    assert.ok(hits[0].score >= hits[1].score && hits[1].score >= hits[2].score);
+  });
+
+  it("should return an empty array if nothing matches", function() {
+    assert.deepEqual(uTabs.searchUnits('xyzzy'), []);
+  });
+});  // end of searchUnits tests